@@ -1,5 +0,0 @@
-// Export main data classes
-export { DataFrame, Series, GroupBy } from './model/index.js';
-
-// Export utilities (если они нужны в публичном API)
-export * from './utils/index.js';
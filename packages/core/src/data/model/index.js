@@ -1,11 +0,0 @@
-/**
- * TinyFrameJS data models
- *
- * Main classes for working with data: DataFrame, Series, GroupBy
- *
- * @module data/model
- */
-
-export { DataFrame } from './DataFrame.js';
-export { Series } from './Series.js';
-export { GroupBy } from './GroupByCore.js';
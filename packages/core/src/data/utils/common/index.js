@@ -1,9 +0,0 @@
-/**
- * Common validation utilities
- *
- * This barrel file exports all common validators
- * Side-effects free for tree-shaking support
- */
-
-export { validateNotNull } from './validateNotNull.js';
-export { validateNonEmptyArray } from './validateNonEmptyArray.js';
@@ -1,11 +0,0 @@
-/**
- * DataFrame validation utilities
- *
- * This barrel file exports all DataFrame validators
- * Side-effects free for tree-shaking support
- */
-
-export { validateColumn } from './validateColumn.js';
-export { validateColumns } from './validateColumns.js';
-export { assertFrameNotEmpty } from './assertFrameNotEmpty.js';
-export { validateFrameHasData } from './validateFrameHasData.js';
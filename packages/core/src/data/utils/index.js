@@ -1,18 +0,0 @@
-/**
- * Core utilities for DataFrame and Series
- *
- * This barrel file exports all utilities for use in the library
- * Side-effects free for tree-shaking support
- */
-
-// Frame validators
-export * from './frame/index.js';
-
-// Common validators
-export * from './common/index.js';
-
-// Type utilities
-export * from './types/index.js';
-
-// Transform utilities
-export * from './transform/index.js';
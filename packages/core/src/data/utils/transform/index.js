@@ -1,9 +0,0 @@
-/**
- * Data transformation utilities
- *
- * This barrel file exports all transformation utilities
- * Side-effects free for tree-shaking support
- */
-
-export { cloneDeep } from './cloneDeep.js';
-export { transpose } from './transpose.js';
@@ -1,30 +0,0 @@
-/**
- * DataFrame filtering method pool
- *
- * This file re-exports all filtering methods for use with extendDataFrame
- *
- * @module methods/dataframe/filtering/pool
- */
-
-// Row filtering methods
-export { filter } from './filter.js';
-export { query } from './query.js';
-export { where } from './where.js';
-export { expr$ } from './expr$.js';
-export { query$ } from './query$.js';
-
-// Row sampling methods
-export { sample } from './sample.js';
-export { stratifiedSample } from './stratifiedSample.js';
-export { head } from './head.js';
-export { tail } from './tail.js';
-
-// Column selection methods
-export { select } from './select.js';
-export { drop } from './drop.js';
-export { selectByPattern } from './selectByPattern.js';
-
-// Row/column access methods
-export { at } from './at.js';
-export { iloc } from './iloc.js';
-export { loc } from './loc.js';
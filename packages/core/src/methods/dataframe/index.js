@@ -1,13 +0,0 @@
-/**
- * DataFrame methods
- *
- * This module exports all methods for DataFrame from all subcategories.
- * Methods are registered using extendDataFrame.
- *
- * @module methods/dataframe
- */
-
-// Экспорт всех методов из подкаталогов
-export * from './aggregation/index.js';
-export * from './display/index.js';
-export * from './filtering/index.js';
@@ -1,12 +0,0 @@
-/**
- * Pool of all DataFrame methods
- *
- * This file re-exports all DataFrame methods for use with extendDataFrame
- *
- * @module methods/dataframe/pool
- */
-
-// Реэкспорт всех методов из подкаталогов
-export * from './aggregation/pool.js';
-export * from './display/pool.js';
-export * from './filtering/pool.js';
@@ -1,11 +0,0 @@
-/**
- * Pool of all reshape methods
- *
- * This file exports all reshape methods to be registered on both DataFrame and Series prototypes.
- * It serves as a central registry for all methods to facilitate tree-shaking.
- *
- * @module core/methods/reshape/pool
- */
-
-// Placeholder for reshape methods
-// Will be filled as methods are implemented
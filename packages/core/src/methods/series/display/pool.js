@@ -1,10 +0,0 @@
-/**
- * Pool of Series display methods
- */
-
-import { display } from './display.js';
-import { print } from './print.js';
-import { toHTML } from './toHTML.js';
-import { toMarkdown } from './toMarkdown.js';
-
-export { display, print, toHTML, toMarkdown };
@@ -1,12 +0,0 @@
-/**
- * Pool of all timeseries methods
- *
- * This file exports all timeseries methods to be registered on both DataFrame
- * and Series prototypes.
- * It serves as a central registry for all methods to facilitate tree-shaking.
- *
- * @module core/methods/timeseries/pool
- */
-
-// Placeholder for timeseries methods
-// Will be filled as methods are implemented
@@ -1,26 +1,56 @@
 // src/core/dataframe/DataFrame.js
 import { Series } from './Series.js';
+import { Index, RangeIndex } from './Index.js';
 
+/**
+ * Column-oriented table of named Series.
+ *
+ * Derived frames share storage: columns a method leaves unchanged hold
+ * the same data in the input and the result, so adding one column to a
+ * wide frame copies nothing else. Each frame gets its own Series over
+ * that data, and `Series.set` copies a shared column before writing, so
+ * a write through one frame never shows in another.
+ *
+ * Transform methods return a new frame and leave their input untouched.
+ * With `{ inplace: true }` they apply the same change to the receiver
+ * through `setColumn` / `deleteColumn` and return the receiver.
+ */
 export class DataFrame {
   /**
    * @param {Record<string, Array|TypedArray>} data – source columns
-   * @param {object} [opts] – { preferArrow?: boolean }
+   * @param {object} [opts] – { preferArrow?: boolean, index?: Index|Array, dtypes?: Record<string, string> }
    */
   constructor(data = {}, opts = {}) {
+    const { index, dtypes = {}, ...seriesOpts } = opts;
     /** @type {Record<string, Series>} */
     this._columns = {};
     /** @type {string[]} */
     this._order = Object.keys(data);
 
     for (const name of this._order) {
-      // Re-use Series or wrap raw data
+      // Share the storage of a Series or wrap raw data
+      const dtype = dtypes[name];
       this._columns[name] =
-        data[name] instanceof Series
-          ? data[name]
-          : new Series(data[name], { name, ...opts });
+        data[name] instanceof Series && !dtype
+          ? new Series(data[name].vector.share(), { name: data[name].name })
+          : new Series(
+              data[name] instanceof Series ? data[name].vector : data[name],
+              { name, ...seriesOpts, dtype },
+            );
     }
     Object.freeze(this._order);
 
+    this._setIndex(
+      index === undefined || index === null
+        ? new RangeIndex(this.rowCount)
+        : Index.from(index),
+    );
+    if (this._order.length && this._index.length !== this.rowCount) {
+      throw new Error(
+        `Index length ${this._index.length} does not match row count ${this.rowCount}`,
+      );
+    }
+
     /* -------------------------------------------------- *
      *  Internal helper (used by tests / plugins)         *
      * -------------------------------------------------- */
@@ -52,6 +82,21 @@ export class DataFrame {
     return new DataFrame(cols, opts);
   }
 
+  /**
+   * Builds a DataFrame from rows given as arrays
+   * @param {Array<Array>} rows - Row values, in column order
+   * @param {string[]} columnNames - Column names
+   * @param {object} [opts] - Constructor options
+   * @returns {DataFrame}
+   */
+  static fromArrays(rows = [], columnNames = [], opts = {}) {
+    const cols = {};
+    columnNames.forEach((name, j) => {
+      cols[name] = rows.map((row) => row[j]);
+    });
+    return new DataFrame(cols, opts);
+  }
+
   static fromArrow(table) {
     const cols = {};
     for (const f of table.schema.fields)
@@ -73,8 +118,7 @@ export class DataFrame {
     const { tableFromArrays } = await import('apache-arrow');
     const arrays = {};
     for (const n of this._order) {
-      const v = this._columns[n].vector;
-      arrays[n] = v._arrow ?? v._data; // ArrowVector | TypedArray
+      arrays[n] = this._columns[n].vector.toArrow(); // Arrow.Vector | TypedArray | Array
     }
     return tableFromArrays(arrays);
   }
@@ -89,10 +133,39 @@ export class DataFrame {
   get columns() {
     return [...this._order];
   }
+  get columnCount() {
+    return this._order.length;
+  }
+  /**
+   * @returns {boolean} - True if the DataFrame has no rows or no columns
+   */
+  isEmpty() {
+    return this.rowCount === 0 || this._order.length === 0;
+  }
+  /**
+   * Row labels
+   * @returns {Index} - Index of the DataFrame (RangeIndex by default)
+   */
+  get index() {
+    return this._index;
+  }
+
+  /**
+   * Data type of every column
+   * @returns {Record<string, string>} - Column name → DType code
+   */
+  get dtypes() {
+    const out = {};
+    for (const n of this._order) out[n] = this._columns[n].dtype;
+    return out;
+  }
 
   col = (n) => this._columns[n];
   get = (n) => this._columns[n];
-  sum = (n) => this.col(n).sum();
+  sum = (n) => {
+    if (!this._columns[n]) throw new Error(`Column '${n}' not found`);
+    return this._columns[n].sum();
+  };
   /**
    * low-level vector getter
    * @param {string} n - Column name
@@ -106,8 +179,8 @@ export class DataFrame {
 
   select(names) {
     const cols = {};
-    for (const n of names) cols[n] = this._columns[n].toArray();
-    return new DataFrame(cols);
+    for (const n of names) cols[n] = this._columns[n];
+    return new DataFrame(cols, { index: this._index });
   }
 
   drop(names) {
@@ -116,10 +189,79 @@ export class DataFrame {
   }
 
   assign(obj) {
-    const merged = this.toColumns();
-    for (const [k, v] of Object.entries(obj))
-      merged[k] = v instanceof Series ? v.toArray() : v;
-    return new DataFrame(merged);
+    const out = this.select(this._order);
+    for (const [k, v] of Object.entries(obj)) out.setColumn(k, v);
+    return out;
+  }
+
+  /**
+   * Adds or replaces a column on this frame.
+   * A Series shares its storage with the new column (copied on the first
+   * write to either), arrays and vectors are wrapped, a scalar fills
+   * every row.
+   * @param {string} name - Column name
+   * @param {Series|Array|TypedArray|*} values - Column data or a scalar
+   * @returns {DataFrame} - This DataFrame for chaining
+   */
+  setColumn(name, values) {
+    let series;
+    if (values instanceof Series) {
+      series = new Series(values.vector.share(), { name });
+    } else if (
+      Array.isArray(values) ||
+      ArrayBuffer.isView(values) ||
+      values?._isVector
+    ) {
+      series = new Series(values, { name });
+    } else {
+      series = new Series(new Array(this.rowCount).fill(values), { name });
+    }
+
+    if (this._order.length && series.length !== this.rowCount) {
+      const other = this._order.length > 1 || this._order[0] !== name;
+      if (other) {
+        throw new Error(
+          `Column '${name}' has length ${series.length}, expected ${this.rowCount}`,
+        );
+      }
+    }
+
+    this._columns[name] = series;
+    if (!this._order.includes(name)) {
+      this._order = Object.freeze([...this._order, name]);
+    }
+    if (this._index.length !== this.rowCount) {
+      this._setIndex(new RangeIndex(this.rowCount));
+    } else {
+      series.index = this._index;
+    }
+    return this;
+  }
+
+  /**
+   * Replaces the row labels and hands them to every column, so that
+   * Series operators can tell columns of differently labelled frames apart
+   * @param {Index} index - New row labels
+   * @private
+   */
+  _setIndex(index) {
+    /** @type {Index} */
+    this._index = index;
+    for (const name of this._order) this._columns[name].index = index;
+  }
+
+  /**
+   * Removes a column from this frame
+   * @param {string} name - Column name
+   * @returns {DataFrame} - This DataFrame for chaining
+   */
+  deleteColumn(name) {
+    if (!this._order.includes(name)) {
+      throw new Error(`Column '${name}' not found`);
+    }
+    delete this._columns[name];
+    this._order = Object.freeze(this._order.filter((n) => n !== name));
+    return this;
   }
 
   /* ------------------------------------------------------------------ *
@@ -137,6 +279,14 @@ export class DataFrame {
     return rows;
   }
 
+  /**
+   * Rows as plain objects, so JSON.stringify(df) gives an array of records
+   * @returns {Array<Object>}
+   */
+  toJSON() {
+    return this.toArray();
+  }
+
   /* ------------------------------------------------------------------ *
    *  Lazy & meta                                                       *
    * ------------------------------------------------------------------ */
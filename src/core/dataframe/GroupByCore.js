@@ -31,56 +31,103 @@ import { DataFrame } from './DataFrame.js';
 import { Series } from './Series.js';
 import { sum as seriesSum } from '../../methods/series/aggregation/sum.js';
 import { mean as seriesMean } from '../../methods/series/aggregation/mean.js';
-import { min as seriesMin } from '../../methods/series/aggregation/min.js';
-import { max as seriesMax } from '../../methods/series/aggregation/max.js';
+import { takePositions } from '../../methods/dataframe/filtering/take.js';
+import { isExpr, evaluateAggregate } from '../expr/index.js';
+import { hashGroups } from '../utils/hashGroups.js';
+import {
+  getReducer,
+  isFoldingReducer,
+  normalizeAggSpec,
+  toAggregateFunction,
+} from './reducers.js';
+import { compareValues } from '../../methods/dataframe/transform/sort.js';
+import { applyRollingWindow } from '../../methods/timeseries/alltypes/rollingCore.js';
 
 /**
- * Helper - safe Series length calculation
- * @param s
+ * Helper - null, undefined and NaN are missing values
+ * @param v
  */
-const seriesLen = (s) =>
-  typeof s.length === 'number' ? s.length : (s.vector?.length ?? s.size ?? 0);
+const isMissing = (v) => v === null || v === undefined || Number.isNaN(v);
 
 /**
- * Helper - generate unique output column name
- * @param raw
- * @param bag
+ * Helper - running accumulation over the values of a group; missing
+ * values stay null and are skipped
+ * @param step
  */
-const safeName = (raw, bag) => {
-  let n = raw,
-    i = 1;
-  while (bag[n] !== undefined) n = `${raw}_${i++}`;
-  return n;
+const cumulative = (step) => (values) => {
+  let acc = null;
+  return values.map((v) => {
+    if (isMissing(v)) return null;
+    acc = acc === null ? v : step(acc, v);
+    return acc;
+  });
 };
 
 /**
- * Helper - normalize aggregation spec to {outName: fn} format
- * @param col
- * @param spec
- * @param aggFns
- * @param out
+ * Helper - pairs every value of a group with the one `periods` rows
+ * earlier (later for negative periods); null where there is none
+ * @param periods
+ * @param fn
  */
-const normalizeAggSpec = (col, spec, aggFns, out) => {
-  if (typeof spec === 'function') {
-    out[col] = { [col]: spec };
-    return;
-  }
-  if (typeof spec === 'string') {
-    const fn = aggFns[spec];
-    if (!fn) throw new Error(`Unknown aggregation: ${spec}`);
-    out[col] = { [safeName(`${col}_${spec}`, out)]: fn };
-    return;
-  }
-  if (Array.isArray(spec)) {
-    out[col] = {};
-    for (const name of spec) {
-      const fn = aggFns[name];
-      if (!fn) throw new Error(`Unknown aggregation: ${name}`);
-      out[col][safeName(`${col}_${name}`, out[col])] = fn;
+const lagged = (periods, fn) => {
+  if (!Number.isInteger(periods)) {
+    throw new Error('periods must be an integer');
+  }
+  return (values) =>
+    values.map((v, j) => {
+      const k = j - periods;
+      if (k < 0 || k >= values.length) return null;
+      return fn(v, values[k]);
+    });
+};
+
+/**
+ * Rank of the kth of a run of ties at sorted positions [start, end),
+ * by rank() method
+ */
+const TIE_RANKS = {
+  average: (start, end) => (start + end + 1) / 2,
+  min: (start) => start + 1,
+  max: (start, end) => end,
+  first: (start, end, k) => k + 1,
+  dense: (start, end, k, dense) => dense,
+};
+
+/**
+ * Helper - ranks of the values of a group, 1 for the smallest (largest
+ * when descending); missing values get null
+ * @param values
+ * @param method
+ * @param descending
+ */
+const rankValues = (values, method, descending) => {
+  const order = [];
+  values.forEach((v, j) => {
+    if (!isMissing(v)) order.push(j);
+  });
+  // Array.prototype.sort is stable, so 'first' ranks ties by position
+  order.sort((a, b) => compareValues(values[a], values[b], descending));
+
+  const tieRank = TIE_RANKS[method];
+  const ranks = new Array(values.length).fill(null);
+  let start = 0;
+  let dense = 0;
+  while (start < order.length) {
+    // order[start..end) hold equal values
+    let end = start + 1;
+    while (
+      end < order.length &&
+      compareValues(values[order[start]], values[order[end]], false) === 0
+    ) {
+      end++;
+    }
+    dense++;
+    for (let k = start; k < end; k++) {
+      ranks[order[k]] = tieRank(start, end, k, dense);
     }
-    return;
+    start = end;
   }
-  throw new Error(`Invalid aggregation spec for ${col}`);
+  return ranks;
 };
 
 /**
@@ -93,70 +140,109 @@ export class GroupByCore {
   /**
    * @param {DataFrame} df - Source DataFrame
    * @param {string|string[]} by - Column(s) to group by
+   * @param {Object} [options] - Grouping options
+   * @param {boolean} [options.dropna=false] - Leave out rows whose key has
+   *   a null (otherwise null keys form a group of their own)
+   * @param {boolean} [options.sort=false] - Order groups by their keys
+   *   instead of by first appearance
    */
-  constructor(df, by) {
+  constructor(df, by, options = {}) {
     this.df = df;
     this.by = Array.isArray(by) ? by : [by];
-    this._rows = df.toArray(); // cache of rows
-    this._groups = this._createGroups(); // Map<key, row-idx[]>
+    this.options = options;
+    // Row positions of every group, shared by all aggregations
+    this._groups = hashGroups(df, this.by, options);
+  }
+
+  /**
+   * Number of groups
+   * @returns {number}
+   */
+  get size() {
+    return this._groups.indices.length;
   }
 
   /**
-   * Creates groups based on unique values in the grouping columns
+   * Key columns of the result, one row per group, with the dtype of the
+   * grouped columns
    * @private
-   * @returns {Map} - Map of group keys to row indices
+   * @returns {Object} - Column name → values
    */
-  _createGroups() {
-    const groups = new Map();
-    this._rows.forEach((row, i) => {
-      const key = this.by.map((c) => row[c]).join('|');
-      if (!groups.has(key)) {
-        groups.set(key, []);
-      }
-      groups.get(key).push(i);
-    });
-    return groups;
+  _keyColumns() {
+    const { first } = this._groups;
+    return Object.fromEntries(
+      this.by.map((c) => [c, this.df.col(c).vector.take(first)]),
+    );
   }
 
   /**
    * Applies an aggregation function to each group
-   * @param {Object} aggregations - Map of column names to aggregation functions or function names
+   * @param {Object|Expr|Expr[]} aggregations - Map of column names to
+   *   reducers or reducer names, `{ output: [column, reducer] }` named
+   *   aggregations (see normalizeAggSpec in reducers.js), or aggregating
+   *   expressions such as `col('price').mean().alias('avgPrice')` (also
+   *   as several arguments)
    * @returns {DataFrame} - DataFrame with aggregated results
    */
-  agg(aggregations) {
+  agg(aggregations, ...more) {
+    if (isExpr(aggregations) || Array.isArray(aggregations)) {
+      return this._aggExprs([aggregations, ...more].flat());
+    }
+
     // ---- 1. normalize aggregation spec -----------------------------
-    const aggFns = {
-      sum: seriesSum,
-      mean: (s) =>
-        s.mean
-          ? s.mean()
-          : s.toArray().reduce((a, b) => a + b, 0) / seriesLen(s),
-      min: seriesMin,
-      max: seriesMax,
-      count: seriesLen,
-    };
-    const spec = {};
-    for (const col in aggregations)
-      normalizeAggSpec(col, aggregations[col], aggFns, spec);
+    const specs = normalizeAggSpec(aggregations);
+    const vectors = specs.map(({ column }) => {
+      const vector = this.df.getVector(column);
+      if (!vector) throw new Error(`Column '${column}' not found in DataFrame`);
+      return vector;
+    });
+    const fns = specs.map(({ reducer }) => toAggregateFunction(reducer));
 
     // ---- 2. prepare output object ---------------------------------
-    const out = Object.fromEntries(this.by.map((c) => [c, []]));
-    for (const col in spec) for (const oName in spec[col]) out[oName] ??= [];
+    const out = this._keyColumns();
+    for (const { name } of specs) {
+      if (out[name]) throw new Error(`Duplicate output column '${name}'`);
+      out[name] = [];
+    }
 
     // ---- 3. process each group -----------------------------------
-    for (const [key, idxArr] of this._groups) {
-      const keyVals = key.split('|');
-      // 3.1. fill grouping columns
-      this.by.forEach((c, i) => out[c].push(keyVals[i]));
-
-      // 3.2. create view-slice without copying
-      const subDf = DataFrame.fromRecords(idxArr.map((i) => this._rows[i]));
-
-      // 3.3. apply aggregations
-      for (const col in spec) {
-        const series = subDf.col(col);
-        for (const [oName, fn] of Object.entries(spec[col]))
-          out[oName].push(fn(series));
+    for (const idxArr of this._groups.indices) {
+      for (let j = 0; j < specs.length; j++) {
+        const { name, column } = specs[j];
+        const series = new Series(vectors[j].take(idxArr), { name: column });
+        out[name].push(fns[j](series));
+      }
+    }
+    return new DataFrame(out);
+  }
+
+  /**
+   * Evaluates aggregating expressions on the rows of each group
+   * @private
+   * @param {Expr[]} exprs - Expressions reducing to one value per group
+   * @returns {DataFrame} - One row per group
+   */
+  _aggExprs(exprs) {
+    for (const expr of exprs) {
+      if (!isExpr(expr)) {
+        throw new Error('agg() expects an object spec or expressions');
+      }
+    }
+
+    const out = this._keyColumns();
+    for (const expr of exprs) {
+      if (out[expr.outputName]) {
+        throw new Error(
+          `Duplicate output column '${expr.outputName}', use alias()`,
+        );
+      }
+      out[expr.outputName] = [];
+    }
+
+    for (const idxArr of this._groups.indices) {
+      const group = takePositions(this.df, idxArr);
+      for (const expr of exprs) {
+        out[expr.outputName].push(evaluateAggregate(expr, group));
       }
     }
     return new DataFrame(out);
@@ -213,23 +299,11 @@ export class GroupByCore {
    * @returns {DataFrame} - DataFrame with results
    */
   apply(fn) {
-    const result = {};
-
-    // Initialize result with grouping columns
-    for (const col of this.by) {
-      result[col] = [];
-    }
+    const result = this._keyColumns();
 
     // Process each group
-    for (const [key, idxArr] of this._groups) {
-      // Extract group key values
-      const keyVals = key.split('|');
-
-      // Add group key values to result
-      this.by.forEach((c, i) => result[c].push(keyVals[i]));
-
-      // Create subset DataFrame for this group using cached rows
-      const subDf = DataFrame.fromRecords(idxArr.map((i) => this._rows[i]));
+    for (const idxArr of this._groups.indices) {
+      const subDf = takePositions(this.df, idxArr);
 
       // Apply function to group
       const fnResult = fn(subDf);
@@ -294,4 +368,288 @@ export class GroupByCore {
     agg[column] = (series) => seriesMean(series);
     return this.agg(agg);
   }
+
+  // ───────── per-row operations ─────────────────────────────────────
+  // Results line up with the rows of the source frame, so they can be
+  // added back as columns: df.assign({ ret: df.group('symbol').pctChange('px') })
+
+  /**
+   * Values of a column, checked to exist
+   * @private
+   * @param {string} column - Column name
+   * @returns {Array}
+   */
+  _values(column) {
+    const vector = this.df.getVector(column);
+    if (!vector) throw new Error(`Column '${column}' not found in DataFrame`);
+    return vector.toArray();
+  }
+
+  /**
+   * Runs fn on the values of a column in each group (in row order) and
+   * writes its results back to the rows of the group
+   * @private
+   * @param {string} column - Column name
+   * @param {(values: Array) => Array} fn - One result per value
+   * @returns {Series} - Row-aligned results; null for rows in no group
+   */
+  _perRow(column, fn) {
+    const values = this._values(column);
+    const out = new Array(this.df.rowCount).fill(null);
+    for (const idxArr of this._groups.indices) {
+      const result = fn(Array.from(idxArr, (i) => values[i]));
+      for (let j = 0; j < idxArr.length; j++) out[idxArr[j]] = result[j];
+    }
+    return new Series(out, { name: column });
+  }
+
+  /**
+   * Rows picked per group by position, in their original order
+   * @private
+   * @param {(count: number) => number[]} pick - Positions within a group
+   *   of `count` rows
+   * @returns {DataFrame}
+   */
+  _pickRows(pick) {
+    const rows = [];
+    for (const idxArr of this._groups.indices) {
+      for (const j of pick(idxArr.length)) rows.push(idxArr[j]);
+    }
+    return takePositions(
+      this.df,
+      Int32Array.from(rows).sort((a, b) => a - b),
+    );
+  }
+
+  /**
+   * Computes a value per group and broadcasts it back to the rows of the
+   * group, e.g. to compare each row with its group mean
+   *
+   * ```js
+   * const g = df.group('symbol');
+   * const mean = g.transform('ret', 'mean');
+   * const std = g.transform('ret', 'std');
+   * ```
+   * @param {string} column - Column to transform
+   * @param {string|Function|Object} fn - Reducer name or reducer (see
+   *   reducers.js); a function of the group's Series may also return one
+   *   value per row (array or Series)
+   * @returns {Series} - One value per row of the frame
+   */
+  transform(column, fn) {
+    const reducer = typeof fn === 'string' ? getReducer(fn) : fn;
+    if (typeof reducer !== 'function' && !isFoldingReducer(reducer)) {
+      throw new Error(`Unknown aggregation: ${fn}`);
+    }
+    const reduce = toAggregateFunction(reducer);
+    return this._perRow(column, (values) => {
+      const result = reduce(new Series(values, { name: column }));
+      const perRow =
+        result instanceof Series
+          ? result.toArray()
+          : Array.isArray(result) || ArrayBuffer.isView(result)
+            ? result
+            : null;
+      if (perRow === null) return values.map(() => result);
+      if (perRow.length !== values.length) {
+        throw new Error(
+          `transform() function returned ${perRow.length} values for a group of ${values.length} rows`,
+        );
+      }
+      return perRow;
+    });
+  }
+
+  /**
+   * Keeps the rows of the groups passing a predicate
+   * @param {(group: DataFrame) => boolean} predicate - Called with the
+   *   rows of each group
+   * @returns {DataFrame} - Rows of the kept groups, in their original order
+   */
+  filter(predicate) {
+    if (typeof predicate !== 'function') {
+      throw new Error('filter() expects a function');
+    }
+    const rows = [];
+    for (const idxArr of this._groups.indices) {
+      if (predicate(takePositions(this.df, idxArr))) {
+        for (const i of idxArr) rows.push(i);
+      }
+    }
+    return takePositions(
+      this.df,
+      Int32Array.from(rows).sort((a, b) => a - b),
+    );
+  }
+
+  /**
+   * Running sum within each group; missing values stay null
+   * @param {string} column - Column name
+   * @returns {Series} - One value per row of the frame
+   */
+  cumsum(column) {
+    return this._perRow(
+      column,
+      cumulative((a, v) => a + v),
+    );
+  }
+
+  /**
+   * Running product within each group; missing values stay null
+   * @param {string} column - Column name
+   * @returns {Series} - One value per row of the frame
+   */
+  cumprod(column) {
+    return this._perRow(
+      column,
+      cumulative((a, v) => a * v),
+    );
+  }
+
+  /**
+   * Running maximum within each group; missing values stay null
+   * @param {string} column - Column name
+   * @returns {Series} - One value per row of the frame
+   */
+  cummax(column) {
+    return this._perRow(
+      column,
+      cumulative((a, v) => (compareValues(v, a, false) > 0 ? v : a)),
+    );
+  }
+
+  /**
+   * Running minimum within each group; missing values stay null
+   * @param {string} column - Column name
+   * @returns {Series} - One value per row of the frame
+   */
+  cummin(column) {
+    return this._perRow(
+      column,
+      cumulative((a, v) => (compareValues(v, a, false) < 0 ? v : a)),
+    );
+  }
+
+  /**
+   * Rank of each row within its group
+   * @param {string} column - Column to rank by
+   * @param {Object} [options] - Options
+   * @param {string} [options.method='average'] - Rank of ties: 'average',
+   *   'min', 'max', 'first' (by row order) or 'dense'
+   * @param {boolean} [options.descending=false] - Rank 1 for the largest value
+   * @returns {Series} - Ranks from 1; null for missing values
+   */
+  rank(column, options = {}) {
+    const { method = 'average', descending = false } = options;
+    if (!Object.hasOwn(TIE_RANKS, method)) {
+      throw new Error(
+        `Unknown rank method '${method}', expected one of ${Object.keys(TIE_RANKS).join(', ')}`,
+      );
+    }
+    return this._perRow(column, (values) =>
+      rankValues(values, method, descending),
+    );
+  }
+
+  /**
+   * Value `periods` rows earlier in the same group
+   * @param {string} column - Column name
+   * @param {number} [periods=1] - Rows to shift by (negative looks ahead)
+   * @returns {Series} - One value per row; null where the group has no
+   *   such row
+   */
+  shift(column, periods = 1) {
+    return this._perRow(
+      column,
+      lagged(periods, (v, prev) => prev),
+    );
+  }
+
+  /**
+   * Difference from the value `periods` rows earlier in the same group
+   * @param {string} column - Column name
+   * @param {number} [periods=1] - Rows back (negative looks ahead)
+   * @returns {Series} - One value per row; null where either value is
+   *   missing
+   */
+  diff(column, periods = 1) {
+    return this._perRow(
+      column,
+      lagged(periods, (v, prev) =>
+        isMissing(v) || isMissing(prev) ? null : v - prev,
+      ),
+    );
+  }
+
+  /**
+   * Relative change from the value `periods` rows earlier in the same
+   * group, as in Series.pctChange()
+   * @param {string} column - Column name
+   * @param {number} [periods=1] - Rows back (negative looks ahead)
+   * @returns {Series} - One value per row; null where either value is
+   *   missing or the earlier one is 0
+   */
+  pctChange(column, periods = 1) {
+    return this._perRow(
+      column,
+      lagged(periods, (v, prev) =>
+        isMissing(v) || isMissing(prev) || prev === 0
+          ? null
+          : (v - prev) / Math.abs(prev),
+      ),
+    );
+  }
+
+  /**
+   * Rolling window within each group; windows never reach into another
+   * group
+   * @param {string} column - Column name
+   * @param {Object} options - Options as in Series rolling()
+   * @param {number} options.window - Window size in rows
+   * @param {Function} options.aggregation - Function of the non-missing
+   *   values in the window
+   * @param {number} [options.minPeriods=window] - Values needed for a result
+   * @returns {Series} - One value per row; null until minPeriods values
+   */
+  rolling(column, options) {
+    return this._perRow(column, (values) =>
+      applyRollingWindow(values, options),
+    );
+  }
+
+  /**
+   * The nth row of each group
+   * @param {number} n - Position in the group, negative counts from the end
+   * @returns {DataFrame} - Those rows in their original order; groups
+   *   with fewer rows are left out
+   */
+  nth(n) {
+    if (!Number.isInteger(n)) throw new Error('n must be an integer');
+    return this._pickRows((count) => {
+      const j = n < 0 ? count + n : n;
+      return j >= 0 && j < count ? [j] : [];
+    });
+  }
+
+  /**
+   * First n rows of each group
+   * @param {number} [n=5] - Rows per group
+   * @returns {DataFrame} - Those rows in their original order
+   */
+  head(n = 5) {
+    return this._pickRows((count) =>
+      Array.from({ length: Math.min(n, count) }, (_, j) => j),
+    );
+  }
+
+  /**
+   * Last n rows of each group
+   * @param {number} [n=5] - Rows per group
+   * @returns {DataFrame} - Those rows in their original order
+   */
+  tail(n = 5) {
+    return this._pickRows((count) =>
+      Array.from({ length: Math.min(n, count) }, (_, j) => count - 1 - j),
+    );
+  }
 }
@@ -0,0 +1,509 @@
+// src/core/dataframe/Index.js
+
+/**
+ * Row labels for a DataFrame.
+ *
+ * An Index maps row positions to labels and back. Label lookups go through
+ * a lazily built hash map, so `getLoc` is O(1) after the first call.
+ *
+ * Variants:
+ *   • RangeIndex    – default 0..n-1, stores nothing but its length
+ *   • Index         – arbitrary labels (strings, integers, mixed)
+ *   • DatetimeIndex – epoch milliseconds in a Float64Array, returns Date labels
+ *   • MultiIndex    – one label array per level, labels are tuples
+ */
+export class Index {
+  /**
+   * @param {Array} [labels=[]] - Row labels
+   * @param {object} [opts] - { name?: string }
+   */
+  constructor(labels = [], opts = {}) {
+    this._labels = Array.from(labels);
+    this.name = opts.name ?? null;
+    /** @type {Map<any, number|number[]>|null} */
+    this._lookup = null;
+  }
+
+  /* ------------------------------------------------------------------ *
+   *  Factories                                                         *
+   * ------------------------------------------------------------------ */
+
+  /**
+   * Builds the most specific Index for the given labels.
+   * Existing Index instances are returned as is.
+   * @param {Index|Array} labels - Row labels
+   * @param {object} [opts] - { name?: string, names?: string[] } (names
+   *   are the level names when the labels are tuples)
+   * @returns {Index} - Index instance
+   */
+  static from(labels, opts = {}) {
+    if (labels instanceof Index) return labels;
+    if (!labels || typeof labels.length !== 'number') {
+      throw new Error('Index labels must be an array');
+    }
+
+    return inferIndex(Array.from(labels), opts);
+  }
+
+  /* ------------------------------------------------------------------ *
+   *  Accessors                                                         *
+   * ------------------------------------------------------------------ */
+
+  /**
+   * Number of labels
+   * @returns {number} - Index length
+   */
+  get length() {
+    return this._labels.length;
+  }
+
+  /**
+   * Kind of labels stored: 'range' | 'integer' | 'string' | 'datetime' | 'multi' | 'mixed',
+   * 'empty' when there are no labels
+   * @returns {string} - Index kind
+   */
+  get kind() {
+    if (this._labels.length === 0) return 'empty';
+    if (this._labels.every((v) => Number.isInteger(v))) return 'integer';
+    if (this._labels.every((v) => typeof v === 'string')) return 'string';
+    return 'mixed';
+  }
+
+  /**
+   * Whether the index is the default positional RangeIndex
+   * @returns {boolean} - True for RangeIndex
+   */
+  get isDefault() {
+    return false;
+  }
+
+  /**
+   * Whether every label occurs exactly once
+   * @returns {boolean} - True if labels are unique
+   */
+  get isUnique() {
+    return this._getLookup().size === this.length;
+  }
+
+  /**
+   * Label at the given position
+   * @param {number} i - Row position
+   * @returns {*} - Label
+   */
+  get(i) {
+    return this._labels[i];
+  }
+
+  /**
+   * Copy of the labels as a plain array
+   * @returns {Array} - Labels
+   */
+  toArray() {
+    const out = new Array(this.length);
+    for (let i = 0; i < this.length; i++) out[i] = this.get(i);
+    return out;
+  }
+
+  /**
+   * JSON representation
+   * @returns {Array} - Labels
+   */
+  toJSON() {
+    return this.toArray();
+  }
+
+  /* ------------------------------------------------------------------ *
+   *  Label lookup                                                      *
+   * ------------------------------------------------------------------ */
+
+  /**
+   * Normalizes a label into a hashable Map key
+   * @protected
+   * @param {*} label - Label
+   * @returns {*} - Map key
+   */
+  _key(label) {
+    return label instanceof Date ? label.getTime() : label;
+  }
+
+  /**
+   * Lazily builds the label → position(s) map
+   * @private
+   * @returns {Map<any, number|number[]>} - Lookup map
+   */
+  _getLookup() {
+    if (this._lookup) return this._lookup;
+    const lookup = new Map();
+    for (let i = 0; i < this.length; i++) {
+      const key = this._key(this.get(i));
+      const prev = lookup.get(key);
+      if (prev === undefined) lookup.set(key, i);
+      else if (Array.isArray(prev)) prev.push(i);
+      else lookup.set(key, [prev, i]);
+    }
+    this._lookup = lookup;
+    return lookup;
+  }
+
+  /**
+   * Whether the label exists in the index
+   * @param {*} label - Label to look up
+   * @returns {boolean} - True if found
+   */
+  has(label) {
+    return this._getLookup().has(this._key(label));
+  }
+
+  /**
+   * Position(s) of a label
+   * @param {*} label - Label to look up
+   * @returns {number|number[]} - Position, or positions for duplicated labels
+   * @throws {Error} If the label is not present
+   */
+  getLoc(label) {
+    const loc = this._getLookup().get(this._key(label));
+    if (loc === undefined) {
+      throw new Error(`Label '${formatLabel(label)}' not found in index`);
+    }
+    return loc;
+  }
+
+  /**
+   * Positions of every requested label (first occurrence), -1 when missing
+   * @param {Array} labels - Labels to look up
+   * @returns {Int32Array} - Positions
+   */
+  getIndexer(labels) {
+    const lookup = this._getLookup();
+    const out = new Int32Array(labels.length);
+    for (let i = 0; i < labels.length; i++) {
+      const loc = lookup.get(this._key(labels[i]));
+      out[i] = loc === undefined ? -1 : Array.isArray(loc) ? loc[0] : loc;
+    }
+    return out;
+  }
+
+  /* ------------------------------------------------------------------ *
+   *  Derivation                                                        *
+   * ------------------------------------------------------------------ */
+
+  /**
+   * New index with the labels at the given positions
+   * @param {ArrayLike<number>} positions - Row positions
+   * @returns {Index} - New index of the same kind
+   */
+  take(positions) {
+    const out = new Array(positions.length);
+    for (let i = 0; i < positions.length; i++) out[i] = this.get(positions[i]);
+    return new this.constructor(out, { name: this.name });
+  }
+
+  /**
+   * New index with labels in [start, end)
+   * @param {number} start - Start position (inclusive)
+   * @param {number} [end] - End position (exclusive)
+   * @returns {Index} - New index
+   */
+  slice(start, end = this.length) {
+    const from = Math.max(0, start < 0 ? this.length + start : start);
+    const to = Math.min(this.length, end < 0 ? this.length + end : end);
+    const positions = [];
+    for (let i = from; i < to; i++) positions.push(i);
+    return this.take(positions);
+  }
+
+  /**
+   * Same labels under a different name
+   * @param {string|null} name - New name
+   * @returns {Index} - New index
+   */
+  rename(name) {
+    const copy = this.take(Array.from({ length: this.length }, (_, i) => i));
+    copy.name = name;
+    return copy;
+  }
+
+  /**
+   * Label-wise equality with another index
+   * @param {Index} other - Index to compare with
+   * @returns {boolean} - True if labels match position by position
+   */
+  equals(other) {
+    if (!(other instanceof Index) || other.length !== this.length) return false;
+    for (let i = 0; i < this.length; i++) {
+      if (this._key(this.get(i)) !== other._key(other.get(i))) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Short description
+   * @returns {string} - String representation
+   */
+  toString() {
+    const preview = this.toArray().slice(0, 5).map(formatLabel).join(', ');
+    const suffix = this.length > 5 ? ', ...' : '';
+    return `${this.constructor.name}([${preview}${suffix}], length=${this.length})`;
+  }
+}
+
+/**
+ * Default positional index 0..n-1. Stores only its length.
+ */
+export class RangeIndex extends Index {
+  /**
+   * @param {number} [length=0] - Number of rows
+   * @param {object} [opts] - { name?: string }
+   */
+  constructor(length = 0, opts = {}) {
+    super([], opts);
+    this._length = length;
+  }
+
+  get length() {
+    return this._length;
+  }
+
+  get kind() {
+    return 'range';
+  }
+
+  get isDefault() {
+    return this.name === null;
+  }
+
+  get isUnique() {
+    return true;
+  }
+
+  get(i) {
+    return i;
+  }
+
+  has(label) {
+    return Number.isInteger(label) && label >= 0 && label < this._length;
+  }
+
+  getLoc(label) {
+    if (!this.has(label)) {
+      throw new Error(`Label '${formatLabel(label)}' not found in index`);
+    }
+    return label;
+  }
+
+  equals(other) {
+    return other instanceof RangeIndex
+      ? other.length === this._length
+      : super.equals(other);
+  }
+
+  getIndexer(labels) {
+    const out = new Int32Array(labels.length);
+    for (let i = 0; i < labels.length; i++) {
+      out[i] = this.has(labels[i]) ? labels[i] : -1;
+    }
+    return out;
+  }
+
+  /**
+   * Taking rows from a RangeIndex keeps their original labels
+   * @param {ArrayLike<number>} positions - Row positions
+   * @returns {Index} - RangeIndex when positions are 0..k-1, otherwise Index
+   */
+  take(positions) {
+    let identity = true;
+    for (let i = 0; i < positions.length && identity; i++) {
+      identity = positions[i] === i;
+    }
+    if (identity) return new RangeIndex(positions.length, { name: this.name });
+    return new Index(Array.from(positions), { name: this.name });
+  }
+
+  rename(name) {
+    return new RangeIndex(this._length, { name });
+  }
+}
+
+/**
+ * Index of timestamps stored as epoch milliseconds.
+ * Labels are returned as Date objects; lookups accept Date, ISO string or ms.
+ */
+export class DatetimeIndex extends Index {
+  /**
+   * @param {Array<Date|string|number>|Float64Array} labels - Timestamps
+   * @param {object} [opts] - { name?: string }
+   */
+  constructor(labels = [], opts = {}) {
+    super([], opts);
+    const ms = new Float64Array(labels.length);
+    for (let i = 0; i < labels.length; i++) ms[i] = toEpochMs(labels[i]);
+    this._ms = ms;
+  }
+
+  get length() {
+    return this._ms.length;
+  }
+
+  get kind() {
+    return 'datetime';
+  }
+
+  get(i) {
+    const ms = this._ms[i];
+    return Number.isNaN(ms) ? null : new Date(ms);
+  }
+
+  /**
+   * Raw epoch milliseconds (NaN for missing timestamps)
+   * @returns {Float64Array} - Epoch values
+   */
+  get values() {
+    return this._ms;
+  }
+
+  _key(label) {
+    return toEpochMs(label);
+  }
+
+  take(positions) {
+    const ms = new Float64Array(positions.length);
+    for (let i = 0; i < positions.length; i++) ms[i] = this._ms[positions[i]];
+    return new DatetimeIndex(ms, { name: this.name });
+  }
+}
+
+/**
+ * Hierarchical index: one label array per level, labels are tuples.
+ */
+export class MultiIndex extends Index {
+  /**
+   * @param {Array<Array>} levels - One label array per level, all equal length
+   * @param {object} [opts] - { names?: string[] }
+   */
+  constructor(levels = [], opts = {}) {
+    super([], { name: null });
+    if (!levels.length)
+      throw new Error('MultiIndex requires at least one level');
+    const len = levels[0].length;
+    for (const level of levels) {
+      if (level.length !== len) {
+        throw new Error('All MultiIndex levels must have the same length');
+      }
+    }
+    this._levels = levels.map((level) => Array.from(level));
+    this.names = opts.names ? [...opts.names] : levels.map(() => null);
+  }
+
+  /**
+   * Builds a MultiIndex from an array of label tuples
+   * @param {Array<Array>} tuples - Label tuples
+   * @param {object} [opts] - { names?: string[] }
+   * @returns {MultiIndex} - New MultiIndex
+   */
+  static fromTuples(tuples, opts = {}) {
+    const depth = tuples[0]?.length ?? 0;
+    const levels = Array.from({ length: depth }, (_, l) =>
+      tuples.map((t) => t[l]),
+    );
+    return new MultiIndex(levels, opts);
+  }
+
+  get length() {
+    return this._levels[0].length;
+  }
+
+  get kind() {
+    return 'multi';
+  }
+
+  /**
+   * Number of levels
+   * @returns {number} - Level count
+   */
+  get nlevels() {
+    return this._levels.length;
+  }
+
+  get(i) {
+    return this._levels.map((level) => level[i]);
+  }
+
+  /**
+   * Labels of a single level as an Index
+   * @param {number|string} level - Level position or name
+   * @returns {Index} - Level labels
+   */
+  getLevelValues(level) {
+    const pos = typeof level === 'string' ? this.names.indexOf(level) : level;
+    if (pos < 0 || pos >= this._levels.length) {
+      throw new Error(`Level '${level}' not found in MultiIndex`);
+    }
+    return Index.from(this._levels[pos], { name: this.names[pos] });
+  }
+
+  _key(label) {
+    if (!Array.isArray(label)) return label;
+    return JSON.stringify(
+      label.map((v) => (v instanceof Date ? { $d: v.getTime() } : v)),
+    );
+  }
+
+  take(positions) {
+    const levels = this._levels.map((level) => {
+      const out = new Array(positions.length);
+      for (let i = 0; i < positions.length; i++) out[i] = level[positions[i]];
+      return out;
+    });
+    return new MultiIndex(levels, { names: this.names });
+  }
+
+  rename(names) {
+    return new MultiIndex(this._levels, {
+      names: Array.isArray(names) ? names : [names],
+    });
+  }
+}
+
+/**
+ * Converts a timestamp-like value to epoch milliseconds
+ * @param {Date|string|number|null} v - Timestamp
+ * @returns {number} - Epoch ms or NaN
+ */
+function toEpochMs(v) {
+  if (v === null || v === undefined) return NaN;
+  if (v instanceof Date) return v.getTime();
+  if (typeof v === 'number') return v;
+  return new Date(v).getTime();
+}
+
+/**
+ * Formats a label for error messages and previews
+ * @param {*} label - Label
+ * @returns {string} - Printable label
+ */
+function formatLabel(label) {
+  if (label instanceof Date) return label.toISOString();
+  if (Array.isArray(label)) return `(${label.map(formatLabel).join(', ')})`;
+  return String(label);
+}
+
+/**
+ * Picks the Index subclass matching the labels
+ * @param {Array} arr - Labels
+ * @param {Object} opts - Index options
+ * @returns {Index}
+ */
+function inferIndex(arr, opts) {
+  const first = arr.find((v) => v !== null && v !== undefined);
+
+  if (Array.isArray(first)) {
+    return MultiIndex.fromTuples(arr, { names: opts.names });
+  }
+  if (
+    first instanceof Date &&
+    arr.every((v) => v === null || v === undefined || v instanceof Date)
+  ) {
+    return new DatetimeIndex(arr, opts);
+  }
+  return new Index(arr, opts);
+}
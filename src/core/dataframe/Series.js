@@ -5,17 +5,30 @@ import { shouldUseArrow } from '../strategy/shouldUseArrow.js';
 export class Series {
   /**
    * @param {Array|TypedArray|Vector} data - Source data array
-   * @param {object} [opts] - Options: { name?: string, preferArrow?: boolean }
+   * @param {object} [opts] - Options: { name?: string, preferArrow?: boolean, dtype?: string, tz?: string,
+   *   categories?: Array, ordered?: boolean, index?: Index }
    */
   constructor(data, opts = {}) {
     this.name = opts.name || '';
+    // Row labels of the frame holding this Series, null when standalone.
+    // Operators combine Series by position and refuse different labels.
+    this.index = opts.index ?? null;
 
     // Create vector from data
-    if (data._isVector) {
+    const sameDType =
+      !opts.dtype ||
+      (data.dtype === opts.dtype &&
+        !opts.categories &&
+        opts.ordered === undefined);
+    if (data._isVector && sameDType) {
       this.vector = data;
     } else {
       this.vector = VectorFactory.from(data, {
         preferArrow: opts.preferArrow ?? shouldUseArrow(data, opts),
+        dtype: opts.dtype,
+        tz: opts.tz,
+        categories: opts.categories,
+        ordered: opts.ordered,
       });
     }
   }
@@ -27,7 +40,7 @@ export class Series {
   /**
    * Creates a new Series instance
    * @param {Array|TypedArray|Vector} data - Source data array
-   * @param {object} [opts] - Options: { name?: string, preferArrow?: boolean }
+   * @param {object} [opts] - Options: { name?: string, preferArrow?: boolean, dtype?: string, tz?: string }
    * @returns {Series} - New Series instance
    */
   static create(data, opts = {}) {
@@ -46,6 +59,46 @@ export class Series {
     return this.vector.length;
   }
 
+  /**
+   * Gets the data type of the Series
+   * @returns {string} - DType code ('f64', 'i32', 'bool', 'str', 'mixed', ...)
+   */
+  get dtype() {
+    return this.vector.dtype ?? 'mixed';
+  }
+
+  /**
+   * Gets the timezone of a timestamp Series
+   * @returns {string|null} - IANA timezone, null for naive or non-datetime data
+   */
+  get tz() {
+    return this.vector.tz ?? null;
+  }
+
+  /**
+   * Gets the categories of a categorical Series
+   * @returns {Array|null} - Category values, null for non-categorical data
+   */
+  get categories() {
+    return this.vector.categories ?? null;
+  }
+
+  /**
+   * Whether the categories of a categorical Series have a meaningful order
+   * @returns {boolean}
+   */
+  get ordered() {
+    return this.vector.ordered ?? false;
+  }
+
+  /**
+   * Gets the number of missing values
+   * @returns {number} - Count of null/undefined values
+   */
+  get nullCount() {
+    return this.vector.nullCount;
+  }
+
   /**
    * Gets the values of the Series as an array
    * @returns {Array} - Array of Series values
@@ -63,6 +116,19 @@ export class Series {
     return this.vector.get(index);
   }
 
+  /**
+   * Sets the value at the specified position in place.
+   * Storage shared with slices (head/tail/iloc views) or other frames is
+   * copied first, so writes never leak into other frames.
+   * @param {number} index - Position to write
+   * @param {*} value - New value, null marks it missing
+   * @returns {Series} - This Series
+   */
+  set(index, value) {
+    this.vector.set(index, value);
+    return this;
+  }
+
   /* ------------------------------------------------------------------ *
    *  Data export                                                       *
    * ------------------------------------------------------------------ */
@@ -0,0 +1,602 @@
+/**
+ * Window functions over partitions, as SQL's `OVER (PARTITION BY ...
+ * ORDER BY ... ROWS|RANGE BETWEEN ...)`. Every function returns a Series
+ * aligned with the rows of the frame, in their original order, ready for
+ * assign():
+ *
+ * ```js
+ * const w = df.window({ partitionBy: 'symbol', orderBy: 'date' });
+ * df.assign({
+ *   n: w.rowNumber(),
+ *   prevClose: w.lag('close'),
+ *   quartile: w.ntile(4),
+ *   runningVolume: w.agg('volume', 'sum'),
+ * });
+ *
+ * // moving average over the current and two preceding rows
+ * const ma3 = df
+ *   .window({ partitionBy: 'symbol', orderBy: 'date', frame: { rows: [-2, 0] } })
+ *   .agg('close', 'mean');
+ * ```
+ *
+ * The frame is `{ rows: [start, end] }` (offsets in rows) or
+ * `{ range: [start, end] }` (offsets in values of the single orderBy
+ * column; 0 takes in the peers of the current row). Negative offsets
+ * precede the current row, null is unbounded. As in SQL the default frame
+ * runs from the start of the partition to the last peer of the current
+ * row when there is an orderBy, and spans the whole partition otherwise.
+ * rowNumber, rank, denseRank, ntile, lag and lead ignore the frame.
+ */
+import { Series } from './Series.js';
+import { hashGroups } from '../utils/hashGroups.js';
+import {
+  resolveReducer,
+  isBuiltInReducer,
+  isFoldingReducer,
+} from './reducers.js';
+import { compareValues } from '../../methods/dataframe/transform/sort.js';
+
+/**
+ * Helper - null, undefined and NaN are missing values
+ * @param v
+ */
+const isMissing = (v) => v === null || v === undefined || Number.isNaN(v);
+
+/**
+ * Helper - value of an orderBy column as a number, for range offsets
+ * @param v
+ */
+const toNumber = (v) => (v instanceof Date ? v.getTime() : v);
+
+/**
+ * Helper - checks and normalizes the frame option
+ * @param frame - `{ rows: [start, end] }` or `{ range: [start, end] }`
+ * @param ordered - Whether the window has an orderBy
+ * @returns {{type: string, start: number|null, end: number|null}}
+ */
+const normalizeFrame = (frame, ordered) => {
+  if (frame === undefined || frame === null) {
+    return { type: 'range', start: null, end: ordered ? 0 : null };
+  }
+  const type = Object.hasOwn(frame, 'rows') ? 'rows' : 'range';
+  const bounds = frame[type];
+  const valid =
+    Array.isArray(bounds) &&
+    bounds.length === 2 &&
+    bounds.every(
+      (b) =>
+        b === null ||
+        (type === 'rows' ? Number.isInteger(b) : Number.isFinite(b)),
+    );
+  if (!valid) {
+    throw new Error(
+      'frame must be { rows: [start, end] } with integer offsets or ' +
+        '{ range: [start, end] } with numeric offsets (null for unbounded)',
+    );
+  }
+  return { type, start: bounds[0], end: bounds[1] };
+};
+
+/**
+ * Helper - first position in [lo, hi) of an ascending array whose value
+ * is at least (or, with `after`, greater than) the target
+ * @param sorted
+ * @param target
+ * @param lo
+ * @param hi
+ * @param after
+ */
+const search = (sorted, target, lo, hi, after) => {
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (sorted[mid] < target || (after && sorted[mid] === target)) {
+      lo = mid + 1;
+    } else {
+      hi = mid;
+    }
+  }
+  return lo;
+};
+
+/**
+ * Helper - a value as the number the numeric reducers use, NaN when they
+ * skip it
+ * @param v
+ */
+const numeric = (v) => (isMissing(v) ? NaN : Number(v));
+
+/**
+ * Helper - running sum and number of the numeric values in a frame.
+ * Infinities are counted apart so that one leaving the frame does not
+ * leave NaN behind.
+ * @param values - Values in window order
+ * @param result - (sum, count) → aggregate
+ */
+const slidingTotal = (values, result) => {
+  let total = 0;
+  let n = 0;
+  let posInf = 0;
+  let negInf = 0;
+  const step = (k, sign) => {
+    const v = numeric(values[k]);
+    if (Number.isNaN(v)) return;
+    n += sign;
+    if (v === Infinity) posInf += sign;
+    else if (v === -Infinity) negInf += sign;
+    else total = n === 0 ? 0 : total + sign * v;
+  };
+  return {
+    add: (k) => step(k, 1),
+    remove: (k) => step(k, -1),
+    value: () => {
+      if (posInf && negInf) return result(NaN, n);
+      if (posInf || negInf) return result(posInf ? Infinity : -Infinity, n);
+      return result(total, n);
+    },
+  };
+};
+
+/**
+ * Helper - smallest (or largest) numeric value of a frame, kept in a
+ * monotonic deque of positions
+ * @param values - Values in window order
+ * @param {boolean} largest - max rather than min
+ */
+const slidingExtreme = (values, largest) => {
+  const positions = [];
+  const numbers = [];
+  let head = 0;
+  return {
+    add: (k) => {
+      const v = numeric(values[k]);
+      if (Number.isNaN(v)) return;
+      while (
+        positions.length > head &&
+        (largest ? numbers.at(-1) <= v : numbers.at(-1) >= v)
+      ) {
+        positions.pop();
+        numbers.pop();
+      }
+      positions.push(k);
+      numbers.push(v);
+    },
+    remove: (k) => {
+      if (positions[head] === k) head++;
+    },
+    value: () => {
+      // As min() / max(): no numeric value, or only infinities, is null
+      const v = positions.length > head ? numbers[head] : null;
+      return v === (largest ? -Infinity : Infinity) ? null : v;
+    },
+  };
+};
+
+/**
+ * Built-in reducers computed as the frame slides, with the results of
+ * the reducers themselves: `add(k)` / `remove(k)` as the value at
+ * position k enters / leaves the frame, `value(lo, hi)` for frame
+ * [lo, hi)
+ */
+const SLIDING = {
+  sum: (values) => slidingTotal(values, (sum) => sum),
+  mean: (values) => slidingTotal(values, (sum, n) => (n > 0 ? sum / n : null)),
+  count: (values) => {
+    let n = 0;
+    return {
+      add: (k) => (n += isMissing(values[k]) ? 0 : 1),
+      remove: (k) => (n -= isMissing(values[k]) ? 0 : 1),
+      value: () => n,
+    };
+  },
+  min: (values) => slidingExtreme(values, false),
+  max: (values) => slidingExtreme(values, true),
+  median: (values) => {
+    // Numeric values of the frame, kept sorted
+    const sorted = [];
+    const step = (k, add) => {
+      const v = numeric(values[k]);
+      if (Number.isNaN(v)) return;
+      const at = search(sorted, v, 0, sorted.length);
+      if (add) sorted.splice(at, 0, v);
+      else sorted.splice(at, 1);
+    };
+    return {
+      add: (k) => step(k, true),
+      remove: (k) => step(k, false),
+      value: () => {
+        if (sorted.length === 0) return null;
+        const mid = sorted.length >> 1;
+        return sorted.length % 2
+          ? sorted[mid]
+          : (sorted[mid - 1] + sorted[mid]) / 2;
+      },
+    };
+  },
+  size: () => ({ add() {}, remove() {}, value: (lo, hi) => hi - lo }),
+  first: (values) => ({
+    add() {},
+    remove() {},
+    value: (lo, hi) => (lo < hi ? values[lo] : null),
+  }),
+  last: (values) => ({
+    add() {},
+    remove() {},
+    value: (lo, hi) => (lo < hi ? values[hi - 1] : null),
+  }),
+};
+
+/**
+ * Helper - runs a sliding reducer over the frame of every row. Frames
+ * usually move forward (neither bound goes back), so each value enters
+ * and leaves once; a frame that moves back or jumps ahead starts over.
+ * @param values - Values in window order
+ * @param lo - Frame starts
+ * @param hi - Frame ends
+ * @param create - Entry of SLIDING
+ * @returns {Array}
+ */
+const slide = (values, lo, hi, create) => {
+  let state = create(values);
+  let a = 0;
+  let b = 0;
+  return Array.from(lo, (start, k) => {
+    const end = Math.max(start, hi[k]);
+    if (start < a || end < b || start >= b) {
+      state = create(values);
+      a = b = start;
+    }
+    while (b < end) state.add(b++);
+    while (a < start) state.remove(a++);
+    return state.value(start, end);
+  });
+};
+
+/**
+ * Helper - runs a folding reducer over the frame of every row. While
+ * the frame start stays, the state of the previous row is updated with
+ * the new values only (running frames are linear); finalize() must
+ * leave the state unchanged.
+ * @param values - Values in window order
+ * @param lo - Frame starts
+ * @param hi - Frame ends
+ * @param reducer - `{ init, update, finalize }`
+ * @returns {Array}
+ */
+const fold = (values, lo, hi, reducer) => {
+  let state;
+  let a = -1;
+  let b = 0;
+  return Array.from(lo, (start, k) => {
+    const end = Math.max(start, hi[k]);
+    if (start !== a || end < b) {
+      state = reducer.init();
+      a = b = start;
+    }
+    while (b < end) state = reducer.update(state, values[b++]);
+    return reducer.finalize(state);
+  });
+};
+
+/**
+ * Window over the rows of a DataFrame; see df.window()
+ */
+export class Window {
+  /**
+   * @param {DataFrame} df - Source DataFrame
+   * @param {Object} [options] - Window definition
+   * @param {string|string[]} [options.partitionBy=[]] - Columns whose
+   *   values split the rows into partitions; without them all rows form
+   *   one partition
+   * @param {string|string[]} [options.orderBy=[]] - Columns ordering the
+   *   rows of a partition (nulls last); ties keep their original order
+   * @param {boolean|boolean[]} [options.descending=false] - Order
+   *   direction, for all orderBy columns or for each
+   * @param {Object} [options.frame] - `{ rows: [start, end] }` or
+   *   `{ range: [start, end] }`, see above
+   */
+  constructor(df, options = {}) {
+    const {
+      partitionBy = [],
+      orderBy = [],
+      descending = false,
+      frame,
+    } = options;
+    this.df = df;
+    this.partitionBy = Array.isArray(partitionBy) ? partitionBy : [partitionBy];
+    this.orderBy = Array.isArray(orderBy) ? orderBy : [orderBy];
+    this.descending = this.orderBy.map((_, j) =>
+      Boolean(Array.isArray(descending) ? descending[j] : descending),
+    );
+    this.frame = normalizeFrame(frame, this.orderBy.length > 0);
+
+    const { type, start, end } = this.frame;
+    if (type === 'range' && (start || end) && this.orderBy.length !== 1) {
+      throw new Error('A range frame with offsets needs one orderBy column');
+    }
+
+    const keys = this.orderBy.map((column) => this._values(column));
+    // Order of two rows by the orderBy columns, missing values equal
+    this._compare = (a, b) => {
+      for (let j = 0; j < keys.length; j++) {
+        const va = keys[j][a];
+        const vb = keys[j][b];
+        if (isMissing(va) && isMissing(vb)) continue;
+        const cmp = compareValues(
+          toNumber(va),
+          toNumber(vb),
+          this.descending[j],
+        );
+        if (cmp !== 0) return cmp;
+      }
+      return 0;
+    };
+
+    // Row positions of each partition, in window order (sort is stable)
+    const indices =
+      this.partitionBy.length > 0
+        ? hashGroups(df, this.partitionBy).indices
+        : [Int32Array.from({ length: df.rowCount }, (_, i) => i)];
+    this._partitions = indices.map((idxArr) =>
+      keys.length > 0 ? Array.from(idxArr).sort(this._compare) : idxArr,
+    );
+  }
+
+  /**
+   * Values of a column
+   * @private
+   * @param {string} column - Column name
+   * @returns {Array}
+   */
+  _values(column) {
+    const series = this.df.col(column);
+    if (!series) throw new Error(`Column '${column}' not found in DataFrame`);
+    return series.toArray();
+  }
+
+  /**
+   * Runs a function over every partition and places its results back on
+   * the rows
+   * @private
+   * @param {string} name - Name of the resulting Series
+   * @param {(rows: number[]|Int32Array) => Array} fn - From the row
+   *   positions of a partition in window order, one value per row
+   * @returns {Series}
+   */
+  _perRow(name, fn) {
+    const out = new Array(this.df.rowCount).fill(null);
+    for (const rows of this._partitions) {
+      const result = fn(rows);
+      for (let k = 0; k < rows.length; k++) out[rows[k]] = result[k];
+    }
+    return new Series(out, { name });
+  }
+
+  /**
+   * For each row of a partition, the run of its peers: the rows with
+   * equal orderBy values
+   * @private
+   * @param {number[]|Int32Array} rows - Partition in window order
+   * @returns {{starts: Int32Array, ends: Int32Array}} - Per position, the
+   *   start and end of its peers
+   */
+  _peers(rows) {
+    const n = rows.length;
+    const starts = new Int32Array(n);
+    const ends = new Int32Array(n);
+    let start = 0;
+    while (start < n) {
+      let end = start + 1;
+      while (end < n && this._compare(rows[start], rows[end]) === 0) end++;
+      starts.fill(start, start, end);
+      ends.fill(end, start, end);
+      start = end;
+    }
+    return { starts, ends };
+  }
+
+  /**
+   * Frame of every row of a partition
+   * @private
+   * @param {number[]|Int32Array} rows - Partition in window order
+   * @returns {{lo: Int32Array, hi: Int32Array}} - Per position, the frame
+   *   as positions [lo, hi) of the partition (empty when lo >= hi)
+   */
+  _frames(rows) {
+    const n = rows.length;
+    const { type, start, end } = this.frame;
+    const lo = new Int32Array(n);
+    const hi = new Int32Array(n);
+
+    if (type === 'rows') {
+      for (let k = 0; k < n; k++) {
+        lo[k] = start === null ? 0 : Math.max(0, k + start);
+        hi[k] = end === null ? n : Math.min(n, k + end + 1);
+      }
+      return { lo, hi };
+    }
+
+    const { starts, ends } = this._peers(rows);
+    if (!start && !end) {
+      // Bounds are unbounded or the current row's peers
+      for (let k = 0; k < n; k++) {
+        lo[k] = start === null ? 0 : starts[k];
+        hi[k] = end === null ? n : ends[k];
+      }
+      return { lo, hi };
+    }
+
+    // Offsets on the values of the orderBy column, made ascending; missing
+    // values sort last and only have their peers in range
+    const sign = this.descending[0] ? -1 : 1;
+    const values = this._values(this.orderBy[0]);
+    const sorted = Array.from(rows, (i) =>
+      isMissing(values[i]) ? null : sign * toNumber(values[i]),
+    );
+    let present = sorted.indexOf(null);
+    if (present === -1) present = n;
+    for (let k = 0; k < n; k++) {
+      const v = sorted[k];
+      if (v === null) {
+        lo[k] = start === null ? 0 : starts[k];
+        hi[k] = end === null ? n : ends[k];
+        continue;
+      }
+      lo[k] = start === null ? 0 : search(sorted, v + start, 0, present);
+      hi[k] = end === null ? n : search(sorted, v + end, 0, present, true);
+    }
+    return { lo, hi };
+  }
+
+  /**
+   * Position of each row in its partition, from 1
+   * @returns {Series}
+   */
+  rowNumber() {
+    return this._perRow('rowNumber', (rows) =>
+      Array.from(rows, (_, k) => k + 1),
+    );
+  }
+
+  /**
+   * Rank by the orderBy columns: peers share the rank of the first of
+   * them, and leave a gap after (1, 1, 3)
+   * @returns {Series}
+   */
+  rank() {
+    return this._perRow('rank', (rows) =>
+      Array.from(this._peers(rows).starts, (start) => start + 1),
+    );
+  }
+
+  /**
+   * Rank by the orderBy columns without gaps (1, 1, 2)
+   * @returns {Series}
+   */
+  denseRank() {
+    return this._perRow('denseRank', (rows) => {
+      const { starts } = this._peers(rows);
+      let dense = 0;
+      return Array.from(starts, (start, k) => (start === k ? ++dense : dense));
+    });
+  }
+
+  /**
+   * Bucket number from 1 to n, splitting each partition in window order
+   * into n buckets whose sizes differ by at most one, larger ones first
+   * @param {number} n - Number of buckets
+   * @returns {Series}
+   */
+  ntile(n) {
+    if (!Number.isInteger(n) || n < 1) {
+      throw new Error('n must be a positive integer');
+    }
+    return this._perRow('ntile', (rows) => {
+      const size = Math.floor(rows.length / n);
+      const larger = rows.length % n; // buckets holding size + 1 rows
+      const boundary = larger * (size + 1);
+      return Array.from(rows, (_, k) =>
+        k < boundary
+          ? Math.floor(k / (size + 1)) + 1
+          : larger + Math.floor((k - boundary) / size) + 1,
+      );
+    });
+  }
+
+  /**
+   * Value of a column `offset` rows earlier in the partition
+   * @param {string} column - Column name
+   * @param {number} [offset=1] - Rows back (negative looks ahead)
+   * @param {*} [defaultValue=null] - Value where there is no such row
+   * @returns {Series}
+   */
+  lag(column, offset = 1, defaultValue = null) {
+    if (!Number.isInteger(offset)) {
+      throw new Error('offset must be an integer');
+    }
+    const values = this._values(column);
+    return this._perRow(column, (rows) =>
+      Array.from(rows, (_, k) => {
+        const j = k - offset;
+        return j >= 0 && j < rows.length ? values[rows[j]] : defaultValue;
+      }),
+    );
+  }
+
+  /**
+   * Value of a column `offset` rows later in the partition
+   * @param {string} column - Column name
+   * @param {number} [offset=1] - Rows ahead (negative looks back)
+   * @param {*} [defaultValue=null] - Value where there is no such row
+   * @returns {Series}
+   */
+  lead(column, offset = 1, defaultValue = null) {
+    if (!Number.isInteger(offset)) {
+      throw new Error('offset must be an integer');
+    }
+    return this.lag(column, -offset, defaultValue);
+  }
+
+  /**
+   * Value of a column at the first row of each row's frame
+   * @param {string} column - Column name
+   * @returns {Series} - null where the frame is empty
+   */
+  firstValue(column) {
+    const values = this._values(column);
+    return this._perRow(column, (rows) => {
+      const { lo, hi } = this._frames(rows);
+      return Array.from(rows, (_, k) =>
+        lo[k] < hi[k] ? values[rows[lo[k]]] : null,
+      );
+    });
+  }
+
+  /**
+   * Value of a column at the last row of each row's frame (with the
+   * default frame, the last peer of the current row)
+   * @param {string} column - Column name
+   * @returns {Series} - null where the frame is empty
+   */
+  lastValue(column) {
+    const values = this._values(column);
+    return this._perRow(column, (rows) => {
+      const { lo, hi } = this._frames(rows);
+      return Array.from(rows, (_, k) =>
+        lo[k] < hi[k] ? values[rows[hi[k] - 1]] : null,
+      );
+    });
+  }
+
+  /**
+   * Aggregates a column over each row's frame, e.g. running totals or
+   * moving averages.
+   *
+   * sum, mean, count, min, max, median, size, first and last follow the
+   * frame as it slides instead of reading each frame again; folding
+   * reducers are updated in place while the frame start stays (running
+   * frames). Other reducers get each frame's values as a Series.
+   * @param {string} column - Column name
+   * @param {string|Function|Object} reducer - Reducer name or reducer
+   *   (see reducers.js), given the frame's values as a Series in window
+   *   order
+   * @returns {Series}
+   */
+  agg(column, reducer) {
+    const resolved = resolveReducer(reducer);
+    const sliding =
+      typeof reducer === 'string' && isBuiltInReducer(reducer)
+        ? SLIDING[reducer]
+        : undefined;
+    const values = this._values(column);
+    return this._perRow(column, (rows) => {
+      const { lo, hi } = this._frames(rows);
+      const ordered = Array.from(rows, (i) => values[i]);
+      if (sliding) return slide(ordered, lo, hi, sliding);
+      if (isFoldingReducer(resolved)) return fold(ordered, lo, hi, resolved);
+      return Array.from(rows, (_, k) => {
+        const frame = ordered.slice(lo[k], Math.max(lo[k], hi[k]));
+        return resolved(new Series(frame, { name: column }));
+      });
+    });
+  }
+}
@@ -2,4 +2,6 @@
 // Barrel for dataframe/*
 export { DataFrame } from './DataFrame.js';
 export { Series } from './Series.js';
-export { GroupBy } from './GroupBy.js';
+export { GroupByCore as GroupBy } from './GroupByCore.js';
+export { Window } from './Window.js';
+export { Index, RangeIndex, DatetimeIndex, MultiIndex } from './Index.js';
@@ -0,0 +1,281 @@
+// src/core/dataframe/reducers.js
+
+/**
+ * Registry of named reducers: the aggregations a groupAgg() / agg() spec
+ * and GroupBy.transform() refer to by name.
+ *
+ * A reducer is either a function of a Series returning one value, or an
+ * object folding the values of a group one at a time:
+ *
+ * ```js
+ * registerReducer('range', {
+ *   init: () => ({ low: Infinity, high: -Infinity }),
+ *   update: (s, v) => ({ low: Math.min(s.low, v), high: Math.max(s.high, v) }),
+ *   merge: (a, b) => ({ low: Math.min(a.low, b.low), high: Math.max(a.high, b.high) }),
+ *   finalize: (s) => s.high - s.low,
+ * });
+ * df.groupAgg('symbol', { spread: ['price', 'range'] });
+ * ```
+ *
+ * Folding reducers also run in streaming groupBy, one state per group.
+ * merge(a, b), when given, combines the states of two parts of the same
+ * group, so partial results computed apart can be put together.
+ *
+ * @module core/dataframe/reducers
+ */
+
+import { sum } from '../../methods/series/aggregation/sum.js';
+import { mean } from '../../methods/series/aggregation/mean.js';
+import { min } from '../../methods/series/aggregation/min.js';
+import { max } from '../../methods/series/aggregation/max.js';
+import { count } from '../../methods/series/aggregation/count.js';
+import { median } from '../../methods/series/aggregation/median.js';
+import { mode } from '../../methods/series/aggregation/mode.js';
+import { std } from '../../methods/series/aggregation/std.js';
+import { variance } from '../../methods/series/aggregation/variance.js';
+import { product } from '../../methods/series/aggregation/product.js';
+import { quantile } from '../../methods/series/aggregation/quantile.js';
+
+const isMissing = (v) => v === null || v === undefined || Number.isNaN(v);
+
+/** Dates count as the same value when they are the same time */
+const key = (v) => (v instanceof Date ? v.getTime() : v);
+
+/**
+ * @param {Series} s - Values
+ * @returns {*} - The first value, null for no values
+ */
+export const first = (s) => (s.length > 0 ? s.get(0) : null);
+
+/**
+ * @param {Series} s - Values
+ * @returns {*} - The last value, null for no values
+ */
+export const last = (s) => (s.length > 0 ? s.get(s.length - 1) : null);
+
+/**
+ * @param {Series} s - Values
+ * @returns {number} - Number of distinct values, missing ones left out
+ */
+export const nUnique = (s) =>
+  new Set(
+    s
+      .toArray()
+      .filter((v) => !isMissing(v))
+      .map(key),
+  ).size;
+
+/** Reducers every spec can use; registerReducer() can shadow them with override */
+const BUILT_IN = Object.freeze({
+  sum,
+  mean,
+  min,
+  max,
+  count,
+  size: (s) => s.length,
+  median,
+  mode,
+  std: (s) => std(s),
+  var: (s) => variance(s),
+  product,
+  first,
+  last,
+  nUnique,
+  // pandas spelling
+  nunique: nUnique,
+});
+
+/** @type {Map<string, Function|Object>} */
+const registered = new Map();
+
+/**
+ * @param {*} reducer - Candidate
+ * @returns {boolean} - Whether it is a folding reducer object
+ */
+export function isFoldingReducer(reducer) {
+  return (
+    reducer !== null &&
+    typeof reducer === 'object' &&
+    typeof reducer.init === 'function' &&
+    typeof reducer.update === 'function' &&
+    typeof reducer.finalize === 'function' &&
+    (reducer.merge === undefined || typeof reducer.merge === 'function')
+  );
+}
+
+/**
+ * Registers a reducer under a name
+ * @param {string} name - Name used in aggregation specs
+ * @param {Function|Object} reducer - Function of a Series, or
+ *   `{ init, update, merge?, finalize }`
+ * @param {object} [options] - { override?: boolean }
+ */
+export function registerReducer(name, reducer, options = {}) {
+  if (!name || typeof name !== 'string') {
+    throw new Error('Reducer name must be a non-empty string');
+  }
+  if (typeof reducer !== 'function' && !isFoldingReducer(reducer)) {
+    throw new Error(
+      `Reducer '${name}' must be a function or define init(), update() and finalize()`,
+    );
+  }
+  if (getReducer(name) && !options.override) {
+    throw new Error(`Reducer '${name}' is already registered`);
+  }
+  registered.set(name, reducer);
+}
+
+/**
+ * Removes a registered reducer (a shadowed built-in comes back)
+ * @param {string} name - Reducer name
+ * @returns {boolean} - True if the reducer was registered
+ */
+export function unregisterReducer(name) {
+  return registered.delete(name);
+}
+
+/**
+ * @param {string} name - Reducer name
+ * @returns {Function|Object|undefined}
+ */
+export function getReducer(name) {
+  return registered.get(name) ?? BUILT_IN[name];
+}
+
+/**
+ * @param {string} name - Reducer name
+ * @returns {boolean} - Whether the name stands for a built-in reducer
+ *   that no registration shadows
+ */
+export function isBuiltInReducer(name) {
+  return !registered.has(name) && Object.hasOwn(BUILT_IN, name);
+}
+
+/**
+ * @returns {string[]} - Names usable in aggregation specs
+ */
+export function listReducers() {
+  return [...new Set([...Object.keys(BUILT_IN), ...registered.keys()])];
+}
+
+/**
+ * Quantile reducer for specs, named `q95` for q(0.95)
+ * @param {number} p - Quantile between 0 and 1
+ * @returns {Function} - Function of a Series
+ */
+export function q(p) {
+  if (typeof p !== 'number' || !(p >= 0 && p <= 1)) {
+    throw new Error('Quantile must be between 0 and 1 inclusive');
+  }
+  const reducer = (s) => quantile(s, p);
+  Object.defineProperty(reducer, 'name', {
+    value: `q${Number((p * 100).toFixed(6))}`,
+  });
+  return reducer;
+}
+
+/**
+ * Turns a reducer into a function of a Series
+ * @param {Function|Object} reducer - Reducer
+ * @returns {Function}
+ */
+export function toAggregateFunction(reducer) {
+  if (typeof reducer === 'function') return reducer;
+  return (s) => {
+    let state = reducer.init();
+    for (const v of s.toArray()) state = reducer.update(state, v);
+    return reducer.finalize(state);
+  };
+}
+
+/**
+ * @param {string|Function|Object} agg - Reducer name or reducer
+ * @returns {Function|Object} - The reducer
+ * @throws {Error} On unknown names and values that are not reducers
+ */
+export function resolveReducer(agg) {
+  if (typeof agg === 'string') {
+    const reducer = getReducer(agg);
+    if (!reducer) throw new Error(`Unknown aggregation: ${agg}`);
+    return reducer;
+  }
+  if (typeof agg === 'function' || isFoldingReducer(agg)) return agg;
+  throw new Error(`Invalid aggregation: ${agg}`);
+}
+
+/**
+ * Flattens an aggregation spec into one entry per output column:
+ *
+ * - `{ price: 'mean' }` → price_mean
+ * - `{ price: ['mean', q(0.95)] }` → price_mean, price_q95
+ * - `{ price: fn }` or `{ price: reducer }` → price
+ * - `{ avgPx: ['price', 'mean'] }` → avgPx (a named aggregation: the
+ *   first element is a column rather than a reducer name)
+ * - `{ total: { column: 'count', agg: 'sum' } }` → total (a named
+ *   aggregation spelled out)
+ *
+ * An array whose first element is a reducer name is always a list of
+ * reducers, whatever the frame's columns: with a column named `count`,
+ * `{ n: ['count', 'sum'] }` still means n_count and n_sum of column n.
+ * Aggregate columns named like a reducer (count, first, size, ...) with
+ * the spelled-out form.
+ *
+ * @param {Object} spec - Aggregation spec
+ * @returns {Array<{name: string, column: string, reducer: Function|Object, op?: string}>}
+ *   - Output name, input column, reducer, and the reducer name if it was
+ *   given by name
+ * @throws {Error} On unknown reducers or duplicate output names
+ */
+export function normalizeAggSpec(spec) {
+  const out = [];
+  const add = (name, column, agg) => {
+    if (out.some((entry) => entry.name === name)) {
+      throw new Error(`Duplicate output column '${name}'`);
+    }
+    const reducer = resolveReducer(agg);
+    out.push(
+      typeof agg === 'string'
+        ? { name, column, reducer, op: agg }
+        : { name, column, reducer },
+    );
+  };
+
+  for (const [name, value] of Object.entries(spec)) {
+    if (typeof value === 'string') {
+      add(`${name}_${value}`, name, value);
+    } else if (isNamedAggregation(value)) {
+      add(name, value[0], value[1]);
+    } else if (
+      value !== null &&
+      typeof value === 'object' &&
+      typeof value.column === 'string' &&
+      !isFoldingReducer(value)
+    ) {
+      add(name, value.column, value.agg);
+    } else if (Array.isArray(value)) {
+      for (const agg of value) {
+        const label = typeof agg === 'string' ? agg : agg?.name || 'agg';
+        add(`${name}_${label}`, name, agg);
+      }
+    } else if (typeof value === 'function' || isFoldingReducer(value)) {
+      add(name, name, value);
+    } else {
+      throw new Error(`Invalid aggregation spec for ${name}`);
+    }
+  }
+  return out;
+}
+
+/**
+ * @param {*} value - Spec entry
+ * @returns {boolean} - Whether it is `[column, reducer]`, i.e. its first
+ *   element is not a reducer name
+ */
+function isNamedAggregation(value) {
+  return (
+    Array.isArray(value) &&
+    value.length === 2 &&
+    typeof value[0] === 'string' &&
+    !getReducer(value[0])
+  );
+}
@@ -0,0 +1,469 @@
+// src/core/expr/Expr.js
+
+/**
+ * Column expressions: a small tree of operations over columns that is
+ * evaluated a whole column at a time (see evaluate.js).
+ *
+ * ```js
+ * df.select(col('symbol'), col('price').mul(col('qty')).alias('notional'));
+ * df.filter(col('price').gt(100).and(col('symbol').str.startsWith('A')));
+ * df.withColumns(
+ *   when(col('qty').lt(0)).then(lit('sell')).otherwise(lit('buy')).alias('side'),
+ * );
+ * df.groupBy('sector').agg(col('price').mean().alias('avgPrice'));
+ * ```
+ *
+ * Expressions are immutable plain data, so the lazy optimizer can read
+ * which columns they use and fold constant parts.
+ *
+ * @module core/expr/Expr
+ */
+
+/** Binary operators, by method name */
+export const BINARY_OPS = Object.freeze({
+  add: '+',
+  sub: '-',
+  mul: '*',
+  div: '/',
+  mod: '%',
+  pow: '**',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  eq: '==',
+  ne: '!=',
+  and: 'and',
+  or: 'or',
+  xor: 'xor',
+});
+
+/** Reductions that turn a column into one value */
+export const AGGREGATIONS = Object.freeze([
+  'sum',
+  'mean',
+  'min',
+  'max',
+  'count',
+  'nUnique',
+  'median',
+  'std',
+  'var',
+  'first',
+  'last',
+]);
+
+export class Expr {
+  /**
+   * Use col(), lit() and when() instead of calling the constructor
+   * @param {object} node - { kind, ... } (see the builders below)
+   */
+  constructor(node) {
+    Object.assign(this, node);
+    Object.freeze(this);
+  }
+
+  /* -------------------------------------------------- *
+   *  Naming                                            *
+   * -------------------------------------------------- */
+
+  /**
+   * Names the result column
+   * @param {string} name - Output name
+   * @returns {Expr}
+   */
+  alias(name) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Alias must be a non-empty string');
+    }
+    return new Expr({ kind: 'alias', name, arg: this });
+  }
+
+  /**
+   * Name of the result column: the alias, or else the first column the
+   * expression reads ('literal' for constants)
+   * @returns {string}
+   */
+  get outputName() {
+    switch (this.kind) {
+      case 'alias':
+      case 'column':
+        return this.name;
+      case 'literal':
+        return 'literal';
+      case 'when':
+        return this.cases[0][1].outputName;
+      default:
+        return this.args[0].outputName;
+    }
+  }
+
+  /* -------------------------------------------------- *
+   *  Element-wise operations                           *
+   * -------------------------------------------------- */
+
+  /**
+   * Logical negation (nulls stay null)
+   * @returns {Expr}
+   */
+  not() {
+    return call('not', [this]);
+  }
+
+  /**
+   * Arithmetic negation
+   * @returns {Expr}
+   */
+  neg() {
+    return call('neg', [this]);
+  }
+
+  /** @returns {Expr} - Absolute value */
+  abs() {
+    return call('abs', [this]);
+  }
+
+  /**
+   * @param {number} [digits=0] - Decimal places
+   * @returns {Expr}
+   */
+  round(digits = 0) {
+    return call('round', [this], { digits });
+  }
+
+  /** @returns {Expr} - True where the value is null */
+  isNull() {
+    return call('isNull', [this]);
+  }
+
+  /** @returns {Expr} - True where the value is not null */
+  isNotNull() {
+    return call('isNotNull', [this]);
+  }
+
+  /**
+   * Replaces nulls (and NaN) with a value
+   * @param {*} value - Expr or plain value
+   * @returns {Expr}
+   */
+  fillNull(value) {
+    return call('fillNull', [this, toExpr(value)]);
+  }
+
+  /**
+   * Inclusive range check
+   * @param {*} lower - Expr or plain value
+   * @param {*} upper - Expr or plain value
+   * @returns {Expr}
+   */
+  between(lower, upper) {
+    return this.gte(lower).and(this.lte(upper));
+  }
+
+  /**
+   * Membership test
+   * @param {Array} values - Allowed values
+   * @returns {Expr}
+   */
+  isIn(values) {
+    if (!Array.isArray(values)) throw new Error('isIn() expects an array');
+    return call('isIn', [this], { values: [...values] });
+  }
+
+  /**
+   * Converts values to another dtype
+   * @param {string} dtype - Target dtype ('f64', 'i32', 'str', 'bool', ...)
+   * @returns {Expr}
+   */
+  cast(dtype) {
+    return call('cast', [this], { dtype });
+  }
+
+  /* -------------------------------------------------- *
+   *  Namespaces                                        *
+   * -------------------------------------------------- */
+
+  /**
+   * String functions: lower, upper, trim, length, contains, startsWith,
+   * endsWith, replace, slice
+   * @returns {object}
+   */
+  get str() {
+    const self = this;
+    return {
+      lower: () => call('str.lower', [self]),
+      upper: () => call('str.upper', [self]),
+      trim: () => call('str.trim', [self]),
+      length: () => call('str.length', [self]),
+      contains: (pattern) => call('str.contains', [self], { pattern }),
+      startsWith: (prefix) => call('str.startsWith', [self], { prefix }),
+      endsWith: (suffix) => call('str.endsWith', [self], { suffix }),
+      replace: (pattern, replacement) =>
+        call('str.replace', [self], { pattern, replacement }),
+      slice: (start, end) => call('str.slice', [self], { start, end }),
+    };
+  }
+
+  /**
+   * Date parts, read in the column's timezone for tz-aware timestamps:
+   * year, month (1-12), day, hour, minute, second, weekday (0 = Sunday),
+   * and truncation to the day with date()
+   * @returns {object}
+   */
+  get dt() {
+    const self = this;
+    const part = (name) => () => call(`dt.${name}`, [self]);
+    return {
+      year: part('year'),
+      month: part('month'),
+      day: part('day'),
+      hour: part('hour'),
+      minute: part('minute'),
+      second: part('second'),
+      weekday: part('weekday'),
+      date: part('date'),
+    };
+  }
+
+  /* -------------------------------------------------- *
+   *  Analysis                                          *
+   * -------------------------------------------------- */
+
+  /**
+   * Columns the expression reads
+   * @returns {string[]} - Distinct names in order of appearance
+   */
+  columns() {
+    const names = new Set();
+    const visit = (expr) => {
+      if (expr.kind === 'column') names.add(expr.name);
+      for (const child of expr.children()) visit(child);
+    };
+    visit(this);
+    return [...names];
+  }
+
+  /**
+   * Direct sub-expressions
+   * @returns {Expr[]}
+   */
+  children() {
+    switch (this.kind) {
+      case 'column':
+      case 'literal':
+        return [];
+      case 'alias':
+        return [this.arg];
+      case 'when':
+        return [...this.cases.flat(), this.otherwiseExpr];
+      default:
+        return this.args;
+    }
+  }
+
+  /**
+   * Same expression with its direct sub-expressions replaced (the
+   * expression itself when fn returns every child unchanged)
+   * @param {(child: Expr) => Expr} fn - Called for each child in children() order
+   * @returns {Expr}
+   */
+  mapChildren(fn) {
+    const before = this.children();
+    const children = before.map(fn);
+    if (children.every((child, i) => child === before[i])) return this;
+    switch (this.kind) {
+      case 'alias':
+        return new Expr({ ...this, arg: children[0] });
+      case 'when': {
+        const cases = [];
+        for (let i = 0; i < this.cases.length; i++) {
+          cases.push(Object.freeze([children[2 * i], children[2 * i + 1]]));
+        }
+        return new Expr({
+          ...this,
+          cases: Object.freeze(cases),
+          otherwiseExpr: children[children.length - 1],
+        });
+      }
+      default:
+        return new Expr({ ...this, args: children });
+    }
+  }
+
+  /**
+   * Whether the expression reduces a column to one value
+   * @returns {boolean}
+   */
+  isAggregation() {
+    if (this.kind === 'agg') return true;
+    return this.children().some((child) => child.isAggregation());
+  }
+
+  /**
+   * @returns {string} - Readable form, e.g. `(col("a") * 2).alias("b")`
+   */
+  toString() {
+    switch (this.kind) {
+      case 'column':
+        return `col(${JSON.stringify(this.name)})`;
+      case 'literal':
+        return this.value instanceof Date
+          ? `lit(${this.value.toISOString()})`
+          : `lit(${JSON.stringify(this.value)})`;
+      case 'alias':
+        return `${this.arg}.alias(${JSON.stringify(this.name)})`;
+      case 'binary':
+        return `(${this.args[0]} ${BINARY_OPS[this.op]} ${this.args[1]})`;
+      case 'when':
+        return (
+          this.cases.map(([c, v]) => `when(${c}).then(${v})`).join('.') +
+          `.otherwise(${this.otherwiseExpr})`
+        );
+      default: {
+        const options = this.options ? JSON.stringify(this.options) : '';
+        const rest = this.args.slice(1).map(String);
+        if (options) rest.push(options);
+        return `${this.args[0]}.${this.op}(${rest.join(', ')})`;
+      }
+    }
+  }
+}
+
+/**
+ * Operator and aggregation methods share one shape, so they are
+ * generated from the tables above
+ */
+for (const op of Object.keys(BINARY_OPS)) {
+  Expr.prototype[op] = function (other) {
+    return new Expr({ kind: 'binary', op, args: [this, toExpr(other)] });
+  };
+}
+for (const op of AGGREGATIONS) {
+  Expr.prototype[op] = function () {
+    return new Expr({ kind: 'agg', op, args: [this] });
+  };
+}
+
+/**
+ * Wraps plain values as literals
+ * @param {*} value - Expr or plain value
+ * @returns {Expr}
+ */
+function toExpr(value) {
+  return value instanceof Expr ? value : lit(value);
+}
+
+/**
+ * @param {string} op - Function name
+ * @param {Expr[]} args - Operands
+ * @param {object} [options] - Constant parameters
+ * @returns {Expr}
+ */
+function call(op, args, options) {
+  return new Expr({ kind: 'call', op, args, options });
+}
+
+/**
+ * Result of when(...).then(...): an expression that is null where no
+ * condition holds, extendable with further when/then pairs or a default
+ */
+export class WhenThen extends Expr {
+  /**
+   * Adds another condition, checked after the previous ones
+   * @param {Expr} condition - Boolean expression
+   * @returns {{then: Function}}
+   */
+  when(condition) {
+    return startWhen(condition, this.cases);
+  }
+
+  /**
+   * Value where no condition holds
+   * @param {*} value - Expr or plain value
+   * @returns {Expr}
+   */
+  otherwise(value) {
+    return new Expr({
+      kind: 'when',
+      cases: this.cases,
+      otherwiseExpr: toExpr(value),
+    });
+  }
+}
+
+class When {
+  constructor(condition, cases = []) {
+    if (!(condition instanceof Expr)) {
+      throw new Error('when() expects an expression');
+    }
+    this._condition = condition;
+    this._cases = cases;
+  }
+
+  /**
+   * @param {*} value - Expr or plain value used where the condition holds
+   * @returns {WhenThen}
+   */
+  then(value) {
+    return new WhenThen({
+      kind: 'when',
+      cases: Object.freeze([
+        ...this._cases,
+        Object.freeze([this._condition, toExpr(value)]),
+      ]),
+      otherwiseExpr: lit(null),
+    });
+  }
+}
+
+/* -------------------------------------------------- *
+ *  Builders                                          *
+ * -------------------------------------------------- */
+
+/**
+ * Reference to a column
+ * @param {string} name - Column name
+ * @returns {Expr}
+ */
+export function col(name) {
+  if (typeof name !== 'string') {
+    throw new Error('Column name must be a string');
+  }
+  return new Expr({ kind: 'column', name });
+}
+
+/**
+ * Constant value, broadcast to every row
+ * @param {*} value - Number, string, boolean, Date or null
+ * @returns {Expr}
+ */
+export function lit(value) {
+  return new Expr({ kind: 'literal', value: value ?? null });
+}
+
+/**
+ * Conditional expression:
+ * `when(cond).then(a).when(cond2).then(b).otherwise(c)`
+ * @param {Expr} condition - Boolean expression
+ * @returns {{then: Function}}
+ */
+export function when(condition) {
+  return startWhen(condition);
+}
+
+/**
+ * @param {Expr} condition - Boolean expression
+ * @param {Array} [cases] - Earlier [condition, value] pairs
+ * @returns {When}
+ */
+function startWhen(condition, cases) {
+  return new When(condition, cases);
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} - True for expressions
+ */
+export function isExpr(value) {
+  return value instanceof Expr;
+}
@@ -0,0 +1,352 @@
+// src/core/expr/evaluate.js
+
+/**
+ * Evaluates column expressions against a DataFrame.
+ * Every node produces either a whole column (a Series) or a single
+ * value; single values are broadcast only where a column is needed,
+ * so `col('a').sub(col('a').mean())` computes the mean once.
+ *
+ * @module core/expr/evaluate
+ */
+
+import { Series } from '../dataframe/Series.js';
+import { arithmetic } from '../../methods/series/ops/arithmetic.js';
+import { compare } from '../../methods/series/ops/comparison.js';
+import { logical } from '../../methods/series/ops/logical.js';
+import { sum } from '../../methods/series/aggregation/sum.js';
+import { mean } from '../../methods/series/aggregation/mean.js';
+import { min } from '../../methods/series/aggregation/min.js';
+import { max } from '../../methods/series/aggregation/max.js';
+import { count } from '../../methods/series/aggregation/count.js';
+import { median } from '../../methods/series/aggregation/median.js';
+import { std } from '../../methods/series/aggregation/std.js';
+import { variance } from '../../methods/series/aggregation/variance.js';
+import { first, last, nUnique } from '../dataframe/reducers.js';
+import { floorToDay } from '../utils/datetime.js';
+
+const isMissing = (v) => v === null || v === undefined || Number.isNaN(v);
+
+/** Dates compare by time in sets and with === */
+const key = (v) => (v instanceof Date ? v.getTime() : v);
+
+const scalar = (value) => ({ scalar: true, value });
+const column = (series) => ({ scalar: false, series });
+
+const ARITHMETIC = {
+  add: (a, b) => a + b,
+  sub: (a, b) => a - b,
+  mul: (a, b) => a * b,
+  div: (a, b) => a / b,
+  mod: (a, b) => a % b,
+  pow: (a, b) => a ** b,
+};
+
+const COMPARISON = {
+  gt: (a, b) => a > b,
+  gte: (a, b) => a >= b,
+  lt: (a, b) => a < b,
+  lte: (a, b) => a <= b,
+  eq: (a, b) => a === b,
+  ne: (a, b) => a !== b,
+};
+
+const AGGREGATE = {
+  sum,
+  mean,
+  min,
+  max,
+  count,
+  median,
+  std,
+  var: variance,
+  first,
+  last,
+  nUnique,
+};
+
+/**
+ * Evaluates an expression to a column
+ * @param {import('./Expr.js').Expr} expr - Expression
+ * @param {DataFrame} df - Input frame
+ * @returns {Series} - One value per row, named after expr.outputName
+ */
+export function evaluate(expr, df) {
+  const result = evalNode(expr, df);
+  const name = expr.outputName;
+  if (result.scalar) return broadcast(result.value, df.rowCount, name);
+  // Untouched columns keep their storage, only the name changes
+  return result.series.name === name
+    ? result.series
+    : new Series(result.series.vector, { name });
+}
+
+/**
+ * Evaluates an aggregating expression to one value
+ * @param {import('./Expr.js').Expr} expr - Expression such as col('a').sum()
+ * @param {DataFrame} df - Input frame (e.g. one group)
+ * @returns {*} - The value
+ */
+export function evaluateAggregate(expr, df) {
+  const result = evalNode(expr, df);
+  if (!result.scalar) {
+    throw new Error(
+      `Expression ${expr} must reduce to one value, e.g. with .sum() or .mean()`,
+    );
+  }
+  return result.value;
+}
+
+/**
+ * Evaluates an expression that reads no columns, without a frame
+ * (used for constant folding; cast() needs a frame and is not allowed)
+ * @param {import('./Expr.js').Expr} expr - Expression built from literals
+ * @returns {*} - The value
+ */
+export function evaluateConstant(expr) {
+  return evaluateAggregate(expr, null);
+}
+
+/**
+ * @param {Expr} expr
+ * @param {DataFrame} df
+ * @returns {{scalar: true, value: *}|{scalar: false, series: Series}}
+ */
+function evalNode(expr, df) {
+  switch (expr.kind) {
+    case 'column': {
+      const series = df.col(expr.name);
+      if (!series) throw new Error(`Column '${expr.name}' not found`);
+      return column(series);
+    }
+    case 'literal':
+      return scalar(expr.value);
+    case 'alias':
+      return evalNode(expr.arg, df);
+    case 'binary':
+      return evalBinary(expr, df);
+    case 'agg': {
+      const arg = evalNode(expr.args[0], df);
+      const series = arg.scalar ? broadcast(arg.value, 1) : arg.series;
+      return scalar(AGGREGATE[expr.op](series));
+    }
+    case 'when':
+      return evalWhen(expr, df);
+    case 'call':
+      return evalCall(expr, df);
+    default:
+      throw new Error(`Unknown expression kind '${expr.kind}'`);
+  }
+}
+
+/**
+ * @param {*} value - Single value
+ * @param {number} length - Number of rows
+ * @param {string} [name] - Series name
+ * @returns {Series}
+ */
+function broadcast(value, length, name) {
+  return new Series(new Array(length).fill(value), { name });
+}
+
+/**
+ * Binary operators run on the Series operator kernels; two constants
+ * are combined directly
+ */
+function evalBinary(expr, df) {
+  const { op } = expr;
+  const [left, right] = expr.args.map((arg) => evalNode(arg, df));
+
+  if (left.scalar && right.scalar) {
+    return scalar(combineScalars(op, left.value, right.value));
+  }
+
+  const series = left.scalar
+    ? broadcast(left.value, right.series.length)
+    : left.series;
+  const other = right.scalar ? right.value : right.series;
+
+  if (ARITHMETIC[op]) {
+    return column(arithmetic(series, other, ARITHMETIC[op], op));
+  }
+  if (COMPARISON[op]) {
+    return column(compare(series, other, COMPARISON[op], op));
+  }
+  return column(logical(series, other, op));
+}
+
+/**
+ * Same null rules as the Series kernels: null in, null out,
+ * except for Kleene and/or
+ */
+function combineScalars(op, a, b) {
+  if (op === 'and') {
+    if (a === false || b === false) return false;
+    return a === null || b === null ? null : true;
+  }
+  if (op === 'or') {
+    if (a === true || b === true) return true;
+    return a === null || b === null ? null : false;
+  }
+  if (a === null || b === null) return null;
+  if (op === 'xor') return Boolean(a) !== Boolean(b);
+  const fn = ARITHMETIC[op] ?? COMPARISON[op];
+  return fn(key(a), key(b));
+}
+
+/**
+ * First matching condition wins, a null condition counts as false
+ */
+function evalWhen(expr, df) {
+  const cases = expr.cases.map(([condition, value]) => [
+    evalNode(condition, df),
+    evalNode(value, df),
+  ]);
+  const otherwise = evalNode(expr.otherwiseExpr, df);
+  const at = (result, i) =>
+    result.scalar ? result.value : result.series.get(i);
+
+  if (cases.every(([c, v]) => c.scalar && v.scalar) && otherwise.scalar) {
+    const hit = cases.find(([c]) => c.value === true);
+    return hit ? hit[1] : otherwise;
+  }
+
+  const length = df.rowCount;
+  const out = new Array(length);
+  for (let i = 0; i < length; i++) {
+    const hit = cases.find(([c]) => at(c, i) === true);
+    out[i] = at(hit ? hit[1] : otherwise, i);
+  }
+  return column(new Series(out));
+}
+
+/** Element-wise functions, applied to each non-null value */
+const ELEMENTWISE = {
+  not: () => (v) => !v,
+  neg: () => (v) => -v,
+  abs: () => Math.abs,
+  round:
+    ({ digits }) =>
+    (v) => {
+      const factor = 10 ** digits;
+      return Math.round(v * factor) / factor;
+    },
+  'str.lower': () => (v) => String(v).toLowerCase(),
+  'str.upper': () => (v) => String(v).toUpperCase(),
+  'str.trim': () => (v) => String(v).trim(),
+  'str.length': () => (v) => String(v).length,
+  'str.contains':
+    ({ pattern }) =>
+    (v) =>
+      pattern instanceof RegExp
+        ? String(v).search(pattern) !== -1
+        : String(v).includes(pattern),
+  'str.startsWith':
+    ({ prefix }) =>
+    (v) =>
+      String(v).startsWith(prefix),
+  'str.endsWith':
+    ({ suffix }) =>
+    (v) =>
+      String(v).endsWith(suffix),
+  'str.replace':
+    ({ pattern, replacement }) =>
+    (v) =>
+      String(v).replace(pattern, replacement),
+  'str.slice':
+    ({ start, end }) =>
+    (v) =>
+      String(v).slice(start, end),
+};
+
+/** Date parts of wall-clock milliseconds */
+const DATE_PARTS = {
+  'dt.year': (d) => d.getUTCFullYear(),
+  'dt.month': (d) => d.getUTCMonth() + 1,
+  'dt.day': (d) => d.getUTCDate(),
+  'dt.hour': (d) => d.getUTCHours(),
+  'dt.minute': (d) => d.getUTCMinutes(),
+  'dt.second': (d) => d.getUTCSeconds(),
+  'dt.weekday': (d) => d.getUTCDay(),
+  'dt.date': (d) => new Date(floorToDay(d.getTime())),
+};
+
+function evalCall(expr, df) {
+  const [arg, ...rest] = expr.args.map((a) => evalNode(a, df));
+  const { op, options = {} } = expr;
+
+  if (op === 'cast') {
+    const series = arg.scalar ? broadcast(arg.value, df.rowCount) : arg.series;
+    return column(new Series(series.vector, { dtype: options.dtype }));
+  }
+
+  const fn = elementFunction(op, options, rest);
+  if (arg.scalar) {
+    return scalar(fn(DATE_PARTS[op] ? toMs(arg.value) : arg.value, 0));
+  }
+
+  const series = arg.series;
+  const values = DATE_PARTS[op] ? wallTimes(series) : series.toArray();
+  const out = new Array(values.length);
+  for (let i = 0; i < values.length; i++) out[i] = fn(values[i], i);
+  return column(new Series(out));
+}
+
+/**
+ * @returns {(value:*, i:number) => *} - Function computing one row
+ */
+function elementFunction(op, options, rest) {
+  if (ELEMENTWISE[op]) {
+    const fn = ELEMENTWISE[op](options);
+    return (v) => (isMissing(v) ? null : fn(v));
+  }
+  if (DATE_PARTS[op]) {
+    const part = DATE_PARTS[op];
+    return (ms) => (ms === null ? null : part(new Date(ms)));
+  }
+  switch (op) {
+    case 'isNull':
+      return (v) => isMissing(v);
+    case 'isNotNull':
+      return (v) => !isMissing(v);
+    case 'isIn': {
+      const allowed = new Set(options.values.map(key));
+      return (v) => (isMissing(v) ? null : allowed.has(key(v)));
+    }
+    case 'fillNull': {
+      const [fill] = rest;
+      if (fill.scalar) return (v) => (isMissing(v) ? fill.value : v);
+      return (v, i) => (isMissing(v) ? fill.series.get(i) : v);
+    }
+    default:
+      throw new Error(`Unknown expression function '${op}'`);
+  }
+}
+
+/**
+ * Epoch milliseconds per row, as wall-clock time for tz-aware columns
+ * @param {Series} series - Datetime (or date-like) column
+ * @returns {Array<number|null>}
+ */
+function wallTimes(series) {
+  const { vector } = series;
+  const out = new Array(series.length);
+  for (let i = 0; i < series.length; i++) {
+    if (vector.getWallTime) {
+      out[i] = vector.getWallTime(i);
+      continue;
+    }
+    out[i] = toMs(series.get(i));
+  }
+  return out;
+}
+
+/**
+ * @param {*} value - Date, date string or epoch milliseconds
+ * @returns {number|null}
+ */
+function toMs(value) {
+  if (isMissing(value)) return null;
+  if (value instanceof Date) return value.getTime();
+  const ms = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isNaN(ms) ? null : ms;
+}
@@ -0,0 +1,63 @@
+// src/core/expr/fold.js
+
+/**
+ * Constant folding: parts of an expression that read no columns are
+ * computed once while planning, and `and`/`or` with a constant side are
+ * simplified, e.g. `col('a').gt(lit(2).mul(5)).and(true)` becomes
+ * `col('a').gt(10)`.
+ *
+ * @module core/expr/fold
+ */
+
+import { lit } from './Expr.js';
+import { evaluateConstant } from './evaluate.js';
+
+/**
+ * @param {import('./Expr.js').Expr} expr - Expression
+ * @param {object} [options] - Options
+ * @param {boolean} [options.keepName=true] - Alias the result when folding
+ *   changed its output name (not needed for filter predicates)
+ * @returns {import('./Expr.js').Expr} - Equivalent expression
+ */
+export function foldConstants(expr, options = {}) {
+  const { keepName = true } = options;
+  const folded = foldNode(expr);
+  if (!keepName || folded.outputName === expr.outputName) return folded;
+  return folded.alias(expr.outputName);
+}
+
+const isLiteral = (expr) => expr.kind === 'literal';
+
+function foldNode(expr) {
+  if (expr.kind === 'column' || expr.kind === 'literal') return expr;
+
+  const node = expr.mapChildren(foldNode);
+  if (node.kind === 'alias' || node.kind === 'agg') return node;
+
+  if (node.kind === 'binary' && (node.op === 'and' || node.op === 'or')) {
+    const simplified = simplifyLogical(node);
+    if (simplified) return simplified;
+  }
+
+  // cast() builds a typed column, so it is left for evaluation
+  if (node.kind === 'call' && node.op === 'cast') return node;
+  if (!node.children().every(isLiteral)) return node;
+  return lit(evaluateConstant(node));
+}
+
+/**
+ * Kleene logic keeps `x and true` equal to x (also for null x), and
+ * makes `x and false` false whatever x is; likewise for `or`
+ * @returns {Expr|null} - Simplified expression, null if none applies
+ */
+function simplifyLogical(node) {
+  const absorbing = node.op === 'or';
+  for (const [side, other] of [
+    [node.args[0], node.args[1]],
+    [node.args[1], node.args[0]],
+  ]) {
+    if (!isLiteral(side) || typeof side.value !== 'boolean') continue;
+    return side.value === absorbing ? lit(absorbing) : other;
+  }
+  return null;
+}
@@ -0,0 +1,5 @@
+// src/core/expr/index.js
+export { Expr, col, lit, when, isExpr } from './Expr.js';
+export { evaluate, evaluateAggregate, evaluateConstant } from './evaluate.js';
+export { foldConstants } from './fold.js';
+export { parseQuery, tokenize, QueryError } from './parser.js';
@@ -0,0 +1,658 @@
+// src/core/expr/parser.js
+
+/**
+ * Parser for query strings (`df.query`, `df.query$`, `df.expr$`).
+ * A query is tokenized, parsed by recursive descent and compiled to a
+ * column expression, so it runs vectorized and without `new Function`
+ * (it works under a Content-Security-Policy that forbids eval).
+ *
+ * Grammar, lowest precedence first (keywords are case-insensitive):
+ *
+ * ```
+ * query      := or
+ * or         := and (('or' | '||') and)*
+ * and        := not (('and' | '&&') not)*
+ * not        := ('not' | '!') not | predicate
+ * predicate  := sum [ compare sum
+ *                   | ['not'] 'in' list
+ *                   | ['not'] 'between' sum 'and' sum
+ *                   | ['not'] 'like' string
+ *                   | 'is' ['not'] 'null' ]
+ * compare    := '==' | '===' | '=' | '!=' | '!==' | '<>' | '<' | '<=' | '>' | '>='
+ * sum        := product (('+' | '-') product)*
+ * product    := unary (('*' | '/' | '%') unary)*
+ * unary      := '-' unary | postfix
+ * postfix    := primary ('.' name ['(' args ')'])*
+ * primary    := number | string | 'true' | 'false' | 'null' | @name
+ *             | column | function '(' args ')' | '(' query ')'
+ * list       := '[' values ']' | '(' values ')' | @name
+ * ```
+ *
+ * Columns are bare identifiers or `back-quoted names`; `row.name`, as in
+ * a row predicate, is the column name too (unless there is a column
+ * called row). `@name` refers to a variable passed with the query. Functions: lower, upper, trim,
+ * length, contains, startsWith, endsWith, abs, round, year, month, day,
+ * hour, minute, second, weekday, isNull, isNotNull. String methods
+ * (`city.includes('San')`, `.startsWith`, `.endsWith`, `.toLowerCase()`,
+ * `.length`, ...) and the older `city_includes('San')` form work too.
+ *
+ * `== null` / `!= null` test for missing values. A string compared with
+ * a datetime column is parsed as a date.
+ *
+ * @module core/expr/parser
+ */
+
+import { col, lit, isExpr } from './Expr.js';
+import { parseDatetime } from '../utils/datetime.js';
+
+/**
+ * Error in a query string; `position` is the offset of the offending token
+ */
+export class QueryError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {string} source - The query
+   * @param {number} position - Character offset
+   */
+  constructor(message, source, position) {
+    super(
+      `${message} at position ${position}\n  ${source}\n  ${' '.repeat(position)}^`,
+    );
+    this.name = 'QueryError';
+    this.position = position;
+  }
+}
+
+const KEYWORDS = new Set([
+  'and',
+  'or',
+  'not',
+  'in',
+  'between',
+  'like',
+  'is',
+  'null',
+  'true',
+  'false',
+]);
+
+// Longest operators first
+const OPERATORS = [
+  '===',
+  '!==',
+  '==',
+  '!=',
+  '<>',
+  '<=',
+  '>=',
+  '&&',
+  '||',
+  '<',
+  '>',
+  '=',
+  '!',
+  '+',
+  '-',
+  '*',
+  '/',
+  '%',
+  '(',
+  ')',
+  '[',
+  ']',
+  ',',
+  '.',
+];
+
+const COMPARE = {
+  '==': 'eq',
+  '===': 'eq',
+  '=': 'eq',
+  '!=': 'ne',
+  '!==': 'ne',
+  '<>': 'ne',
+  '<': 'lt',
+  '<=': 'lte',
+  '>': 'gt',
+  '>=': 'gte',
+};
+
+const DATETIME_DTYPES = new Set(['ts_ms', 'date']);
+
+/**
+ * Splits a query into tokens
+ * @param {string} source - Query string
+ * @returns {Array<{type: string, value: *, pos: number}>}
+ */
+export function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+
+    if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(source[i + 1]))) {
+      const match = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(source.slice(i));
+      i += match[0].length;
+      tokens.push({
+        type: 'number',
+        value: Number(match[0]),
+        pos: start,
+        end: i,
+      });
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      let value = '';
+      i++;
+      while (i < source.length && source[i] !== ch) {
+        if (source[i] === '\\' && i + 1 < source.length) i++;
+        value += source[i++];
+      }
+      if (i >= source.length) {
+        throw new QueryError('Unterminated string', source, start);
+      }
+      i++;
+      tokens.push({ type: 'string', value, pos: start, end: i });
+      continue;
+    }
+
+    if (ch === '`') {
+      const end = source.indexOf('`', i + 1);
+      if (end === -1) {
+        throw new QueryError('Unterminated column name', source, start);
+      }
+      i = end + 1;
+      tokens.push({
+        type: 'column',
+        value: source.slice(start + 1, end),
+        pos: start,
+        end: i,
+      });
+      continue;
+    }
+
+    if (ch === '@') {
+      const match = /^[A-Za-z0-9_$]+/.exec(source.slice(i + 1));
+      if (!match) {
+        throw new QueryError("Expected a name after '@'", source, start);
+      }
+      i += match[0].length + 1;
+      tokens.push({ type: 'var', value: match[0], pos: start, end: i });
+      continue;
+    }
+
+    if (/[A-Za-z_$]/.test(ch)) {
+      const [word] = /^[A-Za-z0-9_$]+/.exec(source.slice(i));
+      const lower = word.toLowerCase();
+      i += word.length;
+      tokens.push(
+        KEYWORDS.has(lower)
+          ? { type: 'keyword', value: lower, pos: start, end: i }
+          : { type: 'name', value: word, pos: start, end: i },
+      );
+      continue;
+    }
+
+    const op = OPERATORS.find((o) => source.startsWith(o, start));
+    if (!op) {
+      throw new QueryError(`Unexpected character '${ch}'`, source, start);
+    }
+    i += op.length;
+    tokens.push({ type: 'op', value: op, pos: start, end: i });
+  }
+
+  tokens.push({ type: 'end', value: null, pos: i, end: i });
+  return tokens;
+}
+
+/** Functions callable as name(column, ...args) */
+const FUNCTIONS = {
+  lower: (x) => x.str.lower(),
+  upper: (x) => x.str.upper(),
+  trim: (x) => x.str.trim(),
+  length: (x) => x.str.length(),
+  contains: (x, s) => x.str.contains(s),
+  startsWith: (x, s) => x.str.startsWith(s),
+  endsWith: (x, s) => x.str.endsWith(s),
+  abs: (x) => x.abs(),
+  round: (x, digits = 0) => x.round(digits),
+  year: (x) => x.dt.year(),
+  month: (x) => x.dt.month(),
+  day: (x) => x.dt.day(),
+  hour: (x) => x.dt.hour(),
+  minute: (x) => x.dt.minute(),
+  second: (x) => x.dt.second(),
+  weekday: (x) => x.dt.weekday(),
+  isNull: (x) => x.isNull(),
+  isNotNull: (x) => x.isNotNull(),
+};
+
+/** JavaScript-style string methods: column.method(...args) */
+const METHODS = {
+  includes: FUNCTIONS.contains,
+  contains: FUNCTIONS.contains,
+  startsWith: FUNCTIONS.startsWith,
+  endsWith: FUNCTIONS.endsWith,
+  match: (x, pattern) =>
+    x.str.contains(pattern instanceof RegExp ? pattern : new RegExp(pattern)),
+  toLowerCase: FUNCTIONS.lower,
+  toUpperCase: FUNCTIONS.upper,
+  lower: FUNCTIONS.lower,
+  upper: FUNCTIONS.upper,
+  trim: FUNCTIONS.trim,
+};
+
+/** The older `column_includes('x')` spelling */
+const LEGACY_SUFFIX = /^(.+)_(includes|startsWith|endsWith|match)$/;
+
+class Parser {
+  constructor(source, { columns, vars = {} }) {
+    this.source = source;
+    this.tokens = tokenize(source);
+    this.pos = 0;
+    this.vars = vars;
+    this.schema = Array.isArray(columns)
+      ? Object.fromEntries(columns.map((c) => [c, {}]))
+      : (columns ?? null);
+  }
+
+  parse() {
+    if (this.peek().type === 'end') this.fail('Empty query');
+    const expr = this.parseOr();
+    if (this.peek().type !== 'end') this.fail(`Unexpected ${this.describe()}`);
+    return this.toExpr(expr);
+  }
+
+  /* -------------------------------------------------- *
+   *  Token helpers                                     *
+   * -------------------------------------------------- */
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  /** Consumes the token if it is the given keyword or operator */
+  accept(...values) {
+    const token = this.peek();
+    if (
+      (token.type === 'keyword' || token.type === 'op') &&
+      values.includes(token.value)
+    ) {
+      this.pos++;
+      return token;
+    }
+    return null;
+  }
+
+  expect(value) {
+    if (!this.accept(value)) {
+      this.fail(`Expected '${value}', got ${this.describe()}`);
+    }
+  }
+
+  /** Consumes '(' and friends only when they are operators */
+  isOp(value, token = this.peek()) {
+    return token.type === 'op' && token.value === value;
+  }
+
+  describe(token = this.peek()) {
+    if (token.type === 'end') return 'end of query';
+    return `'${this.source.slice(token.pos, token.end)}'`;
+  }
+
+  fail(message, token = this.peek()) {
+    throw new QueryError(message, this.source, token.pos);
+  }
+
+  /* -------------------------------------------------- *
+   *  Grammar                                           *
+   * -------------------------------------------------- */
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.accept('or', '||')) {
+      left = this.toExpr(left).or(this.toExpr(this.parseAnd()));
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.accept('and', '&&')) {
+      left = this.toExpr(left).and(this.toExpr(this.parseNot()));
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.accept('not', '!')) return this.toExpr(this.parseNot()).not();
+    return this.parsePredicate();
+  }
+
+  parsePredicate() {
+    const left = this.parseSum();
+
+    const op = this.peek();
+    if (op.type === 'op' && COMPARE[op.value]) {
+      this.pos++;
+      const compare = COMPARE[op.value];
+      const right = this.parseSum();
+      if (left === null || right === null) {
+        if (compare !== 'eq' && compare !== 'ne') {
+          this.fail(`Cannot compare with null using '${op.value}'`, op);
+        }
+        const subject = this.toExpr(left === null ? right : left);
+        return compare === 'eq' ? subject.isNull() : subject.isNotNull();
+      }
+      const [a, b] = this.coerceDates(left, right);
+      return this.toExpr(a)[compare](b);
+    }
+
+    if (this.accept('is')) {
+      const negate = Boolean(this.accept('not'));
+      this.expect('null');
+      const subject = this.toExpr(left);
+      return negate ? subject.isNotNull() : subject.isNull();
+    }
+
+    const negate = Boolean(this.accept('not'));
+    let result = null;
+    if (this.accept('in')) {
+      result = this.toExpr(left).isIn(this.parseList());
+    } else if (this.accept('between')) {
+      const lower = this.parseSum();
+      this.expect('and');
+      const upper = this.parseSum();
+      const [a, lo] = this.coerceDates(left, lower);
+      const [, hi] = this.coerceDates(left, upper);
+      result = this.toExpr(a).between(lo, hi);
+    } else if (this.accept('like')) {
+      const pattern = this.next();
+      if (pattern.type !== 'string') {
+        this.fail('Expected a pattern string after LIKE', pattern);
+      }
+      result = this.toExpr(left).str.contains(likeToRegExp(pattern.value));
+    } else if (negate) {
+      this.fail(
+        `Expected IN, BETWEEN or LIKE after NOT, got ${this.describe()}`,
+      );
+    }
+
+    if (result) return negate ? result.not() : result;
+    return left;
+  }
+
+  parseSum() {
+    let left = this.parseProduct();
+    for (;;) {
+      const token = this.accept('+', '-');
+      if (!token) return left;
+      left = this.arithmetic(
+        left,
+        token.value === '+' ? 'add' : 'sub',
+        this.parseProduct(),
+      );
+    }
+  }
+
+  parseProduct() {
+    let left = this.parseUnary();
+    for (;;) {
+      const token = this.accept('*', '/', '%');
+      if (!token) return left;
+      const op = { '*': 'mul', '/': 'div', '%': 'mod' }[token.value];
+      left = this.arithmetic(left, op, this.parseUnary());
+    }
+  }
+
+  parseUnary() {
+    if (this.accept('-')) {
+      const value = this.parseUnary();
+      return isExpr(value) ? value.neg() : -value;
+    }
+    return this.parsePostfix();
+  }
+
+  parsePostfix() {
+    let value = this.parsePrimary();
+    while (this.accept('.')) {
+      const token = this.next();
+      if (token.type !== 'name') this.fail('Expected a method name', token);
+      if (token.value === 'length' && !this.isOp('(')) {
+        value = FUNCTIONS.length(this.toExpr(value));
+        continue;
+      }
+      const method = METHODS[token.value];
+      if (!method) this.fail(`Unknown method '${token.value}'`, token);
+      value = method(this.toExpr(value), ...this.constantArgs(token));
+    }
+    return value;
+  }
+
+  /**
+   * @returns {*} - An Expr, or a plain value for literals (so lists,
+   *   patterns and dates can use it directly)
+   */
+  parsePrimary() {
+    const token = this.next();
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return token.value;
+      case 'var':
+        return this.variable(token);
+      case 'column':
+        return this.column(token.value, token);
+      case 'keyword':
+        if (token.value === 'true') return true;
+        if (token.value === 'false') return false;
+        if (token.value === 'null') return null;
+        break;
+      case 'name':
+        return this.name(token);
+      case 'op':
+        if (token.value === '(') {
+          const inner = this.parseOr();
+          this.expect(')');
+          return inner;
+        }
+        break;
+      default:
+        break;
+    }
+    return this.fail(`Expected a value, got ${this.describe(token)}`, token);
+  }
+
+  /** Identifier: column, row.column, function call or legacy column_method(...) */
+  name(token) {
+    const { value } = token;
+    if (value === 'row' && this.isOp('.') && !this.hasColumn('row')) {
+      this.pos++;
+      const field = this.next();
+      if (field.type !== 'name') this.fail('Expected a column name', field);
+      return this.column(field.value, field);
+    }
+    if (!this.isOp('(')) return this.column(value, token);
+
+    if (FUNCTIONS[value]) {
+      const [subject, ...args] = this.parseArgs();
+      if (subject === undefined) {
+        this.fail(`${value}() expects a column`, token);
+      }
+      if (args.some(isExpr)) {
+        this.fail(`Arguments of ${value}() must be constants`, token);
+      }
+      return FUNCTIONS[value](this.toExpr(subject), ...args);
+    }
+
+    const legacy = LEGACY_SUFFIX.exec(value);
+    if (legacy && this.hasColumn(legacy[1])) {
+      return METHODS[legacy[2]](
+        this.column(legacy[1], token),
+        ...this.constantArgs(token),
+      );
+    }
+    return this.fail(`Unknown function '${value}'`, token);
+  }
+
+  /**
+   * Method arguments configure the call (patterns, digits), so they
+   * must be constants
+   * @param {Object} token - Function name token, for the error position
+   */
+  constantArgs(token) {
+    const args = this.parseArgs();
+    if (args.some(isExpr)) {
+      this.fail(`Arguments of ${token.value}() must be constants`, token);
+    }
+    return args;
+  }
+
+  parseArgs() {
+    this.expect('(');
+    const args = [];
+    if (this.accept(')')) return args;
+    do {
+      args.push(this.parseOr());
+    } while (this.accept(','));
+    this.expect(')');
+    return args;
+  }
+
+  parseList() {
+    const token = this.peek();
+    if (token.type === 'var') {
+      this.pos++;
+      const values = this.variable(token);
+      if (!Array.isArray(values)) {
+        this.fail(`@${token.value} must be an array`, token);
+      }
+      return values;
+    }
+    const open = this.accept('[', '(');
+    if (!open) this.fail(`Expected a list, got ${this.describe()}`);
+    const close = open.value === '[' ? ']' : ')';
+    const values = [];
+    if (!this.accept(close)) {
+      do {
+        const item = this.peek();
+        const value = this.parseUnary();
+        if (isExpr(value)) this.fail('List items must be constants', item);
+        values.push(value);
+      } while (this.accept(','));
+      this.expect(close);
+    }
+    return values;
+  }
+
+  /* -------------------------------------------------- *
+   *  Values                                            *
+   * -------------------------------------------------- */
+
+  hasColumn(name) {
+    return (
+      !this.schema || Object.prototype.hasOwnProperty.call(this.schema, name)
+    );
+  }
+
+  column(name, token) {
+    if (!this.hasColumn(name)) this.fail(`Unknown column '${name}'`, token);
+    return col(name);
+  }
+
+  variable(token) {
+    if (!Object.prototype.hasOwnProperty.call(this.vars, token.value)) {
+      this.fail(`Unknown variable '@${token.value}'`, token);
+    }
+    return this.vars[token.value];
+  }
+
+  /** Arithmetic between values and/or expressions */
+  arithmetic(left, op, right) {
+    return this.toExpr(left)[op](right);
+  }
+
+  toExpr(value) {
+    return isExpr(value) ? value : lit(value);
+  }
+
+  /**
+   * A string literal compared with a datetime column becomes a Date
+   * (read in the column's timezone for tz-aware columns)
+   */
+  coerceDates(left, right) {
+    const infoOf = (e) =>
+      isExpr(e) && e.kind === 'column' ? this.schema?.[e.name] : null;
+    const convert = (info, value) => {
+      if (typeof value !== 'string' || !DATETIME_DTYPES.has(info?.dtype)) {
+        return value;
+      }
+      return new Date(parseDatetime(value, { tz: info.tz ?? undefined }));
+    };
+    return [convert(infoOf(right), left), convert(infoOf(left), right)];
+  }
+}
+
+/**
+ * Compiles a query string to a column expression
+ * @param {string} source - Query string
+ * @param {Object} [options]
+ * @param {string[]|Object<string, {dtype?: string, tz?: string}>} [options.columns] -
+ *   Known column names, or names mapped to their dtype and timezone;
+ *   unknown names are rejected when given
+ * @param {Object} [options.vars] - Values for @name references
+ * @returns {import('./Expr.js').Expr}
+ * @throws {QueryError} - On syntax errors and unknown names
+ */
+export function parseQuery(source, options = {}) {
+  if (typeof source !== 'string') throw new Error('Query must be a string');
+  return new Parser(source, options).parse();
+}
+
+/**
+ * @param {string} pattern - SQL LIKE pattern: % any run, _ one character
+ * @returns {RegExp}
+ */
+function likeToRegExp(pattern) {
+  const body = pattern
+    .split('')
+    .map((c) =>
+      c === '%'
+        ? '.*'
+        : c === '_'
+          ? '.'
+          : c.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'),
+    )
+    .join('');
+  return new RegExp(`^${body}$`, 's');
+}
+
+/**
+ * Turns a tagged template into a query with @-references, so
+ * interpolated values are passed as data and never parsed as code
+ * @param {TemplateStringsArray} strings - Template strings
+ * @param {Array} values - Interpolated values
+ * @returns {{source: string, vars: Object}}
+ */
+export function templateToQuery(strings, values) {
+  const vars = {};
+  let source = strings.raw?.[0] ?? strings[0];
+  values.forEach((value, i) => {
+    vars[`${i}`] = value;
+    source += `@${i}` + (strings.raw?.[i + 1] ?? strings[i + 1]);
+  });
+  return { source, vars };
+}
@@ -2,7 +2,23 @@
 // Export the public façade of the core layer
 export { DataFrame } from './dataframe/DataFrame.js';
 export { Series } from './dataframe/Series.js';
-export { GroupBy } from './dataframe/GroupBy.js';
+export { GroupByCore as GroupBy } from './dataframe/GroupByCore.js';
+export { Window } from './dataframe/Window.js';
+export { TinyFrame } from './plugins.js';
+export { Expr, col, lit, when } from './expr/index.js';
+export {
+  q,
+  registerReducer,
+  unregisterReducer,
+  listReducers,
+} from './dataframe/reducers.js';
+export { Accumulator, approxQuantile, approxNUnique } from './lazy/index.js';
+export {
+  Index,
+  RangeIndex,
+  DatetimeIndex,
+  MultiIndex,
+} from './dataframe/Index.js';
 
 // Re‑export utils that may be needed by the user
 export * as tfUtils from './utils/index.js';
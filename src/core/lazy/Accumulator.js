@@ -0,0 +1,197 @@
+// src/core/lazy/Accumulator.js
+import { DataFrame } from '../dataframe/DataFrame.js';
+import { compareValues } from '../../methods/dataframe/transform/sort.js';
+import { evaluate } from '../expr/index.js';
+import { streamingAggregations } from './aggregators.js';
+
+/**
+ * Incremental aggregation over batches of rows: keeps one state per group
+ * and aggregation (see aggregators.js), so the batches never have to be
+ * in memory together. Accumulators of separate inputs (files, days,
+ * workers) merge into one.
+ *
+ * ```js
+ * const stats = new Accumulator(
+ *   { avgPx: ['price', 'mean'], p99: ['lat', approxQuantile(0.99)] },
+ *   { by: 'date' },
+ * );
+ * await (await readCsv('ticks.csv', { batchSize: 50000 })).process(
+ *   (batch) => stats.update(batch),
+ * );
+ * stats.result(); // one row per date
+ * ```
+ *
+ * streaming groupBy of LazyFrame runs on an Accumulator.
+ */
+export class Accumulator {
+  /**
+   * @param {Object|Expr[]} aggs - Spec as in GroupByCore.agg() or
+   *   aggregating expressions; every aggregation needs an aggregator
+   *   (sum, count, mean, min, max, var, std, first, last, nUnique,
+   *   approxQuantile(), approxNUnique() or a reducer with init, update
+   *   and finalize)
+   * @param {Object} [options] - Options
+   * @param {string|string[]} [options.by=[]] - Key columns; without keys
+   *   the result is a single row
+   * @param {boolean} [options.dropna=false] - Leave out rows with a null key
+   * @param {boolean} [options.sort=false] - Order groups by their keys
+   *   instead of by first appearance
+   */
+  constructor(aggs, options = {}) {
+    const { by = [], dropna = false, sort = false } = options;
+    this._specs = streamingAggregations(aggs);
+    if (!this._specs) {
+      throw new Error(
+        'Accumulator: every aggregation must have an incremental aggregator',
+      );
+    }
+    this.by = Array.isArray(by) ? by : [by];
+    this.options = { dropna, sort };
+    /** @type {Map<*, {keys: Array, states: Array}>} */
+    this._groups = new Map();
+  }
+
+  /**
+   * Folds the rows of a batch into the states of their groups
+   * @param {DataFrame} batch - Rows with the key and aggregated columns
+   * @returns {Accumulator} - This accumulator
+   */
+  update(batch) {
+    const specs = this._specs;
+    const keyColumns = this.by.map((name) => {
+      const series = batch.col(name);
+      if (!series) throw new Error(`Column '${name}' not found`);
+      return series.toArray();
+    });
+    const argColumns = specs.map(({ arg }) => evaluate(arg, batch).toArray());
+
+    for (let i = 0; i < batch.rowCount; i++) {
+      const keys = keyColumns.map((values) => values[i]);
+      if (this.options.dropna && keys.some(isMissing)) continue;
+      const group = this._group(keys);
+      for (let j = 0; j < specs.length; j++) {
+        group.states[j] = specs[j].aggregator.update(
+          group.states[j],
+          argColumns[j][i],
+        );
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Adds the groups of another accumulator with the same aggregations,
+   * merging the states of groups both have
+   * @param {Accumulator} other - Accumulator to fold in; its states may be
+   *   reused, so it should not be updated afterwards
+   * @returns {Accumulator} - This accumulator
+   */
+  merge(other) {
+    const specs = this._specs;
+    const sameShape =
+      other._specs.length === specs.length &&
+      other._specs.every(({ name }, j) => name === specs[j].name) &&
+      other.by.join() === this.by.join();
+    if (!sameShape) {
+      throw new Error(
+        'Accumulator.merge() expects the same keys and aggregations',
+      );
+    }
+    for (const { name, aggregator } of specs) {
+      if (typeof aggregator.merge !== 'function') {
+        throw new Error(`Aggregation '${name}' cannot be merged: no merge()`);
+      }
+    }
+
+    for (const [id, theirs] of other._groups) {
+      const ours = this._groups.get(id);
+      if (!ours) {
+        this._groups.set(id, theirs);
+        continue;
+      }
+      for (let j = 0; j < specs.length; j++) {
+        ours.states[j] = specs[j].aggregator.merge(
+          ours.states[j],
+          theirs.states[j],
+        );
+      }
+    }
+    return this;
+  }
+
+  /**
+   * @returns {DataFrame} - Key columns and one column per aggregation,
+   *   one row per group (a single row without keys)
+   */
+  result() {
+    // Without keys there is one group, even before any row
+    if (this.by.length === 0) this._group([]);
+    const groups = [...this._groups.values()];
+    if (this.options.sort) groups.sort((a, b) => compareKeys(a.keys, b.keys));
+
+    const data = {};
+    this.by.forEach((name, j) => {
+      data[name] = groups.map((group) => group.keys[j]);
+    });
+    this._specs.forEach(({ name, aggregator }, j) => {
+      data[name] = groups.map((group) => aggregator.finalize(group.states[j]));
+    });
+    return new DataFrame(data);
+  }
+
+  /**
+   * State of the group with these keys, created on first use
+   * @private
+   * @param {Array} keys - Key values of a row
+   * @returns {{keys: Array, states: Array}}
+   */
+  _group(keys) {
+    const id = groupId(keys);
+    let group = this._groups.get(id);
+    if (!group) {
+      group = {
+        keys,
+        states: this._specs.map(({ aggregator }) => aggregator.init()),
+      };
+      this._groups.set(id, group);
+    }
+    return group;
+  }
+}
+
+/**
+ * @param {*} value - Key value
+ * @returns {boolean} - True for null, undefined and NaN
+ */
+function isMissing(value) {
+  return value === null || value === undefined || Number.isNaN(value);
+}
+
+/**
+ * Map key of a group; Dates are keyed by their time, missing values
+ * all by null
+ * @param {Array} keys - Key values of a row
+ * @returns {*}
+ */
+function groupId(keys) {
+  const plain = keys.map((v) =>
+    isMissing(v) ? null : v instanceof Date ? v.getTime() : v,
+  );
+  return plain.length === 1 ? plain[0] : JSON.stringify(plain);
+}
+
+/**
+ * Order of two groups by their keys, column by column, nulls last (as
+ * with the sort option of GroupByCore)
+ * @param {Array} a - Keys of one group
+ * @param {Array} b - Keys of the other
+ * @returns {number}
+ */
+function compareKeys(a, b) {
+  for (let j = 0; j < a.length; j++) {
+    if (groupId([a[j]]) === groupId([b[j]])) continue;
+    const cmp = compareValues(a[j], b[j], false);
+    if (cmp !== 0) return cmp;
+  }
+  return 0;
+}
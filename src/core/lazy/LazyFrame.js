@@ -1,15 +1,65 @@
 // src/core/lazy/LazyFrame.js
-import { DataFrame } from '../dataframe/DataFrame.js';
+import { isExpr } from '../expr/index.js';
+import { LazyNode } from './LazyNode.js';
+import { optimize } from './optimizer.js';
+import { execute, hasScan, loadScans, concatFrames } from './execute.js';
+import { streamPlan } from './streaming.js';
 
 /**
- * Simple lazy-evaluated wrapper over DataFrame.
- * Stores a DAG plan of operations, executes them only when collect() is called.
+ * Result of LazyFrame.groupBy(), waiting for its aggregations
+ */
+export class LazyGroupBy {
+  /**
+   * @param {LazyFrame} frame - Frame to group
+   * @param {string[]} by - Key columns
+   * @param {Object} [options] - Grouping options (dropna, sort)
+   */
+  constructor(frame, by, options = {}) {
+    this._frame = frame;
+    this._by = by;
+    this._options = options;
+  }
+
+  /**
+   * @param {Object|Expr|Expr[]} aggregations - Aggregating expressions
+   *   (also as several arguments) or a spec as in GroupByCore.agg()
+   * @returns {LazyFrame} One row per group
+   */
+  agg(aggregations, ...more) {
+    const aggs =
+      isExpr(aggregations) || Array.isArray(aggregations)
+        ? [aggregations, ...more].flat()
+        : aggregations;
+    return this._frame._then('groupBy', {
+      by: this._by,
+      aggs,
+      options: this._options,
+    });
+  }
+}
+
+/**
+ * Lazy-evaluated wrapper over DataFrame.
+ * Each method adds a node to a logical plan (see LazyNode) and nothing
+ * runs until collect(), which first optimizes the whole plan: constant
+ * folding, predicate, limit and projection pushdown (see optimizer.js).
+ * explain() shows the plan that will run.
  *
- * ⚠️  First iteration - supports filter / select / map / head,
- *     as well as custom user-defined step via .apply(df => ...)
+ * ```js
+ * const top = (await df.lazy())
+ *   .withColumn('notional', col('price').mul(col('qty')))
+ *   .filter(col('symbol').eq('AAPL'))
+ *   .sort('notional', { descending: true })
+ *   .limit(10)
+ *   .collect();
+ * ```
+ *
+ * Filters and columns given as expressions (col / lit / when) tell the
+ * optimizer which columns they read; function filters and apply() are
+ * run as they are, with every column available.
  */
 export class LazyFrame {
-  /** @param {Array<Object>} plan - array of steps { op, args... } */
+  /** @param {LazyNode} plan - root of the logical plan */
   constructor(plan) {
     this._plan = plan;
   }
@@ -24,7 +74,37 @@ export class LazyFrame {
    * @returns {LazyFrame} New LazyFrame instance
    */
   static fromDataFrame(df) {
-    return new LazyFrame([{ op: 'source', df }]);
+    return new LazyFrame(new LazyNode('source', { df }));
+  }
+
+  /**
+   * Create a LazyFrame reading from a file or another external source
+   * (see scanCsv, scanJsonl and scanArrow in io/readers/scan.js)
+   * @param {Object} scan - Source description
+   * @param {string} scan.format - Format name shown by explain()
+   * @param {string} scan.path - Location shown by explain()
+   * @param {Function} scan.read - `read({ columns, predicate, fn, limit })`
+   *   resolves to a DataFrame; the optimizer fills in the columns to
+   *   read, an expression and/or row function every row must pass, and
+   *   the number of rows to stop after (all optional)
+   * @param {Function} [scan.batches] - `batches({ ...pushdown, batchSize })`
+   *   returns an async iterable of DataFrames with the same pushdown
+   *   applied, used by stream(); without it the scan is read whole
+   * @returns {LazyFrame} New LazyFrame instance
+   */
+  static fromScan(scan) {
+    return new LazyFrame(new LazyNode('scan', { ...scan }));
+  }
+
+  /**
+   * @private
+   * @param {string} op - Operation type
+   * @param {object} args - Operation arguments
+   * @param {LazyNode[]} [inputs] - Further inputs after this plan
+   * @returns {LazyFrame}
+   */
+  _then(op, args, inputs = []) {
+    return new LazyFrame(new LazyNode(op, args, [this._plan, ...inputs]));
   }
 
   /* -------------------------------------------------- *
@@ -32,30 +112,110 @@ export class LazyFrame {
    * -------------------------------------------------- */
 
   /**
-   * Filter rows based on a predicate function
-   * @param {(row:any)=>boolean} fn - Filter predicate
+   * Filter rows based on a predicate function or boolean expression
+   * @param {((row:any)=>boolean)|Expr} predicate - Row predicate or expression
    * @returns {LazyFrame} New LazyFrame with filter operation added
    */
-  filter(fn) {
-    return new LazyFrame([...this._plan, { op: 'filter', fn }]);
+  filter(predicate) {
+    if (isExpr(predicate)) return this._then('filter', { predicate });
+    if (typeof predicate !== 'function') {
+      throw new Error('LazyFrame.filter() expects a function or an expression');
+    }
+    return this._then('filter', { fn: predicate });
   }
 
   /**
    * Select columns to keep
-   * @param {string[]} cols - Column names to select
+   * @param {Array<string|Expr>} cols - Column names and/or expressions
    * @returns {LazyFrame} New LazyFrame with select operation added
    */
   select(cols) {
-    return new LazyFrame([...this._plan, { op: 'select', cols }]);
+    return this._then('select', { cols });
+  }
+
+  /**
+   * Add or replace columns computed from expressions
+   * @param {Expr[]} exprs - Expressions named by their alias
+   * @returns {LazyFrame} New LazyFrame with withColumns operation added
+   */
+  withColumns(exprs) {
+    return this._then('withColumns', { exprs });
+  }
+
+  /**
+   * Add or replace one column
+   * @param {string|Expr} name - Column name, or an aliased expression
+   * @param {Expr} [expr] - Expression computing the column
+   * @returns {LazyFrame} New LazyFrame with withColumns operation added
+   */
+  withColumn(name, expr) {
+    return this.withColumns([isExpr(name) ? name : expr.alias(name)]);
+  }
+
+  /**
+   * Group rows; aggregate with .agg() on the result
+   * @param {string|string[]} by - Column(s) to group by
+   * @param {Object} [options] - Grouping options
+   * @param {boolean} [options.dropna=false] - Leave out rows with a null key
+   * @param {boolean} [options.sort=false] - Order groups by their keys
+   * @returns {LazyGroupBy}
+   */
+  groupBy(by, options) {
+    return new LazyGroupBy(this, Array.isArray(by) ? by : [by], options);
+  }
+
+  /**
+   * Join with another frame (options as in DataFrame.join)
+   * @param {LazyFrame|DataFrame} other - Right side
+   * @param {Object} options - { on, leftOn, rightOn, how, suffix, ... }
+   * @returns {LazyFrame} New LazyFrame with join operation added
+   */
+  join(other, options = {}) {
+    const right =
+      other instanceof LazyFrame ? other : LazyFrame.fromDataFrame(other);
+    return this._then('join', { options }, [right._plan]);
+  }
+
+  /**
+   * Sort rows by a column
+   * @param {string} by - Column name
+   * @param {Object} [options] - Sort options
+   * @param {boolean} [options.descending=false] - Sort in descending order
+   * @returns {LazyFrame} New LazyFrame with sort operation added
+   */
+  sort(by, options = {}) {
+    const { descending = false } = options;
+    return this._then('sort', { by, descending });
+  }
+
+  /**
+   * Keeps the first n rows
+   * @param {number} n - Number of rows to keep
+   * @returns {LazyFrame} New LazyFrame with limit operation added
+   */
+  limit(n) {
+    return this._then('limit', { n });
   }
 
   /**
    * Returns first n rows
    * @param {number} n - Number of rows to return
-   * @returns {LazyFrame} New LazyFrame with head operation added
+   * @returns {LazyFrame} New LazyFrame with limit operation added
    */
   head(n = 5) {
-    return new LazyFrame([...this._plan, { op: 'head', n }]);
+    return this.limit(n);
+  }
+
+  /**
+   * Stacks the rows of frames with the same columns under this one
+   * @param {...(LazyFrame|DataFrame)} others - Frames to append
+   * @returns {LazyFrame} New LazyFrame with union operation added
+   */
+  union(...others) {
+    const plans = others.map(
+      (o) => (o instanceof LazyFrame ? o : LazyFrame.fromDataFrame(o))._plan,
+    );
+    return this._then('union', {}, plans);
   }
 
   /**
@@ -64,7 +224,7 @@ export class LazyFrame {
    * @returns {LazyFrame} New LazyFrame with apply operation added
    */
   apply(fn) {
-    return new LazyFrame([...this._plan, { op: 'apply', fn }]);
+    return this._then('apply', { fn });
   }
 
   /* -------------------------------------------------- *
@@ -72,37 +232,67 @@ export class LazyFrame {
    * -------------------------------------------------- */
 
   /**
-   * Executes the plan and returns an actual DataFrame.
-   * Materializes DataFrame at each iteration; for production
-   * an optimizer can be inserted to combine steps.
-   * @returns {DataFrame} Materialized DataFrame after executing all operations
+   * Optimizes the plan, executes it and returns an actual DataFrame.
+   * Plans that scan files read them asynchronously and return a Promise
+   * (`await` works for both).
+   *
+   * With `streaming: true` the plan runs batch by batch (see stream()),
+   * so only the result has to fit in memory.
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.streaming=false] - Execute in batches
+   * @param {number} [options.batchSize] - Rows per batch (streaming)
+   * @param {number} [options.memoryLimit] - Memory budget in bytes (streaming)
+   * @param {string} [options.tempDir] - Directory for sort spill files (streaming)
+   * @returns {DataFrame|Promise<DataFrame>} Materialized DataFrame after executing all operations
    */
-  collect() {
-    let df = this._plan[0].df; // source DataFrame
-
-    for (const step of this._plan.slice(1)) {
-      switch (step.op) {
-        case 'filter':
-          df = DataFrame.fromRecords(df.toArray().filter(step.fn));
-          break;
-
-        case 'select':
-          df = df.select(step.cols);
-          break;
-
-        case 'head':
-          df = DataFrame.fromRecords(df.toArray().slice(0, step.n));
-          break;
+  collect(options = {}) {
+    const { streaming = false, ...streamOptions } = options;
+    if (streaming) return collectStream(this.stream(streamOptions));
+    const plan = optimize(this._plan);
+    return hasScan(plan) ? loadScans(plan).then(execute) : execute(plan);
+  }
 
-        case 'apply':
-          df = step.fn(df);
-          break;
+  /**
+   * Executes the optimized plan batch by batch, for data that does not
+   * fit in memory: filters, projections, limits and inner, left, semi,
+   * anti and cross joins against a smaller right side work on one batch
+   * at a time, groupBy()
+   * keeps one partial state per group for sum, count, mean, min, max,
+   * var, std, first, last, nUnique and folding reducers (see
+   * dataframe/reducers.js), and sort() spills sorted runs to
+   * temporary files once memoryLimit is reached and merges them.
+   * Other steps (apply(), median(), right and outer joins, ...) need their
+   * whole input, which must then fit in memoryLimit.
+   *
+   * ```js
+   * for await (const batch of scanCsv('trades.csv')
+   *   .filter(col('qty').gt(0))
+   *   .stream({ batchSize: 50000 })) {
+   *   write(batch);
+   * }
+   * ```
+   * @param {Object} [options] - Options
+   * @param {number} [options.batchSize=10000] - Rows per batch of in-memory
+   *   sources and sorted output (scans use their own batchSize)
+   * @param {number} [options.memoryLimit=268435456] - Approximate bytes of
+   *   rows a step may hold before spilling (sort) or failing
+   * @param {string} [options.tempDir=os.tmpdir()] - Directory for sort spill files
+   * @returns {AsyncGenerator<DataFrame>} Result batches
+   */
+  stream(options = {}) {
+    return streamPlan(optimize(this._plan), options);
+  }
 
-        default:
-          throw new Error(`LazyFrame: unknown operation '${step.op}'`);
-      }
-    }
-    return df;
+  /**
+   * Plan tree, one operation per line with its inputs indented below
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.optimized=true] - Show the plan collect() runs
+   *   rather than the one that was built
+   * @returns {string}
+   */
+  explain(options = {}) {
+    const { optimized = true } = options;
+    return (optimized ? optimize(this._plan) : this._plan).format();
   }
 
   /* -------------------------------------------------- *
@@ -111,10 +301,11 @@ export class LazyFrame {
 
   /**
    * Alias to collect() for symmetry with Polars
+   * @param {Object} [options] - Options as in collect()
    * @returns {DataFrame} Materialized DataFrame after executing all operations
    */
-  execute() {
-    return this.collect();
+  execute(options) {
+    return this.collect(options);
   }
 
   /**
@@ -122,6 +313,19 @@ export class LazyFrame {
    * @returns {string} String representation of the LazyFrame
    */
   toString() {
-    return `LazyFrame(steps: ${this._plan.length - 1})`;
+    const count = (node) =>
+      (node.op === 'source' ? 0 : 1) +
+      node.inputs.reduce((sum, input) => sum + count(input), 0);
+    return `LazyFrame(steps: ${count(this._plan)})`;
   }
 }
+
+/**
+ * @param {AsyncIterable<DataFrame>} batches - Result batches
+ * @returns {Promise<DataFrame>} - All their rows in one frame
+ */
+async function collectStream(batches) {
+  const frames = [];
+  for await (const batch of batches) frames.push(batch);
+  return concatFrames(frames);
+}
@@ -1,25 +1,130 @@
 // src/core/lazy/LazyNode.js
 
 /**
- * Node in the LazyFrame DAG plan.
+ * Node in the LazyFrame logical plan.
  * Contains:
  *   • operation type (`op`)
- *   • arbitrary arguments (`args`)
- *   • reference to the previous node (nextPointer-free, list in LazyFrame)
+ *   • arguments of the operation (`args`)
+ *   • the nodes it reads from (`inputs`; none for a source, two for a
+ *     join, any number for a union)
  *
- * A full-featured optimizer can:
- *   • analyze chains (filter→filter → combine)
- *   • move select above expensive operations
- *   • eliminate noop steps
+ * Nodes are never changed after creation, the optimizer builds new ones
+ * (see with()), so a LazyFrame can be extended and collected any number
+ * of times.
+ *
+ * Operations and their args:
+ *   source      { df, columns? }         columns: projection pushed down
+ *   scan        { format, path, read,    external source; the optimizer
+ *                 batches?, columns?,    sets what read() applies while
+ *                 predicate?, fn?,       reading (see LazyFrame.fromScan)
+ *                 limit? }
+ *   filter      { predicate } | { fn }   expression or row function
+ *   select      { cols }                 names and/or expressions
+ *   withColumns { exprs }                expressions named by alias
+ *   groupBy     { by, aggs, options? }   expressions or an agg() spec;
+ *                                        options: dropna, sort
+ *   join        { options }              inputs: [left, right]
+ *   sort        { by, descending }
+ *   limit       { n }
+ *   union       {}                       inputs: frames to stack
+ *   apply       { fn }                   DataFrame → DataFrame
  */
 export class LazyNode {
   /**
-   * @param {string} op             Operation type (filter/select/head/...)
-   * @param {object} [payload={}]   Additional data (fn, cols, n ...)
+   * @param {string} op             Operation type (filter/select/limit/...)
+   * @param {object} [payload={}]   Additional data (predicate, cols, n ...)
+   * @param {LazyNode[]} [inputs=[]] Nodes the operation reads from
    */
-  constructor(op, payload = {}) {
+  constructor(op, payload = {}, inputs = []) {
     this.op = op;
     this.args = payload; // arbitrary arguments
+    this.inputs = inputs;
+  }
+
+  /**
+   * The first (usually only) input
+   * @returns {LazyNode|undefined}
+   */
+  get input() {
+    return this.inputs[0];
+  }
+
+  /**
+   * Copy with some parts replaced
+   * @param {{op?: string, args?: object, inputs?: LazyNode[]}} changes
+   * @returns {LazyNode}
+   */
+  with(changes) {
+    return new LazyNode(
+      changes.op ?? this.op,
+      changes.args ?? this.args,
+      changes.inputs ?? this.inputs,
+    );
+  }
+
+  /**
+   * One-line description of the operation, used by explain()
+   * @returns {string}
+   */
+  describe() {
+    const { args } = this;
+    const list = (items) => `[${items.map(String).join(', ')}]`;
+    switch (this.op) {
+      case 'source': {
+        const { df, columns } = args;
+        const shape = df
+          ? `DataFrame [${df.rowCount} rows x ${df.columns.length} columns]`
+          : 'DataFrame';
+        return columns ? `${shape} project ${list(columns)}` : shape;
+      }
+      case 'scan': {
+        const parts = [`Scan ${args.format} ${args.path}`];
+        if (args.columns) parts.push(`project ${list(args.columns)}`);
+        if (args.predicate) parts.push(`filter ${args.predicate}`);
+        if (args.fn) parts.push('filter <function>');
+        if (args.limit !== undefined) parts.push(`limit ${args.limit}`);
+        return parts.join(' ');
+      }
+      case 'filter':
+        return `Filter ${args.predicate ?? '<function>'}`;
+      case 'select':
+        return `Select ${list(args.cols)}`;
+      case 'withColumns':
+        return `WithColumns ${list(args.exprs)}`;
+      case 'groupBy': {
+        const aggs = Array.isArray(args.aggs)
+          ? list(args.aggs)
+          : JSON.stringify(args.aggs);
+        return `GroupBy ${list(args.by)} agg ${aggs}`;
+      }
+      case 'join': {
+        const { how = 'inner', on, leftOn, rightOn } = args.options;
+        const keys = (names) => list([names ?? 'index'].flat());
+        const condition = on ? keys(on) : `${keys(leftOn)} = ${keys(rightOn)}`;
+        return `Join ${how} on ${condition}`;
+      }
+      case 'sort':
+        return `Sort by ${args.by}${args.descending ? ' desc' : ''}`;
+      case 'limit':
+        return `Limit ${args.n}`;
+      case 'union':
+        return `Union ${this.inputs.length} inputs`;
+      case 'apply':
+        return 'Apply <function>';
+      default:
+        return this.op;
+    }
+  }
+
+  /**
+   * Indented tree of this node and its inputs
+   * @param {number} [depth=0] - Indentation level
+   * @returns {string}
+   */
+  format(depth = 0) {
+    const lines = ['  '.repeat(depth) + this.describe()];
+    for (const input of this.inputs) lines.push(input.format(depth + 1));
+    return lines.join('\n');
   }
 
   /**
@@ -30,19 +135,3 @@ export class LazyNode {
     return `LazyNode(${this.op})`;
   }
 }
-
-/**
- * Why it's needed:
- *
- * LazyFrame currently stores an array of "raw" objects { op, ... }.
- * When an optimizer is added, it will be more convenient to build a graph from LazyNode —
- * easier to type, reorder, cache expression hashes.
- *
- * Already now you can create:
- *
- * new LazyNode('filter', { fn })
- * new LazyNode('select', { cols: ['price'] })
- * and store them in this._plan.
- *
- * This is sufficient to later extend (add id, parents, hash) without changing the public API.
- */
@@ -0,0 +1,243 @@
+// src/core/lazy/aggregators.js
+
+/**
+ * Aggregations that can be computed one value at a time, for streaming
+ * groupBy and Accumulator: each keeps a small state per group that is
+ * updated with every row, can be merged with the state of another part
+ * of the same group, and is turned into the result at the end. Results
+ * match the Series aggregations they stand in for (nulls and NaN are
+ * skipped, var and std use n - 1); approxQuantile() and approxNUnique()
+ * trade exactness for a state of bounded size.
+ *
+ * @module core/lazy/aggregators
+ */
+
+import { col } from '../expr/index.js';
+import {
+  normalizeAggSpec,
+  isFoldingReducer,
+  isBuiltInReducer,
+} from '../dataframe/reducers.js';
+import { TDigest } from '../utils/tdigest.js';
+import { HyperLogLog } from '../utils/hyperLogLog.js';
+
+const isMissing = (v) => v === null || v === undefined || Number.isNaN(v);
+
+/** Dates count as the same value when they are the same time */
+const key = (v) => (v instanceof Date ? v.getTime() : v);
+
+/**
+ * @param {*} v - Value
+ * @returns {number|null} - The value as a number, null when it is missing
+ *   or not numeric
+ */
+function numeric(v) {
+  if (isMissing(v)) return null;
+  const n = Number(v);
+  return Number.isNaN(n) ? null : n;
+}
+
+/**
+ * Welford's running mean and sum of squared deviations; two parts merge
+ * with Chan et al.'s pairwise update
+ */
+const moments = {
+  init: () => ({ n: 0, mean: 0, m2: 0 }),
+  update(state, v) {
+    const x = numeric(v);
+    if (x === null) return state;
+    state.n++;
+    const delta = x - state.mean;
+    state.mean += delta / state.n;
+    state.m2 += delta * (x - state.mean);
+    return state;
+  },
+  merge(a, b) {
+    const n = a.n + b.n;
+    if (n === 0) return a;
+    const delta = b.mean - a.mean;
+    return {
+      n,
+      mean: a.mean + (delta * b.n) / n,
+      m2: a.m2 + b.m2 + (delta * delta * a.n * b.n) / n,
+    };
+  },
+};
+
+/** First or last value: whether a part saw any row, and that row's value */
+const seen = () => ({ seen: false, value: null });
+
+/** Distinct values seen, missing ones left out */
+const distinct = {
+  init: () => new Set(),
+  update: (values, v) => (isMissing(v) ? values : values.add(key(v))),
+  merge(a, b) {
+    for (const v of b) a.add(v);
+    return a;
+  },
+  finalize: (values) => values.size,
+};
+
+const variance = ({ n, m2 }) => {
+  if (n === 0) return null;
+  return n === 1 ? 0 : m2 / (n - 1);
+};
+
+/**
+ * Aggregators by aggregation name: init() creates the state of a new
+ * group, update(state, value) folds in one value and returns the state,
+ * merge(a, b) returns the state of a part a followed by a part b, and
+ * finalize(state) returns the result. update and merge may change the
+ * state they are given.
+ */
+export const AGGREGATORS = Object.freeze({
+  sum: {
+    init: () => 0,
+    update: (total, v) => total + (numeric(v) ?? 0),
+    merge: (a, b) => a + b,
+    finalize: (total) => total,
+  },
+  count: {
+    init: () => 0,
+    update: (n, v) => (isMissing(v) ? n : n + 1),
+    merge: (a, b) => a + b,
+    finalize: (n) => n,
+  },
+  mean: {
+    init: () => ({ sum: 0, n: 0 }),
+    update(state, v) {
+      const x = numeric(v);
+      if (x !== null) {
+        state.sum += x;
+        state.n++;
+      }
+      return state;
+    },
+    merge: (a, b) => ({ sum: a.sum + b.sum, n: a.n + b.n }),
+    finalize: ({ sum, n }) => (n > 0 ? sum / n : null),
+  },
+  min: {
+    init: () => Infinity,
+    update: (low, v) => Math.min(low, numeric(v) ?? Infinity),
+    merge: Math.min,
+    finalize: (low) => (low === Infinity ? null : low),
+  },
+  max: {
+    init: () => -Infinity,
+    update: (high, v) => Math.max(high, numeric(v) ?? -Infinity),
+    merge: Math.max,
+    finalize: (high) => (high === -Infinity ? null : high),
+  },
+  var: { ...moments, finalize: variance },
+  std: {
+    ...moments,
+    finalize(state) {
+      const v = variance(state);
+      return v === null ? null : Math.sqrt(v);
+    },
+  },
+  first: {
+    init: seen,
+    update(state, v) {
+      if (!state.seen) {
+        state.seen = true;
+        state.value = v;
+      }
+      return state;
+    },
+    merge: (a, b) => (a.seen ? a : b),
+    finalize: ({ value }) => value,
+  },
+  last: {
+    init: seen,
+    update(state, v) {
+      state.seen = true;
+      state.value = v;
+      return state;
+    },
+    merge: (a, b) => (b.seen ? b : a),
+    finalize: ({ value }) => value,
+  },
+  nUnique: distinct,
+  nunique: distinct,
+});
+
+/**
+ * Approximate quantile from a t-digest, for data too large to keep
+ * whole; usable wherever a reducer is, e.g. `{ p99: ['lat', approxQuantile(0.99)] }`
+ * @param {number} p - Quantile between 0 and 1
+ * @param {Object} [options] - Options
+ * @param {number} [options.compression=100] - Digest size (see TDigest)
+ * @returns {Object} - Aggregator named `approxQ99` for 0.99
+ */
+export function approxQuantile(p, options = {}) {
+  if (typeof p !== 'number' || !(p >= 0 && p <= 1)) {
+    throw new Error('Quantile must be between 0 and 1 inclusive');
+  }
+  const { compression = 100 } = options;
+  new TDigest(compression); // validates compression up front
+  return {
+    name: `approxQ${Number((p * 100).toFixed(6))}`,
+    init: () => new TDigest(compression),
+    update: (digest, v) => digest.add(numeric(v) ?? NaN),
+    merge: (a, b) => a.merge(b),
+    finalize: (digest) => digest.quantile(p),
+  };
+}
+
+/**
+ * Approximate number of distinct values from a HyperLogLog sketch
+ * @param {Object} [options] - Options
+ * @param {number} [options.precision=14] - Register bits (see HyperLogLog)
+ * @returns {Object} - Aggregator named `approxNUnique`
+ */
+export function approxNUnique(options = {}) {
+  const { precision = 14 } = options;
+  new HyperLogLog(precision); // validates precision up front
+  return {
+    name: 'approxNUnique',
+    init: () => new HyperLogLog(precision),
+    update: (sketch, v) => sketch.add(v),
+    merge: (a, b) => a.merge(b),
+    finalize: (sketch) => sketch.count(),
+  };
+}
+
+/**
+ * Splits groupBy aggregations into what streaming needs, if every one is
+ * a single aggregation of a row-wise expression with an aggregator,
+ * e.g. `col('price').mul(col('qty')).sum().alias('notional')`, or an
+ * object spec whose reducers are built-in aggregators or folding
+ * reducers (see core/dataframe/reducers.js)
+ * @param {Array|Object} aggs - groupBy aggregations
+ * @returns {Array<{name: string, arg: Expr, aggregator: Object}>|null} -
+ *   Output name, expression to aggregate and aggregator of each, or null
+ *   when some aggregation needs all values of a group at once
+ */
+export function streamingAggregations(aggs) {
+  if (!Array.isArray(aggs)) return specAggregations(aggs);
+  const specs = [];
+  for (const expr of aggs) {
+    const inner = expr.kind === 'alias' ? expr.arg : expr;
+    const aggregator = inner.kind === 'agg' && AGGREGATORS[inner.op];
+    if (!aggregator || inner.args[0].isAggregation()) return null;
+    specs.push({ name: expr.outputName, arg: inner.args[0], aggregator });
+  }
+  return specs;
+}
+
+/**
+ * @param {Object} spec - Object spec as in GroupByCore.agg()
+ * @returns {Array<{name: string, arg: Expr, aggregator: Object}>|null}
+ */
+function specAggregations(spec) {
+  const specs = [];
+  for (const { name, column, reducer, op } of normalizeAggSpec(spec)) {
+    const aggregator = isFoldingReducer(reducer)
+      ? reducer
+      : op !== undefined && isBuiltInReducer(op) && AGGREGATORS[op];
+    if (!aggregator) return null;
+    specs.push({ name, arg: col(column), aggregator });
+  }
+  return specs;
+}
@@ -0,0 +1,68 @@
+// src/core/lazy/batches.js
+
+/**
+ * Helpers for the batches streaming execution passes between steps
+ *
+ * @module core/lazy/batches
+ */
+
+import { slice } from '../../methods/dataframe/indexing/slice.js';
+
+/** Rows looked at per column to estimate the size of a batch */
+const SAMPLE_ROWS = 64;
+
+/**
+ * Splits a frame into zero-copy views of at most `size` rows (the frame
+ * itself when it is empty, so its columns are still seen)
+ * @param {DataFrame} df - Frame
+ * @param {number} size - Rows per batch
+ * @returns {Generator<DataFrame>}
+ */
+export function* batchesOf(df, size) {
+  if (df.rowCount <= size) {
+    yield df;
+    return;
+  }
+  for (let start = 0; start < df.rowCount; start += size) {
+    yield slice(df, start, start + size);
+  }
+}
+
+/**
+ * Approximate memory held by the rows of a frame, from a sample of its
+ * values: 8 bytes per number, two per string character
+ * @param {DataFrame} df - Frame
+ * @returns {number} - Bytes
+ */
+export function estimateBytes(df) {
+  const rows = df.rowCount;
+  if (rows === 0) return 0;
+  const step = Math.max(1, Math.floor(rows / SAMPLE_ROWS));
+  let total = 0;
+  for (const name of df.columns) {
+    const vector = df.col(name).vector;
+    let sampled = 0;
+    let bytes = 0;
+    for (let i = 0; i < rows; i += step) {
+      bytes += valueBytes(vector.get(i));
+      sampled++;
+    }
+    total += (bytes / sampled) * rows;
+  }
+  return Math.ceil(total);
+}
+
+/**
+ * @param {*} value - Cell value
+ * @returns {number} - Approximate bytes
+ */
+function valueBytes(value) {
+  switch (typeof value) {
+    case 'string':
+      return 16 + 2 * value.length;
+    case 'object':
+      return value instanceof Date ? 32 : 16;
+    default:
+      return 8;
+  }
+}
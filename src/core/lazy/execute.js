@@ -0,0 +1,117 @@
+// src/core/lazy/execute.js
+
+/**
+ * In-memory execution of an optimized LazyFrame plan: every operation
+ * receives its whole input as one DataFrame. streaming.js runs the same
+ * plans batch by batch and falls back to this for single steps.
+ *
+ * @module core/lazy/execute
+ */
+
+import { GroupByCore } from '../dataframe/GroupByCore.js';
+import { slice } from '../../methods/dataframe/indexing/slice.js';
+import { filter } from '../../methods/dataframe/filtering/filter.js';
+import { select } from '../../methods/dataframe/filtering/select.js';
+import { withColumns } from '../../methods/dataframe/transform/withColumns.js';
+import { sort } from '../../methods/dataframe/transform/sort.js';
+import { join } from '../../methods/dataframe/transform/join.js';
+import { concat } from '../../methods/dataframe/transform/concat.js';
+import { LazyNode } from './LazyNode.js';
+
+const joinFrames = join();
+
+/**
+ * @param {LazyNode} node - Plan
+ * @returns {boolean} - Whether the plan reads an external source
+ */
+export function hasScan(node) {
+  return node.op === 'scan' || node.inputs.some(hasScan);
+}
+
+/**
+ * Reads every scan of a plan, one after another, with the pushdown the
+ * optimizer gave it
+ * @param {LazyNode} node - Plan
+ * @returns {Promise<LazyNode>} - Same plan with in-memory sources
+ */
+export async function loadScans(node) {
+  if (node.op === 'scan') {
+    const { read, columns, predicate, fn, limit } = node.args;
+    const df = await read({ columns, predicate, fn, limit });
+    return new LazyNode('source', { df });
+  }
+  const inputs = [];
+  for (const input of node.inputs) inputs.push(await loadScans(input));
+  return node.with({ inputs });
+}
+
+/**
+ * Executes an (optimized) plan without scans
+ * @param {LazyNode} node - Plan
+ * @returns {DataFrame}
+ */
+export function execute(node) {
+  const { op, args } = node;
+  switch (op) {
+    case 'source':
+      return args.columns ? select(args.df, args.columns) : args.df;
+    case 'join':
+      return joinFrames(
+        execute(node.inputs[0]),
+        execute(node.inputs[1]),
+        args.options,
+      );
+    case 'union':
+      return concatFrames(node.inputs.map(execute));
+    default:
+      break;
+  }
+
+  const df = execute(node.input);
+  switch (op) {
+    case 'filter':
+      return filter(df, args.predicate ?? args.fn);
+    case 'select':
+      return select(df, args.cols);
+    case 'withColumns':
+      return withColumns(df, args.exprs);
+    case 'groupBy':
+      return new GroupByCore(df, args.by, args.options).agg(args.aggs);
+    case 'sort':
+      return sort(df, args.by, { descending: args.descending });
+    case 'limit':
+      // zero-copy view over the first n rows
+      return slice(df, 0, args.n);
+    case 'apply':
+      return args.fn(df);
+    default:
+      throw new Error(`LazyFrame: unknown operation '${op}'`);
+  }
+}
+
+/**
+ * @param {DataFrame[]} frames - Frames with the same columns
+ * @returns {DataFrame} - Their rows, one frame after another
+ */
+export function concatFrames(frames) {
+  if (frames.length === 1) return frames[0];
+  const columns = frames[0].columns;
+  for (const df of frames) assertSameColumns(columns, df);
+  return concat(frames, { ignoreIndex: true });
+}
+
+/**
+ * @param {string[]} columns - Expected columns
+ * @param {DataFrame} df - Frame to check
+ * @throws {Error} When the frame has other columns
+ */
+export function assertSameColumns(columns, df) {
+  const same =
+    df.columns.length === columns.length &&
+    columns.every((c) => df.columns.includes(c));
+  if (!same) {
+    throw new Error(
+      `union() expects the same columns in every frame, got [${df.columns}] and [${columns}]`,
+    );
+  }
+}
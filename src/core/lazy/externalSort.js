@@ -0,0 +1,217 @@
+// src/core/lazy/externalSort.js
+
+/**
+ * External merge sort for streaming execution: batches are buffered up
+ * to a memory budget, each full buffer is sorted and written to a
+ * temporary file (a "run"), and the runs are merged back in order,
+ * reading one row of each at a time. Data that fits in the budget is
+ * sorted in memory and never touches the disk.
+ *
+ * Runs are JSON Lines files: the column names, then one array of values
+ * per row (Dates are stored as `{"$date": ms}`). They are deleted when
+ * the merge ends, also when the consumer stops early.
+ *
+ * @module core/lazy/externalSort
+ */
+
+import { DataFrame } from '../dataframe/DataFrame.js';
+import { sort, compareValues } from '../../methods/dataframe/transform/sort.js';
+import { concatFrames } from './execute.js';
+import { batchesOf, estimateBytes } from './batches.js';
+
+/**
+ * Sorts a stream of batches by one column
+ * @param {AsyncIterable<DataFrame>} batches - Input batches
+ * @param {Object} options - Options
+ * @param {string} options.by - Column to sort by
+ * @param {boolean} [options.descending=false] - Sort in descending order
+ * @param {number} options.memoryLimit - Bytes buffered before a run is spilled
+ * @param {number} options.batchSize - Rows per output batch
+ * @param {string} [options.tempDir] - Directory for the runs (os.tmpdir())
+ * @returns {AsyncGenerator<DataFrame>} Sorted batches
+ */
+export async function* externalSort(batches, options) {
+  const { by, descending = false, memoryLimit, batchSize, tempDir } = options;
+  const sortFrames = (frames) => sort(concatFrames(frames), by, { descending });
+
+  let buffered = [];
+  let bytes = 0;
+  let spill = null;
+  try {
+    for await (const batch of batches) {
+      buffered.push(batch);
+      bytes += estimateBytes(batch);
+      if (bytes > memoryLimit) {
+        spill ??= await createSpill(tempDir);
+        await spill.write(sortFrames(buffered));
+        buffered = [];
+        bytes = 0;
+      }
+    }
+
+    if (!spill) {
+      yield* batchesOf(sortFrames(buffered), batchSize);
+      return;
+    }
+    if (buffered.length > 0) await spill.write(sortFrames(buffered));
+    yield* mergeRuns(spill.files, { by, descending, batchSize });
+  } finally {
+    if (spill) await spill.remove();
+  }
+}
+
+/**
+ * Temporary directory holding the runs of one sort
+ * @param {string} [tempDir] - Parent directory
+ * @returns {Promise<{files: string[], write: Function, remove: Function}>}
+ */
+async function createSpill(tempDir) {
+  const fs = await import('fs/promises');
+  const os = await import('os');
+  const path = await import('path');
+  const dir = await fs.mkdtemp(
+    path.join(tempDir ?? os.tmpdir(), 'tinyframe-sort-'),
+  );
+  const files = [];
+
+  return {
+    files,
+    async write(df) {
+      const file = path.join(dir, `run-${files.length}.jsonl`);
+      files.push(file);
+      await writeRun(fs, file, df);
+    },
+    remove: () => fs.rm(dir, { recursive: true, force: true }),
+  };
+}
+
+/**
+ * Writes a sorted frame as a run file
+ * @param {Object} fs - fs/promises
+ * @param {string} file - Path of the run
+ * @param {DataFrame} df - Sorted rows
+ */
+async function writeRun(fs, file, df) {
+  const columns = df.columns.map((name) => df.col(name).toArray());
+  const handle = await fs.open(file, 'w');
+  try {
+    let lines = [JSON.stringify(df.columns)];
+    for (let i = 0; i < df.rowCount; i++) {
+      lines.push(JSON.stringify(columns.map((values) => encode(values[i]))));
+      if (lines.length >= 1000) {
+        await handle.write(lines.join('\n') + '\n');
+        lines = [];
+      }
+    }
+    if (lines.length > 0) await handle.write(lines.join('\n') + '\n');
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * k-way merge of sorted runs; on equal keys the earlier run goes first,
+ * so the sort stays stable
+ * @param {string[]} files - Run files, in input order
+ * @param {{by: string, descending: boolean, batchSize: number}} options
+ * @returns {AsyncGenerator<DataFrame>} Sorted batches
+ */
+async function* mergeRuns(files, { by, descending, batchSize }) {
+  const runs = [];
+  try {
+    for (const file of files) runs.push(await openRun(file));
+    const { columns } = runs[0];
+    const position = columns.indexOf(by);
+    let active = [];
+    for (const run of runs) {
+      if (await run.advance()) active.push(run);
+    }
+
+    let data = columns.map(() => []);
+    let yielded = false;
+    while (active.length > 0) {
+      let next = active[0];
+      for (const run of active) {
+        if (
+          compareValues(run.row[position], next.row[position], descending) < 0
+        ) {
+          next = run;
+        }
+      }
+      for (let i = 0; i < columns.length; i++) data[i].push(next.row[i]);
+      if (!(await next.advance())) active = active.filter((r) => r !== next);
+
+      if (data[0].length >= batchSize || active.length === 0) {
+        yield toFrame(columns, data);
+        yielded = true;
+        data = columns.map(() => []);
+      }
+    }
+    if (!yielded) yield toFrame(columns, data);
+  } finally {
+    for (const run of runs) run.close();
+  }
+}
+
+/**
+ * @param {string[]} columns - Column names
+ * @param {Array[]} data - Values of each column
+ * @returns {DataFrame}
+ */
+function toFrame(columns, data) {
+  return new DataFrame(
+    Object.fromEntries(columns.map((name, i) => [name, data[i]])),
+  );
+}
+
+/**
+ * Opens a run for reading row by row
+ * @param {string} file - Run file
+ * @returns {Promise<{columns: string[], row: Array, advance: Function, close: Function}>}
+ *   advance() reads the next row into `row` and resolves to false at the end
+ */
+async function openRun(file) {
+  const { createReadStream } = await import('fs');
+  const readline = await import('readline');
+  const input = createReadStream(file, { encoding: 'utf8' });
+  const lines = readline
+    .createInterface({ input, crlfDelay: Infinity })
+    [Symbol.asyncIterator]();
+
+  const header = await lines.next();
+  const run = {
+    columns: JSON.parse(header.value),
+    row: null,
+    async advance() {
+      const { value, done } = await lines.next();
+      run.row = done ? null : JSON.parse(value, decode);
+      return !done;
+    },
+    close() {
+      lines.return?.();
+      input.destroy();
+    },
+  };
+  return run;
+}
+
+/**
+ * @param {*} value - Cell value
+ * @returns {*} - JSON-safe value
+ */
+function encode(value) {
+  if (value instanceof Date) return { $date: value.getTime() };
+  return value === undefined ? null : value;
+}
+
+/**
+ * JSON.parse reviver restoring encoded values
+ * @param {string} _ - Key
+ * @param {*} value - Parsed value
+ * @returns {*}
+ */
+function decode(_, value) {
+  return value !== null && typeof value === 'object' && '$date' in value
+    ? new Date(value.$date)
+    : value;
+}
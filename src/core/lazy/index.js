@@ -1,2 +1,4 @@
 // src/core/lazy/index.js
 export { LazyFrame } from './LazyFrame.js';
+export { Accumulator } from './Accumulator.js';
+export { AGGREGATORS, approxQuantile, approxNUnique } from './aggregators.js';
@@ -1,48 +1,418 @@
 // src/core/lazy/optimizer.js
+import { LazyNode } from './LazyNode.js';
+import { isExpr, foldConstants } from '../expr/index.js';
+import { normalizeAggSpec } from '../dataframe/reducers.js';
+
 /**
- * Simple optimizer for LazyFrame DAG plan.
- * Currently does two things:
- *   1) Merges consecutive filter nodes into one composite filter
- *   2) Moves select "above" filter (push-down projection),
- *      so that fewer columns run through the chain
+ * Optimizer for the LazyFrame logical plan (a tree of LazyNode).
+ * Runs four rewrites, each returning NEW nodes:
+ *   1) Constant folding: literal-only parts of expressions are computed
+ *      once, and filters that are always true are dropped
+ *   2) Predicate pushdown: expression filters are split on `and` and
+ *      each part moves below selects, withColumns, sorts, group keys,
+ *      unions and into the matching side of a join; filters that meet
+ *      are merged
+ *   3) Limit pushdown: limits move below row-wise projections, so
+ *      expressions are computed for the kept rows only
+ *   4) Projection pushdown: sources read only the columns some later
+ *      step uses, and withColumns drops columns nobody reads
  *
- * The plan is stored as an array of nodes { op, ... } (see LazyFrame._plan).
- * Returns a NEW array of steps.
+ * Function filters and apply() are opaque: nothing moves across them
+ * that would change which columns they see, but neighbouring function
+ * filters are still combined into one.
  *
- * ⚠  First iteration: without complex transformations or expression analysis.
+ * Scans of external sources (see LazyFrame.fromScan) take filters,
+ * limits and projections into their own args, so they are applied while
+ * the data is read.
  *
- * @param {Array<{ op:string, [key:string]:any }>} plan
- * @returns {Array<{ op:string, [key:string]:any }>}
+ * @param {LazyNode} root - Plan to optimize
+ * @returns {LazyNode} - Equivalent plan
+ */
+export function optimize(root) {
+  let plan = transform(root, foldNodeConstants);
+  plan = transform(plan, pushNodePredicate);
+  plan = transform(plan, (node) =>
+    node.op === 'limit' ? pushLimit(node.args.n, node.input) : node,
+  );
+  return pruneColumns(plan, null);
+}
+
+/**
+ * Column names a plan produces, when they are known without running it
+ * @param {LazyNode} node - Plan
+ * @returns {string[]|null}
+ */
+export function schemaOf(node) {
+  const { op, args } = node;
+  switch (op) {
+    case 'source':
+      return args.columns ?? args.df?.columns ?? null;
+    case 'scan':
+      return args.columns ?? null;
+    case 'filter':
+    case 'sort':
+    case 'limit':
+    case 'union':
+      return schemaOf(node.input);
+    case 'select':
+      return args.cols.map((c) => (isExpr(c) ? c.outputName : c));
+    case 'withColumns': {
+      const columns = schemaOf(node.input);
+      if (!columns) return null;
+      const out = [...columns];
+      for (const expr of args.exprs) {
+        if (!out.includes(expr.outputName)) out.push(expr.outputName);
+      }
+      return out;
+    }
+    case 'groupBy':
+      return Array.isArray(args.aggs)
+        ? [...args.by, ...args.aggs.map((expr) => expr.outputName)]
+        : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Rebuilds a plan bottom-up, keeping nodes whose inputs did not change
+ * @param {LazyNode} node - Plan
+ * @param {(node: LazyNode) => LazyNode} fn - Rewrite of one node
+ * @returns {LazyNode}
+ */
+function transform(node, fn) {
+  const inputs = node.inputs.map((input) => transform(input, fn));
+  const changed = inputs.some((input, i) => input !== node.inputs[i]);
+  return fn(changed ? node.with({ inputs }) : node);
+}
+
+/* -------------------------------------------------- *
+ *  1. Constant folding                                *
+ * -------------------------------------------------- */
+
+function foldNodeConstants(node) {
+  const { op, args } = node;
+  const fold = (c) => (isExpr(c) ? foldConstants(c) : c);
+  switch (op) {
+    case 'filter': {
+      if (!args.predicate) return node;
+      const predicate = foldConstants(args.predicate, { keepName: false });
+      if (predicate.kind === 'literal' && predicate.value === true) {
+        return node.input;
+      }
+      return node.with({ args: { ...args, predicate } });
+    }
+    case 'select':
+      return node.with({ args: { ...args, cols: args.cols.map(fold) } });
+    case 'withColumns':
+      return node.with({ args: { ...args, exprs: args.exprs.map(fold) } });
+    case 'groupBy':
+      if (!Array.isArray(args.aggs)) return node;
+      return node.with({ args: { ...args, aggs: args.aggs.map(fold) } });
+    default:
+      return node;
+  }
+}
+
+/* -------------------------------------------------- *
+ *  2. Predicate pushdown                              *
+ * -------------------------------------------------- */
+
+function pushNodePredicate(node) {
+  if (node.op !== 'filter') return node;
+  const { predicate, fn } = node.args;
+
+  if (fn) {
+    const below = node.input;
+    if (below.op === 'scan' && below.args.limit === undefined) {
+      // Rows are tested while they are read
+      return below.with({
+        args: { ...below.args, fn: both(below.args.fn, fn) },
+      });
+    }
+    if (below.op !== 'filter' || !below.args.fn) return node;
+    return new LazyNode('filter', { fn: both(below.args.fn, fn) }, [
+      below.input,
+    ]);
+  }
+
+  // A predicate with an aggregation depends on every row it sees,
+  // so it has to stay where it is
+  if (predicate.isAggregation()) return node;
+  return pushFilter(conjuncts(predicate), node.input);
+}
+
+/**
+ * Combines row predicates, keeping references to the originals to
+ * avoid circular references
+ * @param {Function} [first] - Runs first, may be missing
+ * @param {Function} second - Runs on rows passing first
+ * @returns {Function}
+ */
+function both(first, second) {
+  return first ? (row) => first(row) && second(row) : second;
+}
+
+/**
+ * @param {Expr} predicate - Boolean expression
+ * @returns {Expr[]} - Parts joined by `and`
+ */
+function conjuncts(predicate) {
+  if (predicate.kind === 'binary' && predicate.op === 'and') {
+    return predicate.args.flatMap(conjuncts);
+  }
+  return [predicate];
+}
+
+/**
+ * Places filters as far below node as they can go
+ * @param {Expr[]} predicates - Row-wise predicates (all must hold)
+ * @param {LazyNode} node - Plan the predicates apply to
+ * @returns {LazyNode}
+ */
+function pushFilter(predicates, node) {
+  const { op, args } = node;
+  const reads = (predicate, columns) =>
+    predicate.columns().every((c) => columns.includes(c));
+
+  switch (op) {
+    case 'filter':
+      if (args.predicate && !args.predicate.isAggregation()) {
+        return pushFilter(
+          [...conjuncts(args.predicate), ...predicates],
+          node.input,
+        );
+      }
+      if (args.fn) {
+        return node.with({ inputs: [pushFilter(predicates, node.input)] });
+      }
+      return withFilter(node, predicates);
+    case 'sort':
+      return node.with({ inputs: [pushFilter(predicates, node.input)] });
+    case 'union':
+      return node.with({
+        inputs: node.inputs.map((input) => pushFilter(predicates, input)),
+      });
+    case 'select': {
+      // Only columns passed through unchanged can be filtered before
+      const kept = args.cols
+        .filter((c) => !isExpr(c) || c.kind === 'column')
+        .map((c) => (isExpr(c) ? c.name : c));
+      return pushPast(node, predicates, (p) => reads(p, kept));
+    }
+    case 'withColumns': {
+      if (args.exprs.some((expr) => expr.isAggregation())) {
+        return withFilter(node, predicates);
+      }
+      const added = args.exprs.map((expr) => expr.outputName);
+      return pushPast(node, predicates, (p) =>
+        p.columns().every((c) => !added.includes(c)),
+      );
+    }
+    case 'groupBy':
+      // A filter on the group keys removes whole groups
+      return pushPast(node, predicates, (p) => reads(p, args.by));
+    case 'join':
+      return pushIntoJoin(predicates, node);
+    case 'scan': {
+      // A scan with a limit already decided which rows it returns
+      if (args.limit !== undefined) return withFilter(node, predicates);
+      const all = args.predicate ? [args.predicate, ...predicates] : predicates;
+      return node.with({ args: { ...args, predicate: and(all) } });
+    }
+    default:
+      return withFilter(node, predicates);
+  }
+}
+
+/**
+ * Moves the predicates that pass canPass below a single-input node
  */
-export function optimize(plan) {
-  if (plan.length <= 2) return plan; // nothing to optimize
+function pushPast(node, predicates, canPass) {
+  const pushed = predicates.filter(canPass);
+  const kept = predicates.filter((p) => !canPass(p));
+  const next = pushed.length
+    ? node.with({ inputs: [pushFilter(pushed, node.input)] })
+    : node;
+  return withFilter(next, kept);
+}
 
-  const optimized = [plan[0]]; // first node is source
+/**
+ * Predicates on one side's own columns move into that side, unless the
+ * join keeps that side's unmatched rows padded with nulls from the
+ * other (a left join keeps right-side predicates above, and so on).
+ * Semi and anti joins only filter the left rows, so any predicate on
+ * their (left) columns moves left.
+ */
+function pushIntoJoin(predicates, node) {
+  const { how = 'inner', leftIndex, rightIndex } = node.args.options;
+  const [left, right] = node.inputs;
+  const leftCols = schemaOf(left);
+  const rightCols = schemaOf(right);
+  if (leftIndex || rightIndex || !leftCols || !rightCols) {
+    return withFilter(node, predicates);
+  }
 
-  for (let i = 1; i < plan.length; i++) {
-    const step = plan[i];
-    const prev = optimized[optimized.length - 1];
+  const only = (own, other) => (p) =>
+    p.columns().every((c) => own.includes(c) && !other.includes(c));
+  const filtersLeft = how === 'semi' || how === 'anti';
+  const toLeft = filtersLeft
+    ? predicates.filter(only(leftCols, []))
+    : ['inner', 'left', 'cross'].includes(how)
+      ? predicates.filter(only(leftCols, rightCols))
+      : [];
+  const toRight = ['inner', 'right', 'cross'].includes(how)
+    ? predicates.filter(only(rightCols, leftCols))
+    : [];
+  const kept = predicates.filter(
+    (p) => !toLeft.includes(p) && !toRight.includes(p),
+  );
 
-    /* ---------- 1. Merging filter + filter ---------- */
-    if (step.op === 'filter' && prev.op === 'filter') {
-      // Save original functions to avoid circular references
-      const prevFn = prev.fn;
-      const stepFn = step.fn;
-      prev.fn = (row) => prevFn(row) && stepFn(row);
-      continue; // don't push a new node
+  const joined = node.with({
+    inputs: [
+      toLeft.length ? pushFilter(toLeft, left) : left,
+      toRight.length ? pushFilter(toRight, right) : right,
+    ],
+  });
+  return withFilter(joined, kept);
+}
+
+/**
+ * @param {LazyNode} node - Plan
+ * @param {Expr[]} predicates - Predicates to apply on top (may be empty)
+ * @returns {LazyNode}
+ */
+function withFilter(node, predicates) {
+  if (predicates.length === 0) return node;
+  return new LazyNode('filter', { predicate: and(predicates) }, [node]);
+}
+
+/**
+ * @param {Expr[]} predicates - At least one predicate
+ * @returns {Expr} - All of them joined by `and`
+ */
+function and(predicates) {
+  return predicates.reduce((all, p) => all.and(p));
+}
+
+/* -------------------------------------------------- *
+ *  3. Limit pushdown                                  *
+ * -------------------------------------------------- */
+
+function pushLimit(n, node) {
+  switch (node.op) {
+    case 'limit':
+      return pushLimit(Math.min(n, node.args.n), node.input);
+    case 'scan': {
+      // Reading stops once n rows passed the scan's filters
+      const limit = Math.min(n, node.args.limit ?? Infinity);
+      return node.with({ args: { ...node.args, limit } });
+    }
+    case 'select':
+    case 'withColumns': {
+      const exprs = node.args.cols ?? node.args.exprs;
+      if (exprs.some((expr) => isExpr(expr) && expr.isAggregation())) break;
+      return node.with({ inputs: [pushLimit(n, node.input)] });
     }
+    default:
+      break;
+  }
+  return new LazyNode('limit', { n }, [node]);
+}
+
+/* -------------------------------------------------- *
+ *  4. Projection pushdown                             *
+ * -------------------------------------------------- */
+
+/**
+ * @param {LazyNode} node - Plan
+ * @param {Set<string>|null} required - Columns read from node's output,
+ *   null when all of them are (e.g. at the root)
+ * @returns {LazyNode}
+ */
+function pruneColumns(node, required) {
+  const { op, args } = node;
+  const readsOf = (exprs) =>
+    exprs.flatMap((e) => (isExpr(e) ? e.columns() : [e]));
+  const withInputs = (columns) =>
+    node.with({
+      inputs: node.inputs.map((input) => pruneColumns(input, columns)),
+    });
+  const plus = (names) => (required ? new Set([...required, ...names]) : null);
 
-    /* ---------- 2. Push-down select above filter ------ */
-    if (step.op === 'select' && prev.op === 'filter') {
-      // change order: select → filter
-      optimized.pop(); // remove prev
-      optimized.push(step); // put select
-      optimized.push(prev); // then filter
-      continue;
+  switch (op) {
+    case 'source': {
+      if (!required || !args.df) return node;
+      const all = args.columns ?? args.df.columns;
+      const columns = all.filter((c) => required.has(c));
+      if (columns.length === all.length) return node;
+      return node.with({ args: { ...args, columns } });
+    }
+    case 'scan': {
+      if (!required) return node;
+      const columns = args.columns
+        ? args.columns.filter((c) => required.has(c))
+        : [...required];
+      return node.with({ args: { ...args, columns } });
+    }
+    case 'select':
+      return withInputs(new Set(readsOf(args.cols)));
+    case 'filter':
+      return withInputs(args.fn ? null : plus(args.predicate.columns()));
+    case 'sort':
+      return withInputs(plus([args.by]));
+    case 'limit':
+    case 'union':
+      return withInputs(required);
+    case 'groupBy': {
+      const aggs = Array.isArray(args.aggs)
+        ? readsOf(args.aggs)
+        : normalizeAggSpec(args.aggs).map(({ column }) => column);
+      return withInputs(new Set([...args.by, ...aggs]));
+    }
+    case 'withColumns': {
+      if (!required) return withInputs(null);
+      const exprs = args.exprs.filter((e) => required.has(e.outputName));
+      const names = exprs.map((e) => e.outputName);
+      const needed = new Set([
+        ...[...required].filter((c) => !names.includes(c)),
+        ...readsOf(exprs),
+      ]);
+      const input = pruneColumns(node.input, needed);
+      if (exprs.length === 0) return input;
+      return node.with({ args: { ...args, exprs }, inputs: [input] });
     }
+    case 'join':
+      return pruneJoin(node, required);
+    default:
+      return withInputs(null);
+  }
+}
 
-    optimized.push(step);
+/**
+ * Each side keeps its keys, the columns it shares with the other side
+ * (they decide the suffixes) and the required ones it owns
+ */
+function pruneJoin(node, required) {
+  const { on, leftOn, rightOn, leftIndex, rightIndex } = node.args.options;
+  const [left, right] = node.inputs;
+  const leftCols = schemaOf(left);
+  const rightCols = schemaOf(right);
+  if (!required || leftIndex || rightIndex || !leftCols || !rightCols) {
+    return node.with({
+      inputs: [pruneColumns(left, null), pruneColumns(right, null)],
+    });
   }
 
-  return optimized;
+  const side = (own, other, keys) =>
+    new Set([
+      ...[keys ?? []].flat(),
+      ...own.filter((c) => other.includes(c) || required.has(c)),
+    ]);
+  return node.with({
+    inputs: [
+      pruneColumns(left, side(leftCols, rightCols, leftOn ?? on)),
+      pruneColumns(right, side(rightCols, leftCols, rightOn ?? on)),
+    ],
+  });
 }
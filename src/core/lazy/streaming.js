@@ -0,0 +1,283 @@
+// src/core/lazy/streaming.js
+
+/**
+ * Streaming execution of an optimized LazyFrame plan: every step is an
+ * async generator of DataFrame batches pulling from the steps below, so
+ * at any time only a few batches (plus the state of groupBy and sort)
+ * are in memory.
+ *
+ *   source, scan           batches of the frame / of the reader
+ *   filter, select,        run on each batch (expressions with
+ *   withColumns            aggregations need the whole input)
+ *   limit                  stops pulling once it has n rows
+ *   union                  batches of each input in turn
+ *   groupBy                one partial state per group (Accumulator.js)
+ *   sort                   external merge sort (externalSort.js)
+ *   join                   inner/left/semi/anti/cross: the right side
+ *                          is read whole, left batches are joined one
+ *                          at a time
+ *
+ * Anything else runs in memory (execute.js) once its input is read, as
+ * long as that input stays within memoryLimit.
+ *
+ * Every step yields at least one batch, possibly empty, so the columns
+ * of an empty result are known.
+ *
+ * @module core/lazy/streaming
+ */
+
+import { slice } from '../../methods/dataframe/indexing/slice.js';
+import { select } from '../../methods/dataframe/filtering/select.js';
+import { isExpr } from '../expr/index.js';
+import { LazyNode } from './LazyNode.js';
+import { execute, concatFrames, assertSameColumns } from './execute.js';
+import { streamingAggregations } from './aggregators.js';
+import { Accumulator } from './Accumulator.js';
+import { externalSort } from './externalSort.js';
+import { batchesOf, estimateBytes } from './batches.js';
+
+const DEFAULT_BATCH_SIZE = 10000;
+const DEFAULT_MEMORY_LIMIT = 256 * 1024 * 1024;
+
+/**
+ * Executes a plan batch by batch
+ * @param {LazyNode} plan - Optimized plan
+ * @param {Object} [options] - Options
+ * @param {number} [options.batchSize=10000] - Rows per batch
+ * @param {number} [options.memoryLimit=268435456] - Approximate bytes a step may hold
+ * @param {string} [options.tempDir] - Directory for sort spill files
+ * @returns {AsyncGenerator<DataFrame>} Non-empty result batches (a single
+ *   empty one when the result has no rows)
+ */
+export async function* streamPlan(plan, options = {}) {
+  const {
+    batchSize = DEFAULT_BATCH_SIZE,
+    memoryLimit = DEFAULT_MEMORY_LIMIT,
+    tempDir,
+  } = options;
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error('batchSize must be a positive integer');
+  }
+  if (typeof memoryLimit !== 'number' || !(memoryLimit > 0)) {
+    throw new Error('memoryLimit must be a positive number of bytes');
+  }
+
+  let empty = null;
+  let rows = 0;
+  for await (const batch of stream(plan, { batchSize, memoryLimit, tempDir })) {
+    if (batch.rowCount === 0) {
+      empty ??= batch;
+      continue;
+    }
+    rows += batch.rowCount;
+    yield batch;
+  }
+  if (rows === 0 && empty) yield empty;
+}
+
+/**
+ * @param {LazyNode} node - Plan step
+ * @param {{batchSize: number, memoryLimit: number, tempDir?: string}} ctx
+ * @returns {AsyncGenerator<DataFrame>}
+ */
+function stream(node, ctx) {
+  const { op, args } = node;
+  switch (op) {
+    case 'source':
+      return fromFrame(
+        args.columns ? select(args.df, args.columns) : args.df,
+        ctx,
+      );
+    case 'scan':
+      return scanBatches(node, ctx);
+    case 'filter':
+      return args.predicate?.isAggregation()
+        ? runWhole(node, ctx)
+        : mapBatches(node, ctx);
+    case 'select':
+    case 'withColumns': {
+      const exprs = op === 'select' ? args.cols : args.exprs;
+      return exprs.some((e) => isExpr(e) && e.isAggregation())
+        ? runWhole(node, ctx)
+        : mapBatches(node, ctx);
+    }
+    case 'limit':
+      return limitBatches(node, ctx);
+    case 'union':
+      return unionBatches(node, ctx);
+    case 'sort':
+      return externalSort(stream(node.input, ctx), { ...args, ...ctx });
+    case 'groupBy': {
+      return streamingAggregations(args.aggs)
+        ? groupBatches(node, ctx)
+        : runWhole(node, ctx);
+    }
+    case 'join':
+      return probesLeft(args.options)
+        ? joinBatches(node, ctx)
+        : runWhole(node, ctx);
+    default:
+      return runWhole(node, ctx);
+  }
+}
+
+/**
+ * @param {DataFrame} df - In-memory frame
+ * @param {{batchSize: number}} ctx
+ * @returns {AsyncGenerator<DataFrame>}
+ */
+async function* fromFrame(df, ctx) {
+  yield* batchesOf(df, ctx.batchSize);
+}
+
+/**
+ * Batches of a scan, with the pushdown the optimizer gave it
+ * @param {LazyNode} node - Scan step
+ * @param {{batchSize: number}} ctx
+ * @returns {AsyncGenerator<DataFrame>}
+ */
+async function* scanBatches(node, ctx) {
+  const { read, batches, columns, predicate, fn, limit } = node.args;
+  const pushdown = { columns, predicate, fn, limit };
+  if (!batches) {
+    yield* fromFrame(await read(pushdown), ctx);
+    return;
+  }
+  yield* batches({ ...pushdown, batchSize: ctx.batchSize });
+}
+
+/**
+ * Runs a row-wise step on each batch of its input
+ * @param {LazyNode} node - filter, select or withColumns step
+ * @param {Object} ctx
+ * @returns {AsyncGenerator<DataFrame>}
+ */
+async function* mapBatches(node, ctx) {
+  for await (const batch of stream(node.input, ctx)) {
+    yield execute(node.with({ inputs: [frameNode(batch)] }));
+  }
+}
+
+/**
+ * @param {LazyNode} node - limit step
+ * @param {Object} ctx
+ * @returns {AsyncGenerator<DataFrame>}
+ */
+async function* limitBatches(node, ctx) {
+  let remaining = node.args.n;
+  // Returning closes the input, which stops reading
+  for await (const batch of stream(node.input, ctx)) {
+    const take = Math.min(remaining, batch.rowCount);
+    yield take < batch.rowCount ? slice(batch, 0, take) : batch;
+    remaining -= take;
+    if (remaining <= 0) return;
+  }
+}
+
+/**
+ * @param {LazyNode} node - union step
+ * @param {Object} ctx
+ * @returns {AsyncGenerator<DataFrame>}
+ */
+async function* unionBatches(node, ctx) {
+  let columns = null;
+  for (const input of node.inputs) {
+    for await (const batch of stream(input, ctx)) {
+      columns ??= batch.columns;
+      assertSameColumns(columns, batch);
+      yield batch;
+    }
+  }
+}
+
+/**
+ * Aggregates each group with one state per aggregation, updated row by
+ * row (see Accumulator)
+ * @param {LazyNode} node - groupBy step
+ * @param {Object} ctx
+ * @returns {AsyncGenerator<DataFrame>}
+ */
+async function* groupBatches(node, ctx) {
+  const { by, aggs, options } = node.args;
+  const accumulator = new Accumulator(aggs, { ...options, by });
+  for await (const batch of stream(node.input, ctx)) accumulator.update(batch);
+  yield accumulator.result();
+}
+
+/**
+ * Whether a join can stream its left side: inner, left, semi, anti and
+ * cross joins on columns produce the result of each left row
+ * independently, unless validate needs to see all left keys at once
+ * @param {Object} options - Join options
+ * @returns {boolean}
+ */
+function probesLeft(options) {
+  const { how = 'inner', leftIndex, rightIndex, validate } = options;
+  return (
+    ['inner', 'left', 'semi', 'anti', 'cross'].includes(how) &&
+    !leftIndex &&
+    !rightIndex &&
+    validate !== 'one_to_one' &&
+    validate !== 'one_to_many'
+  );
+}
+
+/**
+ * Joins each left batch with the whole right side
+ * @param {LazyNode} node - join step
+ * @param {Object} ctx
+ * @returns {AsyncGenerator<DataFrame>}
+ */
+async function* joinBatches(node, ctx) {
+  const [left, right] = node.inputs;
+  const build = frameNode(await gather(node, right, ctx));
+  for await (const batch of stream(left, ctx)) {
+    yield execute(node.with({ inputs: [frameNode(batch), build] }));
+  }
+}
+
+/**
+ * Reads the whole input(s) of a step and runs it in memory
+ * @param {LazyNode} node - Plan step
+ * @param {Object} ctx
+ * @returns {AsyncGenerator<DataFrame>}
+ */
+async function* runWhole(node, ctx) {
+  const inputs = [];
+  for (const input of node.inputs) {
+    inputs.push(frameNode(await gather(node, input, ctx)));
+  }
+  yield* batchesOf(execute(node.with({ inputs })), ctx.batchSize);
+}
+
+/**
+ * Reads all batches of an input into one frame
+ * @param {LazyNode} node - Step that needs the whole input
+ * @param {LazyNode} input - Input to read
+ * @param {{memoryLimit: number}} ctx
+ * @returns {Promise<DataFrame>}
+ * @throws {Error} When the input grows beyond memoryLimit
+ */
+async function gather(node, input, ctx) {
+  const frames = [];
+  let bytes = 0;
+  for await (const batch of stream(input, ctx)) {
+    bytes += estimateBytes(batch);
+    if (bytes > ctx.memoryLimit) {
+      throw new Error(
+        `${node.describe()} needs its whole input in memory, which exceeds ` +
+          `memoryLimit (${ctx.memoryLimit} bytes)`,
+      );
+    }
+    frames.push(batch);
+  }
+  return concatFrames(frames);
+}
+
+/**
+ * @param {DataFrame} df - Frame
+ * @returns {LazyNode} - Source step over it
+ */
+function frameNode(df) {
+  return new LazyNode('source', { df });
+}
@@ -0,0 +1,403 @@
+// src/core/plugins.js
+
+/**
+ * Plugin API: `TinyFrame.use(plugin)` adds methods to DataFrame, Series
+ * and GroupBy, namespaced accessors (`df.ta.sma()`), IO formats and
+ * reducers for aggregation specs (see dataframe/reducers.js).
+ *
+ * ```js
+ * TinyFrame.use({
+ *   name: 'finance',
+ *   dataframe: { sharpe: (df, column) => ... },
+ *   series: { logReturns: (series) => ... },
+ *   groupBy: { vwap: (group, price, volume) => ... },
+ *   accessors: { ta: { dataframe: { sma: (df, column, n) => ... } } },
+ *   formats: { parquet: { read: (source, opts) => ..., write: (df, dest, opts) => ... } },
+ *   reducers: { vwap: { init, update, merge, finalize } },
+ * });
+ * ```
+ *
+ * Methods receive the instance as their first argument. Names that
+ * already exist are rejected unless `{ override: true }` is passed (class
+ * fields set on every instance, like DataFrame.col, cannot be overridden).
+ * A plugin is installed completely or not at all: names are checked
+ * first, and a failing install is rolled back. `TinyFrame.unuse(name)`
+ * removes a plugin, in any order: a name keeps the definition of the most
+ * recent plugin still installed, or what it was before any plugin.
+ *
+ * @module core/plugins
+ */
+
+import { DataFrame } from './dataframe/DataFrame.js';
+import { Series } from './dataframe/Series.js';
+import { GroupByCore } from './dataframe/GroupByCore.js';
+import {
+  getReducer,
+  registerReducer,
+  unregisterReducer,
+  isBuiltInReducer,
+  isFoldingReducer,
+} from './dataframe/reducers.js';
+import { getFormat, registerFormat, unregisterFormat } from '../io/formats.js';
+
+/** Plugin sections and the classes they extend */
+const TARGETS = {
+  dataframe: { label: 'DataFrame', cls: DataFrame },
+  series: { label: 'Series', cls: Series },
+  groupBy: { label: 'GroupBy', cls: GroupByCore },
+};
+
+/** @type {Map<string, {plugin: object, undo: Function[]}>} */
+const installed = new Map();
+
+/** @type {Map<string, Map<string, Function>>} 'section.namespace' → methods */
+const accessors = new Map();
+
+/** Bumped whenever a namespace changes, so bound namespaces are rebuilt */
+let namespaceVersion = 0;
+
+/** @type {WeakMap<object, Map<string, object>>} instance → bound namespaces */
+const namespaceCache = new WeakMap();
+
+/**
+ * Whether a name is set on every instance (class fields such as
+ * DataFrame.col or DataFrame.lazy), where it hides the prototype
+ * @param {string} section - Plugin section
+ * @param {string} name - Property name
+ * @returns {boolean}
+ */
+function isInstanceField(section, name) {
+  if (section === 'dataframe') return Object.hasOwn(new DataFrame({}), name);
+  if (section === 'series') return Object.hasOwn(new Series([]), name);
+  return false;
+}
+
+/**
+ * Whether instances of a class already answer to a name
+ * @param {string} section - Plugin section
+ * @param {string} name - Property name
+ * @returns {boolean}
+ */
+function exists(section, name) {
+  return (
+    name in TARGETS[section].cls.prototype || isInstanceField(section, name)
+  );
+}
+
+/**
+ * Checks a plugin and lists the changes it makes, without applying them
+ * @param {object} plugin - Plugin definition
+ * @param {boolean} override - Allow replacing existing names
+ * @returns {Array<object>} - Planned changes
+ */
+function plan(plugin, override) {
+  const fail = (message) => {
+    throw new Error(`Plugin '${plugin.name}': ${message}`);
+  };
+  const changes = [];
+
+  for (const [section, { label }] of Object.entries(TARGETS)) {
+    for (const [name, fn] of Object.entries(plugin[section] ?? {})) {
+      if (typeof fn !== 'function') fail(`${label}.${name} must be a function`);
+      if (!override && exists(section, name)) {
+        fail(`${label}.${name} already exists`);
+      }
+      if (isInstanceField(section, name)) {
+        fail(
+          `${label}.${name} is set on every instance, it cannot be overridden`,
+        );
+      }
+      changes.push({ kind: 'method', section, name, fn });
+    }
+  }
+
+  for (const [ns, sections] of Object.entries(plugin.accessors ?? {})) {
+    for (const [section, methods] of Object.entries(sections)) {
+      if (!TARGETS[section]) fail(`unknown accessor target '${section}'`);
+      const label = TARGETS[section].label;
+      const current = accessors.get(`${section}.${ns}`);
+      if (!current && exists(section, ns)) {
+        fail(`${label}.${ns} already exists`);
+      }
+      for (const [name, fn] of Object.entries(methods)) {
+        if (typeof fn !== 'function') {
+          fail(`${label}.${ns}.${name} must be a function`);
+        }
+        if (!override && current?.has(name)) {
+          fail(`${label}.${ns}.${name} already exists`);
+        }
+        changes.push({ kind: 'accessor', section, ns, name, fn });
+      }
+    }
+  }
+
+  for (const [name, format] of Object.entries(plugin.formats ?? {})) {
+    const { read, write } = format ?? {};
+    if (
+      (typeof read !== 'function' && typeof write !== 'function') ||
+      (read !== undefined && typeof read !== 'function') ||
+      (write !== undefined && typeof write !== 'function')
+    ) {
+      fail(`format '${name}' must define read() and/or write() functions`);
+    }
+    if (!override && getFormat(name)) fail(`format '${name}' already exists`);
+    changes.push({ kind: 'format', name, format });
+  }
+
+  for (const [name, reducer] of Object.entries(plugin.reducers ?? {})) {
+    if (typeof reducer !== 'function' && !isFoldingReducer(reducer)) {
+      fail(
+        `reducer '${name}' must be a function or define init(), update() and finalize()`,
+      );
+    }
+    if (!override && getReducer(name)) fail(`reducer '${name}' already exists`);
+    changes.push({ kind: 'reducer', name, reducer });
+  }
+
+  return changes;
+}
+
+/**
+ * Definitions of every name plugins have set, oldest first, on top of
+ * what was there before any plugin. The newest definition is the live
+ * one, so plugins can be removed in any order: removing an overridden
+ * definition changes nothing, removing the live one brings back the one
+ * below it.
+ * @type {Map<string, {base: *, entries: Array<{value: *}>}>}
+ */
+const definitions = new Map();
+
+/**
+ * Pushes a definition for a name and makes it live
+ * @param {string} key - Unique name of the definition slot
+ * @param {*} value - New definition
+ * @param {Function} read - () => current definition, undefined if none
+ * @param {Function} write - (definition|undefined) => void, makes it live
+ * @returns {Function} - Undo, removes this definition only
+ */
+function define(key, value, read, write) {
+  let stack = definitions.get(key);
+  if (!stack) {
+    stack = { base: read(), entries: [] };
+    definitions.set(key, stack);
+  }
+  const entry = { value };
+  stack.entries.push(entry);
+  write(value);
+
+  return () => {
+    const at = stack.entries.indexOf(entry);
+    stack.entries.splice(at, 1);
+    if (at === stack.entries.length) {
+      write(stack.entries.at(-1)?.value ?? stack.base);
+    }
+    if (stack.entries.length === 0) definitions.delete(key);
+  };
+}
+
+/**
+ * Installs a method on a prototype
+ * @returns {Function} - Undo
+ */
+function addMethod({ section, name, fn }) {
+  const proto = TARGETS[section].cls.prototype;
+  const descriptor = {
+    configurable: true,
+    writable: true,
+    value(...args) {
+      return fn(this, ...args);
+    },
+  };
+  return define(
+    `${section}:${name}`,
+    descriptor,
+    () => Object.getOwnPropertyDescriptor(proto, name),
+    (live) => {
+      if (live) Object.defineProperty(proto, name, live);
+      else delete proto[name];
+    },
+  );
+}
+
+/**
+ * Adds a method to an accessor namespace. The accessor property is
+ * defined with the first method of the namespace and removed with the
+ * last one.
+ * @returns {Function} - Undo
+ */
+function addAccessorMethod({ section, ns, name, fn }) {
+  const key = `${section}.${ns}`;
+  const proto = TARGETS[section].cls.prototype;
+
+  return define(
+    `${key}:${name}`,
+    fn,
+    () => accessors.get(key)?.get(name),
+    (live) => {
+      let methods = accessors.get(key);
+      if (!methods) {
+        methods = new Map();
+        accessors.set(key, methods);
+        Object.defineProperty(proto, ns, {
+          configurable: true,
+          get() {
+            return boundNamespace(this, key);
+          },
+        });
+      }
+      if (live) methods.set(name, live);
+      else methods.delete(name);
+      methods.version = ++namespaceVersion;
+
+      if (methods.size === 0) {
+        accessors.delete(key);
+        delete proto[ns];
+      }
+    },
+  );
+}
+
+/**
+ * Namespace object of an instance, built on first access and rebuilt
+ * after its methods change
+ * @param {object} instance - DataFrame, Series or GroupBy
+ * @param {string} key - 'section.namespace'
+ * @returns {object}
+ */
+function boundNamespace(instance, key) {
+  const methods = accessors.get(key);
+  let cache = namespaceCache.get(instance);
+  if (!cache) {
+    cache = new Map();
+    namespaceCache.set(instance, cache);
+  }
+
+  const cached = cache.get(key);
+  if (cached && cached.version === methods.version) return cached.namespace;
+
+  const namespace = {};
+  for (const [name, fn] of methods) {
+    namespace[name] = (...args) => fn(instance, ...args);
+  }
+  Object.freeze(namespace);
+  cache.set(key, { version: methods.version, namespace });
+  return namespace;
+}
+
+/**
+ * Registers an IO format
+ * @returns {Function} - Undo
+ */
+function addFormat({ name, format }) {
+  return define(
+    `format:${name}`,
+    format,
+    () => getFormat(name),
+    (live) => {
+      if (live) registerFormat(name, live, { override: true });
+      else unregisterFormat(name);
+    },
+  );
+}
+
+/**
+ * Registers a reducer
+ * @returns {Function} - Undo
+ */
+function addReducer({ name, reducer }) {
+  return define(
+    `reducer:${name}`,
+    reducer,
+    // Built-ins come back by themselves once the registration is removed
+    () => (isBuiltInReducer(name) ? undefined : getReducer(name)),
+    (live) => {
+      if (live) registerReducer(name, live, { override: true });
+      else unregisterReducer(name);
+    },
+  );
+}
+
+const apply = {
+  method: addMethod,
+  accessor: addAccessorMethod,
+  format: addFormat,
+  reducer: addReducer,
+};
+
+export const TinyFrame = {
+  /**
+   * Installs a plugin.
+   * A function is treated as a lazy loader: it is called, and the
+   * plugin it resolves to (or the default export of a module) is
+   * installed; `use` then returns a promise.
+   * @param {object|Function} plugin - Plugin definition or loader
+   * @param {object} [options] - { override?: boolean }
+   * @returns {typeof TinyFrame|Promise<typeof TinyFrame>} - TinyFrame, for chaining
+   */
+  use(plugin, options = {}) {
+    if (typeof plugin === 'function') {
+      return Promise.resolve(plugin()).then((loaded) =>
+        TinyFrame.use(loaded?.default ?? loaded, options),
+      );
+    }
+    if (!plugin || typeof plugin !== 'object') {
+      throw new Error('Plugin must be an object or a loader function');
+    }
+    if (!plugin.name || typeof plugin.name !== 'string') {
+      throw new Error('Plugin must have a name');
+    }
+    if (installed.has(plugin.name)) {
+      throw new Error(`Plugin '${plugin.name}' is already registered`);
+    }
+
+    const changes = plan(plugin, Boolean(options.override));
+    const undo = [];
+    try {
+      for (const change of changes) undo.push(apply[change.kind](change));
+    } catch (error) {
+      // Leave nothing of a half-installed plugin behind
+      for (const revert of undo.reverse()) revert();
+      throw error;
+    }
+    installed.set(plugin.name, { plugin, undo });
+    return TinyFrame;
+  },
+
+  /**
+   * Removes a plugin. Names it defined go back to the definition of
+   * the most recent plugin still installed, or to what they were before
+   * @param {string} name - Plugin name
+   * @returns {boolean} - True if the plugin was installed
+   */
+  unuse(name) {
+    const entry = installed.get(name);
+    if (!entry) return false;
+    for (const undo of entry.undo.reverse()) undo();
+    installed.delete(name);
+    return true;
+  },
+
+  /**
+   * Removes every plugin, most recent first (useful between tests)
+   */
+  reset() {
+    for (const name of [...installed.keys()].reverse()) TinyFrame.unuse(name);
+  },
+
+  /**
+   * @param {string} name - Plugin name
+   * @returns {boolean}
+   */
+  has(name) {
+    return installed.has(name);
+  },
+
+  /**
+   * @returns {string[]} - Installed plugin names, in installation order
+   */
+  plugins() {
+    return [...installed.keys()];
+  },
+};
+
+export default TinyFrame;
@@ -1,19 +1,36 @@
 // src/core/storage/ArrowVector.js
 import { ColumnVector } from './ColumnVector.js';
 import { Vector } from 'apache-arrow';
+import { DType } from './types.js';
+import { SimpleVector } from './SimpleVector.js';
+import { vectorFromArray } from './ArrowAdapter.js';
 
 /**
  * Wrapper around Apache Arrow Vector.
  * Supports get / sum / map and serialization.
  */
 export class ArrowVector extends ColumnVector {
+  // Flag indicating that this is a vector
+  _isVector = true;
+
   /**
    * @param {Vector} arrowVec
+   * @param {object} [opts] - { dtype?: string } logical dtype of the values
    */
-  constructor(arrowVec) {
+  constructor(arrowVec, opts = {}) {
     super();
     this._arrow = arrowVec;
     this.length = arrowVec.length;
+    /** @type {string} DType code */
+    this.dtype = opts.dtype ?? DType.MIXED;
+  }
+
+  /**
+   * Number of null values
+   * @returns {number}
+   */
+  get nullCount() {
+    return this._arrow.nullCount ?? super.nullCount;
   }
 
   /* -------------------------------------------------- *
@@ -47,6 +64,53 @@ export class ArrowVector extends ColumnVector {
     return new ArrowVector(mapped);
   }
 
+  /**
+   * Zero-copy view over rows [start, end) (Arrow Vector.slice)
+   * @param {number} start - Start index (inclusive)
+   * @param {number} end - End index (exclusive)
+   * @returns {ArrowVector}
+   */
+  slice(start, end) {
+    const view = new ArrowVector(this._arrow.slice(start, end), {
+      dtype: this.dtype,
+    });
+    view._shared = true;
+    this._shared = true;
+    return view;
+  }
+
+  /**
+   * Writes a value. Arrow buffers are immutable (and shared with slice
+   * views), so the column is rebuilt - O(n) per call; use it for
+   * occasional edits, not bulk updates.
+   * @param {number} i - Row position
+   * @param {*} value - New value, null marks it missing
+   */
+  set(i, value) {
+    if (i < 0 || i >= this.length) {
+      throw new Error(`Index ${i} is out of bounds for length ${this.length}`);
+    }
+    const values = this.toArray();
+    values[i] = value;
+    this._arrow = vectorFromArray(values);
+    this._shared = false;
+  }
+
+  /**
+   * Returns a new vector with the elements at the given positions.
+   * @param {ArrayLike<number>} indices - Row positions
+   * @returns {ColumnVector}
+   */
+  take(indices) {
+    const out = new Array(indices.length);
+    for (let i = 0; i < indices.length; i++)
+      out[i] = this._arrow.get(indices[i]);
+    const arrow = vectorFromArray(out);
+    return arrow
+      ? new ArrowVector(arrow, { dtype: this.dtype })
+      : new SimpleVector(out, { dtype: this.dtype });
+  }
+
   /* -------------------------------------------------- *
    *  Serialization / export                            *
    * -------------------------------------------------- */
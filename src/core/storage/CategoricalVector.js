@@ -0,0 +1,389 @@
+// src/core/storage/CategoricalVector.js
+import { ColumnVector } from './ColumnVector.js';
+import { DType } from './types.js';
+
+/**
+ * Dictionary-encoded column: an Int32Array of codes pointing into a
+ * list of unique categories. Code -1 marks a missing value.
+ *
+ * Columns with few distinct values (tickers, sectors) store one small
+ * integer per row, and groupBy / join / sort work on the codes.
+ */
+export class CategoricalVector extends ColumnVector {
+  // Flag indicating that this is a vector
+  _isVector = true;
+
+  /**
+   * @param {Int32Array} codes - Category position per row, -1 for null
+   * @param {Array} categories - Unique category values
+   * @param {object} [opts] - { ordered?: boolean }
+   */
+  constructor(codes, categories, opts = {}) {
+    super();
+    this.codes = codes;
+    // Frozen category lists are shared between slices of one column
+    this.categories = Object.isFrozen(categories)
+      ? categories
+      : Object.freeze([...categories]);
+    this.ordered = Boolean(opts.ordered);
+    this.length = codes.length;
+    this.dtype = DType.CATEGORY;
+    this._lookup = null;
+    /** @type {boolean} codes are shared with a slice view (copy on write) */
+    this._shared = false;
+  }
+
+  /**
+   * Encodes plain values.
+   * Without explicit categories the sorted distinct values are used;
+   * values outside explicit categories become null.
+   * @param {ArrayLike} values - Values to encode
+   * @param {object} [opts] - { categories?: Array, ordered?: boolean }
+   * @returns {CategoricalVector}
+   */
+  static fromValues(values, opts = {}) {
+    const categories = opts.categories
+      ? uniqueCategories(opts.categories)
+      : inferCategories(values);
+    const lookup = new Map(categories.map((c, i) => [c, i]));
+    const codes = new Int32Array(values.length);
+
+    for (let i = 0; i < values.length; i++) {
+      const code = lookup.get(values[i]);
+      codes[i] = code === undefined ? -1 : code;
+    }
+
+    return new CategoricalVector(codes, categories, opts);
+  }
+
+  /* -------------------------------------------------- *
+   *  Element access                                    *
+   * -------------------------------------------------- */
+
+  get(i) {
+    const code = this.codes[i];
+    return code === -1 ? null : this.categories[code];
+  }
+
+  /**
+   * Code of a category value, -1 when it is not a category
+   * @param {*} value
+   * @returns {number}
+   */
+  codeOf(value) {
+    this._lookup ??= new Map(this.categories.map((c, i) => [c, i]));
+    return this._lookup.get(value) ?? -1;
+  }
+
+  /**
+   * Number of null values
+   * @returns {number}
+   */
+  get nullCount() {
+    let nulls = 0;
+    for (let i = 0; i < this.length; i++) if (this.codes[i] === -1) nulls++;
+    return nulls;
+  }
+
+  /* -------------------------------------------------- *
+   *  Aggregates                                          *
+   * -------------------------------------------------- */
+
+  sum() {
+    return undefined;
+  }
+
+  /**
+   * Smallest category present, by category order
+   * @returns {*} - Category value, null if all values are null
+   */
+  min() {
+    return this._extreme('min', (a, b) => a < b);
+  }
+
+  /**
+   * Largest category present, by category order
+   * @returns {*} - Category value, null if all values are null
+   */
+  max() {
+    return this._extreme('max', (a, b) => a > b);
+  }
+
+  _extreme(name, better) {
+    if (!this.ordered) {
+      throw new Error(`Cannot compute ${name} of an unordered categorical`);
+    }
+    let best = -1;
+    for (let i = 0; i < this.length; i++) {
+      const code = this.codes[i];
+      if (code !== -1 && (best === -1 || better(code, best))) best = code;
+    }
+    return best === -1 ? null : this.categories[best];
+  }
+
+  /**
+   * Row positions in category order, computed with a counting sort
+   * over the codes. The sort is stable; nulls go last.
+   * @param {boolean} [ascending=true]
+   * @returns {Int32Array}
+   */
+  argsort(ascending = true) {
+    const k = this.categories.length;
+    // bucket k holds the nulls
+    const starts = new Int32Array(k + 2);
+    for (let i = 0; i < this.length; i++) {
+      const code = this.codes[i];
+      const bucket = code === -1 ? k : ascending ? code : k - 1 - code;
+      starts[bucket + 1]++;
+    }
+    for (let b = 1; b <= k + 1; b++) starts[b] += starts[b - 1];
+
+    const order = new Int32Array(this.length);
+    for (let i = 0; i < this.length; i++) {
+      const code = this.codes[i];
+      const bucket = code === -1 ? k : ascending ? code : k - 1 - code;
+      order[starts[bucket]++] = i;
+    }
+    return order;
+  }
+
+  /* -------------------------------------------------- *
+   *  Category management                               *
+   * -------------------------------------------------- */
+
+  /**
+   * Appends new categories, codes are unchanged
+   * @param {Array} values - Categories to add
+   * @returns {CategoricalVector}
+   */
+  addCategories(values) {
+    const added = Array.isArray(values) ? values : [values];
+    for (const value of added) {
+      if (
+        this.codeOf(value) !== -1 ||
+        added.indexOf(value) !== added.lastIndexOf(value)
+      ) {
+        throw new Error(`Category '${value}' already exists`);
+      }
+    }
+    return this._shareCodes([...this.categories, ...added], this.ordered);
+  }
+
+  /**
+   * Drops categories that no row uses, keeping the order of the rest
+   * @returns {CategoricalVector}
+   */
+  removeUnused() {
+    const used = new Uint8Array(this.categories.length);
+    for (let i = 0; i < this.length; i++) {
+      if (this.codes[i] !== -1) used[this.codes[i]] = 1;
+    }
+
+    const remap = new Int32Array(this.categories.length).fill(-1);
+    const categories = [];
+    this.categories.forEach((category, code) => {
+      if (used[code]) {
+        remap[code] = categories.length;
+        categories.push(category);
+      }
+    });
+
+    return new CategoricalVector(this._remapCodes(remap), categories, {
+      ordered: this.ordered,
+    });
+  }
+
+  /**
+   * Renames categories, codes are unchanged
+   * @param {Array|Object|Function} names - New names by position,
+   *   an old → new mapping, or a function of the old name
+   * @returns {CategoricalVector}
+   */
+  renameCategories(names) {
+    let renamed;
+    if (Array.isArray(names)) {
+      if (names.length !== this.categories.length) {
+        throw new Error(
+          `New categories must have length ${this.categories.length}, got ${names.length}`,
+        );
+      }
+      renamed = names;
+    } else if (typeof names === 'function') {
+      renamed = this.categories.map(names);
+    } else if (names && typeof names === 'object') {
+      renamed = this.categories.map((c) =>
+        Object.prototype.hasOwnProperty.call(names, c) ? names[c] : c,
+      );
+    } else {
+      throw new Error('Names must be an array, an object or a function');
+    }
+
+    if (new Set(renamed).size !== renamed.length) {
+      throw new Error('Categories must be unique');
+    }
+    return this._shareCodes(renamed, this.ordered);
+  }
+
+  /**
+   * Same codes with a different ordered flag
+   * @param {boolean} ordered
+   * @returns {CategoricalVector}
+   */
+  setOrdered(ordered) {
+    return this._shareCodes(this.categories, ordered);
+  }
+
+  /**
+   * New vector over the same codes (copy on write on both sides)
+   * @param {Array} categories
+   * @param {boolean} ordered
+   * @returns {CategoricalVector}
+   */
+  _shareCodes(categories, ordered) {
+    const vector = new CategoricalVector(this.codes, categories, { ordered });
+    vector._shared = true;
+    this._shared = true;
+    return vector;
+  }
+
+  /**
+   * Codes of this vector expressed against other categories
+   * (-1 where a category is missing there)
+   * @param {Array} categories - Target categories
+   * @returns {Int32Array}
+   */
+  recode(categories) {
+    const lookup = new Map(categories.map((c, i) => [c, i]));
+    const remap = Int32Array.from(this.categories, (c) => lookup.get(c) ?? -1);
+    return this._remapCodes(remap);
+  }
+
+  /**
+   * @param {Int32Array} remap - New code for every old code
+   * @returns {Int32Array}
+   */
+  _remapCodes(remap) {
+    const codes = new Int32Array(this.length);
+    for (let i = 0; i < this.length; i++) {
+      const code = this.codes[i];
+      codes[i] = code === -1 ? -1 : remap[code];
+    }
+    return codes;
+  }
+
+  /* -------------------------------------------------- *
+   *  Transformations                                     *
+   * -------------------------------------------------- */
+
+  /**
+   * Maps category values; the result stays categorical
+   * and fn runs once per category, not per row
+   * @param {(v:any, i:number)=>any} fn
+   * @returns {ColumnVector}
+   */
+  map(fn) {
+    const out = new Array(this.length);
+    for (let i = 0; i < this.length; i++) out[i] = fn(this.get(i), i);
+    return CategoricalVector.fromValues(out, { ordered: this.ordered });
+  }
+
+  /**
+   * View over rows [start, end) sharing the codes (Int32Array.subarray)
+   * @param {number} start - Start index (inclusive)
+   * @param {number} end - End index (exclusive)
+   * @returns {CategoricalVector}
+   */
+  slice(start, end) {
+    const view = new CategoricalVector(
+      this.codes.subarray(start, end),
+      this.categories,
+      { ordered: this.ordered },
+    );
+    view._shared = true;
+    this._shared = true;
+    return view;
+  }
+
+  /**
+   * New vector over the same codes and categories
+   * @returns {CategoricalVector}
+   */
+  share() {
+    return this._shareCodes(this.categories, this.ordered);
+  }
+
+  /**
+   * Writes a value, which must be one of the categories (or null).
+   * Codes shared with slice views or other frames are copied first.
+   * @param {number} i - Row position
+   * @param {*} value - Category value or null
+   */
+  set(i, value) {
+    if (i < 0 || i >= this.length) {
+      throw new Error(`Index ${i} is out of bounds for length ${this.length}`);
+    }
+    const missing = value === null || value === undefined;
+    const code = missing ? -1 : this.codeOf(value);
+    if (code === -1 && !missing) {
+      throw new Error(`'${value}' is not a category, use addCategories first`);
+    }
+    if (this._shared) {
+      this.codes = this.codes.slice();
+      this._shared = false;
+    }
+    this.codes[i] = code;
+  }
+
+  take(indices) {
+    const codes = new Int32Array(indices.length);
+    for (let i = 0; i < indices.length; i++) codes[i] = this.codes[indices[i]];
+    return new CategoricalVector(codes, this.categories, {
+      ordered: this.ordered,
+    });
+  }
+
+  /* -------------------------------------------------- *
+   *  Serialization / export                            *
+   * -------------------------------------------------- */
+
+  toArray() {
+    const out = new Array(this.length);
+    for (let i = 0; i < this.length; i++) out[i] = this.get(i);
+    return out;
+  }
+
+  toArrow() {
+    return this.toArray();
+  }
+}
+
+/**
+ * Sorted distinct non-null values
+ * @param {ArrayLike} values
+ * @returns {Array}
+ */
+function inferCategories(values) {
+  const seen = new Set();
+  for (const v of values) {
+    if (v !== null && v !== undefined && !Number.isNaN(v)) seen.add(v);
+  }
+  return [...seen].sort((a, b) => {
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a).localeCompare(String(b));
+  });
+}
+
+/**
+ * @param {Array} categories
+ * @returns {Array} - The same categories, validated unique and non-null
+ */
+function uniqueCategories(categories) {
+  const list = [...categories];
+  if (list.some((c) => c === null || c === undefined)) {
+    throw new Error('Categories cannot contain null');
+  }
+  if (new Set(list).size !== list.length) {
+    throw new Error('Categories must be unique');
+  }
+  return list;
+}
@@ -9,6 +9,23 @@ export class ColumnVector {
   /** @type {number} Length of the vector */
   length;
 
+  /** @type {string} Logical DType code (see types.js) */
+  dtype;
+
+  /**
+   * Number of null/undefined values.
+   * Implementations with a validity bitmap override this.
+   * @returns {number}
+   */
+  get nullCount() {
+    let nulls = 0;
+    for (let i = 0; i < this.length; i++) {
+      const v = this.get(i);
+      if (v === null || v === undefined) nulls++;
+    }
+    return nulls;
+  }
+
   /**
    * Get element by index
    * @param {number} i
@@ -46,6 +63,44 @@ export class ColumnVector {
     throw new Error('ColumnVector.map() not implemented');
   }
 
+  /**
+   * Elements [start, end) as a new vector. Implementations may return
+   * a view over the same storage; set() must then copy before writing.
+   * @param {number} start - Start index (inclusive)
+   * @param {number} end - End index (exclusive)
+   * @returns {ColumnVector}
+   */
+  slice(start, end) {
+    throw new Error('ColumnVector.slice() not implemented');
+  }
+
+  /**
+   * The same elements as a new vector over the same storage, for another
+   * frame to hold; set() on either one copies before writing
+   * @returns {ColumnVector}
+   */
+  share() {
+    return this.slice(0, this.length);
+  }
+
+  /**
+   * Write a single element in place
+   * @param {number} i - Row position
+   * @param {*} value - New value, null marks it missing
+   */
+  set(i, value) {
+    throw new Error('ColumnVector.set() not implemented');
+  }
+
+  /**
+   * Gather elements by position into a new vector of the same kind
+   * @param {ArrayLike<number>} indices - Row positions
+   * @returns {ColumnVector}
+   */
+  take(indices) {
+    throw new Error('ColumnVector.take() not implemented');
+  }
+
   /**
    * Optionally: return Arrow.Vector or TypedArray — used
    * during serialization. Implementations may simply spread their backend.
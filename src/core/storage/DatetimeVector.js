@@ -0,0 +1,133 @@
+// src/core/storage/DatetimeVector.js
+import { TypedArrayVector } from './TypedArrayVector.js';
+import { DType } from './types.js';
+import { validateTimeZone, utcToWall, wallToUtc } from '../utils/datetime.js';
+
+/**
+ * Timestamp column backed by a Float64Array of epoch milliseconds.
+ *
+ * With a timezone the values are UTC instants shown in that zone;
+ * without one (naive) they are wall-clock times stored as if UTC.
+ * Elements are returned as Date objects, nulls via the validity bitmap.
+ */
+export class DatetimeVector extends TypedArrayVector {
+  /**
+   * @param {Float64Array} ms - Epoch milliseconds
+   * @param {object} [opts] - { dtype?: 'ts_ms'|'date', tz?: string, validity?: Uint8Array }
+   */
+  constructor(ms, opts = {}) {
+    super(ms, { ...opts, dtype: opts.dtype ?? DType.TIMESTAMP_MS });
+    /** @type {string|null} IANA timezone, null → naive */
+    this.tz = opts.tz ? validateTimeZone(opts.tz) : null;
+  }
+
+  /* -------------------------------------------------- *
+   *  Element access                                    *
+   * -------------------------------------------------- */
+
+  get(i) {
+    const ms = this.getTime(i);
+    return ms === null ? null : new Date(ms);
+  }
+
+  /**
+   * Raw epoch milliseconds of an element
+   * @param {number} i - Row position
+   * @returns {number|null}
+   */
+  getTime(i) {
+    return super.get(i);
+  }
+
+  /**
+   * Wall-clock milliseconds of an element in the column's timezone
+   * @param {number} i - Row position
+   * @returns {number|null}
+   */
+  getWallTime(i) {
+    const ms = this.getTime(i);
+    return ms === null || !this.tz ? ms : utcToWall(ms, this.tz);
+  }
+
+  /* -------------------------------------------------- *
+   *  Timezone handling                                 *
+   * -------------------------------------------------- */
+
+  /**
+   * Attaches a timezone to naive timestamps (their wall time is kept),
+   * or drops the timezone when tz is null.
+   * @param {string|null} tz - IANA timezone name
+   * @returns {DatetimeVector}
+   */
+  localize(tz) {
+    if (tz === null) {
+      return this._withTimes((i) => this.getWallTime(i), null);
+    }
+    if (this.tz) {
+      throw new Error(
+        `Timestamps are already tz-aware (${this.tz}), use tzConvert`,
+      );
+    }
+    validateTimeZone(tz);
+    return this._withTimes((i) => wallToUtc(this.getTime(i), tz), tz);
+  }
+
+  /**
+   * Shows the same instants in another timezone
+   * @param {string} tz - IANA timezone name
+   * @returns {DatetimeVector}
+   */
+  convert(tz) {
+    if (!this.tz) {
+      throw new Error('Cannot convert tz-naive timestamps, use tzLocalize');
+    }
+    return new DatetimeVector(this._data, {
+      dtype: this.dtype,
+      tz,
+      validity: this._validity,
+    });
+  }
+
+  /**
+   * @param {(i:number)=>number} timeAt - New epoch ms of a valid element
+   * @param {string|null} tz - Timezone of the result
+   * @returns {DatetimeVector}
+   */
+  _withTimes(timeAt, tz) {
+    const out = new Float64Array(this.length);
+    for (let i = 0; i < this.length; i++) {
+      if (this.getTime(i) !== null) out[i] = timeAt(i);
+    }
+    return new DatetimeVector(out, {
+      dtype: this.dtype,
+      tz,
+      validity: this._validity,
+    });
+  }
+
+  /* -------------------------------------------------- *
+   *  Transformations                                     *
+   * -------------------------------------------------- */
+
+  _withData(data, validity) {
+    return new DatetimeVector(data, {
+      dtype: this.dtype,
+      tz: this.tz,
+      validity,
+    });
+  }
+
+  /* -------------------------------------------------- *
+   *  Serialization / export                            *
+   * -------------------------------------------------- */
+
+  toArray() {
+    const out = new Array(this.length);
+    for (let i = 0; i < this.length; i++) out[i] = this.get(i);
+    return out;
+  }
+
+  toArrow() {
+    return this.toArray();
+  }
+}
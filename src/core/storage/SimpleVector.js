@@ -1,6 +1,7 @@
 // src/core/storage/SimpleVector.js
 import { ColumnVector } from './ColumnVector.js';
 import { TypedArrayVector } from './TypedArrayVector.js';
+import { inferDType } from './cast.js';
 
 /**
  * Simple implementation of ColumnVector for working with non-numeric data.
@@ -9,12 +10,16 @@ import { TypedArrayVector } from './TypedArrayVector.js';
 export class SimpleVector extends ColumnVector {
   /**
    * @param {Array} data - Array of any type
+   * @param {object} [opts] - { dtype?: string } logical dtype, inferred if omitted
    */
-  constructor(data) {
+  constructor(data, opts = {}) {
     super();
     this._data = Array.isArray(data) ? [...data] : [];
     this.length = this._data.length;
     this._isVector = true;
+    this._shared = false;
+    /** @type {string} DType code */
+    this.dtype = opts.dtype ?? inferDType(this._data);
   }
 
   /**
@@ -57,7 +62,51 @@ export class SimpleVector extends ColumnVector {
    * @returns {SimpleVector} New vector with a subset of elements
    */
   slice(start, end) {
-    return new SimpleVector(this._data.slice(start, end));
+    return new SimpleVector(this._data.slice(start, end), {
+      dtype: this.dtype,
+    });
+  }
+
+  /**
+   * New vector over the same array; whichever side is written to with
+   * set() copies it first
+   * @returns {SimpleVector}
+   */
+  share() {
+    const vector = new SimpleVector([], { dtype: this.dtype });
+    vector._data = this._data;
+    vector.length = this.length;
+    vector._shared = true;
+    this._shared = true;
+    return vector;
+  }
+
+  /**
+   * Write a single element in place (slices own a copy of their data,
+   * shared arrays are copied first)
+   * @param {number} i - Index of the element
+   * @param {*} value - New value
+   */
+  set(i, value) {
+    if (i < 0 || i >= this.length) {
+      throw new Error(`Index ${i} is out of bounds for length ${this.length}`);
+    }
+    if (this._shared) {
+      this._data = [...this._data];
+      this._shared = false;
+    }
+    this._data[i] = value;
+  }
+
+  /**
+   * Create a new vector from elements at the given positions
+   * @param {ArrayLike<number>} indices - Row positions
+   * @returns {SimpleVector} New vector with the selected elements
+   */
+  take(indices) {
+    const out = new Array(indices.length);
+    for (let i = 0; i < indices.length; i++) out[i] = this._data[indices[i]];
+    return new SimpleVector(out, { dtype: this.dtype });
   }
 
   /**
@@ -1,20 +1,66 @@
 // src/core/storage/TypedArrayVector.js
 import { ColumnVector } from './ColumnVector.js';
+import { SimpleVector } from './SimpleVector.js';
+import { DType } from './types.js';
+import { TYPED_ARRAYS, dtypeOfTypedArray, castValue } from './cast.js';
+import {
+  createValidity,
+  isValid,
+  setValid,
+  setNull,
+  countNulls,
+  sliceValidity,
+} from './validity.js';
 
 /**
  * Wrapper around any TypedArray, implementing ColumnVector interface.
- * Used for dense numeric data without null bitmask.
+ * Used for dense numeric and boolean data; nulls are tracked by an
+ * optional validity bitmap (see validity.js).
  */
 export class TypedArrayVector extends ColumnVector {
   // Flag indicating that this is a vector
   _isVector = true;
   /**
    * @param {TypedArray} ta — Float64Array / Int32Array / …
+   * @param {object} [opts] - { dtype?: string, validity?: Uint8Array }
    */
-  constructor(ta) {
+  constructor(ta, opts = {}) {
     super();
     this._data = ta;
     this.length = ta.length;
+    /** @type {string} DType code */
+    this.dtype = opts.dtype ?? dtypeOfTypedArray(ta);
+    /** @type {Uint8Array|null} validity bitmap, null → no nulls */
+    this._validity = opts.validity ?? null;
+    /** @type {boolean} storage is shared with a slice view (copy on write) */
+    this._shared = false;
+  }
+
+  /**
+   * Builds a vector from already cast values, `null` marks a missing value.
+   * @param {Array} values - Values valid for dtype
+   * @param {string} dtype - Fixed-width DType code
+   * @param {object} [opts] - Extra constructor options of the subclass
+   * @returns {TypedArrayVector}
+   */
+  static fromValues(values, dtype, opts = {}) {
+    const data = new TYPED_ARRAYS[dtype](values.length);
+    let validity = null;
+
+    for (let i = 0; i < values.length; i++) {
+      const v = values[i];
+      if (v === null || v === undefined) {
+        if (!validity) {
+          validity = createValidity(values.length);
+          for (let j = 0; j < i; j++) setValid(validity, j);
+        }
+        continue;
+      }
+      data[i] = v;
+      if (validity) setValid(validity, i);
+    }
+
+    return new this(data, { ...opts, dtype, validity });
   }
 
   /* -------------------------------------------------- *
@@ -23,7 +69,16 @@ export class TypedArrayVector extends ColumnVector {
 
   get(i) {
     // no bounds checks for speed (assume valid i)
-    return this._data[i];
+    if (this._validity && !isValid(this._validity, i)) return null;
+    return this.dtype === DType.BOOL ? this._data[i] === 1 : this._data[i];
+  }
+
+  /**
+   * Number of null values
+   * @returns {number}
+   */
+  get nullCount() {
+    return this._validity ? countNulls(this._validity, this.length) : 0;
   }
 
   /* -------------------------------------------------- *
@@ -31,9 +86,15 @@ export class TypedArrayVector extends ColumnVector {
    * -------------------------------------------------- */
 
   sum() {
-    // branch-less linear summation
     let acc = 0;
     const d = this._data;
+    if (this._validity) {
+      for (let i = 0; i < d.length; i++) {
+        if (isValid(this._validity, i)) acc += d[i];
+      }
+      return acc;
+    }
+    // branch-less linear summation
     for (let i = 0; i < d.length; i++) acc += d[i];
     return acc;
   }
@@ -43,25 +104,109 @@ export class TypedArrayVector extends ColumnVector {
    * -------------------------------------------------- */
 
   /**
-   * Returns a new TypedArrayVector with the function fn applied.
+   * Returns a new vector with the function fn applied.
+   * Numeric results are stored as f64, anything else falls back to an array.
    * @param {(v:any, i:number)=>any} fn
-   * @returns {TypedArrayVector}
+   * @returns {ColumnVector}
    */
   map(fn) {
-    const out = new this._data.constructor(this.length);
-    for (let i = 0; i < this.length; i++) out[i] = fn(this._data[i], i);
-    return new TypedArrayVector(out);
+    const out = new Array(this.length);
+    let numeric = true;
+    for (let i = 0; i < this.length; i++) {
+      out[i] = fn(this.get(i), i);
+      numeric &&=
+        typeof out[i] === 'number' || out[i] === null || out[i] === undefined;
+    }
+    return numeric
+      ? TypedArrayVector.fromValues(out, DType.FLOAT64)
+      : new SimpleVector(out);
   }
 
   /**
-   * Returns a new TypedArrayVector containing a subset of elements.
+   * Returns a view of a subset of elements. The view shares memory
+   * with this vector (TypedArray.subarray); whichever side is written
+   * to with set() copies its storage first.
    * @param {number} start - Start index (inclusive)
    * @param {number} end - End index (exclusive)
    * @returns {TypedArrayVector}
    */
   slice(start, end) {
-    const sliced = this._data.slice(start, end);
-    return new TypedArrayVector(sliced);
+    const [from, to] = normalizeRange(this.length, start, end);
+    const validity = this._validity
+      ? sliceValidity(this._validity, from, to)
+      : null;
+    const view = this._withData(this._data.subarray(from, to), validity);
+    view._shared = true;
+    this._shared = true;
+    return view;
+  }
+
+  /**
+   * New vector over the same data and validity (copy on write on both sides)
+   * @returns {TypedArrayVector}
+   */
+  share() {
+    const vector = this._withData(this._data, this._validity);
+    vector._shared = true;
+    this._shared = true;
+    return vector;
+  }
+
+  /**
+   * Writes a value in place, `null` marks it missing.
+   * Storage shared with slice views or other frames is copied first.
+   * @param {number} i - Row position
+   * @param {*} value - Value valid for the dtype
+   */
+  set(i, value) {
+    if (i < 0 || i >= this.length) {
+      throw new Error(`Index ${i} is out of bounds for length ${this.length}`);
+    }
+    if (this._shared) {
+      this._data = this._data.slice();
+      this._validity = this._validity && this._validity.slice();
+      this._shared = false;
+    }
+
+    const cast = castValue(value, this.dtype);
+    if (cast === null) {
+      if (!this._validity) {
+        this._validity = createValidity(this.length);
+        for (let j = 0; j < this.length; j++) setValid(this._validity, j);
+      }
+      setNull(this._validity, i);
+      return;
+    }
+    this._data[i] = cast;
+    if (this._validity) setValid(this._validity, i);
+  }
+
+  /**
+   * Returns a new vector with the elements at the given positions.
+   * @param {ArrayLike<number>} indices - Row positions
+   * @returns {TypedArrayVector}
+   */
+  take(indices) {
+    const data = new this._data.constructor(indices.length);
+    let validity = null;
+    if (this._validity) {
+      validity = createValidity(indices.length);
+      for (let i = 0; i < indices.length; i++) {
+        if (isValid(this._validity, indices[i])) setValid(validity, i);
+      }
+    }
+    for (let i = 0; i < indices.length; i++) data[i] = this._data[indices[i]];
+    return this._withData(data, validity);
+  }
+
+  /**
+   * Vector of the same kind and dtype over other storage
+   * @param {TypedArray} data
+   * @param {Uint8Array|null} validity
+   * @returns {TypedArrayVector}
+   */
+  _withData(data, validity) {
+    return new TypedArrayVector(data, { dtype: this.dtype, validity });
   }
 
   /* -------------------------------------------------- *
@@ -70,7 +215,12 @@ export class TypedArrayVector extends ColumnVector {
 
   /** Fast conversion to JS array */
   toArray() {
-    return Array.from(this._data);
+    if (!this._validity && this.dtype !== DType.BOOL) {
+      return Array.from(this._data);
+    }
+    const out = new Array(this.length);
+    for (let i = 0; i < this.length; i++) out[i] = this.get(i);
+    return out;
   }
 
   /** JSON.stringify(series) → plain array */
@@ -78,6 +228,16 @@ export class TypedArrayVector extends ColumnVector {
     return this.toArray();
   }
 
+  /**
+   * Raw TypedArray when it holds the values as-is,
+   * plain array when nulls or booleans need decoding
+   */
+  toArrow() {
+    return this._validity || this.dtype === DType.BOOL
+      ? this.toArray()
+      : this._data;
+  }
+
   /** For compatibility with ColumnVector.toArrow() */
   get _data() {
     return this.__data;
@@ -86,3 +246,16 @@ export class TypedArrayVector extends ColumnVector {
     this.__data = val;
   }
 }
+
+/**
+ * Resolves slice() arguments the way TypedArray.prototype.slice does
+ * @param {number} length
+ * @param {number} [start]
+ * @param {number} [end]
+ * @returns {[number, number]}
+ */
+function normalizeRange(length, start = 0, end = length) {
+  const clamp = (n) => Math.min(Math.max(n < 0 ? length + n : n, 0), length);
+  const from = clamp(start);
+  return [from, Math.max(from, clamp(end))];
+}
@@ -1,9 +1,13 @@
 // src/core/storage/VectorFactory.js
 import { TypedArrayVector } from './TypedArrayVector.js';
+import { DatetimeVector } from './DatetimeVector.js';
+import { CategoricalVector } from './CategoricalVector.js';
 import { ArrowVector } from './ArrowVector.js';
 import { ColumnVector } from './ColumnVector.js';
 import { shouldUseArrow } from '../strategy/shouldUseArrow.js';
 import { SimpleVector } from './SimpleVector.js';
+import { DType } from './types.js';
+import { TYPED_ARRAYS, normalizeDType, inferDType, castArray } from './cast.js';
 
 // Import Arrow adapter
 import {
@@ -36,16 +40,33 @@ export const VectorFactory = {
   /**
    * Creates a ColumnVector from any input data.
    * @param {Array|TypedArray} data
-   * @param {object} [opts]          { preferArrow?: boolean }
+   * @param {object} [opts]          { preferArrow?: boolean, dtype?: string, tz?: string,
+   *                                   categories?: Array, ordered?: boolean }
    * @returns {ColumnVector}
    */
   from(data, opts = {}) {
+    /* ------------------------------------------------- *
+     *  0. Explicit dtype - cast, errors on lossy values  *
+     * ------------------------------------------------- */
+    if (opts.dtype) return fromDType(data, normalizeDType(opts.dtype), opts);
+
     /* ------------------------------------------------- *
      *  1. If already Arrow/TypedArray - wrap it immediately  *
      * ------------------------------------------------- */
     if (data?._isArrowVector || data?.isArrow) return new ArrowVector(data);
     if (ArrayBuffer.isView(data)) return new TypedArrayVector(data);
 
+    const dtype = Array.isArray(data) ? inferDType(data) : DType.MIXED;
+
+    // Date objects are stored as epoch milliseconds
+    if (dtype === DType.TIMESTAMP_MS) return fromDType(data, dtype, opts);
+
+    // Numbers and booleans go to typed storage, their nulls to a validity
+    // bitmap, unless Arrow is asked for
+    if (dtype in TYPED_ARRAYS && !opts.preferArrow) {
+      return fromDType(data, dtype, opts);
+    }
+
     /* ------------------------------------------------- *
      *  2. Decide if Arrow is needed for a regular JS array *
      * ------------------------------------------------- */
@@ -54,7 +75,7 @@ export const VectorFactory = {
     if (useArrow && arrowAvailable) {
       try {
         // Use synchronous arrowVectorFromArray call from adapter
-        return new ArrowVector(arrowVectorFromArray(data));
+        return new ArrowVector(arrowVectorFromArray(data), { dtype });
       } catch (error) {
         console.warn(
           'Error using Arrow adapter, falling back to TypedArray',
@@ -68,15 +89,62 @@ export const VectorFactory = {
     }
 
     /* ------------------------------------------------- *
-     *  3. Use TypedArray for numeric data  *
+     *  3. Use SimpleVector as fallback for everything else  *
+     *     (strings, mixed values), kept as-is               *
      * ------------------------------------------------- */
-    if (Array.isArray(data) && data.every?.((v) => typeof v === 'number')) {
-      return new TypedArrayVector(Float64Array.from(data));
-    }
-
-    /* ------------------------------------------------- *
-     *  4. Use SimpleVector as fallback for everything else  *
-     * ------------------------------------------------- */
-    return new SimpleVector(data);
+    return new SimpleVector(data, { dtype });
   },
 };
+
+/**
+ * Builds a vector of the requested dtype
+ * @param {Array|TypedArray|ColumnVector} data - Source values
+ * @param {string} dtype - DType code
+ * @param {object} opts - Factory options
+ * @returns {ColumnVector}
+ */
+function fromDType(data, dtype, opts) {
+  const isDatetime = dtype === DType.TIMESTAMP_MS || dtype === DType.DATE_DAY;
+
+  // Matching TypedArray - nothing to convert
+  if (
+    ArrayBuffer.isView(data) &&
+    dtype !== DType.BOOL &&
+    !isDatetime &&
+    data instanceof (TYPED_ARRAYS[dtype] ?? Object)
+  ) {
+    return new TypedArrayVector(data, { dtype });
+  }
+
+  if (dtype === DType.CATEGORY) {
+    if (data instanceof CategoricalVector && !opts.categories) {
+      return opts.ordered === undefined ? data : data.setOrdered(opts.ordered);
+    }
+    return CategoricalVector.fromValues(
+      data?._isVector ? data.toArray() : Array.from(data ?? []),
+      {
+        categories: opts.categories ?? data?.categories,
+        ordered: opts.ordered ?? data?.ordered,
+      },
+    );
+  }
+
+  const source = data?._isVector ? data.toArray() : Array.from(data ?? []);
+  const values = castArray(source, dtype);
+
+  if (isDatetime) {
+    return DatetimeVector.fromValues(values, dtype, {
+      tz: opts.tz ?? data?.tz,
+    });
+  }
+  if (dtype in TYPED_ARRAYS) return TypedArrayVector.fromValues(values, dtype);
+
+  if (dtype === DType.STRING && opts.preferArrow && arrowAvailable) {
+    try {
+      return new ArrowVector(arrowVectorFromArray(values), { dtype });
+    } catch (error) {
+      console.warn('Error using Arrow adapter, falling back to array', error);
+    }
+  }
+  return new SimpleVector(values, { dtype });
+}
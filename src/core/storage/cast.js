@@ -0,0 +1,270 @@
+// src/core/storage/cast.js
+import { DType } from './types.js';
+import { inferType } from '../utils/inferType.js';
+import { parseDatetime, floorToDay } from '../utils/datetime.js';
+
+/**
+ * Human-friendly dtype names accepted in addition to the DType codes
+ * @type {Record<string, string>}
+ */
+const ALIASES = {
+  float64: DType.FLOAT64,
+  float: DType.FLOAT64,
+  double: DType.FLOAT64,
+  number: DType.FLOAT64,
+  float32: DType.FLOAT32,
+  int32: DType.INT32,
+  int: DType.INT32,
+  integer: DType.INT32,
+  int16: DType.INT16,
+  int8: DType.INT8,
+  uint32: DType.UINT32,
+  uint16: DType.UINT16,
+  uint8: DType.UINT8,
+  boolean: DType.BOOL,
+  string: DType.STRING,
+  object: DType.MIXED,
+  categorical: DType.CATEGORY,
+  datetime: DType.TIMESTAMP_MS,
+  timestamp: DType.TIMESTAMP_MS,
+};
+
+/**
+ * TypedArray used to store each fixed-width dtype.
+ * Booleans are stored as 0/1 bytes, timestamps as epoch milliseconds.
+ */
+export const TYPED_ARRAYS = {
+  [DType.FLOAT64]: Float64Array,
+  [DType.FLOAT32]: Float32Array,
+  [DType.INT32]: Int32Array,
+  [DType.INT16]: Int16Array,
+  [DType.INT8]: Int8Array,
+  [DType.UINT32]: Uint32Array,
+  [DType.UINT16]: Uint16Array,
+  [DType.UINT8]: Uint8Array,
+  [DType.BOOL]: Uint8Array,
+  [DType.TIMESTAMP_MS]: Float64Array,
+  [DType.DATE_DAY]: Float64Array,
+};
+
+/** Inclusive value ranges of the integer dtypes */
+const INT_RANGES = {
+  [DType.INT32]: [-(2 ** 31), 2 ** 31 - 1],
+  [DType.INT16]: [-(2 ** 15), 2 ** 15 - 1],
+  [DType.INT8]: [-(2 ** 7), 2 ** 7 - 1],
+  [DType.UINT32]: [0, 2 ** 32 - 1],
+  [DType.UINT16]: [0, 2 ** 16 - 1],
+  [DType.UINT8]: [0, 2 ** 8 - 1],
+};
+
+/** Plain numeric storage, used to recognise raw TypedArrays */
+const NUMERIC_ARRAYS = Object.fromEntries(
+  Object.entries(TYPED_ARRAYS).filter(([dtype]) => isNumericDType(dtype)),
+);
+
+const DTYPE_CODES = new Set(Object.values(DType));
+
+/**
+ * Resolves a dtype name or alias to its DType code
+ * @param {string} dtype - e.g. 'i32', 'int32', 'float', 'boolean'
+ * @returns {string} - DType code
+ */
+export function normalizeDType(dtype) {
+  const code = ALIASES[dtype] ?? dtype;
+  if (!DTYPE_CODES.has(code)) {
+    throw new Error(`Unknown dtype: ${dtype}`);
+  }
+  return code;
+}
+
+/**
+ * @param {string} dtype - DType code
+ * @returns {boolean} - true for integer and float dtypes
+ */
+export function isNumericDType(dtype) {
+  return (
+    dtype in INT_RANGES || dtype === DType.FLOAT64 || dtype === DType.FLOAT32
+  );
+}
+
+/**
+ * Logical dtype of plain JS values.
+ * Integers are i32 while they all fit in its range, other numbers f64.
+ * @param {ArrayLike} values
+ * @returns {string} - DType code
+ */
+export function inferDType(values) {
+  const type = inferType(values);
+  if (type !== DType.INT32) return type;
+  const [min, max] = INT_RANGES[DType.INT32];
+  for (const v of values) {
+    if (v !== null && v !== undefined && (v < min || v > max)) {
+      return DType.FLOAT64;
+    }
+  }
+  return DType.INT32;
+}
+
+/**
+ * Smallest dtype that holds the values of all the given dtypes, for
+ * columns put together from several sources: numbers widen to an
+ * integer dtype covering every range, else to f64 (f32 only stays f32
+ * on its own); timestamps and dates give timestamps; strings and
+ * categories give strings; any other mix is 'mixed'.
+ * @param {string[]} dtypes - DType codes
+ * @returns {string} - DType code
+ */
+export function promoteDTypes(dtypes) {
+  const unique = [...new Set(dtypes)];
+  if (unique.length === 0) return DType.MIXED;
+  if (unique.length === 1) return unique[0];
+
+  if (unique.every(isNumericDType)) {
+    if (!unique.every((dtype) => dtype in INT_RANGES)) return DType.FLOAT64;
+    const min = Math.min(...unique.map((dtype) => INT_RANGES[dtype][0]));
+    const max = Math.max(...unique.map((dtype) => INT_RANGES[dtype][1]));
+    const covering = unique.find(
+      (dtype) => INT_RANGES[dtype][0] <= min && INT_RANGES[dtype][1] >= max,
+    );
+    if (covering) return covering;
+    // e.g. i8 and u8: the narrowest signed dtype holding both
+    return (
+      [DType.INT16, DType.INT32].find(
+        (dtype) => INT_RANGES[dtype][0] <= min && INT_RANGES[dtype][1] >= max,
+      ) ?? DType.FLOAT64
+    );
+  }
+  const within = (allowed) => unique.every((dtype) => allowed.includes(dtype));
+  if (within([DType.TIMESTAMP_MS, DType.DATE_DAY])) return DType.TIMESTAMP_MS;
+  if (within([DType.STRING, DType.CATEGORY])) return DType.STRING;
+  return DType.MIXED;
+}
+
+/**
+ * DType code matching a TypedArray instance
+ * @param {TypedArray} ta
+ * @returns {string}
+ */
+export function dtypeOfTypedArray(ta) {
+  for (const [dtype, Ctor] of Object.entries(NUMERIC_ARRAYS)) {
+    if (ta instanceof Ctor) return dtype;
+  }
+  return DType.FLOAT64;
+}
+
+/**
+ * Casts a single value, `null`/`undefined` stay null
+ * @param {*} value - Source value
+ * @param {string} dtype - Target DType code
+ * @returns {*} - Converted value
+ * @throws {Error} - If the value cannot be represented without loss
+ */
+export function castValue(value, dtype) {
+  try {
+    return convert(value, dtype);
+  } catch (error) {
+    throw new Error(
+      `Cannot cast ${formatValue(value)} to ${dtype}: ${error.message}`,
+    );
+  }
+}
+
+/**
+ * Casts every value of an array
+ * @param {ArrayLike} values - Source values
+ * @param {string} dtype - Target DType code
+ * @returns {Array} - Converted values (nulls preserved)
+ * @throws {Error} - On the first value that cannot be cast, with its position
+ */
+export function castArray(values, dtype) {
+  const out = new Array(values.length);
+  for (let i = 0; i < values.length; i++) {
+    try {
+      out[i] = convert(values[i], dtype);
+    } catch (error) {
+      throw new Error(
+        `Cannot cast ${formatValue(values[i])} at position ${i} to ${dtype}: ${error.message}`,
+      );
+    }
+  }
+  return out;
+}
+
+/**
+ * Converts a value or throws an Error whose message is the reason
+ * @param {*} value
+ * @param {string} dtype
+ * @returns {*}
+ */
+function convert(value, dtype) {
+  if (value === null || value === undefined) return null;
+
+  switch (dtype) {
+    case DType.FLOAT64:
+    case DType.FLOAT32:
+      return toNumber(value);
+    case DType.BOOL:
+      return toBoolean(value);
+    case DType.STRING:
+      return value instanceof Date ? value.toISOString() : String(value);
+    case DType.MIXED:
+    case DType.CATEGORY:
+      return value;
+    case DType.TIMESTAMP_MS:
+      return parseDatetime(value);
+    case DType.DATE_DAY:
+      return floorToDay(parseDatetime(value));
+    default: {
+      const n = toNumber(value);
+      if (Number.isNaN(n)) return null;
+      if (!Number.isInteger(n)) {
+        throw new Error('fractional part would be lost');
+      }
+      const [min, max] = INT_RANGES[dtype];
+      if (n < min || n > max) throw new Error('value out of range');
+      return n;
+    }
+  }
+}
+
+/**
+ * @param {*} value
+ * @returns {number}
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'string') {
+    const text = value.trim();
+    const n = Number(text);
+    if (text === '' || (Number.isNaN(n) && text !== 'NaN')) {
+      throw new Error('not a number');
+    }
+    return n;
+  }
+  throw new Error('not a number');
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function toBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (value === 1 || value === 0) return value === 1;
+  if (typeof value === 'string') {
+    const text = value.trim().toLowerCase();
+    if (text === 'true' || text === '1') return true;
+    if (text === 'false' || text === '0') return false;
+  }
+  throw new Error('not a boolean');
+}
+
+/**
+ * @param {*} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  return typeof value === 'string' ? `'${value}'` : String(value);
+}
@@ -0,0 +1,160 @@
+// src/core/storage/concat.js
+import { TypedArrayVector } from './TypedArrayVector.js';
+import { DatetimeVector } from './DatetimeVector.js';
+import { CategoricalVector } from './CategoricalVector.js';
+import { VectorFactory } from './VectorFactory.js';
+import { DType } from './types.js';
+import { TYPED_ARRAYS, promoteDTypes, castArray } from './cast.js';
+import { createValidity, isValid, setValid } from './validity.js';
+
+/**
+ * Appends column vectors into one vector of their common dtype (see
+ * promoteDTypes). Typed storage is copied straight into the result, a
+ * validity bitmap is only kept when there are nulls.
+ *
+ * @param {Array<ColumnVector|number>} parts - Vectors in order; a number
+ *   stands for that many nulls (rows of a frame without the column)
+ * @returns {ColumnVector}
+ */
+export function concatVectors(parts) {
+  const vectors = parts.filter((part) => typeof part !== 'number');
+  const dtype = promoteDTypes(
+    vectors.map((vector) => vector.dtype ?? DType.MIXED),
+  );
+  if (dtype === DType.CATEGORY) return concatCategorical(parts, vectors);
+  if (dtype in TYPED_ARRAYS) return concatTyped(parts, vectors, dtype);
+
+  const values = [];
+  for (const part of parts) {
+    if (typeof part === 'number') {
+      for (let i = 0; i < part; i++) values.push(null);
+    } else {
+      for (let i = 0; i < part.length; i++) values.push(part.get(i));
+    }
+  }
+  return VectorFactory.from(values, { dtype });
+}
+
+/**
+ * @param {Array<ColumnVector|number>} parts
+ * @returns {number} - Total number of rows
+ */
+function totalLength(parts) {
+  let length = 0;
+  for (const part of parts) {
+    length += typeof part === 'number' ? part : part.length;
+  }
+  return length;
+}
+
+/**
+ * @param {Array<ColumnVector|number>} parts
+ * @param {ColumnVector[]} vectors - The vectors among the parts
+ * @param {string} dtype - Fixed-width DType code
+ * @returns {TypedArrayVector}
+ */
+function concatTyped(parts, vectors, dtype) {
+  const length = totalLength(parts);
+  const data = new TYPED_ARRAYS[dtype](length);
+  const validity = createValidity(length);
+  let hasNulls = false;
+  let offset = 0;
+
+  for (const part of parts) {
+    if (typeof part === 'number') {
+      hasNulls ||= part > 0;
+      offset += part;
+      continue;
+    }
+    if (part._data && ArrayBuffer.isView(part._data)) {
+      data.set(part._data, offset);
+      for (let i = 0; i < part.length; i++) {
+        if (!part._validity || isValid(part._validity, i)) {
+          setValid(validity, offset + i);
+        } else {
+          hasNulls = true;
+        }
+      }
+    } else {
+      // Other storage (Arrow, plain arrays): cast value by value
+      const values = castArray(part.toArray(), dtype);
+      for (let i = 0; i < values.length; i++) {
+        if (values[i] === null) {
+          hasNulls = true;
+          continue;
+        }
+        data[offset + i] = values[i];
+        setValid(validity, offset + i);
+      }
+    }
+    offset += part.length;
+  }
+
+  const opts = { dtype, validity: hasNulls ? validity : null };
+  if (dtype === DType.TIMESTAMP_MS || dtype === DType.DATE_DAY) {
+    return new DatetimeVector(data, { ...opts, tz: commonTimeZone(vectors) });
+  }
+  return new TypedArrayVector(data, opts);
+}
+
+/**
+ * Timezone of appended timestamps: theirs when they all share one, UTC
+ * for instants of different zones
+ * @param {ColumnVector[]} vectors - Timestamp vectors
+ * @returns {string|null}
+ * @throws {Error} When tz-naive and tz-aware timestamps are mixed
+ */
+function commonTimeZone(vectors) {
+  const zones = new Set(vectors.map((vector) => vector.tz ?? null));
+  if (zones.size === 1) return [...zones][0];
+  if (zones.has(null)) {
+    throw new Error('Cannot concatenate tz-naive and tz-aware timestamps');
+  }
+  return 'UTC';
+}
+
+/**
+ * Categories of the result are those of the first vector, followed by
+ * the new ones of each next vector
+ * @param {Array<ColumnVector|number>} parts
+ * @param {CategoricalVector[]} vectors - The vectors among the parts
+ * @returns {CategoricalVector}
+ */
+function concatCategorical(parts, vectors) {
+  const categories = [];
+  const positions = new Map();
+  const remaps = new Map(
+    vectors.map((vector) => [
+      vector,
+      Int32Array.from(vector.categories, (category) => {
+        if (!positions.has(category)) {
+          positions.set(category, categories.length);
+          categories.push(category);
+        }
+        return positions.get(category);
+      }),
+    ]),
+  );
+
+  const codes = new Int32Array(totalLength(parts)).fill(-1);
+  let offset = 0;
+  for (const part of parts) {
+    if (typeof part !== 'number') {
+      const remap = remaps.get(part);
+      for (let i = 0; i < part.length; i++) {
+        const code = part.codes[i];
+        if (code !== -1) codes[offset + i] = remap[code];
+      }
+    }
+    offset += typeof part === 'number' ? part : part.length;
+  }
+
+  // Still ordered when every part has the same ordered categories
+  const ordered = vectors.every(
+    (vector) =>
+      vector.ordered &&
+      vector.categories.length === categories.length &&
+      vector.categories.every((category, i) => category === categories[i]),
+  );
+  return new CategoricalVector(codes, categories, { ordered });
+}
@@ -21,10 +21,16 @@ export const DType = {
   // Boolean
   BOOL: 'bool',
 
-  // String / categorical
+  // String
   STRING: 'str',
 
-  // Timestamp / Date (reserved, not implemented yet)
+  // Dictionary-encoded values (see CategoricalVector)
+  CATEGORY: 'category',
+
+  // Arbitrary JS values (objects, mixed types)
+  MIXED: 'mixed',
+
+  // Timestamp / Date (epoch milliseconds, see DatetimeVector)
   TIMESTAMP_MS: 'ts_ms',
   DATE_DAY: 'date',
 
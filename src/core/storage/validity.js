@@ -0,0 +1,69 @@
+// src/core/storage/validity.js
+/**
+ * Validity bitmaps for nullable columns.
+ * One bit per row, least-significant bit first (same layout as Arrow):
+ * bit set → value present, bit cleared → null.
+ */
+
+/**
+ * Allocates a bitmap with every row marked as null
+ * @param {number} length - Number of rows
+ * @returns {Uint8Array}
+ */
+export function createValidity(length) {
+  return new Uint8Array((length + 7) >> 3);
+}
+
+/**
+ * @param {Uint8Array} bitmap
+ * @param {number} i - Row position
+ * @returns {boolean} - true when the row holds a value
+ */
+export function isValid(bitmap, i) {
+  return (bitmap[i >> 3] & (1 << (i & 7))) !== 0;
+}
+
+/**
+ * Marks a row as holding a value
+ * @param {Uint8Array} bitmap
+ * @param {number} i - Row position
+ */
+export function setValid(bitmap, i) {
+  bitmap[i >> 3] |= 1 << (i & 7);
+}
+
+/**
+ * Marks a row as null
+ * @param {Uint8Array} bitmap
+ * @param {number} i - Row position
+ */
+export function setNull(bitmap, i) {
+  bitmap[i >> 3] &= ~(1 << (i & 7));
+}
+
+/**
+ * Counts null rows
+ * @param {Uint8Array} bitmap
+ * @param {number} length - Number of rows
+ * @returns {number}
+ */
+export function countNulls(bitmap, length) {
+  let nulls = 0;
+  for (let i = 0; i < length; i++) if (!isValid(bitmap, i)) nulls++;
+  return nulls;
+}
+
+/**
+ * Copies the bits of rows [start, end) into a new bitmap
+ * @param {Uint8Array} bitmap
+ * @param {number} start - Start row (inclusive)
+ * @param {number} end - End row (exclusive)
+ * @returns {Uint8Array}
+ */
+export function sliceValidity(bitmap, start, end) {
+  const out = createValidity(Math.max(0, end - start));
+  for (let i = start; i < end; i++) {
+    if (isValid(bitmap, i)) setValid(out, i - start);
+  }
+  return out;
+}
@@ -23,6 +23,11 @@ export function shouldUseArrow(data, opts = {}) {
   // ─────────────────────────────────────────────────────
   if (data?.isArrow || data?._isArrowVector) return true;
 
+  // Categorical columns are already dictionary-encoded (codes + categories);
+  // low-cardinality strings are better stored that way than as Arrow Utf8.
+  // Request it explicitly with { dtype: 'category' }.
+  if (data?._isVector && data.dtype === 'category') return false;
+
   // ─────────────────────────────────────────────────────
   // 3. If this is TypedArray – already optimal, Arrow «not needed»
   // ─────────────────────────────────────────────────────
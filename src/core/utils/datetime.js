@@ -0,0 +1,269 @@
+// src/core/utils/datetime.js
+/**
+ * Datetime helpers for timestamp columns.
+ *
+ * Timestamps are epoch milliseconds. A tz-aware column stores UTC instants
+ * plus an IANA timezone; a naive column stores wall-clock time as if it
+ * were UTC. Offsets come from Intl, so no timezone database is bundled.
+ */
+
+const MS_PER_DAY = 86_400_000;
+
+/** @type {Map<string, Intl.DateTimeFormat>} */
+const formatters = new Map();
+
+/**
+ * Cached wall-clock formatter for a timezone
+ * @param {string} tz - IANA timezone name
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(tz) {
+  let formatter = formatters.get(tz);
+  if (!formatter) {
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: tz,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+      });
+    } catch {
+      throw new Error(`Unknown timezone: ${tz}`);
+    }
+    formatters.set(tz, formatter);
+  }
+  return formatter;
+}
+
+/**
+ * Checks that a timezone name is known to the runtime
+ * @param {string} tz - IANA timezone name, e.g. 'America/New_York'
+ * @returns {string} - The same name
+ * @throws {Error} - For unknown timezones
+ */
+export function validateTimeZone(tz) {
+  if (typeof tz !== 'string' || tz === '') {
+    throw new Error(`Unknown timezone: ${tz}`);
+  }
+  getFormatter(tz);
+  return tz;
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant
+ * @param {number} ms - UTC epoch milliseconds
+ * @param {string} tz - IANA timezone name
+ * @returns {number} - Offset in milliseconds (wall time minus UTC)
+ */
+export function tzOffset(ms, tz) {
+  const seconds = Math.floor(ms / 1000) * 1000;
+  const parts = {};
+  for (const { type, value } of getFormatter(tz).formatToParts(seconds)) {
+    parts[type] = Number(value);
+  }
+  const wall = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second,
+  );
+  return wall - seconds;
+}
+
+/**
+ * Converts a UTC instant to wall-clock time in a timezone
+ * @param {number} ms - UTC epoch milliseconds
+ * @param {string} tz - IANA timezone name
+ * @returns {number} - Wall-clock milliseconds
+ */
+export function utcToWall(ms, tz) {
+  return ms + tzOffset(ms, tz);
+}
+
+/**
+ * Converts wall-clock time in a timezone to a UTC instant.
+ * Times skipped by a DST jump resolve to a neighbouring valid instant,
+ * repeated times resolve to the first occurrence.
+ * @param {number} wall - Wall-clock milliseconds
+ * @param {string} tz - IANA timezone name
+ * @returns {number} - UTC epoch milliseconds
+ */
+export function wallToUtc(wall, tz) {
+  const guess = wall - tzOffset(wall, tz);
+  const offset = tzOffset(guess, tz);
+  const utc = wall - offset;
+  // Repeated hour: prefer the earlier instant if it maps to the same wall time
+  const earlier = wall - tzOffset(utc - 3_600_000, tz);
+  return earlier < utc && utcToWall(earlier, tz) === wall ? earlier : utc;
+}
+
+/**
+ * Truncates a timestamp to midnight of its day
+ * @param {number} ms - Epoch milliseconds
+ * @returns {number}
+ */
+export function floorToDay(ms) {
+  return Math.floor(ms / MS_PER_DAY) * MS_PER_DAY;
+}
+
+// YYYY-MM-DD[( |T)HH:mm[:ss[.SSS]]][Z|±HH[:]mm]
+const ISO_RE =
+  /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,9}))?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+
+const FORMAT_TOKENS = {
+  YYYY: '(\\d{4})',
+  MM: '(\\d{1,2})',
+  DD: '(\\d{1,2})',
+  HH: '(\\d{1,2})',
+  mm: '(\\d{1,2})',
+  ss: '(\\d{1,2})',
+  SSS: '(\\d{1,3})',
+  Z: '(Z|[+-]\\d{2}:?\\d{2})',
+};
+const TOKEN_RE = /YYYY|SSS|MM|DD|HH|mm|ss|Z/g;
+
+/** @type {Map<string, {regex: RegExp, fields: string[]}>} */
+const compiledFormats = new Map();
+
+/**
+ * Compiles a format such as 'DD.MM.YYYY HH:mm' into a regex
+ * @param {string} format
+ * @returns {{regex: RegExp, fields: string[]}}
+ */
+function compileFormat(format) {
+  let compiled = compiledFormats.get(format);
+  if (!compiled) {
+    const fields = [];
+    let pattern = '';
+    let last = 0;
+    for (const match of format.matchAll(TOKEN_RE)) {
+      pattern += escapeRegex(format.slice(last, match.index));
+      pattern += FORMAT_TOKENS[match[0]];
+      fields.push(match[0]);
+      last = match.index + match[0].length;
+    }
+    pattern += escapeRegex(format.slice(last));
+    compiled = { regex: new RegExp(`^${pattern}$`), fields };
+    compiledFormats.set(format, compiled);
+  }
+  return compiled;
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parses a value into epoch milliseconds.
+ * Date objects, numbers and strings with an offset are absolute instants;
+ * strings without an offset are wall-clock time, localized to `tz` if given.
+ *
+ * @param {*} value - Date, epoch milliseconds or string
+ * @param {Object} [options]
+ * @param {string} [options.format] - Tokens YYYY, MM, DD, HH, mm, ss, SSS, Z
+ * @param {string} [options.tz] - Timezone of wall-clock strings
+ * @returns {number|null} - Epoch milliseconds, null for missing values
+ * @throws {Error} - If the value cannot be parsed
+ */
+export function parseDatetime(value, options = {}) {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') {
+    throw new Error(`Cannot parse ${String(value)} as datetime`);
+  }
+
+  const { format, tz } = options;
+  const fields = format ? matchFormat(value, format) : matchIso(value);
+
+  if (!fields) {
+    const ms = format ? NaN : Date.parse(value);
+    if (Number.isNaN(ms)) {
+      throw new Error(
+        `Cannot parse '${value}' as datetime${format ? ` with format '${format}'` : ''}`,
+      );
+    }
+    return ms;
+  }
+
+  const wall = Date.UTC(
+    fields.year,
+    (fields.month ?? 1) - 1,
+    fields.day ?? 1,
+    fields.hour ?? 0,
+    fields.minute ?? 0,
+    fields.second ?? 0,
+    fields.millisecond ?? 0,
+  );
+  if (fields.offset !== undefined) return wall - parseOffset(fields.offset);
+  return tz ? wallToUtc(wall, tz) : wall;
+}
+
+/**
+ * @param {string} value
+ * @returns {Object|null} - Date fields of an ISO 8601 string
+ */
+function matchIso(value) {
+  const m = ISO_RE.exec(value.trim());
+  if (!m) return null;
+  return {
+    year: Number(m[1]),
+    month: Number(m[2]),
+    day: Number(m[3]),
+    hour: m[4] && Number(m[4]),
+    minute: m[5] && Number(m[5]),
+    second: m[6] && Number(m[6]),
+    millisecond: m[7] && Number(m[7].slice(0, 3).padEnd(3, '0')),
+    offset: m[8],
+  };
+}
+
+const FIELD_NAMES = {
+  YYYY: 'year',
+  MM: 'month',
+  DD: 'day',
+  HH: 'hour',
+  mm: 'minute',
+  ss: 'second',
+  SSS: 'millisecond',
+};
+
+/**
+ * @param {string} value
+ * @param {string} format
+ * @returns {Object|null} - Date fields extracted with a format
+ */
+function matchFormat(value, format) {
+  const { regex, fields } = compileFormat(format);
+  const m = regex.exec(value.trim());
+  if (!m) return null;
+  const out = { year: 1970 };
+  fields.forEach((token, i) => {
+    if (token === 'Z') out.offset = m[i + 1];
+    else out[FIELD_NAMES[token]] = Number(m[i + 1]);
+  });
+  return out;
+}
+
+/**
+ * @param {string} offset - 'Z', '+05:30', '-0800'
+ * @returns {number} - Offset in milliseconds
+ */
+function parseOffset(offset) {
+  if (offset.toUpperCase() === 'Z') return 0;
+  const sign = offset[0] === '-' ? -1 : 1;
+  const digits = offset.slice(1).replace(':', '');
+  const hours = Number(digits.slice(0, 2));
+  const minutes = Number(digits.slice(2, 4));
+  return sign * (hours * 60 + minutes) * 60_000;
+}
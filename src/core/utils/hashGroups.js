@@ -0,0 +1,155 @@
+/**
+ * Hash grouping over column storage: each key column is factorized into
+ * integer codes (categorical columns already are), the codes of a row
+ * are combined into one number, and rows are bucketed by that number.
+ * Key values keep their type (numbers, strings, Dates, booleans), null
+ * and NaN keys form one group of their own.
+ */
+import { compareValues } from '../../methods/dataframe/transform/sort.js';
+
+/**
+ * Codes of a column: equal values share a code, in order of first
+ * appearance; nulls (and NaN) are -1
+ *
+ * @param {import('../storage/ColumnVector.js').ColumnVector} vector - Key column
+ * @returns {{codes: Int32Array, uniques: Array, ordinal: boolean}} - Code
+ *   per row, the value of each code, and whether codes are in sort order
+ *   (categorical columns, whose codes are category positions)
+ */
+export function factorize(vector) {
+  if (vector.dtype === 'category') {
+    return { codes: vector.codes, uniques: vector.categories, ordinal: true };
+  }
+
+  const values = vector.toArray();
+  const codes = new Int32Array(values.length);
+  const uniques = [];
+  const seen = new Map();
+  for (let i = 0; i < values.length; i++) {
+    const value = values[i];
+    if (value === null || value === undefined || Number.isNaN(value)) {
+      codes[i] = -1;
+      continue;
+    }
+    // Dates are equal keys when they are the same time
+    const key = value instanceof Date ? value.getTime() : value;
+    let code = seen.get(key);
+    if (code === undefined) {
+      code = uniques.length;
+      seen.set(key, code);
+      uniques.push(value);
+    }
+    codes[i] = code;
+  }
+  return { codes, uniques, ordinal: false };
+}
+
+/**
+ * Groups the rows of a frame by the values of key columns
+ *
+ * @param {DataFrame} df - Frame to group
+ * @param {string[]} by - Key columns
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.dropna=false] - Leave out rows with a null key
+ * @param {boolean} [options.sort=false] - Order groups by their keys
+ *   (nulls last) instead of by first appearance
+ * @returns {{first: Int32Array, indices: Int32Array[]}} - Per group, the
+ *   position of its first row and the positions of all its rows
+ * @throws {Error} If a key column does not exist
+ */
+export function hashGroups(df, by, options = {}) {
+  const { dropna = false, sort = false } = options;
+  const columns = by.map((name) => {
+    const vector = df.getVector(name);
+    if (!vector) throw new Error(`Column '${name}' not found in DataFrame`);
+    return factorize(vector);
+  });
+
+  const rowCount = df.rowCount;
+  const rowGroup = new Int32Array(rowCount);
+  const counts = [];
+  const first = [];
+  const groupOf = new Map();
+  const rowKey = rowKeyFunction(columns);
+
+  for (let i = 0; i < rowCount; i++) {
+    const key = rowKey(i, dropna);
+    if (key === null) {
+      rowGroup[i] = -1;
+      continue;
+    }
+    let group = groupOf.get(key);
+    if (group === undefined) {
+      group = counts.length;
+      groupOf.set(key, group);
+      counts.push(0);
+      first.push(i);
+    }
+    rowGroup[i] = group;
+    counts[group]++;
+  }
+
+  // One index array per group, filled in row order
+  const indices = counts.map((count) => new Int32Array(count));
+  const filled = new Int32Array(counts.length);
+  for (let i = 0; i < rowCount; i++) {
+    const group = rowGroup[i];
+    if (group !== -1) indices[group][filled[group]++] = i;
+  }
+
+  if (!sort) return { first: Int32Array.from(first), indices };
+
+  const order = sortedGroups(columns, first);
+  return {
+    first: Int32Array.from(order, (g) => first[g]),
+    indices: order.map((g) => indices[g]),
+  };
+}
+
+/**
+ * Combines the codes of a row into one Map key: a mixed-radix number
+ * while that stays a safe integer, else a string of the codes
+ *
+ * @param {Array<{codes: Int32Array, uniques: Array}>} columns - Factorized keys
+ * @returns {(row: number, dropna: boolean) => number|string|null} - Key of
+ *   a row, null when dropna is set and the row has a null key
+ */
+function rowKeyFunction(columns) {
+  // The extra digit of every radix is null
+  const radixes = columns.map(({ uniques }) => uniques.length + 1);
+  const fits =
+    radixes.reduce((product, radix) => product * radix, 1) <=
+    Number.MAX_SAFE_INTEGER;
+
+  return (row, dropna) => {
+    let key = fits ? 0 : '';
+    for (let j = 0; j < columns.length; j++) {
+      const code = columns[j].codes[row];
+      if (code === -1 && dropna) return null;
+      key = fits ? key * radixes[j] + code + 1 : `${key}${code},`;
+    }
+    return key;
+  };
+}
+
+/**
+ * @param {Array<{codes: Int32Array, uniques: Array, ordinal: boolean}>} columns - Factorized keys
+ * @param {number[]} first - First row of each group
+ * @returns {number[]} - Group numbers ordered by key, column by column
+ */
+function sortedGroups(columns, first) {
+  const order = first.map((_, g) => g);
+  return order.sort((a, b) => {
+    for (const { codes, uniques, ordinal } of columns) {
+      const codeA = codes[first[a]];
+      const codeB = codes[first[b]];
+      if (codeA === codeB) continue;
+      // Categories sort in category order, other values by value
+      const valueA = codeA === -1 ? null : ordinal ? codeA : uniques[codeA];
+      const valueB = codeB === -1 ? null : ordinal ? codeB : uniques[codeB];
+      const cmp = compareValues(valueA, valueB, false);
+      if (cmp !== 0) return cmp;
+    }
+    return 0;
+  });
+}
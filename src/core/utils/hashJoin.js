@@ -0,0 +1,299 @@
+/**
+ * Row matching for joins, on column storage. Key columns of both sides
+ * are factorized together into integer codes (values keep their type: 1
+ * and '1' are different keys, Dates are equal when they are the same
+ * time), the codes of a row are combined into one dense code, and the
+ * right rows are bucketed by code. A row with a null key matches
+ * nothing, as in SQL.
+ *
+ * When both sides are already sorted by a single key column, a
+ * sort-merge pass walks them side by side instead, without hashing.
+ *
+ * Either way the result is, for every left row, a run of matching right
+ * rows; joinPairs() turns the runs into the row positions of the joined
+ * frame.
+ */
+
+/**
+ * Helper - null, undefined and NaN are missing values
+ * @param v
+ */
+const isMissing = (v) => v === null || v === undefined || Number.isNaN(v);
+
+/**
+ * Values of a key column: a ColumnVector, or an array (e.g. index labels)
+ * @param {ColumnVector|Array} column - Key column
+ * @returns {Array}
+ */
+function valuesOf(column) {
+  return Array.isArray(column) ? column : column.toArray();
+}
+
+/**
+ * Codes of one key column of each side, shared between the sides; -1 for
+ * missing values
+ * @param {ColumnVector|Array} left - Left key column
+ * @param {ColumnVector|Array} right - Right key column
+ * @returns {{left: Int32Array, right: Int32Array, count: number}}
+ */
+function factorizePair(left, right) {
+  // Dates get their own map so a Date never equals its time as a number
+  const values = new Map();
+  const times = new Map();
+  const codeOf = (value) => {
+    if (isMissing(value)) return -1;
+    const map = value instanceof Date ? times : values;
+    const key = value instanceof Date ? value.getTime() : value;
+    let code = map.get(key);
+    if (code === undefined) {
+      code = values.size + times.size;
+      map.set(key, code);
+    }
+    return code;
+  };
+
+  const encode = (column) => {
+    // Categorical columns: one lookup per category, not per row
+    if (column.dtype === 'category') {
+      const categoryCodes = Int32Array.from(column.categories, codeOf);
+      return Int32Array.from(column.codes, (c) =>
+        c === -1 ? -1 : categoryCodes[c],
+      );
+    }
+    return Int32Array.from(valuesOf(column), codeOf);
+  };
+
+  const leftCodes = encode(left);
+  const rightCodes = encode(right);
+  return {
+    left: leftCodes,
+    right: rightCodes,
+    count: values.size + times.size,
+  };
+}
+
+/**
+ * Combines the codes of two columns into dense codes of the pair
+ * @param {{left: Int32Array, right: Int32Array, count: number}} a - Codes so far
+ * @param {{left: Int32Array, right: Int32Array, count: number}} b - Next column
+ * @returns {{left: Int32Array, right: Int32Array, count: number}}
+ */
+function combinePair(a, b) {
+  // a.code * b.count + b.code stays below rowCount², a safe integer for
+  // any frame that fits in memory
+  const pairs = new Map();
+  const combine = (codesA, codesB) =>
+    Int32Array.from(codesA, (codeA, i) => {
+      const codeB = codesB[i];
+      if (codeA === -1 || codeB === -1) return -1;
+      const key = codeA * b.count + codeB;
+      let code = pairs.get(key);
+      if (code === undefined) {
+        code = pairs.size;
+        pairs.set(key, code);
+      }
+      return code;
+    });
+  const left = combine(a.left, b.left);
+  const right = combine(a.right, b.right);
+  return { left, right, count: pairs.size };
+}
+
+/**
+ * Dense join key codes of the rows of both sides
+ *
+ * @param {Array<ColumnVector|Array>} leftColumns - Left key columns
+ * @param {Array<ColumnVector|Array>} rightColumns - Right key columns, in
+ *   the same order
+ * @returns {{left: Int32Array, right: Int32Array, count: number}} - Code
+ *   per left and right row (-1 when a key value is missing; equal codes
+ *   are equal keys) and the number of distinct codes
+ */
+export function encodeJoinKeys(leftColumns, rightColumns) {
+  return leftColumns
+    .map((column, j) => factorizePair(column, rightColumns[j]))
+    .reduce(combinePair);
+}
+
+/**
+ * Matching runs by hashing: right rows bucketed by code, in row order
+ *
+ * @param {{left: Int32Array, right: Int32Array, count: number}} keys - From encodeJoinKeys()
+ * @returns {{order: Int32Array, starts: Int32Array, ends: Int32Array}} -
+ *   Right rows grouped by code, and for every left row the run of its
+ *   matches in `order` ([starts[i], ends[i]), empty without a match)
+ */
+export function hashRuns(keys) {
+  const { left, right, count } = keys;
+  // Counting sort of the right rows by code
+  const offsets = new Int32Array(count + 1);
+  for (let i = 0; i < right.length; i++) {
+    if (right[i] !== -1) offsets[right[i] + 1]++;
+  }
+  for (let c = 0; c < count; c++) offsets[c + 1] += offsets[c];
+  const order = new Int32Array(offsets[count]);
+  const filled = offsets.slice(0, count);
+  for (let i = 0; i < right.length; i++) {
+    if (right[i] !== -1) order[filled[right[i]]++] = i;
+  }
+
+  const starts = new Int32Array(left.length);
+  const ends = new Int32Array(left.length);
+  for (let i = 0; i < left.length; i++) {
+    const code = left[i];
+    if (code === -1) continue;
+    starts[i] = offsets[code];
+    ends[i] = offsets[code + 1];
+  }
+  return { order, starts, ends };
+}
+
+/**
+ * Values of a key column as primitives that compare with `<`, if the
+ * column is sorted ascending with its nulls last
+ *
+ * @param {ColumnVector|Array} column - Key column
+ * @returns {{keys: Array, present: number, type: string}|null} - Keys
+ *   (Dates as times), the number of non-null ones and their type
+ *   ('number', 'string' or 'date'); null when the column is not sorted
+ *   or mixes types
+ */
+export function sortedKeys(column) {
+  const values = valuesOf(column);
+  const keys = new Array(values.length);
+  let type = null;
+  let present = 0;
+  for (let i = 0; i < values.length; i++) {
+    const v = values[i];
+    if (isMissing(v)) {
+      keys[i] = null;
+      continue;
+    }
+    // A value after a null: the nulls are not last
+    if (present !== i) return null;
+    const keyType = v instanceof Date ? 'date' : typeof v;
+    if (!['number', 'string', 'date'].includes(keyType)) return null;
+    if (type === null) type = keyType;
+    else if (keyType !== type) return null;
+    const key = keyType === 'date' ? v.getTime() : v;
+    if (present > 0 && key < keys[present - 1]) return null;
+    keys[i] = key;
+    present++;
+  }
+  return { keys, present, type };
+}
+
+/**
+ * Matching runs by merging two sorted key columns
+ *
+ * @param {{keys: Array, present: number, type: string}} left - From sortedKeys()
+ * @param {{keys: Array, present: number, type: string}} right - From sortedKeys()
+ * @returns {{order: Int32Array, starts: Int32Array, ends: Int32Array}} -
+ *   As hashRuns(); `order` is the right rows in their own order
+ */
+export function mergeRuns(left, right) {
+  const n = left.keys.length;
+  const starts = new Int32Array(n);
+  const ends = new Int32Array(n);
+  // Keys of different types (a number and a Date) never match
+  const comparable =
+    left.type === right.type || left.present === 0 || right.present === 0;
+
+  const present = comparable ? left.present : 0;
+  let j = 0;
+  for (let i = 0; i < present; i++) {
+    const key = left.keys[i];
+    while (j < right.present && right.keys[j] < key) j++;
+    let end = j;
+    while (end < right.present && right.keys[end] === key) end++;
+    starts[i] = j;
+    ends[i] = end;
+  }
+  const order = Int32Array.from({ length: right.keys.length }, (_, i) => i);
+  return { order, starts, ends };
+}
+
+/**
+ * Whether a key occurs on more than one row, missing keys aside
+ * @param {Int32Array} codes - Codes of one side, from encodeJoinKeys()
+ * @param {number} count - Number of distinct codes
+ * @returns {boolean}
+ */
+export function hasDuplicateCodes(codes, count) {
+  const seen = new Uint8Array(count);
+  for (const code of codes) {
+    if (code === -1) continue;
+    if (seen[code]) return true;
+    seen[code] = 1;
+  }
+  return false;
+}
+
+/**
+ * Whether a sorted key column repeats a key, missing keys aside
+ * @param {{keys: Array, present: number}} sorted - From sortedKeys()
+ * @returns {boolean}
+ */
+export function hasDuplicateSorted(sorted) {
+  for (let i = 1; i < sorted.present; i++) {
+    if (sorted.keys[i] === sorted.keys[i - 1]) return true;
+  }
+  return false;
+}
+
+/**
+ * Row positions of a joined frame
+ *
+ * Inner and left joins list the left rows in order, each followed by its
+ * matches in right order (left joins keep unmatched left rows once);
+ * right and outer joins add the unmatched right rows at the end, in
+ * their order (a right join drops the unmatched left rows).
+ *
+ * @param {{order: Int32Array, starts: Int32Array, ends: Int32Array}} runs - From hashRuns() or mergeRuns()
+ * @param {number} rightCount - Number of right rows
+ * @param {string} how - 'inner', 'left', 'right' or 'outer'
+ * @returns {{left: Int32Array, right: Int32Array}} - Left and right row of
+ *   every joined row, -1 for the missing side
+ */
+export function joinPairs(runs, rightCount, how) {
+  const { order, starts, ends } = runs;
+  const keepLeft = how === 'left' || how === 'outer';
+  const keepRight = how === 'right' || how === 'outer';
+
+  const matched = keepRight ? new Uint8Array(rightCount) : null;
+  let total = 0;
+  for (let i = 0; i < starts.length; i++) {
+    const size = ends[i] - starts[i];
+    total += size > 0 ? size : keepLeft ? 1 : 0;
+    if (matched) {
+      for (let k = starts[i]; k < ends[i]; k++) matched[order[k]] = 1;
+    }
+  }
+  let unmatched = 0;
+  if (matched) {
+    for (let r = 0; r < rightCount; r++) unmatched += matched[r] ? 0 : 1;
+  }
+
+  const left = new Int32Array(total + unmatched);
+  const right = new Int32Array(total + unmatched);
+  let out = 0;
+  for (let i = 0; i < starts.length; i++) {
+    if (ends[i] > starts[i]) {
+      for (let k = starts[i]; k < ends[i]; k++) {
+        left[out] = i;
+        right[out++] = order[k];
+      }
+    } else if (keepLeft) {
+      left[out] = i;
+      right[out++] = -1;
+    }
+  }
+  if (matched) {
+    for (let r = 0; r < rightCount; r++) {
+      if (matched[r]) continue;
+      left[out] = -1;
+      right[out++] = r;
+    }
+  }
+  return { left, right };
+}
@@ -1,5 +1,6 @@
 // src/core/utils/index.js
 export { inferType } from './inferType.js';
-export { validateInput } from './validators.js';
+export * from './validators.js';
+export * from './typeChecks.js';
 export { transpose } from './transpose.js';
 export { cloneDeep } from './cloneDeep.js';
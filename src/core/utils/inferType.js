@@ -1,15 +1,16 @@
 // src/core/utils/inferType.js
 /**
  * Heuristic dtype inference for a JS array.
- * Returns one of the DType codes: 'f64' | 'i32' | 'bool' | 'str' | 'mixed'.
+ * Returns one of the DType codes: 'f64' | 'i32' | 'bool' | 'str' | 'ts_ms' | 'mixed'.
  *
- * • Empty array → 'str'
+ * • Empty array (or only nulls) → 'str'
  * • All boolean   → 'bool'
  * • All number    → 'i32' (if all integers) or 'f64'
  * • All string    → 'str'
+ * • All Date      → 'ts_ms'
  * • Otherwise         → 'mixed'
  *
- * Nulls (null/undefined/NaN) do not affect inference.
+ * Nulls (null/undefined) do not affect inference; NaN counts as a float.
  * @param arr
  */
 export function inferType(arr) {
@@ -19,18 +20,33 @@ export function inferType(arr) {
   let isInt = true;
   let isBoolean = true;
   let isString = true;
+  let isDate = true;
+  let seen = false;
 
   for (const v of arr) {
     if (v === null || v === undefined) continue; // ignore nulls
+    seen = true;
 
-    isNumber &&= typeof v === 'number' && !Number.isNaN(v);
+    if (Number.isNaN(v)) {
+      // NaN only tells us the column is not integer
+      isInt = false;
+      isBoolean = false;
+      isString = false;
+      isDate = false;
+      continue;
+    }
+
+    isNumber &&= typeof v === 'number';
     isInt &&= isNumber && Number.isInteger(v);
     isBoolean &&= typeof v === 'boolean';
     isString &&= typeof v === 'string';
+    isDate &&= v instanceof Date;
   }
 
+  if (!seen) return 'str';
   if (isBoolean) return 'bool';
   if (isNumber) return isInt ? 'i32' : 'f64';
   if (isString) return 'str';
+  if (isDate) return 'ts_ms';
   return 'mixed';
 }
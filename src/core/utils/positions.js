@@ -0,0 +1,115 @@
+/**
+ * Row position helpers for positional selection (take / mask)
+ */
+import { isValid, createValidity, setValid } from '../storage/validity.js';
+
+/**
+ * Validates row positions and resolves negative ones from the end
+ *
+ * @param {ArrayLike<number>|Series} indices - Row positions
+ * @param {number} length - Number of rows
+ * @returns {Int32Array} - Positions in [0, length)
+ * @throws {Error} If a position is not an integer or out of bounds
+ */
+export function normalizePositions(indices, length) {
+  const source = indices?.vector ? indices.toArray() : indices;
+  if (!Array.isArray(source) && !ArrayBuffer.isView(source)) {
+    throw new Error('Indices must be an array, a TypedArray or a Series');
+  }
+
+  const positions = new Int32Array(source.length);
+  for (let i = 0; i < source.length; i++) {
+    const idx = source[i];
+    if (!Number.isInteger(idx)) {
+      throw new Error(`Index ${idx} is not an integer`);
+    }
+    const pos = idx < 0 ? length + idx : idx;
+    if (pos < 0 || pos >= length) {
+      throw new Error(`Index ${idx} is out of bounds for length ${length}`);
+    }
+    positions[i] = pos;
+  }
+  return positions;
+}
+
+/**
+ * Positions of the rows where a boolean mask is true.
+ * Nulls in the mask count as false. Typed boolean storage
+ * (comparison results) is scanned directly.
+ *
+ * @param {Series|Array|TypedArray} mask - Boolean mask
+ * @param {number} length - Expected number of rows
+ * @returns {Int32Array} - Selected positions in ascending order
+ * @throws {Error} If the mask has the wrong type or length
+ */
+export function maskToPositions(mask, length) {
+  const vector = mask?.vector;
+  let values;
+  let validity = null;
+
+  if (vector?._data && ArrayBuffer.isView(vector._data)) {
+    values = vector._data;
+    validity = vector._validity ?? null;
+  } else if (vector) {
+    values = vector.toArray();
+  } else if (Array.isArray(mask) || ArrayBuffer.isView(mask)) {
+    values = mask;
+  } else {
+    throw new Error('Mask must be a boolean Series, array or TypedArray');
+  }
+
+  if (values.length !== length) {
+    throw new Error(
+      `Mask length ${values.length} does not match row count ${length}`,
+    );
+  }
+
+  let count = 0;
+  for (let i = 0; i < length; i++) {
+    if (values[i] && (!validity || isValid(validity, i))) count++;
+  }
+
+  const positions = new Int32Array(count);
+  let j = 0;
+  for (let i = 0; i < length; i++) {
+    if (values[i] && (!validity || isValid(validity, i))) positions[j++] = i;
+  }
+  return positions;
+}
+
+/**
+ * Elements of a vector at row positions, null where the position is -1
+ * (a row without a match in a join). Typed and categorical storage stay
+ * typed, with the missing rows marked null.
+ *
+ * @param {ColumnVector} vector - Column storage
+ * @param {Int32Array} positions - Row positions, -1 for null
+ * @returns {ColumnVector|Array} - Taken vector, or plain values for other
+ *   storage
+ */
+export function takeWithNulls(vector, positions) {
+  if (!positions.includes(-1)) return vector.take(positions);
+  if (vector.length === 0) return Array.from(positions, () => null);
+
+  const taken = vector.take(positions.map((i) => (i === -1 ? 0 : i)));
+  if (taken.codes) {
+    // Categorical storage: code -1 is null
+    for (let i = 0; i < positions.length; i++) {
+      if (positions[i] === -1) taken.codes[i] = -1;
+    }
+    return taken;
+  }
+  if (taken._data && ArrayBuffer.isView(taken._data)) {
+    const validity = createValidity(positions.length);
+    for (let i = 0; i < positions.length; i++) {
+      if (
+        positions[i] !== -1 &&
+        (!taken._validity || isValid(taken._validity, i))
+      ) {
+        setValid(validity, i);
+      }
+    }
+    return taken._withData(taken._data, validity);
+  }
+  return Array.from(positions, (i) => (i === -1 ? null : vector.get(i)));
+}
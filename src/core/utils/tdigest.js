@@ -0,0 +1,159 @@
+/**
+ * t-digest (Dunning & Ertl): a small summary of a distribution from
+ * which quantiles can be estimated, accurate at the tails. Values are
+ * kept as weighted centroids; centroids near the median may hold many
+ * values, those near the extremes few. Two digests merge into one that
+ * summarizes both inputs, so digests of separate batches can be combined.
+ *
+ * This is the merging variant with the k1 scale function: added values
+ * are buffered and folded into the centroids in one sorted pass.
+ */
+
+/**
+ * Summary of a stream of numbers for approximate quantiles
+ */
+export class TDigest {
+  /**
+   * @param {number} [compression=100] - Size/accuracy trade-off: about
+   *   compression / 2 centroids at most, error around 1 / compression
+   */
+  constructor(compression = 100) {
+    if (typeof compression !== 'number' || !(compression >= 10)) {
+      throw new Error('compression must be a number of at least 10');
+    }
+    this.compression = compression;
+    this.count = 0;
+    this.min = Infinity;
+    this.max = -Infinity;
+    this._means = [];
+    this._weights = [];
+    this._buffer = [];
+  }
+
+  /**
+   * Adds a value
+   * @param {number} x - Value (non-finite values are ignored)
+   * @param {number} [weight=1] - Number of times it occurs
+   * @returns {TDigest} - This digest
+   */
+  add(x, weight = 1) {
+    if (!Number.isFinite(x)) return this;
+    this._buffer.push(x, weight);
+    this.count += weight;
+    if (x < this.min) this.min = x;
+    if (x > this.max) this.max = x;
+    if (this._buffer.length >= 10 * this.compression) this._compress();
+    return this;
+  }
+
+  /**
+   * Adds the values summarized by another digest
+   * @param {TDigest} other - Digest to fold in (left unchanged)
+   * @returns {TDigest} - This digest
+   */
+  merge(other) {
+    other._compress();
+    for (let i = 0; i < other._means.length; i++) {
+      this._buffer.push(other._means[i], other._weights[i]);
+    }
+    this.count += other.count;
+    this.min = Math.min(this.min, other.min);
+    this.max = Math.max(this.max, other.max);
+    this._compress();
+    return this;
+  }
+
+  /**
+   * Estimated quantile
+   * @param {number} q - Quantile between 0 and 1
+   * @returns {number|null} - Estimate, null when no values were added
+   */
+  quantile(q) {
+    if (!(q >= 0 && q <= 1)) {
+      throw new Error('Quantile must be between 0 and 1 inclusive');
+    }
+    this._compress();
+    const means = this._means;
+    const weights = this._weights;
+    if (means.length === 0) return null;
+    if (q === 0) return this.min;
+    if (q === 1) return this.max;
+
+    // Each centroid sits at the middle of its weight; interpolate between
+    // neighbouring centroids, and towards min / max beyond the outer ones
+    const target = q * this.count;
+    let cumulative = 0;
+    let previousCenter = 0;
+    let previousMean = this.min;
+    for (let i = 0; i < means.length; i++) {
+      const center = cumulative + weights[i] / 2;
+      if (target < center) {
+        const span = center - previousCenter;
+        const t = span > 0 ? (target - previousCenter) / span : 0;
+        return previousMean + t * (means[i] - previousMean);
+      }
+      cumulative += weights[i];
+      previousCenter = center;
+      previousMean = means[i];
+    }
+    const span = this.count - previousCenter;
+    const t = span > 0 ? (target - previousCenter) / span : 0;
+    return previousMean + t * (this.max - previousMean);
+  }
+
+  /**
+   * Folds buffered values into the centroids
+   * @private
+   */
+  _compress() {
+    if (this._buffer.length === 0) return;
+    const items = [];
+    for (let i = 0; i < this._means.length; i++) {
+      items.push([this._means[i], this._weights[i]]);
+    }
+    for (let i = 0; i < this._buffer.length; i += 2) {
+      items.push([this._buffer[i], this._buffer[i + 1]]);
+    }
+    this._buffer = [];
+    items.sort((a, b) => a[0] - b[0]);
+
+    const total = this.count;
+    const means = [];
+    const weights = [];
+    let [mean, weight] = items[0];
+    let before = 0;
+    let limit = this._quantileLimit(0);
+    for (let i = 1; i < items.length; i++) {
+      const [nextMean, nextWeight] = items[i];
+      if ((before + weight + nextWeight) / total <= limit) {
+        weight += nextWeight;
+        mean += ((nextMean - mean) * nextWeight) / weight;
+      } else {
+        means.push(mean);
+        weights.push(weight);
+        before += weight;
+        limit = this._quantileLimit(before / total);
+        mean = nextMean;
+        weight = nextWeight;
+      }
+    }
+    means.push(mean);
+    weights.push(weight);
+    this._means = means;
+    this._weights = weights;
+  }
+
+  /**
+   * Largest quantile a centroid starting at quantile q may reach: one
+   * unit further on the k1 scale k(q) = compression / 2π · asin(2q - 1)
+   * @private
+   * @param {number} q - Quantile where the centroid starts
+   * @returns {number}
+   */
+  _quantileLimit(q) {
+    const scale = this.compression / (2 * Math.PI);
+    const k = scale * Math.asin(2 * q - 1) + 1;
+    if (k >= scale * (Math.PI / 2)) return 1;
+    return (Math.sin(k / scale) + 1) / 2;
+  }
+}
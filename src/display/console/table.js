@@ -36,7 +36,9 @@ export function formatTable(frame, options = {}) {
   });
 
   if (showIndex) {
-    const indexWidth = String(data.length - 1).length;
+    const indexWidth = frame.index
+      ? Math.max(0, ...data.map((_, i) => String(frame.index[i]).length))
+      : String(data.length - 1).length;
     colWidths['index'] = Math.max(indexWidth, 5); // Minimum width for index column
   }
 
@@ -64,7 +66,8 @@ export function formatTable(frame, options = {}) {
   // Add data rows
   data.forEach((row, i) => {
     if (showIndex) {
-      result += String(i).padStart(colWidths['index']) + ' | ';
+      const label = frame.index ? frame.index[i] : i;
+      result += String(label).padStart(colWidths['index']) + ' | ';
     }
 
     columnNames.forEach((col) => {
@@ -86,10 +89,13 @@ export function formatTable(frame, options = {}) {
   return result;
 }
 
+/** Key of the row-label column in print() layouts */
+const INDEX_COLUMN = Symbol('index');
+
 /**
  * Prints the DataFrame to the console in a table format with borders.
  *
- * @param {TinyFrame} frame - DataFrame in TinyFrame format
+ * @param {TinyFrame} frame - DataFrame in TinyFrame format; optional `index`/`indexName` add a row-label column
  * @param {number} [rows] - Maximum number of rows to display
  * @param {number} [cols] - Maximum number of columns to display
  * @returns {TinyFrame} - The original frame for method chaining
@@ -129,21 +135,28 @@ export function print(frame, rows, cols) {
 
   // Determine visible columns
   const displayCols = Math.min(maxCols, columns.length);
-  const visibleColumns = columns.slice(0, displayCols);
+  // Row labels (frame.index) are rendered as a leading column
+  const visibleColumns = frame.index
+    ? [INDEX_COLUMN, ...columns.slice(0, displayCols)]
+    : columns.slice(0, displayCols);
+  const headerOf = (col) =>
+    col === INDEX_COLUMN ? String(frame.indexName ?? '') : col;
+  const cellOf = (col, rowIdx) =>
+    col === INDEX_COLUMN ? frame.index[rowIdx] : frame.columns[col][rowIdx];
 
   // Calculate column widths
   const columnWidths = {};
 
   // Initialize with header lengths
   visibleColumns.forEach((col) => {
-    columnWidths[col] = col.length;
+    columnWidths[col] = headerOf(col).length;
   });
 
   // Find the maximum width for each column based on data
   for (const rowIdx of rowsToDisplay) {
     if (rowIdx >= 0) {
       visibleColumns.forEach((col) => {
-        const cellValue = frame.columns[col][rowIdx];
+        const cellValue = cellOf(col, rowIdx);
         let value;
         if (cellValue === null) {
           value = 'null';
@@ -188,7 +201,8 @@ export function print(frame, rows, cols) {
   // Add header row
   let headerRow = border.vertical;
   visibleColumns.forEach((col) => {
-    headerRow += ' ' + col.padEnd(columnWidths[col]) + ' ' + border.vertical;
+    headerRow +=
+      ' ' + headerOf(col).padEnd(columnWidths[col]) + ' ' + border.vertical;
   });
   table.push(headerRow);
 
@@ -246,7 +260,7 @@ export function print(frame, rows, cols) {
     } else if (!skipNextRow) {
       let dataRow = border.vertical;
       visibleColumns.forEach((col) => {
-        const cellValue = frame.columns[col][rowIdx];
+        const cellValue = cellOf(col, rowIdx);
         // Explicitly display null and undefined
         let value;
         if (cellValue === null) {
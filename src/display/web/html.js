@@ -1,7 +1,7 @@
 /**
  * Converts DataFrame to an HTML table representation.
  *
- * @param {Object} frame - DataFrame in TinyFrame format
+ * @param {Object} frame - DataFrame in TinyFrame format; optional `index`/`indexName` replace row positions with labels
  * @param {Object} options - Display options
  * @param {number} [options.maxRows=10] - Maximum number of rows to display
  * @param {number} [options.maxCols=Infinity] - Maximum number of columns to display
@@ -43,7 +43,8 @@ export function toHTML(frame, options = {}) {
   // Add header row
   html += '<thead><tr>';
   if (showIndex) {
-    html += '<th></th>'; // Empty header for index column
+    // Index column header shows the index name, if any
+    html += `<th>${frame.indexName ? escapeHTML(frame.indexName) : ''}</th>`;
   }
   visibleColumns.forEach((col) => {
     html += `<th>${escapeHTML(col)}</th>`;
@@ -92,7 +93,10 @@ export function toHTML(frame, options = {}) {
 
       // Add index column if needed
       if (showIndex) {
-        rowsHtml += `<td class="row-index">${rowIdx}</td>`;
+        const label = frame.index
+          ? formatCellValue(frame.index[rowIdx])
+          : rowIdx;
+        rowsHtml += `<td class="row-index">${label}</td>`;
       }
 
       // Add data cells
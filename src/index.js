@@ -8,6 +8,25 @@
 // Export core components
 export { DataFrame } from './core/dataframe/DataFrame.js';
 export { Series } from './core/dataframe/Series.js';
+export {
+  Index,
+  RangeIndex,
+  DatetimeIndex,
+  MultiIndex,
+} from './core/dataframe/Index.js';
+export { TinyFrame } from './core/plugins.js';
+export { Expr, col, lit, when } from './core/expr/index.js';
+export {
+  q,
+  registerReducer,
+  unregisterReducer,
+  listReducers,
+} from './core/dataframe/reducers.js';
+export {
+  Accumulator,
+  approxQuantile,
+  approxNUnique,
+} from './core/lazy/index.js';
 // Removed reference to non-existent createFrame.js
 export * from './core/types.js';
 export * from './core/utils/validators.js';
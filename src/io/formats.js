@@ -0,0 +1,109 @@
+// src/io/formats.js
+
+/**
+ * Registry of named IO formats.
+ *
+ * A format is `{ read?, write? }`: `read(source, options)` resolves to a
+ * DataFrame, `write(df, destination, options)` stores one. Built-in
+ * formats import their reader or writer on first use, so the registry
+ * itself pulls in no parsers.
+ *
+ * @module io/formats
+ */
+
+/** @type {Map<string, {read?: Function, write?: Function}>} */
+const formats = new Map();
+
+/**
+ * Wraps a dynamically imported function
+ * @param {Function} load - Returns a promise of the module
+ * @param {string} name - Export name
+ * @returns {Function} - Async function forwarding its arguments
+ */
+const lazy =
+  (load, name) =>
+  async (...args) =>
+    (await load())[name](...args);
+
+const builtIn = {
+  csv: { read: lazy(() => import('./readers/csv.js'), 'readCsv') },
+  tsv: { read: lazy(() => import('./readers/tsv.js'), 'readTsv') },
+  json: { read: lazy(() => import('./readers/json.js'), 'readJson') },
+  excel: { read: lazy(() => import('./readers/excel.js'), 'readExcel') },
+  arrow: { write: lazy(() => import('./writers/arrow.js'), 'writeArrow') },
+};
+
+for (const [name, format] of Object.entries(builtIn)) formats.set(name, format);
+
+/**
+ * Registers a format
+ * @param {string} name - Format name, e.g. 'parquet'
+ * @param {{read?: Function, write?: Function}} format - Reader and/or writer
+ * @param {object} [options] - { override?: boolean }
+ */
+export function registerFormat(name, format, options = {}) {
+  if (!name || typeof name !== 'string') {
+    throw new Error('Format name must be a non-empty string');
+  }
+  if (
+    !format ||
+    (typeof format.read !== 'function' && typeof format.write !== 'function')
+  ) {
+    throw new Error(`Format '${name}' must define read() or write()`);
+  }
+  if (formats.has(name) && !options.override) {
+    throw new Error(`Format '${name}' is already registered`);
+  }
+  formats.set(name, format);
+}
+
+/**
+ * Removes a format
+ * @param {string} name - Format name
+ * @returns {boolean} - True if the format was registered
+ */
+export function unregisterFormat(name) {
+  return formats.delete(name);
+}
+
+/**
+ * @param {string} name - Format name
+ * @returns {{read?: Function, write?: Function}|undefined}
+ */
+export function getFormat(name) {
+  return formats.get(name);
+}
+
+/**
+ * @returns {string[]} - Registered format names
+ */
+export function listFormats() {
+  return [...formats.keys()];
+}
+
+/**
+ * Reads data with a registered format
+ * @param {string} name - Format name
+ * @param {*} source - File path, URL, string or other source the format accepts
+ * @param {object} [options] - Format options
+ * @returns {Promise<import('../core/dataframe/DataFrame.js').DataFrame>}
+ */
+export async function readFormat(name, source, options = {}) {
+  const format = formats.get(name);
+  if (!format?.read) throw new Error(`No reader for format '${name}'`);
+  return format.read(source, options);
+}
+
+/**
+ * Writes a DataFrame with a registered format
+ * @param {string} name - Format name
+ * @param {import('../core/dataframe/DataFrame.js').DataFrame} df - Data to write
+ * @param {*} [destination] - File path, stream or other target
+ * @param {object} [options] - Format options
+ * @returns {Promise<*>} - Whatever the writer returns
+ */
+export async function writeFormat(name, df, destination, options = {}) {
+  const format = formats.get(name);
+  if (!format?.write) throw new Error(`No writer for format '${name}'`);
+  return format.write(df, destination, options);
+}
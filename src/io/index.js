@@ -9,6 +9,9 @@ export * from './transformers/index.js';
 // Export API schema registry
 export * from './transformers/apiSchemas/index.js';
 
+// Export format registry
+export * from './formats.js';
+
 // Export pipeline utilities
 export * from './pipe.js';
 
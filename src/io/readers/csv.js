@@ -24,6 +24,7 @@
  */
 
 import { DataFrame } from '../../core/dataframe/DataFrame.js';
+import { concat } from '../../methods/dataframe/transform/concat.js';
 import { createRequire } from 'module';
 
 /**
@@ -35,7 +36,7 @@ import { createRequire } from 'module';
  * @param {any} [emptyValue=undefined] - Value to use for empty cells (undefined, 0, null, or NaN)
  * @returns {boolean|number|string} The converted value with appropriate type
  */
-function convertType(value, emptyValue = undefined) {
+export function convertType(value, emptyValue = undefined) {
   /**
    * Formats a Date object to YYYY-MM-DD string format
    * @param {Date} date - The date to format
@@ -1049,12 +1050,14 @@ export async function readCsv(source, options = {}) {
        * @returns {Promise<DataFrame>} Promise resolving to combined DataFrame
        */
       collect: async () => {
-        const allData = [];
+        const batches = [];
         const batchGenerator = readCsvInBatches(source, options);
         for await (const batchDf of batchGenerator) {
-          allData.push(...batchDf.toArray());
+          batches.push(batchDf);
         }
-        return DataFrame.fromRecords(allData, options.frameOptions);
+        return batches.length
+          ? concat(batches, { ignoreIndex: true })
+          : new DataFrame({}, options.frameOptions);
       },
     };
   }
@@ -12,6 +12,7 @@
  */
 
 import { DataFrame } from '../../core/dataframe/DataFrame.js';
+import { concat } from '../../methods/dataframe/transform/concat.js';
 import {
   detectEnvironment,
   safeRequire,
@@ -538,7 +539,7 @@ export async function readExcel(source, options = {}) {
          * @returns {Promise<DataFrame>} Promise resolving to combined DataFrame
          */
         collect: async () => {
-          const allData = [];
+          const batches = [];
           const batchGenerator = processExcelInBatches(worksheet, {
             header,
             dynamicTyping,
@@ -548,10 +549,12 @@ export async function readExcel(source, options = {}) {
           });
 
           for await (const batchDf of batchGenerator) {
-            allData.push(...batchDf.toArray());
+            batches.push(batchDf);
           }
 
-          return DataFrame.create(allData, frameOptions);
+          return batches.length
+            ? concat(batches, { ignoreIndex: true })
+            : new DataFrame({}, frameOptions);
         },
       };
     }
@@ -12,6 +12,9 @@ export { readCSVStream } from './stream/csvStream.js';
 export { readJSONLStream } from './stream/jsonStream.js';
 export * from './stream/index.js';
 
+// Lazy scans (LazyFrame sources with pushdown)
+export { scanCsv, scanJsonl, scanArrow } from './scan.js';
+
 // API readers
 export { fetchJson, fetchWithRetry } from './api/common.js';
 export { ApiClient, createApiClient, defaultClient } from './api/client.js';
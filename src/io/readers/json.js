@@ -1,6 +1,7 @@
 // src/io/readers/json.js
 
 import { DataFrame } from '../../core/dataframe/DataFrame.js';
+import { concat } from '../../methods/dataframe/transform/concat.js';
 import {
   detectEnvironment,
   safeRequire,
@@ -367,7 +368,7 @@ export async function readJson(source, options = {}) {
          * @returns {Promise<DataFrame>} Promise resolving to combined DataFrame
          */
         collect: async () => {
-          const allData = [];
+          const batches = [];
           const batchGenerator = processJsonInBatches(data, {
             recordPath,
             emptyValue,
@@ -377,10 +378,12 @@ export async function readJson(source, options = {}) {
           });
 
           for await (const batchDf of batchGenerator) {
-            allData.push(...batchDf.toArray());
+            batches.push(batchDf);
           }
 
-          return DataFrame.fromRecords(allData, frameOptions);
+          return batches.length
+            ? concat(batches, { ignoreIndex: true })
+            : new DataFrame({}, frameOptions);
         },
       };
     }
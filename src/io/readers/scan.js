@@ -0,0 +1,198 @@
+// src/io/readers/scan.js
+
+/**
+ * Lazy file sources: scanCsv, scanJsonl and scanArrow return a LazyFrame
+ * whose plan starts with a scan. Nothing is read until collect(); the
+ * optimizer then hands the scan the columns later steps use, the filters
+ * that can run while reading and a row limit, so
+ *
+ * ```js
+ * const january = await scanCsv('trades.csv')
+ *   .filter(col('date').gte('2024-01-01').and(col('date').lt('2024-02-01')))
+ *   .select(['date', 'symbol', 'price'])
+ *   .collect();
+ * ```
+ *
+ * converts three columns and keeps only the January rows in memory, and
+ * `scanCsv(path).head(10)` stops reading after ten rows. With
+ * `collect({ streaming: true })` or `stream()` the file is processed one
+ * batch at a time instead of being read whole.
+ *
+ * @module io/readers/scan
+ */
+
+import { DataFrame } from '../../core/dataframe/DataFrame.js';
+import { LazyFrame } from '../../core/lazy/LazyFrame.js';
+import { concatFrames } from '../../core/lazy/execute.js';
+import { filter } from '../../methods/dataframe/filtering/filter.js';
+import { select } from '../../methods/dataframe/filtering/select.js';
+import { slice } from '../../methods/dataframe/indexing/slice.js';
+import { csvRowGenerator } from './stream/csvStream.js';
+import { jsonlRowGenerator } from './stream/jsonStream.js';
+
+/**
+ * Lazily reads a CSV file, converting values as readCsv does
+ *
+ * @param {string} path - Path to the CSV file
+ * @param {Object} [options] - csvRowGenerator options (header, delimiter,
+ *   parsers, convertTypes, ...)
+ * @param {number} [options.batchSize=10000] - Rows converted and filtered at a time
+ * @returns {LazyFrame}
+ */
+export function scanCsv(path, options = {}) {
+  const { batchSize, ...csvOptions } = options;
+  const rows = (pushdown) =>
+    csvRowGenerator(path, {
+      convertTypes: true,
+      ...csvOptions,
+      ...rowOptions(pushdown),
+    });
+  return fromRows('csv', path, rows, batchSize);
+}
+
+/**
+ * Lazily reads a JSON Lines file
+ *
+ * @param {string} path - Path to the JSONL file
+ * @param {Object} [options] - jsonlRowGenerator options (skipInvalid)
+ * @param {number} [options.batchSize=10000] - Rows converted and filtered at a time
+ * @returns {LazyFrame}
+ */
+export function scanJsonl(path, options = {}) {
+  const { batchSize, ...jsonlOptions } = options;
+  const rows = (pushdown) =>
+    jsonlRowGenerator(path, { ...jsonlOptions, ...rowOptions(pushdown) });
+  return fromRows('jsonl', path, rows, batchSize);
+}
+
+/**
+ * Lazily reads an Arrow IPC file; only the columns the plan uses are
+ * converted from Arrow vectors
+ *
+ * @param {string} path - Path to the Arrow file
+ * @param {Object} [options] - Options
+ * @param {number} [options.batchSize=10000] - Rows converted and filtered at a time
+ * @returns {LazyFrame}
+ */
+export function scanArrow(path, options = {}) {
+  const { batchSize } = options;
+  const rows = (pushdown) => arrowRows(path, rowOptions(pushdown));
+  return fromRows('arrow', path, rows, batchSize);
+}
+
+/**
+ * Scan over a row generator; read() collects what batches() yields
+ * @param {string} format - Format name shown by explain()
+ * @param {string} path - File path
+ * @param {(pushdown: Object) => AsyncIterable<Object>} rows - Rows for a pushdown
+ * @param {number} [batchSize] - Rows per batch, else the streaming batch
+ *   size or 10000
+ * @returns {LazyFrame}
+ */
+function fromRows(format, path, rows, batchSize) {
+  const batches = (pushdown) =>
+    rowBatches(rows(pushdown), pushdown, batchSize ?? pushdown.batchSize);
+  return LazyFrame.fromScan({
+    format,
+    path,
+    batches,
+    read: async (pushdown) => {
+      const frames = [];
+      for await (const batch of batches(pushdown)) frames.push(batch);
+      return concatFrames(frames);
+    },
+  });
+}
+
+/**
+ * Row generator options for a pushdown. Function filters run on each
+ * row; expression filters need whole columns and run per batch in
+ * collectRows, which then also applies the limit.
+ * @param {{columns?: string[], predicate?: Expr, fn?: Function, limit?: number}} pushdown
+ * @returns {{columns?: string[], filter?: Function, limit?: number}}
+ */
+function rowOptions({ columns, predicate, fn, limit }) {
+  if (!predicate) return { columns, filter: fn, limit };
+  const read = columns && [...new Set([...columns, ...predicate.columns()])];
+  return { columns: read, filter: fn };
+}
+
+/**
+ * Groups rows into DataFrames and filters each with the predicate, so
+ * only rows passing it are kept; stops once `limit` rows were yielded
+ * @param {AsyncIterable<Object>} rows - Row objects
+ * @param {{columns?: string[], predicate?: Expr, limit?: number}} pushdown
+ * @param {number} [batchSize=10000] - Rows per batch
+ * @returns {AsyncGenerator<DataFrame>} Batches with the pushed-down
+ *   columns (one empty frame when no row matches)
+ */
+async function* rowBatches(rows, pushdown, batchSize = 10000) {
+  const { columns, predicate, limit = Infinity } = pushdown;
+  let batch = [];
+  let count = 0;
+
+  const toFrame = (records) => {
+    let df = DataFrame.fromRecords(records);
+    if (predicate) df = filter(df, predicate);
+    if (df.rowCount > limit - count) df = slice(df, 0, limit - count);
+    count += df.rowCount;
+    return columns ? select(df, columns) : df;
+  };
+
+  for await (const row of rows) {
+    batch.push(row);
+    if (batch.length >= batchSize) {
+      const df = toFrame(batch);
+      batch = [];
+      if (df.rowCount > 0) yield df;
+      // Leaving the loop closes the file
+      if (count >= limit) return;
+    }
+  }
+  if (batch.length > 0) {
+    const df = toFrame(batch);
+    if (df.rowCount > 0) yield df;
+  }
+  if (count === 0) {
+    yield new DataFrame(
+      Object.fromEntries((columns ?? []).map((name) => [name, []])),
+    );
+  }
+}
+
+/**
+ * Rows of an Arrow IPC file, read from the projected columns only
+ * @param {string} path - Path to the Arrow file
+ * @param {{columns?: string[], filter?: Function, limit?: number}} options
+ * @returns {AsyncGenerator<Object>}
+ */
+async function* arrowRows(path, options) {
+  const { columns, filter: keep, limit = Infinity } = options;
+  const { readFile } = await import('fs/promises');
+  const arrow = await import('apache-arrow');
+  const table = arrow.tableFromIPC(await readFile(path));
+
+  const names = table.schema.fields.map((field) => field.name);
+  for (const name of columns ?? []) {
+    if (!names.includes(name)) {
+      throw new Error(`Column '${name}' not found in ${path}`);
+    }
+  }
+  // A row filter sees every column, like it would after a full read
+  const read = keep ? names : (columns ?? names);
+  const vectors = read.map((name) => [name, table.getChild(name)]);
+  const plain = (v) => (typeof v === 'bigint' ? Number(v) : v);
+
+  let yielded = 0;
+  for (let i = 0; i < table.numRows && yielded < limit; i++) {
+    const row = {};
+    for (const [name, vector] of vectors) row[name] = plain(vector.get(i));
+    if (keep && !keep(row)) continue;
+    if (keep && columns) {
+      yield Object.fromEntries(columns.map((name) => [name, row[name]]));
+    } else {
+      yield row;
+    }
+    yielded++;
+  }
+}
@@ -1,6 +1,7 @@
 // src/io/readers/sql.js
 
 import { DataFrame } from '../../core/dataframe/DataFrame.js';
+import { concat } from '../../methods/dataframe/transform/concat.js';
 import {
   detectEnvironment,
   safeRequire,
@@ -297,7 +298,7 @@ export async function readSql(connection, query, options = {}) {
          * @returns {Promise<DataFrame>} Promise resolving to combined DataFrame
          */
         collect: async () => {
-          const allData = [];
+          const batches = [];
           const batchGenerator = processSqlInBatches(results, {
             emptyValue,
             dynamicTyping,
@@ -306,10 +307,12 @@ export async function readSql(connection, query, options = {}) {
           });
 
           for await (const batchDf of batchGenerator) {
-            allData.push(...batchDf.toArray());
+            batches.push(batchDf);
           }
 
-          return DataFrame.create(allData, frameOptions);
+          return batches.length
+            ? concat(batches, { ignoreIndex: true })
+            : new DataFrame({}, frameOptions);
         },
       };
     }
@@ -9,6 +9,7 @@ import { createReadStream } from 'fs';
 import { once } from 'events';
 import { createInterface } from 'readline';
 import { DataFrame } from '../../../core/dataframe/DataFrame.js';
+import { convertType } from '../csv.js';
 
 /**
  * Parses a CSV row into an array of values, handling quoted fields properly.
@@ -107,7 +108,7 @@ export async function readCSVStream(filePath, options = {}) {
     }
 
     // Parse the CSV line
-    const parsedLine = parseRow(line, delimiter);
+    const parsedLine = parseCSVLine(line, delimiter);
 
     // Handle header line
     if (lineCount === 0 && header) {
@@ -199,6 +200,13 @@ function processBatch(batch, headers, parsers) {
  * @param {string} [options.delimiter=','] - CSV delimiter
  * @param {boolean} [options.skipEmptyLines=true] - Whether to skip empty lines
  * @param {Object} [options.parsers] - Custom parsers for specific columns
+ * @param {boolean} [options.convertTypes=false] - Convert numbers, booleans
+ *   and dates as readCsv does (columns with a parser are left to it)
+ * @param {string[]} [options.columns] - Only these columns are parsed and
+ *   yielded
+ * @param {Function} [options.filter] - Row predicate, called with every
+ *   column before the row is narrowed to options.columns
+ * @param {number} [options.limit] - Stop after yielding this many rows
  * @returns {AsyncGenerator} - Async generator that yields rows as objects
  */
 export async function* csvRowGenerator(filePath, options = {}) {
@@ -207,12 +215,17 @@ export async function* csvRowGenerator(filePath, options = {}) {
     delimiter = ',',
     skipEmptyLines = true,
     parsers = {},
+    convertTypes = false,
+    columns = null,
+    filter = null,
+    limit = Infinity,
   } = options;
 
   // Validate file path
   if (!fs.existsSync(filePath)) {
     throw new Error(`File not found: ${filePath}`);
   }
+  if (limit <= 0) return;
 
   // Create read stream
   const fileStream = createReadStream(filePath, { encoding: 'utf8' });
@@ -221,46 +234,78 @@ export async function* csvRowGenerator(filePath, options = {}) {
     crlfDelay: Infinity,
   });
 
-  let headers = [];
+  let allFields = []; // [name, index] pairs of every column
+  let fields = []; // [name, index] pairs to build for each row
   let lineCount = 0;
+  let yielded = 0;
 
-  // Process the file line by line
-  for await (const line of rl) {
-    // Skip empty lines if configured
-    if (skipEmptyLines && line.trim() === '') {
-      continue;
-    }
-
-    // Parse the CSV line
-    const parsedLine = parseRow(line, delimiter);
+  const parse = (name, value) => {
+    if (parsers[name]) return parsers[name](value);
+    return convertTypes ? convertType(value, null) : value;
+  };
+  const build = (parsedLine, pairs) => {
+    const row = {};
+    for (const [name, i] of pairs) row[name] = parse(name, parsedLine[i]);
+    return row;
+  };
+
+  try {
+    // Process the file line by line
+    for await (const line of rl) {
+      // Skip empty lines if configured
+      if (skipEmptyLines && line.trim() === '') {
+        continue;
+      }
 
-    // Handle header line
-    if (lineCount === 0 && header) {
-      headers = parsedLine;
+      // Parse the CSV line
+      const parsedLine = parseCSVLine(line, delimiter);
+
+      // Handle header line
+      if (lineCount === 0) {
+        const names = header ? parsedLine : parsedLine.map((_, i) => String(i));
+        allFields = locateColumns(names, names, filePath);
+        fields = columns ? locateColumns(names, columns, filePath) : allFields;
+        if (header) {
+          lineCount++;
+          continue;
+        }
+      }
       lineCount++;
-      continue;
-    }
 
-    // Create a row object using headers
-    const row = {};
-    for (let i = 0; i < headers.length; i++) {
-      const header = headers[i];
-      const value = parsedLine[i];
-
-      // Apply parser if available for this column
-      if (parsers[header]) {
-        row[header] = parsers[header](value);
+      // The filter sees the whole row, the caller only the chosen columns
+      let row;
+      if (filter) {
+        const full = build(parsedLine, allFields);
+        if (!filter(full)) continue;
+        row = columns ? build(parsedLine, fields) : full;
       } else {
-        row[header] = value;
+        row = build(parsedLine, fields);
       }
-    }
 
-    lineCount++;
-    yield row;
+      yield row;
+      if (++yielded >= limit) break;
+    }
+  } finally {
+    // Close the file stream, also when the caller stops early
+    rl.close();
+    fileStream.close();
   }
+}
 
-  // Close the file stream
-  fileStream.close();
+/**
+ * @param {string[]} headers - Column names in file order
+ * @param {string[]} names - Columns to find
+ * @param {string} filePath - File, for the error message
+ * @returns {Array<[string, number]>} - Name and position of each column
+ */
+function locateColumns(headers, names, filePath) {
+  return names.map((name) => {
+    const i = headers.indexOf(name);
+    if (i === -1) {
+      throw new Error(`Column '${name}' not found in ${filePath}`);
+    }
+    return [name, i];
+  });
 }
 
 /**
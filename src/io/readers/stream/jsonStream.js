@@ -98,15 +98,26 @@ export async function readJSONLStream(filePath, options = {}) {
  * @param {string} filePath - Path to the JSONL file
  * @param {Object} options - Options for reading and parsing
  * @param {boolean} [options.skipInvalid=false] - Whether to skip invalid JSON lines
+ * @param {string[]} [options.columns] - Only these fields are yielded
+ *   (missing ones as null)
+ * @param {Function} [options.filter] - Predicate called with the whole
+ *   parsed object before it is narrowed to options.columns
+ * @param {number} [options.limit] - Stop after yielding this many objects
  * @returns {AsyncGenerator} - Async generator that yields parsed JSON objects
  */
 export async function* jsonlRowGenerator(filePath, options = {}) {
-  const { skipInvalid = false } = options;
+  const {
+    skipInvalid = false,
+    columns = null,
+    filter = null,
+    limit = Infinity,
+  } = options;
 
   // Validate file path
   if (!fs.existsSync(filePath)) {
     throw new Error(`File not found: ${filePath}`);
   }
+  if (limit <= 0) return;
 
   // Create read stream
   const fileStream = createReadStream(filePath, { encoding: 'utf8' });
@@ -115,29 +126,45 @@ export async function* jsonlRowGenerator(filePath, options = {}) {
     crlfDelay: Infinity,
   });
 
-  // Process the file line by line
-  for await (const line of rl) {
-    // Skip empty lines
-    if (line.trim() === '') {
-      continue;
-    }
+  let yielded = 0;
 
-    try {
-      // Parse the JSON line
-      const parsedLine = JSON.parse(line);
-      yield parsedLine;
-    } catch (error) {
-      if (!skipInvalid) {
-        throw new Error(
-          `Invalid JSON at line: ${line}\nError: ${error.message}`,
-        );
+  try {
+    // Process the file line by line
+    for await (const line of rl) {
+      // Skip empty lines
+      if (line.trim() === '') {
+        continue;
       }
-      // Skip invalid JSON if skipInvalid is true
+
+      let parsedLine;
+      try {
+        // Parse the JSON line
+        parsedLine = JSON.parse(line);
+      } catch (error) {
+        if (!skipInvalid) {
+          throw new Error(
+            `Invalid JSON at line: ${line}\nError: ${error.message}`,
+          );
+        }
+        // Skip invalid JSON if skipInvalid is true
+        continue;
+      }
+
+      if (filter && !filter(parsedLine)) continue;
+      if (columns) {
+        const row = {};
+        for (const name of columns) row[name] = parsedLine[name] ?? null;
+        parsedLine = row;
+      }
+
+      yield parsedLine;
+      if (++yielded >= limit) break;
     }
+  } finally {
+    // Close the file stream, also when the caller stops early
+    rl.close();
+    fileStream.close();
   }
-
-  // Close the file stream
-  fileStream.close();
 }
 
 /**
@@ -21,6 +21,9 @@ export function groupByMethod() {
    * that provides methods for aggregation and custom operations.
    *
    * @param {string|string[]} by - Column(s) to group by
+   * @param {Object} [options] - Grouping options
+   * @param {boolean} [options.dropna=false] - Leave out rows with a null key
+   * @param {boolean} [options.sort=false] - Order groups by their keys
    * @returns {Object} Proxy object with methods like .agg(), .apply(), .sum(), etc.
    *
    * @example
@@ -34,16 +37,37 @@ export function groupByMethod() {
    *     const profit = g.col('revenue').sum() - g.col('costs').sum();
    *     return { profit };
    *   });
+   *
+   * @example
+   * // Typed keys, groups in key order, rows without a date left out
+   * df.groupBy(['symbol', 'date'], { sort: true, dropna: true }).sum('qty')
    */
-  return function (by) {
-    const groupByInstance = new GroupByCore(this, by);
+  return function (by, options) {
+    const groupByInstance = new GroupByCore(this, by, options);
 
     // Create an object with methods for convenient use
     return {
       // Main GroupByCore methods
-      agg: (spec) => groupByInstance.agg(spec),
+      agg: (...spec) => groupByInstance.agg(...spec),
       apply: (fn) => groupByInstance.apply(fn),
 
+      // Per-group operations keeping the original rows and their order
+      transform: (column, fn) => groupByInstance.transform(column, fn),
+      filter: (predicate) => groupByInstance.filter(predicate),
+      cumsum: (column) => groupByInstance.cumsum(column),
+      cumprod: (column) => groupByInstance.cumprod(column),
+      cummax: (column) => groupByInstance.cummax(column),
+      cummin: (column) => groupByInstance.cummin(column),
+      rank: (column, opts) => groupByInstance.rank(column, opts),
+      shift: (column, periods) => groupByInstance.shift(column, periods),
+      diff: (column, periods) => groupByInstance.diff(column, periods),
+      pctChange: (column, periods) =>
+        groupByInstance.pctChange(column, periods),
+      rolling: (column, opts) => groupByInstance.rolling(column, opts),
+      nth: (n) => groupByInstance.nth(n),
+      head: (n) => groupByInstance.head(n),
+      tail: (n) => groupByInstance.tail(n),
+
       // Helper methods for aggregation
       sum: (column) => {
         const spec = {};
@@ -84,6 +108,7 @@ export function groupAggMethod() {
    *
    * @param {string|string[]} by - Column(s) to group by
    * @param {Object} spec - Aggregation specification
+   * @param {Object} [options] - Grouping options (dropna, sort)
    * @returns {DataFrame} DataFrame with aggregation results
    *
    * @example
@@ -103,8 +128,8 @@ export function groupAggMethod() {
    *   price: series => series.values.reduce((a, b) => a + b, 0) / series.length
    * })
    */
-  return function (by, spec) {
-    return new GroupByCore(this, by).agg(spec);
+  return function (by, spec, options) {
+    return new GroupByCore(this, by, options).agg(spec);
   };
 }
 
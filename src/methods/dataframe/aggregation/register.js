@@ -5,7 +5,10 @@
  */
 
 import { GroupByCore } from '../../../core/dataframe/GroupByCore.js';
+import { Window } from '../../../core/dataframe/Window.js';
 import { groupByMethod } from './group.js';
+import { register as registerFirst } from './first.js';
+import { register as registerLast } from './last.js';
 
 /**
  * Creates a proxy object with aggregation methods
@@ -62,8 +65,8 @@ function groupMethod() {
  * @returns {Function} GroupAgg method function
  */
 function groupAggMethod() {
-  return function (by, aggregations) {
-    const groupBy = new GroupByCore(this, by);
+  return function (by, aggregations, options) {
+    const groupBy = new GroupByCore(this, by, options);
     return groupBy.agg(aggregations);
   };
 }
@@ -130,8 +133,15 @@ export function register(DataFrame) {
 
   // For backward compatibility, save method group as alias for groupBy
   if (!DataFrame.prototype.group) {
-    DataFrame.prototype.group = function (by) {
-      return this.groupBy(by);
+    DataFrame.prototype.group = function (by, options) {
+      return this.groupBy(by, options);
+    };
+  }
+
+  // Window functions over partitions, see core/dataframe/Window.js
+  if (!DataFrame.prototype.window) {
+    DataFrame.prototype.window = function (options) {
+      return new Window(this, options);
     };
   }
 
@@ -193,4 +203,8 @@ export function register(DataFrame) {
       DataFrame.prototype[methodName] = directAggregationMethod(methodName);
     }
   });
+
+  // First and last value of a column
+  if (!DataFrame.prototype.first) registerFirst(DataFrame);
+  if (!DataFrame.prototype.last) registerLast(DataFrame);
 }
@@ -11,6 +11,7 @@ import { registerDataFrameDisplay as registerMethods } from './register.js';
 // Export individual display methods for direct use
 export { print } from './print.js';
 export { toHTML } from './toHTML.js';
+export { toMarkdown } from './toMarkdown.js';
 export { display } from './display.js';
 export { renderTo } from './renderTo.js';
 export { toJupyter, registerJupyterDisplay } from './toJupyter.js';
@@ -48,10 +48,7 @@ function formatDataFrameTable(frame, maxRows = 10, maxCols = Infinity) {
     for (const col of columns) {
       const series = frame._columns[col];
       if (series) {
-        // Handle Series objects which may have vector property
-        if (series.vector && series.vector._data) {
-          data[col] = Array.from(series.vector._data);
-        } else if (series.toArray) {
+        if (series.toArray) {
           data[col] = series.toArray();
         } else if (Array.isArray(series)) {
           data[col] = series;
@@ -9,6 +9,37 @@ import {
   toJupyter,
   registerJupyterDisplay,
 } from '../../../display/index.js';
+import { toMarkdown } from './toMarkdown.js';
+
+/**
+ * Adds row labels to a TinyFrame-format object unless the index is the default
+ * @param {Object} frame - TinyFrame-format object
+ * @param {DataFrame} df - Source DataFrame
+ * @returns {Object} - The same frame
+ */
+function withIndex(frame, df) {
+  if (df.index && !df.index.isDefault) {
+    frame.index = df.index.toArray();
+    frame.indexName = df.index.names
+      ? df.index.names.filter((n) => n !== null).join(', ')
+      : df.index.name;
+  }
+  return frame;
+}
+
+/**
+ * Converts a DataFrame to the TinyFrame format the display functions read:
+ * plain column arrays plus row labels when the index is not the default
+ * @param {DataFrame} df - Source DataFrame
+ * @returns {Object} - TinyFrame-format object
+ */
+function toFrame(df) {
+  const frame = { columns: {}, rowCount: df.rowCount };
+  for (const colName of df.columns) {
+    frame.columns[colName] = df.col(colName).toArray();
+  }
+  return withIndex(frame, df);
+}
 
 /**
  * Registers all display methods for DataFrame
@@ -23,18 +54,13 @@ export function registerDataFrameDisplay(DataFrame) {
    */
   DataFrame.prototype.print = function (rows, cols) {
     // Convert DataFrame to TinyFrame format expected by print function
-    const frame = {
-      columns: {},
-      rowCount: this.rowCount,
-    };
-
-    // Convert _columns to format expected by print function
-    for (const colName of this.columns) {
-      frame.columns[colName] = this._columns[colName].toArray();
-    }
+    const frame = toFrame(this);
 
     // Use the imported print function
-    return print(frame, rows, cols);
+    print(frame, rows, cols);
+
+    // Return the DataFrame for chaining
+    return this;
   };
 
   /**
@@ -49,13 +75,22 @@ export function registerDataFrameDisplay(DataFrame) {
    */
   DataFrame.prototype.toHTML = function (options = {}) {
     // Convert DataFrame to TinyFrame format expected by toHTML function
-    const frame = {
-      columns: this._columns,
-      rowCount: this.rowCount,
-    };
+    const frame = toFrame(this);
 
     // Use the imported toHTML function
-    return toHTML()(frame, options);
+    return toHTML(frame, options);
+  };
+
+  /**
+   * Converts DataFrame to a Markdown table
+   * @param {Object} [options] - Options for Markdown generation
+   * @param {number} [options.maxRows=Infinity] - Maximum number of rows to display
+   * @param {number} [options.maxCols=Infinity] - Maximum number of columns to display
+   * @param {boolean} [options.showIndex] - Whether to show row labels (default: non-default index only)
+   * @returns {string} - Markdown string representation of the DataFrame
+   */
+  DataFrame.prototype.toMarkdown = function (options = {}) {
+    return toMarkdown(this, options);
   };
 
   /**
@@ -79,10 +114,7 @@ export function registerDataFrameDisplay(DataFrame) {
    */
   DataFrame.prototype.display = function (options = {}) {
     // Convert DataFrame to TinyFrame format expected by display function
-    const frame = {
-      columns: this._columns,
-      rowCount: this.rowCount,
-    };
+    const frame = toFrame(this);
 
     // Use the imported display function
     display(frame, options);
@@ -104,10 +136,7 @@ export function registerDataFrameDisplay(DataFrame) {
    */
   DataFrame.prototype.renderTo = function (element, options = {}) {
     // Convert DataFrame to TinyFrame format expected by renderTo function
-    const frame = {
-      columns: this._columns,
-      rowCount: this.rowCount,
-    };
+    const frame = toFrame(this);
 
     // Use the imported renderTo function
     renderTo(frame, element, options);
@@ -123,10 +152,7 @@ export function registerDataFrameDisplay(DataFrame) {
    */
   DataFrame.prototype.toJupyter = function (options = {}) {
     // Convert DataFrame to TinyFrame format
-    const frame = {
-      columns: this._columns,
-      rowCount: this.rowCount,
-    };
+    const frame = toFrame(this);
 
     // Use the imported toJupyter function
     return toJupyter(frame, options);
@@ -0,0 +1,48 @@
+/**
+ * Convert DataFrame to a Markdown table
+ *
+ * @param {DataFrame} df - DataFrame instance
+ * @param {Object} [options] - Display options
+ * @param {number} [options.maxRows=Infinity] - Maximum number of rows to display
+ * @param {number} [options.maxCols=Infinity] - Maximum number of columns to display
+ * @param {boolean} [options.showIndex] - Show row labels, by default only for a non-default index
+ * @returns {string} - Markdown table
+ */
+export function toMarkdown(df, options = {}) {
+  const {
+    maxRows = Infinity,
+    maxCols = Infinity,
+    showIndex = !df.index.isDefault,
+  } = options;
+
+  const columns = df.columns.slice(0, maxCols);
+  const labels = df.index.toArray();
+  const rowCount = Math.min(df.rowCount, maxRows);
+
+  const header = [...(showIndex ? [df.index.name ?? ''] : []), ...columns];
+  if (df.columns.length > columns.length) header.push('...');
+  const line = (cells) => '| ' + cells.join(' | ') + ' |';
+
+  const rows = [line(header), line(header.map(() => '---'))];
+  for (let i = 0; i < rowCount; i++) {
+    const cells = columns.map((n) => formatCell(df.col(n).get(i)));
+    if (showIndex) cells.unshift(formatCell(labels[i]));
+    if (df.columns.length > columns.length) cells.push('...');
+    rows.push(line(cells));
+  }
+  if (df.rowCount > rowCount) rows.push(line(header.map(() => '...')));
+
+  return rows.join('\n');
+}
+
+/**
+ * @param {*} value - Cell value
+ * @returns {string} - Cell text, pipes escaped
+ */
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return text.replace(/\|/g, '\\|');
+}
+
+export default toMarkdown;
@@ -22,14 +22,14 @@ export const drop = (df, columns) => {
   // Create a list of columns to keep
   const columnsToKeep = allColumns.filter((col) => !columnsArray.includes(col));
 
-  // Create a new object with only the kept columns
+  // Kept Series are shared with the new DataFrame, not copied
   const keptData = {};
   for (const col of columnsToKeep) {
-    keptData[col] = df.col(col).toArray();
+    keptData[col] = df.col(col);
   }
 
   // Create new DataFrame with kept columns
-  return new df.constructor(keptData);
+  return new df.constructor(keptData, { index: df.index });
 };
 
 /**
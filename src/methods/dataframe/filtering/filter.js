@@ -1,50 +1,42 @@
+import { isExpr, evaluate } from '../../../core/expr/index.js';
+import { mask } from './mask.js';
+import { compileQuery } from './query.js';
+
 /**
- * Filters rows in a DataFrame based on a predicate function or expression string
+ * Filters rows in a DataFrame based on a predicate function, a column
+ * expression or a query string.
+ * Expressions such as `col('price').gt(100)` and strings such as
+ * `"row.price > 100 && row.city == 'Paris'"` (the df.query grammar) are
+ * evaluated over whole columns without building row objects.
  *
  * @param {DataFrame} df - DataFrame instance
- * @param {Function|string} predicateOrExpression - Function or expression string to apply to each row
+ * @param {Function|Expr|string} predicateOrExpression - Row predicate, boolean expression or query string
  * @returns {DataFrame} - New DataFrame with filtered rows
  */
 export const filter = (df, predicateOrExpression) => {
-  // If a string expression is provided, create a predicate function
+  if (isExpr(predicateOrExpression)) {
+    return mask(df, evaluate(predicateOrExpression, df));
+  }
+
+  // A string is a query (see query.js): parsed to an expression, never
+  // run as code
   if (typeof predicateOrExpression === 'string') {
+    let expression;
     try {
-      // Create a function that evaluates the expression for each row
-
-      const predicate = new Function(
-        'row',
-        `
-        try {
-          return ${predicateOrExpression};
-        } catch (err) {
-          throw new Error('Error evaluating expression: ' + err.message);
-        }
-      `,
-      );
-
-      // Check the expression on the first row if it exists
-      if (df.rowCount > 0) {
-        const firstRow = df.toArray()[0];
-        try {
-          predicate(firstRow);
-        } catch (error) {
-          throw new Error(
-            `Invalid filter expression: ${predicateOrExpression}. ${error.message}`,
-          );
-        }
-      }
-
-      return filter(df, predicate);
+      expression = compileQuery(df, predicateOrExpression);
     } catch (error) {
       throw new Error(
         `Invalid filter expression: ${predicateOrExpression}. ${error.message}`,
       );
     }
+    return filter(df, expression);
   }
 
   // Check that the argument is a function
   if (typeof predicateOrExpression !== 'function') {
-    throw new Error('Predicate must be a function or a string expression');
+    throw new Error(
+      'Predicate must be a function, an expression or a string expression',
+    );
   }
 
   const predicate = predicateOrExpression;
@@ -52,48 +44,21 @@ export const filter = (df, predicateOrExpression) => {
   // Convert DataFrame to array of rows
   const rows = df.toArray();
 
-  // Apply predicate to each row
-  const filteredRows = rows.filter(predicate);
-
-  // If no results, create an empty DataFrame with the same columns
-  if (filteredRows.length === 0) {
-    // Create an empty object with the same columns, but empty arrays
-    const emptyData = {};
-    for (const col of df.columns) {
-      // Save the array type, if it's a typed array
-      const originalArray = df._columns[col].vector.__data;
-      if (
-        ArrayBuffer.isView(originalArray) &&
-        !(originalArray instanceof DataView)
-      ) {
-        const TypedArrayConstructor = originalArray.constructor;
-        emptyData[col] = new TypedArrayConstructor(0);
-      } else {
-        emptyData[col] = [];
-      }
-    }
-    return new df.constructor(emptyData);
+  // Apply predicate to each row, remembering positions for the index
+  const selectedIndices = [];
+  for (let i = 0; i < rows.length; i++) {
+    if (predicate(rows[i], i, rows)) selectedIndices.push(i);
   }
+  const filteredRows = selectedIndices.map((i) => rows[i]);
+  const index = df.index.take(selectedIndices);
 
-  // Create a new DataFrame with the same columns and types
+  // Rebuild columns with their original dtypes (typed storage, nulls)
   const filteredData = {};
   for (const col of df.columns) {
-    const originalArray = df._columns[col].vector.__data;
-    const values = filteredRows.map((row) => row[col]);
-
-    // If the original array was typed, create a new typed array
-    if (
-      ArrayBuffer.isView(originalArray) &&
-      !(originalArray instanceof DataView)
-    ) {
-      const TypedArrayConstructor = originalArray.constructor;
-      filteredData[col] = new TypedArrayConstructor(values);
-    } else {
-      filteredData[col] = values;
-    }
+    filteredData[col] = filteredRows.map((row) => row[col]);
   }
 
-  return new df.constructor(filteredData);
+  return new df.constructor(filteredData, { index, dtypes: df.dtypes });
 };
 
 /**
@@ -12,22 +12,28 @@ import { registerDataFrameFiltering } from './register.js';
 import { filter } from './filter.js';
 import { where } from './where.js';
 import { expr$ } from './expr$.js';
+import { query$ } from './query$.js';
 import { select } from './select.js';
 import { drop } from './drop.js';
 import { stratifiedSample } from './stratifiedSample.js';
 import { selectByPattern } from './selectByPattern.js';
 import { query } from './query.js';
+import { mask } from './mask.js';
+import { take } from './take.js';
 
 // Re-export individual filtering methods for direct use
 export {
   filter,
   where,
   expr$,
+  query$,
   select,
   drop,
   stratifiedSample,
   selectByPattern,
   query,
+  mask,
+  take,
 };
 
 /**
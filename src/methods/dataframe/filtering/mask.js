@@ -0,0 +1,29 @@
+/**
+ * Selects rows of a DataFrame with a boolean mask
+ */
+import { maskToPositions } from '../../../core/utils/positions.js';
+import { takePositions } from './take.js';
+
+/**
+ * Keeps the rows where the mask is true (null counts as false).
+ * Works directly on comparison results, e.g.
+ * `df.mask(df.col('price').gt(100))`, without building row objects.
+ *
+ * @param {DataFrame} df - DataFrame instance
+ * @param {Series|Array|TypedArray} mask - Boolean mask with one value per row
+ * @returns {DataFrame} - New DataFrame with the selected rows
+ */
+export const mask = (df, booleanMask) =>
+  takePositions(df, maskToPositions(booleanMask, df.rowCount));
+
+/**
+ * Registers the mask method on DataFrame prototype
+ * @param {Class} DataFrame - DataFrame class to extend
+ */
+export const register = (DataFrame) => {
+  DataFrame.prototype.mask = function (booleanMask) {
+    return mask(this, booleanMask);
+  };
+};
+
+export default { mask, register };
@@ -0,0 +1,36 @@
+/**
+ * Filtering method: query$
+ *
+ * Template literal form of query; shares its expression syntax with expr$.
+ *
+ * @module methods/dataframe/filtering/query$
+ */
+import { expr$ } from './expr$.js';
+
+/**
+ * Filters rows in a DataFrame using a template literal expression.
+ *
+ * @param {DataFrame} df - DataFrame instance
+ * @param {TemplateStringsArray} strings - Template strings array
+ * @param {...any} values - Values to interpolate into the template
+ * @returns {DataFrame} - New DataFrame with filtered rows
+ *
+ * @example
+ * // Filter rows where age > 30 and salary > 100000
+ * df.query$`age > 30 && salary > 100000`
+ * // Filter rows where city includes "Francisco"
+ * df.query$`city_includes("Francisco")`
+ */
+export const query$ = (df, strings, ...values) => expr$(df, strings, ...values);
+
+/**
+ * Registers the query$ method on DataFrame prototype
+ * @param {Class} DataFrame - DataFrame class to extend
+ */
+export const register = (DataFrame) => {
+  DataFrame.prototype.query$ = function (strings, ...values) {
+    return query$(this, strings, ...values);
+  };
+};
+
+export default { query$, register };
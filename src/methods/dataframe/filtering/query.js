@@ -1,118 +1,69 @@
 /**
- * Filters DataFrame rows using SQL-like syntax
+ * Filtering method: query
  *
- * @param {DataFrame} df - DataFrame instance
- * @param {string} queryString - SQL-like query string
- * @returns {DataFrame} - New DataFrame with filtered rows
+ * Query strings are parsed into column expressions (see
+ * core/expr/parser.js for the grammar) and evaluated over whole columns.
+ * Nothing is passed to eval / new Function.
+ *
+ * @module methods/dataframe/filtering/query
  */
-export const query = (df, queryString) => {
-  if (typeof queryString !== 'string') {
-    throw new Error('Query must be a string');
-  }
-
-  // Get data from DataFrame
-  const rows = df.toArray();
-
-  // Create a function to evaluate the query
-  const evaluateQuery = createQueryEvaluator(queryString);
-
-  // Filter rows using the evaluation function
-  const filteredRows = rows.filter((row) => {
-    try {
-      return evaluateQuery(row);
-    } catch (e) {
-      throw new Error(`Error evaluating query for row: ${e.message}`);
-    }
-  });
-
-  // If no rows are filtered, create an empty DataFrame with the same columns
-  if (filteredRows.length === 0) {
-    // Create an empty object with the same columns, but empty arrays
-    const emptyData = {};
-    for (const col of df.columns) {
-      // Save the array type if it's a typed array
-      const originalArray = df.col(col).toArray();
-      if (
-        ArrayBuffer.isView(originalArray) &&
-        !(originalArray instanceof DataView)
-      ) {
-        const TypedArrayConstructor = originalArray.constructor;
-        emptyData[col] = new TypedArrayConstructor(0);
-      } else {
-        emptyData[col] = [];
-      }
-    }
-    return new df.constructor(emptyData);
-  }
-
-  // Create a new DataFrame preserving typed arrays
-  const filteredData = {};
-  for (const col of df.columns) {
-    const originalArray = df.col(col).toArray();
-    const values = filteredRows.map((row) => row[col]);
-
-    // If the original array was typed, create a new typed array
-    if (
-      ArrayBuffer.isView(originalArray) &&
-      !(originalArray instanceof DataView)
-    ) {
-      const TypedArrayConstructor = originalArray.constructor;
-      filteredData[col] = new TypedArrayConstructor(values);
-    } else {
-      filteredData[col] = values;
-    }
-  }
+import { parseQuery } from '../../../core/expr/parser.js';
+import { filter } from './filter.js';
 
-  return new df.constructor(filteredData);
-};
+/**
+ * Column names of a DataFrame with their dtype and timezone,
+ * used to reject unknown names and to read date strings
+ * @param {DataFrame} df - DataFrame instance
+ * @returns {Object<string, {dtype: string, tz: string|null}>}
+ */
+export const schemaOf = (df) =>
+  Object.fromEntries(
+    df.columns.map((name) => {
+      const series = df.col(name);
+      return [name, { dtype: series.dtype, tz: series.tz ?? null }];
+    }),
+  );
 
 /**
- * Creates a function to evaluate an SQL-like query
- * @param {string} queryString - SQL-like query string
- * @returns {Function} - Function evaluating the query for a row
+ * Compiles a query string against the columns of a DataFrame
+ * @param {DataFrame} df - DataFrame instance
+ * @param {string} queryString - Query string
+ * @param {Object} [vars] - Values for @name references
+ * @returns {Expr} - Boolean expression
+ * @throws {QueryError} - On syntax errors, unknown columns or variables
  */
-function createQueryEvaluator(queryString) {
-  // Replace comparison operators with JavaScript equivalents
-  const jsQuery = queryString
-    .replace(/(\w+)\s*=\s*([^=\s][^=]*)/g, '$1 == $2') // = -> ==
-    .replace(
-      /(\w+)\s+IN\s+\((.*?)\)/gi,
-      'Array.isArray([$2]) && [$2].includes($1)',
-    ) // IN -> includes
-    .replace(/(\w+)\s+LIKE\s+['"]%(.*?)%['"]/gi, '$1.includes("$2")') // LIKE '%...%' -> includes
-    .replace(/(\w+)\s+LIKE\s+['"]%(.*)['"]/gi, '$1.endsWith("$2")') // LIKE '%...' -> endsWith
-    .replace(/(\w+)\s+LIKE\s+['"](.*)%['"]/gi, '$1.startsWith("$2")') // LIKE '...%' -> startsWith
-    .replace(
-      /(\w+)\s+BETWEEN\s+(\S+)\s+AND\s+(\S+)/gi,
-      '($1 >= $2 && $1 <= $3)',
-    ); // BETWEEN -> >= && <=
+export const compileQuery = (df, queryString, vars = {}) =>
+  parseQuery(queryString, { columns: schemaOf(df), vars });
 
-  // Create a function to evaluate the query
-  try {
-    return new Function(
-      'row',
-      `
-      try {
-        with (row) {
-          return ${jsQuery};
-        }
-      } catch (e) {
-        return false;
-      }
-    `,
-    );
-  } catch (e) {
-    throw new Error(`Invalid query syntax: ${e.message}`);
+/**
+ * Filters DataFrame rows using a query string
+ *
+ * @param {DataFrame} df - DataFrame instance
+ * @param {string} queryString - Query, e.g. "age > 25 and city in ['Paris', 'Rome']"
+ * @param {Object} [options] - Options
+ * @param {Object} [options.vars] - Values for @name references
+ * @returns {DataFrame} - New DataFrame with filtered rows
+ *
+ * @example
+ * df.query("price between 10 and 20 and symbol like 'A%'")
+ * df.query('price > @min and sector in @sectors', {
+ *   vars: { min: 10, sectors: ['Tech', 'Energy'] },
+ * })
+ */
+export const query = (df, queryString, options = {}) => {
+  if (typeof queryString !== 'string') {
+    throw new Error('Query must be a string');
   }
-}
+  return filter(df, compileQuery(df, queryString, options.vars));
+};
 
 /**
  * Registers the query method on DataFrame prototype
  * @param {Class} DataFrame - DataFrame class to extend
  */
 export const register = (DataFrame) => {
-  DataFrame.prototype.query = function (queryString) {
-    return query(this, queryString);
+  DataFrame.prototype.query = function (queryString, options) {
+    return query(this, queryString, options);
   };
 };
 
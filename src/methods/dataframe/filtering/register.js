@@ -5,11 +5,14 @@
 import { register as registerFilter } from './filter.js';
 import { register as registerWhere } from './where.js';
 import { register as registerExpr$ } from './expr$.js';
+import { register as registerQuery$ } from './query$.js';
 import { register as registerSelect } from './select.js';
 import { register as registerDrop } from './drop.js';
 import { register as registerStratifiedSample } from './stratifiedSample.js';
 import { register as registerSelectByPattern } from './selectByPattern.js';
 import { register as registerQuery } from './query.js';
+import { register as registerMask } from './mask.js';
+import { register as registerTake } from './take.js';
 
 /**
  * Registers all filtering methods for DataFrame
@@ -20,11 +23,14 @@ export function registerDataFrameFiltering(DataFrame) {
   registerFilter(DataFrame);
   registerWhere(DataFrame);
   registerExpr$(DataFrame);
+  registerQuery$(DataFrame);
   registerSelect(DataFrame);
   registerDrop(DataFrame);
   registerStratifiedSample(DataFrame);
   registerSelectByPattern(DataFrame);
   registerQuery(DataFrame);
+  registerMask(DataFrame);
+  registerTake(DataFrame);
 
   // Add additional filtering methods here as they are implemented
   // For example: query, stratifiedSample, selectByPattern
@@ -1,8 +1,12 @@
+import { isExpr, evaluate } from '../../../core/expr/index.js';
+
 /**
  * Selects specified columns from a DataFrame.
+ * Entries can also be expressions, which are evaluated into new columns:
+ * `df.select(['symbol', col('price').mul(col('qty')).alias('notional')])`
  *
  * @param {DataFrame} df - DataFrame instance
- * @param {string[]} columns - Array of column names to select
+ * @param {Array<string|Expr>} columns - Column names and/or expressions
  * @returns {DataFrame} - New DataFrame with only the selected columns
  */
 export const select = (df, columns) => {
@@ -13,19 +17,24 @@ export const select = (df, columns) => {
 
   // Validate that all columns exist
   for (const col of columns) {
-    if (!df.columns.includes(col)) {
+    if (!isExpr(col) && !df.columns.includes(col)) {
       throw new Error(`Column '${col}' not found`);
     }
   }
 
-  // Create a new object with only the selected columns
+  // Selected Series are shared with the new DataFrame, not copied
   const selectedData = {};
   for (const col of columns) {
-    selectedData[col] = df.col(col).toArray();
+    if (isExpr(col)) {
+      const series = evaluate(col, df);
+      selectedData[series.name] = series;
+    } else {
+      selectedData[col] = df.col(col);
+    }
   }
 
   // Create new DataFrame with selected columns
-  return new df.constructor(selectedData);
+  return new df.constructor(selectedData, { index: df.index });
 };
 
 /**
@@ -26,14 +26,13 @@ export const selectByPattern = (df, pattern) => {
   // Create a new object with only the selected columns
   const selectedData = {};
 
-  // Save array types
+  // Keep the column vectors, and so their dtypes
   for (const column of matchedColumns) {
-    // Get data from original DataFrame
-    selectedData[column] = df.col(column).toArray();
+    selectedData[column] = df.col(column).vector;
   }
 
-  // Create a new DataFrame with selected columns, preserving array types
-  return new df.constructor(selectedData);
+  // Create a new DataFrame with selected columns
+  return new df.constructor(selectedData, { index: df.index });
 };
 
 /**
@@ -30,14 +30,14 @@ export const stratifiedSample = (
     return new df.constructor({});
   }
 
-  // Group rows by categories
+  // Group row positions by categories
   const categories = {};
-  rows.forEach((row) => {
+  rows.forEach((row, i) => {
     const category = row[stratifyColumn];
     if (!categories[category]) {
       categories[category] = [];
     }
-    categories[category].push(row);
+    categories[category].push(i);
   });
 
   // Create a random number generator with seed if specified
@@ -45,7 +45,7 @@ export const stratifiedSample = (
     options.seed !== undefined ? createSeededRandom(options.seed) : Math.random;
 
   // Select rows from each category, preserving proportions
-  const sampledRows = [];
+  const sampledIndices = [];
   Object.entries(categories).forEach(([category, categoryRows]) => {
     // Calculate the number of rows to sample from this category
     let sampleSize = Math.round(categoryRows.length * fraction);
@@ -56,11 +56,14 @@ export const stratifiedSample = (
 
     // Shuffle rows and select the required number
     const shuffled = [...categoryRows].sort(() => 0.5 - random());
-    sampledRows.push(...shuffled.slice(0, sampleSize));
+    sampledIndices.push(...shuffled.slice(0, sampleSize));
   });
 
-  // Create a new DataFrame from sampled rows
-  return df.constructor.fromRecords(sampledRows);
+  // Create a new DataFrame from sampled rows, keeping their labels
+  return df.constructor.fromRecords(
+    sampledIndices.map((i) => rows[i]),
+    { index: df.index.take(sampledIndices) },
+  );
 };
 
 /**
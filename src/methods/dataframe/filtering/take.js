@@ -0,0 +1,45 @@
+/**
+ * Selects rows of a DataFrame by position
+ */
+import { normalizePositions } from '../../../core/utils/positions.js';
+
+/**
+ * Builds a DataFrame from validated row positions
+ *
+ * @param {DataFrame} df - DataFrame instance
+ * @param {Int32Array} positions - Row positions in [0, rowCount)
+ * @returns {DataFrame} - New DataFrame
+ */
+export const takePositions = (df, positions) => {
+  const data = {};
+  for (const col of df.columns) {
+    const series = df.col(col);
+    data[col] = new series.constructor(series.vector.take(positions), {
+      name: col,
+    });
+  }
+  return new df.constructor(data, { index: df.index.take(positions) });
+};
+
+/**
+ * Selects rows by integer position. Each column copies its own storage
+ * (typed data, validity, categories), no row objects are created.
+ *
+ * @param {DataFrame} df - DataFrame instance
+ * @param {ArrayLike<number>|Series} indices - Row positions, negative values count from the end
+ * @returns {DataFrame} - New DataFrame with the rows in the given order
+ */
+export const take = (df, indices) =>
+  takePositions(df, normalizePositions(indices, df.rowCount));
+
+/**
+ * Registers the take method on DataFrame prototype
+ * @param {Class} DataFrame - DataFrame class to extend
+ */
+export const register = (DataFrame) => {
+  DataFrame.prototype.take = function (indices) {
+    return take(this, indices);
+  };
+};
+
+export default { take, register };
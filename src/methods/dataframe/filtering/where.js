@@ -21,9 +21,10 @@ export const where = (df, column, operator, value) => {
 
   // Define predicates for different operators
   const predicates = {
-    '==': (a, b) => a === b,
+    // == and != compare loosely, so '30' matches 30
+    '==': (a, b) => a == b, // eslint-disable-line eqeqeq
     '===': (a, b) => a === b,
-    '!=': (a, b) => a !== b,
+    '!=': (a, b) => a != b, // eslint-disable-line eqeqeq
     '!==': (a, b) => a !== b,
     '>': (a, b) => a > b,
     '>=': (a, b) => a >= b,
@@ -56,46 +57,15 @@ export const where = (df, column, operator, value) => {
 
   // Create new DataFrame from filtered rows
   const filteredRows = filteredIndices.map((i) => rows[i]);
+  const index = df.index.take(filteredIndices);
 
-  // If there are no results, create an empty DataFrame with the same columns
-  if (filteredRows.length === 0) {
-    // Create an empty object with the same columns but empty arrays
-    const emptyData = {};
-    for (const col of df.columns) {
-      // Preserve the array type if it's a typed array
-      const originalArray = df._columns[col].vector.__data;
-      if (
-        ArrayBuffer.isView(originalArray) &&
-        !(originalArray instanceof DataView)
-      ) {
-        const TypedArrayConstructor = originalArray.constructor;
-        emptyData[col] = new TypedArrayConstructor(0);
-      } else {
-        emptyData[col] = [];
-      }
-    }
-    return new df.constructor(emptyData);
-  }
-
-  // Create a new DataFrame while preserving array types
+  // Rebuild columns with their original dtypes (typed storage, nulls)
   const filteredData = {};
   for (const col of df.columns) {
-    const originalArray = df._columns[col].vector.__data;
-    const values = filteredRows.map((row) => row[col]);
-
-    // If the original array was typed, create a new typed array
-    if (
-      ArrayBuffer.isView(originalArray) &&
-      !(originalArray instanceof DataView)
-    ) {
-      const TypedArrayConstructor = originalArray.constructor;
-      filteredData[col] = new TypedArrayConstructor(values);
-    } else {
-      filteredData[col] = values;
-    }
+    filteredData[col] = filteredRows.map((row) => row[col]);
   }
 
-  return new df.constructor(filteredData);
+  return new df.constructor(filteredData, { index, dtypes: df.dtypes });
 };
 
 /**
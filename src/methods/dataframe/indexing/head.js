@@ -1,3 +1,5 @@
+import { slice } from './slice.js';
+
 /**
  * Returns the first n rows of a DataFrame
  *
@@ -16,14 +18,9 @@ export const head = (df, n = 5, options = { print: false }) => {
     throw new Error('Number of rows must be an integer');
   }
 
-  // Get data from DataFrame
-  const rows = df.toArray();
-
-  // Select the first n rows (or all if there are fewer than n)
-  const selectedRows = rows.slice(0, n);
-
-  // Create a new DataFrame from the selected rows
-  const result = df.constructor.fromRecords(selectedRows);
+  // Select the first n rows (or all if there are fewer than n),
+  // columns are views over the source storage
+  const result = slice(df, 0, n);
 
   // Note: the print option is preserved for API compatibility, but is not used in the current version
   // In the future, we can add a print method to DataFrame
@@ -7,7 +7,6 @@
  * @returns {DataFrame|Object} - New DataFrame with selected rows and columns, or a single row if only one row is selected
  */
 export const iloc = (df, rowSelector, colSelector) => {
-  const rows = df.toArray();
   const allColumns = df.columns;
   const rowCount = df.rowCount;
 
@@ -52,25 +51,7 @@ export const iloc = (df, rowSelector, colSelector) => {
 
   // If column selector is not provided, return all columns for selected rows
   if (colSelector === undefined || colSelector === null) {
-    // Create a new DataFrame preserving typed arrays
-    const filteredData = {};
-    for (const col of allColumns) {
-      const originalArray = df.col(col).toArray();
-      const values = selectedIndices.map((index) => originalArray[index]);
-
-      // If original array was typed, create a new typed array
-      if (
-        ArrayBuffer.isView(originalArray) &&
-        !(originalArray instanceof DataView)
-      ) {
-        const TypedArrayConstructor = originalArray.constructor;
-        filteredData[col] = new TypedArrayConstructor(values);
-      } else {
-        filteredData[col] = values;
-      }
-    }
-
-    return new df.constructor(filteredData);
+    return selectRows(df, allColumns, selectedIndices);
   }
 
   // Define column indices for selection
@@ -121,26 +102,37 @@ export const iloc = (df, rowSelector, colSelector) => {
     return df.col(selectedColumns[0]).toArray()[selectedIndices[0]];
   }
 
-  // Create a new DataFrame preserving typed arrays
-  const filteredData = {};
-  for (const col of selectedColumns) {
-    const originalArray = df.col(col).toArray();
-    const values = selectedIndices.map((index) => originalArray[index]);
+  return selectRows(df, selectedColumns, selectedIndices);
+};
 
-    // If the original array was typed, create a new typed array
-    if (
-      ArrayBuffer.isView(originalArray) &&
-      !(originalArray instanceof DataView)
-    ) {
-      const TypedArrayConstructor = originalArray.constructor;
-      filteredData[col] = new TypedArrayConstructor(values);
-    } else {
-      filteredData[col] = values;
-    }
+/**
+ * Builds the result columns. A run of consecutive positions becomes a
+ * zero-copy slice of each column, any other selection a gather (take);
+ * both keep the column dtypes.
+ *
+ * @param {DataFrame} df - Source DataFrame
+ * @param {string[]} columns - Columns to keep
+ * @param {number[]} positions - Row positions
+ * @returns {DataFrame} - New DataFrame
+ */
+export function selectRows(df, columns, positions) {
+  const start = positions.length ? positions[0] : 0;
+  const end = start + positions.length;
+  const contiguous = positions.every((pos, i) => pos === start + i);
+
+  const data = {};
+  for (const col of columns) {
+    const series = df.col(col);
+    const vector = contiguous
+      ? series.vector.slice(start, end)
+      : series.vector.take(positions);
+    data[col] = new series.constructor(vector, { name: col });
   }
 
-  return new df.constructor(filteredData);
-};
+  return new df.constructor(data, {
+    index: contiguous ? df.index.slice(start, end) : df.index.take(positions),
+  });
+}
 
 /**
  * Registers the iloc method on DataFrame prototype
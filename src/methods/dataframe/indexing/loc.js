@@ -1,51 +1,45 @@
+import { selectRows } from './iloc.js';
+
 /**
- * Selects rows and columns from a DataFrame by labels
+ * Selects rows and columns from a DataFrame by labels.
+ * Row labels are resolved through `df.index`; with the default RangeIndex
+ * labels coincide with row positions.
  *
  * @param {DataFrame} df - DataFrame instance
- * @param {Array|Function|Object} rowSelector - Row selector (array of indices, predicate function, or object with conditions)
- * @param {Array|string} [colSelector] - Column selector (array of column names or one column)
+ * @param {*|Array|Function|Object|null} rowSelector - Row selector (index label, array of labels, predicate function, or object with conditions); null selects all rows
+ * @param {Array|string|null} [colSelector] - Column selector (array of column names or one column); null selects all columns
  * @returns {DataFrame|Object} - New DataFrame with selected rows and columns, or an object if only one row is selected
  */
 export const loc = (df, rowSelector, colSelector) => {
-  // Get data from DataFrame
-  const rows = df.toArray();
-  const rowCount = df.rowCount;
+  const rowIndex = df.index;
 
-  // Define rows for selection
-  let selectedRows = [];
+  // Resolve the row selector into row positions
   let selectedIndices = [];
+  let singleLabel = false;
 
-  if (Array.isArray(rowSelector)) {
-    // If rowSelector is an array of indices
-    // Check that all indices are within the valid range
-    for (const index of rowSelector) {
-      if (index < 0 || index >= rowCount) {
-        throw new Error(
-          `Row index ${index} is out of bounds for DataFrame with ${rowCount} rows`,
-        );
-      }
+  if (rowSelector === null) {
+    // null selects all rows
+    selectedIndices = Array.from({ length: df.rowCount }, (_, i) => i);
+  } else if (Array.isArray(rowSelector)) {
+    // If rowSelector is an array of labels
+    for (const label of rowSelector) {
+      const loc = rowIndex.getLoc(label);
+      if (Array.isArray(loc)) selectedIndices.push(...loc);
+      else selectedIndices.push(loc);
     }
-    selectedIndices = rowSelector;
-    selectedRows = rows.filter((_, index) => rowSelector.includes(index));
-  } else if (typeof rowSelector === 'number') {
-    // If rowSelector is a number
-    if (rowSelector < 0 || rowSelector >= rowCount) {
-      throw new Error(
-        `Row index ${rowSelector} is out of bounds for DataFrame with ${rowCount} rows`,
-      );
-    }
-    selectedIndices = [rowSelector];
-    selectedRows = [rows[rowSelector]];
   } else if (typeof rowSelector === 'function') {
     // If rowSelector is a predicate function
-    selectedRows = rows.filter(rowSelector);
+    const rows = df.toArray();
     selectedIndices = rows
       .map((row, index) => (rowSelector(row) ? index : -1))
       .filter((index) => index !== -1);
-  } else if (typeof rowSelector === 'object' && rowSelector !== null) {
+  } else if (
+    typeof rowSelector === 'object' &&
+    rowSelector !== null &&
+    !(rowSelector instanceof Date)
+  ) {
     // If rowSelector is an object with conditions
-    selectedIndices = [];
-    selectedRows = [];
+    const rows = df.toArray();
     rows.forEach((row, index) => {
       let match = true;
       for (const [key, value] of Object.entries(rowSelector)) {
@@ -56,39 +50,28 @@ export const loc = (df, rowSelector, colSelector) => {
       }
       if (match) {
         selectedIndices.push(index);
-        selectedRows.push(row);
       }
     });
+  } else if (rowSelector !== undefined) {
+    // If rowSelector is a single label
+    const loc = rowIndex.getLoc(rowSelector);
+    singleLabel = !Array.isArray(loc);
+    selectedIndices = singleLabel ? [loc] : loc;
   } else {
     throw new Error('Invalid row selector type');
   }
 
   // If no column selector is specified, return all columns
-  if (colSelector === undefined) {
-    // If only one row is selected, return it as an object
-    if (selectedRows.length === 1 && typeof rowSelector !== 'function') {
-      return selectedRows[0];
+  if (colSelector === undefined || colSelector === null) {
+    // If a single label is selected, return its row as an object
+    if (singleLabel) {
+      const row = {};
+      for (const col of df.columns)
+        row[col] = df.col(col).get(selectedIndices[0]);
+      return row;
     }
 
-    // Create a new DataFrame preserving typed arrays
-    const filteredData = {};
-    for (const col of df.columns) {
-      const originalArray = df.col(col).toArray();
-      const values = selectedIndices.map((index) => originalArray[index]);
-
-      // If the original array was typed, create a new typed array
-      if (
-        ArrayBuffer.isView(originalArray) &&
-        !(originalArray instanceof DataView)
-      ) {
-        const TypedArrayConstructor = originalArray.constructor;
-        filteredData[col] = new TypedArrayConstructor(values);
-      } else {
-        filteredData[col] = values;
-      }
-    }
-
-    return new df.constructor(filteredData);
+    return selectRows(df, df.columns, selectedIndices);
   }
 
   // Define columns for selection
@@ -111,34 +94,12 @@ export const loc = (df, rowSelector, colSelector) => {
     }
   }
 
-  // If only one row and one column is selected, return the value
-  if (
-    selectedRows.length === 1 &&
-    selectedColumns.length === 1 &&
-    typeof rowSelector !== 'function'
-  ) {
-    return selectedRows[0][selectedColumns[0]];
-  }
-
-  // Create a new DataFrame preserving typed arrays
-  const filteredData = {};
-  for (const col of selectedColumns) {
-    const originalArray = df.col(col).toArray();
-    const values = selectedIndices.map((index) => originalArray[index]);
-
-    // If the original array was typed, create a new typed array
-    if (
-      ArrayBuffer.isView(originalArray) &&
-      !(originalArray instanceof DataView)
-    ) {
-      const TypedArrayConstructor = originalArray.constructor;
-      filteredData[col] = new TypedArrayConstructor(values);
-    } else {
-      filteredData[col] = values;
-    }
+  // If a single label and a single column name are selected, return the value
+  if (singleLabel && typeof colSelector === 'string') {
+    return df.col(colSelector).get(selectedIndices[0]);
   }
 
-  return new df.constructor(filteredData);
+  return selectRows(df, selectedColumns, selectedIndices);
 };
 
 /**
@@ -8,6 +8,10 @@ import { register as registerTail } from './tail.js';
 import { register as registerIloc } from './iloc.js';
 import { register as registerLoc } from './loc.js';
 import { register as registerSample } from './sample.js';
+import { register as registerSetIndex } from './setIndex.js';
+import { register as registerResetIndex } from './resetIndex.js';
+import { register as registerReindex } from './reindex.js';
+import { register as registerSlice } from './slice.js';
 
 /**
  * Register all indexing methods on DataFrame prototype
@@ -20,4 +24,8 @@ export function registerDataFrameIndexing(DataFrame) {
   registerIloc(DataFrame);
   registerLoc(DataFrame);
   registerSample(DataFrame);
+  registerSetIndex(DataFrame);
+  registerResetIndex(DataFrame);
+  registerReindex(DataFrame);
+  registerSlice(DataFrame);
 }
@@ -0,0 +1,52 @@
+import { Index } from '../../../core/dataframe/Index.js';
+
+/**
+ * Conforms a DataFrame to new row labels.
+ * Rows are picked by label; labels missing from the current index get `fillValue`.
+ *
+ * @param {DataFrame} df - DataFrame instance
+ * @param {Array|Index} labels - New row labels
+ * @param {Object} [options] - Additional options
+ * @param {*} [options.fillValue=null] - Value for labels not present in the index
+ * @returns {DataFrame} - New DataFrame indexed by `labels`
+ */
+export const reindex = (df, labels, options = {}) => {
+  const { fillValue = null } = options;
+
+  if (!labels || typeof labels.length !== 'number') {
+    throw new Error('Labels must be an array or Index');
+  }
+  if (!df.index.isUnique) {
+    throw new Error('Cannot reindex on an index with duplicate labels');
+  }
+
+  const target = Index.from(labels, {
+    name: df.index.name,
+    names: df.index.names,
+  });
+  const positions = df.index.getIndexer(target.toArray());
+
+  const data = {};
+  for (const col of df.columns) {
+    const series = df.col(col);
+    const values = new Array(positions.length);
+    for (let i = 0; i < positions.length; i++) {
+      values[i] = positions[i] === -1 ? fillValue : series.get(positions[i]);
+    }
+    data[col] = values;
+  }
+
+  return new df.constructor(data, { index: target });
+};
+
+/**
+ * Registers the reindex method on DataFrame prototype
+ * @param {Class} DataFrame - DataFrame class to extend
+ */
+export const register = (DataFrame) => {
+  DataFrame.prototype.reindex = function (labels, options) {
+    return reindex(this, labels, options);
+  };
+};
+
+export default { reindex, register };
@@ -0,0 +1,50 @@
+import { RangeIndex, MultiIndex } from '../../../core/dataframe/Index.js';
+
+/**
+ * Replaces the row index with the default RangeIndex.
+ * Unless `drop` is set, the old labels are inserted as leading column(s)
+ * named after the index (`index` or `level_<n>` when unnamed).
+ *
+ * @param {DataFrame} df - DataFrame instance
+ * @param {Object} [options] - Additional options
+ * @param {boolean} [options.drop=false] - Discard the labels instead of inserting them
+ * @returns {DataFrame} - New DataFrame with a RangeIndex
+ */
+export const resetIndex = (df, options = {}) => {
+  const { drop = false } = options;
+  const index = df.index;
+  const data = {};
+
+  if (!drop) {
+    const levels =
+      index instanceof MultiIndex
+        ? index.names.map((name, l) => ({
+            name: name ?? `level_${l}`,
+            values: index.getLevelValues(l).toArray(),
+          }))
+        : [{ name: index.name ?? 'index', values: index.toArray() }];
+
+    for (const { name, values } of levels) {
+      if (df.columns.includes(name)) {
+        throw new Error(`Cannot insert '${name}', column already exists`);
+      }
+      data[name] = values;
+    }
+  }
+
+  for (const col of df.columns) data[col] = df.col(col);
+
+  return new df.constructor(data, { index: new RangeIndex(df.rowCount) });
+};
+
+/**
+ * Registers the resetIndex method on DataFrame prototype
+ * @param {Class} DataFrame - DataFrame class to extend
+ */
+export const register = (DataFrame) => {
+  DataFrame.prototype.resetIndex = function (options) {
+    return resetIndex(this, options);
+  };
+};
+
+export default { resetIndex, register };
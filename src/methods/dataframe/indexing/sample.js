@@ -1,3 +1,5 @@
+import { takePositions } from '../filtering/take.js';
+
 /**
  * Selects a random sample of rows from DataFrame
  *
@@ -16,9 +18,8 @@ export const sample = (df, n, options = {}) => {
     n = undefined;
   }
 
-  // Get data from DataFrame
-  const rows = df.toArray();
-  if (rows.length === 0) {
+  const rowCount = df.rowCount;
+  if (rowCount === 0) {
     return new df.constructor({});
   }
 
@@ -28,7 +29,7 @@ export const sample = (df, n, options = {}) => {
     if (options.fraction <= 0 || options.fraction > 1) {
       throw new Error('Fraction must be in the range (0, 1]');
     }
-    sampleSize = Math.round(rows.length * options.fraction);
+    sampleSize = Math.round(rowCount * options.fraction);
   } else {
     sampleSize = n !== undefined ? n : 1;
   }
@@ -44,9 +45,9 @@ export const sample = (df, n, options = {}) => {
   }
 
   // If sampling without replacement and sample size is greater than number of rows
-  if (!options.replace && sampleSize > rows.length) {
+  if (!options.replace && sampleSize > rowCount) {
     throw new Error(
-      `Sample size (${sampleSize}) cannot be greater than number of rows (${rows.length})`,
+      `Sample size (${sampleSize}) cannot be greater than number of rows (${rowCount})`,
     );
   }
 
@@ -55,27 +56,26 @@ export const sample = (df, n, options = {}) => {
     options.seed !== undefined ? createSeededRandom(options.seed) : Math.random;
 
   // Select rows
-  const sampledRows = [];
+  const sampledIndices = [];
   if (options.replace) {
     // Sampling with replacement
     for (let i = 0; i < sampleSize; i++) {
-      const index = Math.floor(random() * rows.length);
-      sampledRows.push(rows[index]);
+      sampledIndices.push(Math.floor(random() * rowCount));
     }
   } else {
     // Sampling without replacement (using Fisher-Yates algorithm)
-    const indices = Array.from({ length: rows.length }, (_, i) => i);
+    const indices = Array.from({ length: rowCount }, (_, i) => i);
     for (let i = indices.length - 1; i > 0; i--) {
       const j = Math.floor(random() * (i + 1));
       [indices[i], indices[j]] = [indices[j], indices[i]];
     }
     for (let i = 0; i < sampleSize; i++) {
-      sampledRows.push(rows[indices[i]]);
+      sampledIndices.push(indices[i]);
     }
   }
 
-  // Create a new DataFrame from sampled rows
-  return df.constructor.fromRecords(sampledRows);
+  // Take the sampled rows column by column, keeping dtypes and labels
+  return takePositions(df, Int32Array.from(sampledIndices));
 };
 
 /**
@@ -0,0 +1,95 @@
+import { Index, MultiIndex } from '../../../core/dataframe/Index.js';
+
+/**
+ * Sets column(s) as the row index of a DataFrame.
+ * One column gives a flat Index (DatetimeIndex for Date values),
+ * several columns give a MultiIndex.
+ *
+ * @param {DataFrame} df - DataFrame instance
+ * @param {string|string[]|Index} keys - Column name(s) or a ready Index
+ * @param {Object} [options] - Additional options
+ * @param {boolean} [options.drop=true] - Remove the key columns from the data
+ * @param {boolean} [options.append=false] - Keep the current index as outer level(s)
+ * @returns {DataFrame} - New DataFrame with the index set
+ */
+export const setIndex = (df, keys, options = {}) => {
+  const { drop = true, append = false } = options;
+
+  let index;
+  let keyColumns = [];
+
+  if (keys instanceof Index) {
+    if (keys.length !== df.rowCount) {
+      throw new Error(
+        `Index length ${keys.length} does not match row count ${df.rowCount}`,
+      );
+    }
+    index = keys;
+  } else {
+    keyColumns = Array.isArray(keys) ? keys : [keys];
+    if (keyColumns.length === 0) {
+      throw new Error('At least one column is required to set the index');
+    }
+    for (const col of keyColumns) {
+      if (!df.columns.includes(col)) {
+        throw new Error(`Column '${col}' not found`);
+      }
+    }
+
+    index =
+      keyColumns.length === 1
+        ? Index.from(df.col(keyColumns[0]).toArray(), { name: keyColumns[0] })
+        : new MultiIndex(
+            keyColumns.map((col) => df.col(col).toArray()),
+            { names: keyColumns },
+          );
+  }
+
+  if (append && !df.index.isDefault) {
+    index = new MultiIndex([...indexLevels(df.index), ...indexLevels(index)], {
+      names: [...indexNames(df.index), ...indexNames(index)],
+    });
+  }
+
+  // Unchanged columns keep their Series, nothing is copied
+  const data = {};
+  for (const col of df.columns) {
+    if (drop && keyColumns.includes(col)) continue;
+    data[col] = df.col(col);
+  }
+
+  return new df.constructor(data, { index });
+};
+
+/**
+ * Label arrays of every level of an index
+ * @param {Index} index - Flat or multi index
+ * @returns {Array<Array>} - One label array per level
+ */
+function indexLevels(index) {
+  if (index instanceof MultiIndex) {
+    return index.names.map((_, l) => index.getLevelValues(l).toArray());
+  }
+  return [index.toArray()];
+}
+
+/**
+ * Level names of an index
+ * @param {Index} index - Flat or multi index
+ * @returns {Array<string|null>} - One name per level
+ */
+function indexNames(index) {
+  return index instanceof MultiIndex ? index.names : [index.name];
+}
+
+/**
+ * Registers the setIndex method on DataFrame prototype
+ * @param {Class} DataFrame - DataFrame class to extend
+ */
+export const register = (DataFrame) => {
+  DataFrame.prototype.setIndex = function (keys, options) {
+    return setIndex(this, keys, options);
+  };
+};
+
+export default { setIndex, register };
@@ -0,0 +1,40 @@
+/**
+ * Returns rows [start, end) of a DataFrame as a zero-copy view
+ *
+ * Typed, categorical and Arrow columns share memory with the source;
+ * writing to either side (Series.set) copies that column first.
+ *
+ * @param {DataFrame} df - DataFrame instance
+ * @param {number} [start=0] - Start position (inclusive), negative counts from the end
+ * @param {number} [end=df.rowCount] - End position (exclusive), negative counts from the end
+ * @returns {DataFrame} - New DataFrame over the selected rows
+ */
+export const slice = (df, start = 0, end = df.rowCount) => {
+  const rowCount = df.rowCount;
+  const clamp = (n) =>
+    Math.min(Math.max(n < 0 ? rowCount + n : n, 0), rowCount);
+  const from = clamp(start);
+  const to = Math.max(from, clamp(end));
+
+  const data = {};
+  for (const col of df.columns) {
+    const series = df.col(col);
+    data[col] = new series.constructor(series.vector.slice(from, to), {
+      name: col,
+    });
+  }
+
+  return new df.constructor(data, { index: df.index.slice(from, to) });
+};
+
+/**
+ * Registers the slice method on DataFrame prototype
+ * @param {Class} DataFrame - DataFrame class to extend
+ */
+export const register = (DataFrame) => {
+  DataFrame.prototype.slice = function (start, end) {
+    return slice(this, start, end);
+  };
+};
+
+export default { slice, register };
@@ -1,3 +1,5 @@
+import { slice } from './slice.js';
+
 /**
  * Returns the last n rows of DataFrame
  *
@@ -16,14 +18,9 @@ export const tail = (df, n = 5, options = { print: false }) => {
     throw new Error('Number of rows must be an integer');
   }
 
-  // Get data from DataFrame
-  const rows = df.toArray();
-
-  // Select the last n rows (or all if there are fewer than n)
-  const selectedRows = rows.slice(-n);
-
-  // Create a new DataFrame from selected rows
-  const result = df.constructor.fromRecords(selectedRows);
+  // Select the last n rows (or all if there are fewer than n),
+  // columns are views over the source storage
+  const result = slice(df, -n);
 
   // Note: the print option is preserved for API compatibility, but is not used in the current version
   // In the future, we can add the print method to DataFrame
@@ -74,15 +74,35 @@ export function getDataFrameMethodsInfo() {
         returns: 'number',
         example: "df.median('score')",
       },
+      window: {
+        signature: 'window([options])',
+        description:
+          'Window over partitions for ranks, lag/lead and running or moving aggregates',
+        returns: 'Window',
+        example:
+          "df.window({ partitionBy: 'symbol', orderBy: 'date' }).agg('volume', 'sum')",
+      },
       // Other aggregation methods...
     },
     filtering: {
       filter: {
         signature: 'filter(predicate)',
-        description: 'Filter rows by predicate',
+        description: 'Filter rows by predicate or boolean expression',
         returns: 'DataFrame',
         example: 'df.filter(row => row.age > 30)',
       },
+      mask: {
+        signature: 'mask(booleanSeries)',
+        description: 'Keep rows where a boolean mask is true',
+        returns: 'DataFrame',
+        example: "df.mask(df.col('age').gt(30))",
+      },
+      take: {
+        signature: 'take(indices)',
+        description: 'Select rows by integer position',
+        returns: 'DataFrame',
+        example: 'df.take([0, 2, -1])',
+      },
       where: {
         signature: 'where(column, operator, value)',
         description: 'Filter rows based on a condition for a specific column',
@@ -95,9 +115,21 @@ export function getDataFrameMethodsInfo() {
         returns: 'DataFrame',
         example: 'df.expr$`age > 30 && city.includes("York")`',
       },
+      query: {
+        signature: 'query(queryString, [options])',
+        description: 'Filter rows with a query string (no eval, CSP-safe)',
+        returns: 'DataFrame',
+        example: "df.query('price > @min', { vars: { min: 10 } })",
+      },
+      query$: {
+        signature: 'query$`expression`',
+        description: 'Filter rows using a template literal expression',
+        returns: 'DataFrame',
+        example: 'df.query$`age > 30 && salary > 100000`',
+      },
       select: {
         signature: 'select(columns)',
-        description: 'Select specified columns',
+        description: 'Select columns or expressions',
         returns: 'DataFrame',
         example: "df.select(['name', 'age'])",
       },
@@ -122,6 +154,12 @@ export function getDataFrameMethodsInfo() {
         returns: 'DataFrame|Object',
         example: 'df.iloc([0, 1, 2], [0, 2])',
       },
+      slice: {
+        signature: 'slice(start, [end])',
+        description: 'Rows [start, end) as a zero-copy view',
+        returns: 'DataFrame',
+        example: 'df.slice(100, 200)',
+      },
       head: {
         signature: 'head(n)',
         description: 'Get first n rows',
@@ -146,6 +184,24 @@ export function getDataFrameMethodsInfo() {
         returns: 'DataFrame',
         example: 'df.sample(5, { replace: false })',
       },
+      setIndex: {
+        signature: 'setIndex(keys, [options])',
+        description: 'Use column(s) as row labels',
+        returns: 'DataFrame',
+        example: "df.setIndex('date')",
+      },
+      resetIndex: {
+        signature: 'resetIndex([options])',
+        description: 'Move row labels back into columns',
+        returns: 'DataFrame',
+        example: 'df.resetIndex({ drop: true })',
+      },
+      reindex: {
+        signature: 'reindex(labels, [options])',
+        description: 'Conform rows to new labels',
+        returns: 'DataFrame',
+        example: "df.reindex(['a', 'b', 'z'], { fillValue: 0 })",
+      },
       // Other indexing methods...
     },
     transform: {
@@ -155,6 +211,12 @@ export function getDataFrameMethodsInfo() {
         returns: 'DataFrame',
         example: "df.sort('name', { ascending: true })",
       },
+      astype: {
+        signature: 'astype(dtypes)',
+        description: 'Cast columns to other dtypes',
+        returns: 'DataFrame',
+        example: "df.astype({ id: 'i32', active: 'bool' })",
+      },
       assign: {
         signature: 'assign(columns)',
         description: 'Add or update columns',
@@ -162,8 +224,41 @@ export function getDataFrameMethodsInfo() {
         example:
           'df.assign({ fullName: row => `${row.firstName} ${row.lastName}` })',
       },
+      withColumns: {
+        signature: 'withColumns(...exprs)',
+        description: 'Add or replace columns computed from expressions',
+        returns: 'DataFrame',
+        example:
+          "df.withColumns(col('price').mul(col('qty')).alias('notional'))",
+      },
+      joinAsof: {
+        signature: 'joinAsof(other, options)',
+        description:
+          'Join each row to the nearest earlier (or later) key of another frame',
+        returns: 'DataFrame',
+        example:
+          "trades.joinAsof(quotes, { on: 'time', by: 'symbol', tolerance: 1000 })",
+      },
+      concat: {
+        signature: 'DataFrame.concat(frames, [options])',
+        description:
+          'Append the rows of several frames, or place their columns side by side',
+        returns: 'DataFrame',
+        example: 'DataFrame.concat([jan, feb], { ignoreIndex: true })',
+      },
       // Other transformation methods...
     },
+    timeseries: {
+      toDatetime: {
+        signature: 'toDatetime(column, [options])',
+        description:
+          'Convert a column of strings, numbers or Dates to datetimes',
+        returns: 'DataFrame',
+        example:
+          "df.toDatetime('time', { format: 'YYYY-MM-DD HH:mm', tz: 'UTC' })",
+      },
+      // Other time series methods...
+    },
     reshape: {
       pivot: {
         signature: 'pivot(index, columns, values, [aggFunc])',
@@ -177,6 +272,21 @@ export function getDataFrameMethodsInfo() {
         returns: 'DataFrame',
         example: "df.melt(['date'], ['sales', 'expenses'])",
       },
+      pivotTable: {
+        signature: 'pivotTable(options)',
+        description:
+          'Aggregate values by row and column keys, with optional margins',
+        returns: 'DataFrame',
+        example:
+          "df.pivotTable({ index: 'region', columns: 'quarter', values: 'revenue', aggfunc: 'sum' })",
+      },
+      crosstab: {
+        signature: 'DataFrame.crosstab(index, columns, [options])',
+        description: 'Count (or aggregate) pairs of values of two factors',
+        returns: 'DataFrame',
+        example:
+          "DataFrame.crosstab(df.col('region'), df.col('product'), { margins: true })",
+      },
       // Other reshape methods...
     },
     display: {
@@ -192,6 +302,12 @@ export function getDataFrameMethodsInfo() {
         returns: 'string',
         example: "df.toHTML({ className: 'data-table' })",
       },
+      toMarkdown: {
+        signature: 'toMarkdown([options])',
+        description: 'Convert to Markdown table',
+        returns: 'string',
+        example: 'df.toMarkdown({ maxRows: 20 })',
+      },
       // Other display methods...
     },
   };
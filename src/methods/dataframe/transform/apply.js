@@ -1,6 +1,3 @@
-import { Series } from '../../../core/dataframe/Series.js';
-import { VectorFactory } from '../../../core/storage/VectorFactory.js';
-
 /**
  * Apply a function to each column in a DataFrame
  *
@@ -29,47 +26,19 @@ export function apply(df, func, options = {}) {
     }
   }
 
-  // Apply function to specified columns
-  if (inplace) {
-    // Directly modify the DataFrame's internal structure for inplace
-    for (const col of targetColumns) {
-      const values = df.col(col).toArray();
-      const transformedValues = values.map((value, index) => {
-        const result = func(value, index, col);
-        // Convert null and undefined to NaN for test compatibility
-        return result === null || result === undefined ? NaN : result;
-      });
-
-      // Create a new Series for this column
-      const vector = VectorFactory.from(transformedValues);
-      const series = new Series(vector, { name: col });
-
-      // Update the Series in the DataFrame
-      df._columns[col] = series;
-    }
-
-    return df;
-  } else {
-    // Create a new object to hold the transformed columns
-    const result = {};
-
-    // Copy all columns from the original DataFrame
-    for (const col of df.columns) {
-      result[col] = df.col(col).toArray();
-    }
-
-    // Apply function to specified columns
-    for (const col of targetColumns) {
-      const values = result[col];
-      result[col] = values.map((value, index) => {
-        const result = func(value, index, col);
-        // Convert null and undefined to NaN for test compatibility
-        return result === null || result === undefined ? NaN : result;
-      });
-    }
-
-    return new df.constructor(result);
+  // Transformed columns are replaced, the others are shared with the result
+  const target = inplace ? df : df.select(df.columns);
+  for (const col of targetColumns) {
+    const values = df.col(col).toArray();
+    const transformed = values.map((value, index) => {
+      const result = func(value, index, col);
+      // Convert null and undefined to NaN for test compatibility
+      return result === null || result === undefined ? NaN : result;
+    });
+    target.setColumn(col, transformed);
   }
+
+  return target;
 }
 
 /**
@@ -1,11 +1,9 @@
-import { Series } from '../../../core/dataframe/Series.js';
-import { VectorFactory } from '../../../core/storage/VectorFactory.js';
-
 /**
  * Adds or updates columns in a DataFrame.
+ * Columns that are not assigned are shared with the result, not copied.
  *
  * @param {DataFrame} df - DataFrame instance
- * @param {Object} columns - Object with column names as keys and arrays or Series as values
+ * @param {Object} columns - Column names mapped to Series (their storage is shared), arrays or scalars
  * @param {Object} options - Options for assign
  * @param {boolean} [options.inplace=false] - Whether to modify the DataFrame in place
  * @returns {DataFrame} - New DataFrame with added/updated columns or the original DataFrame if inplace=true
@@ -22,59 +20,13 @@ export function assign(df, columns, options = {}) {
 
   const { inplace = false } = options;
 
-  // Process column values to handle Series, arrays, and constants
-  const processedColumns = {};
+  // Unchanged columns share their storage with the result
+  const target = inplace ? df : df.select(df.columns);
   for (const [key, value] of Object.entries(columns)) {
-    // If value is a Series, get its values
-    if (value && typeof value.toArray === 'function') {
-      processedColumns[key] = value.toArray();
-    } else if (Array.isArray(value)) {
-      processedColumns[key] = value;
-    } else {
-      // For constant values, create an array of that value
-      processedColumns[key] = Array(df.rowCount).fill(value);
-    }
+    target.setColumn(key, value);
   }
 
-  if (inplace) {
-    // For inplace modification, directly modify the DataFrame's internal structure
-    for (const [key, values] of Object.entries(processedColumns)) {
-      // Create a vector from the values
-      const vector = VectorFactory.from(values);
-
-      // Create a new Series for this column
-      const series = new Series(vector, { name: key });
-
-      // Update or add the Series to the DataFrame
-      df._columns[key] = series;
-
-      // If it's a new column, update the _order array
-      if (!df._order.includes(key)) {
-        // Since _order is frozen, we need to create a new array and replace it
-        const newOrder = [...df._order, key];
-        Object.defineProperty(df, '_order', { value: Object.freeze(newOrder) });
-      }
-    }
-
-    // Return the original DataFrame instance
-    return df;
-  } else {
-    // Create a new DataFrame with all columns
-    const newData = {};
-
-    // Copy existing columns
-    for (const col of df.columns) {
-      if (!(col in processedColumns)) {
-        newData[col] = df.col(col).toArray();
-      }
-    }
-
-    // Add new/updated columns
-    Object.assign(newData, processedColumns);
-
-    // Create a new DataFrame with the updated data
-    return new df.constructor(newData);
-  }
+  return target;
 }
 
 /**
@@ -0,0 +1,56 @@
+/**
+ * Casts DataFrame columns to other dtypes.
+ *
+ * @param {DataFrame} df - DataFrame instance
+ * @param {string|Object<string, string>} dtypes - One dtype for every column,
+ *   or an object mapping column names to dtypes
+ * @returns {DataFrame} - New DataFrame; columns not mentioned keep their Series
+ * @throws {Error} - If a column is missing or a value cannot be cast without loss
+ */
+export const astype = (df, dtypes) => {
+  const mapping =
+    typeof dtypes === 'string'
+      ? Object.fromEntries(df.columns.map((col) => [col, dtypes]))
+      : dtypes;
+
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new Error('dtypes must be a string or an object of column dtypes');
+  }
+
+  for (const col of Object.keys(mapping)) {
+    if (!df.columns.includes(col)) {
+      throw new Error(`Column '${col}' not found`);
+    }
+  }
+
+  const data = {};
+  for (const col of df.columns) {
+    const series = df.col(col);
+    if (!(col in mapping)) {
+      data[col] = series;
+      continue;
+    }
+    try {
+      data[col] = new series.constructor(series.vector, {
+        name: col,
+        dtype: mapping[col],
+      });
+    } catch (error) {
+      throw new Error(`Column '${col}': ${error.message}`);
+    }
+  }
+
+  return new df.constructor(data, { index: df.index });
+};
+
+/**
+ * Registers the astype method on DataFrame prototype
+ * @param {Class} DataFrame - DataFrame class to extend
+ */
+export const register = (DataFrame) => {
+  DataFrame.prototype.astype = function (dtypes) {
+    return astype(this, dtypes);
+  };
+};
+
+export default { astype, register };
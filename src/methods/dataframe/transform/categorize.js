@@ -8,6 +8,8 @@
  * @param {boolean} [options.inplace=false] - Whether to modify the DataFrame in place
  * @param {*} [options.defaultCategory=null] - Default category for values not in the categories object
  * @param {string} [options.targetColumn] - Name of the target column, defaults to `${column}_categorized`
+ * @param {boolean} [options.categorical=false] - Store the result as a categorical column;
+ *   categories follow the order of the mapping
  * @returns {DataFrame} - New DataFrame with categorized column or the original DataFrame if inplace=true
  */
 export function categorize(df, column, categories, options = {}) {
@@ -36,7 +38,11 @@ export function categorize(df, column, categories, options = {}) {
     );
   }
 
-  const { inplace = false, defaultCategory = null } = options;
+  const {
+    inplace = false,
+    defaultCategory = null,
+    categorical = false,
+  } = options;
 
   // Get column values
   const values = df.col(column).toArray();
@@ -52,45 +58,27 @@ export function categorize(df, column, categories, options = {}) {
     return defaultCategory;
   });
 
-  // Create a new object to hold the result
-  const result = {};
+  const seriesOpts = categorical
+    ? {
+        dtype: 'category',
+        categories: [
+          ...new Set([...Object.values(categories), defaultCategory]),
+        ].filter((c) => c !== null && c !== undefined),
+      }
+    : {};
 
-  // Copy all columns using public API
-  for (const col of df.columns) {
-    result[col] = df.col(col).toArray();
-  }
-
-  // Add the categorized column
   const targetColumn = options.targetColumn || `${column}_categorized`;
-  result[targetColumn] = categorized;
-
-  // Return new DataFrame or modify in place
-  if (inplace) {
-    // For inplace modification, we need to modify the original DataFrame directly
-    // This requires accessing internal properties of DataFrame
-    // Note: This approach is not ideal as it relies on internal implementation details
-    // but is necessary for the inplace functionality to work correctly
-
-    // Create a new Series for the categorized column
-    const Series = df.col(df.columns[0]).constructor;
-    const categorizedSeries = new Series(categorized, { name: targetColumn });
-
-    // Add the new Series to the DataFrame's internal _columns object
-    df._columns[targetColumn] = categorizedSeries;
-
-    // Update the order array to include the new column if it's not already there
-    if (!df._order.includes(targetColumn)) {
-      // Since _order is frozen, we need to create a new array and replace it
-      // This is a bit of a hack, but it's the best we can do with the current implementation
-      const newOrder = [...df._order, targetColumn];
-      Object.defineProperty(df, '_order', { value: Object.freeze(newOrder) });
-    }
-
-    return df;
-  }
-
-  // Create a new DataFrame with the categorized column
-  return new df.constructor(result);
+  const result = categorical
+    ? new (df.col(column).constructor)(categorized, {
+        name: targetColumn,
+        ...seriesOpts,
+      })
+    : categorized;
+
+  // Return new DataFrame or modify in place;
+  // the other columns are shared with the result
+  const target = inplace ? df : df.select(df.columns);
+  return target.setColumn(targetColumn, result);
 }
 
 /**
@@ -0,0 +1,157 @@
+/**
+ * Concatenation of DataFrames: their rows one frame after another
+ * (axis 0), or their columns side by side (axis 1).
+ *
+ * ```js
+ * // Monthly extracts into one frame; a column missing from a month is
+ * // null there, and e.g. i32 and f64 columns give f64
+ * const year = DataFrame.concat(months, { ignoreIndex: true });
+ * ```
+ */
+
+import { concatVectors } from '../../../core/storage/concat.js';
+import { Index, MultiIndex } from '../../../core/dataframe/Index.js';
+
+const JOINS = ['outer', 'inner'];
+
+/**
+ * Concatenates DataFrames
+ *
+ * @param {DataFrame[]} frames - Frames to concatenate
+ * @param {Object} [options] - Options
+ * @param {0|1} [options.axis=0] - 0 appends rows, 1 places columns side by
+ *   side (the frames must have as many rows; rows are matched by position)
+ * @param {'outer'|'inner'} [options.join='outer'] - When appending rows:
+ *   keep every column (null where a frame does not have it) or only the
+ *   columns of every frame
+ * @param {boolean} [options.ignoreIndex=false] - Give the result a default
+ *   index instead of the frames' labels
+ * @param {Array} [options.keys] - One key per frame: the first level of a
+ *   MultiIndex when appending rows, a column name prefix (`key_column`)
+ *   when placing columns side by side
+ * @returns {DataFrame} - New DataFrame
+ */
+export function concat(frames, options = {}) {
+  const {
+    axis = 0,
+    join = 'outer',
+    ignoreIndex = false,
+    keys = null,
+  } = options;
+
+  if (
+    !Array.isArray(frames) ||
+    frames.length === 0 ||
+    !frames.every((df) => df && df.columns)
+  ) {
+    throw new Error('concat() expects a non-empty array of DataFrames');
+  }
+  if (axis !== 0 && axis !== 1) {
+    throw new Error(`Invalid axis: ${axis}. Must be 0 or 1`);
+  }
+  if (!JOINS.includes(join)) {
+    throw new Error(
+      `Invalid join: ${join}. Must be one of: ${JOINS.join(', ')}`,
+    );
+  }
+  if (axis === 1 && join !== 'outer') {
+    throw new Error('join only applies when appending rows (axis 0)');
+  }
+  if (
+    keys !== null &&
+    (!Array.isArray(keys) || keys.length !== frames.length)
+  ) {
+    throw new Error('keys must have one entry per frame');
+  }
+
+  return axis === 0
+    ? concatRows(frames, join, ignoreIndex, keys)
+    : concatColumns(frames, ignoreIndex, keys);
+}
+
+/**
+ * @param {DataFrame[]} frames
+ * @param {string} join - 'outer' or 'inner'
+ * @param {boolean} ignoreIndex
+ * @param {Array|null} keys
+ * @returns {DataFrame}
+ */
+function concatRows(frames, join, ignoreIndex, keys) {
+  const columns =
+    join === 'inner'
+      ? frames[0].columns.filter((col) =>
+          frames.every((df) => df.columns.includes(col)),
+        )
+      : [...new Set(frames.flatMap((df) => df.columns))];
+
+  const data = {};
+  for (const col of columns) {
+    data[col] = concatVectors(
+      frames.map((df) =>
+        df.columns.includes(col) ? df.col(col).vector : df.rowCount,
+      ),
+    );
+  }
+  return new frames[0].constructor(data, {
+    index: ignoreIndex ? undefined : rowLabels(frames, keys),
+  });
+}
+
+/**
+ * Index of appended rows. Frames that all have a default index get a new
+ * default one; otherwise the labels are kept, under their frame's key
+ * when there are keys.
+ * @param {DataFrame[]} frames
+ * @param {Array|null} keys
+ * @returns {Index|undefined}
+ */
+function rowLabels(frames, keys) {
+  if (keys === null) {
+    if (frames.every((df) => df.index.isDefault)) return undefined;
+    const names = new Set(frames.map((df) => df.index.name));
+    return Index.from(
+      frames.flatMap((df) => df.index.toArray()),
+      { name: names.size === 1 ? [...names][0] : null },
+    );
+  }
+  const tuples = frames.flatMap((df, k) =>
+    df.index
+      .toArray()
+      .map((label) =>
+        Array.isArray(label) ? [keys[k], ...label] : [keys[k], label],
+      ),
+  );
+  return tuples.length ? MultiIndex.fromTuples(tuples) : undefined;
+}
+
+/**
+ * @param {DataFrame[]} frames
+ * @param {boolean} ignoreIndex
+ * @param {Array|null} keys
+ * @returns {DataFrame}
+ */
+function concatColumns(frames, ignoreIndex, keys) {
+  const rowCount = frames[0].rowCount;
+  const data = {};
+  frames.forEach((df, k) => {
+    if (df.rowCount !== rowCount) {
+      throw new Error(
+        `concat() along axis 1 needs frames with the same number of rows, got ${rowCount} and ${df.rowCount}`,
+      );
+    }
+    for (const col of df.columns) {
+      const name = keys === null ? col : `${keys[k]}_${col}`;
+      if (Object.hasOwn(data, name)) {
+        throw new Error(
+          `Column '${name}' is in more than one frame, pass keys to tell them apart`,
+        );
+      }
+      data[name] = df.col(col).vector;
+    }
+  });
+  return new frames[0].constructor(data, {
+    index: ignoreIndex ? undefined : frames[0].index,
+  });
+}
+
+export default { concat };
@@ -1,6 +1,53 @@
+import { takePositions } from '../filtering/take.js';
+import { CategoricalVector } from '../../../core/storage/CategoricalVector.js';
+import { takeWithNulls } from '../../../core/utils/positions.js';
+import {
+  encodeJoinKeys,
+  hashRuns,
+  sortedKeys,
+  mergeRuns,
+  joinPairs,
+  hasDuplicateCodes,
+  hasDuplicateSorted,
+} from '../../../core/utils/hashJoin.js';
+
+const JOIN_TYPES = ['inner', 'left', 'right', 'outer', 'semi', 'anti', 'cross'];
+
+/**
+ * Sides whose join keys must be unique, by validate option
+ */
+const UNIQUE_SIDES = new Map([
+  ['one_to_one', ['left', 'right']],
+  ['one_to_many', ['left']],
+  ['many_to_one', ['right']],
+  ['many_to_many', []],
+]);
+
+const STRATEGIES = ['auto', 'hash', 'sortMerge'];
+
+/** Values of the indicator column, by code */
+const INDICATOR_VALUES = ['left_only', 'right_only', 'both'];
+
 /**
  * Join two DataFrames on specified columns
  *
+ * - inner, left, right, outer: matching rows side by side
+ * - semi: the left rows that have a match, left columns only, each once
+ * - anti: the left rows without a match
+ * - cross: every left row with every right row, no join columns
+ *
+ * `validate` checks that keys are unique where the join expects them to
+ * be, instead of silently multiplying rows; `indicator` adds a column
+ * telling whether a row came from both sides, the left only or the right
+ * only.
+ *
+ * Rows are matched on the key columns' storage (see core/utils/hashJoin.js):
+ * keys keep their type, a null key matches nothing, and the result is
+ * assembled column by column, with nulls on the side that has no match.
+ * When both sides are sorted by a single key column they are merged
+ * instead of hashed (strategy 'auto'); 'hash' and 'sortMerge' force one
+ * or the other.
+ *
  * @returns {Function} - Function that takes a DataFrame and joins it with another DataFrame
  */
 export const join =
@@ -10,8 +57,13 @@ export const join =
       on = null, // Column(s) to join on
       leftOn = null, // Left DataFrame column(s) to join on
       rightOn = null, // Right DataFrame column(s) to join on
-      how = 'inner', // Join type: 'inner', 'left', 'right', 'outer'
+      leftIndex = false, // Use left DataFrame index labels as the join key
+      rightIndex = false, // Use right DataFrame index labels as the join key
+      how = 'inner', // Join type, one of JOIN_TYPES
       suffix = ['_x', '_y'], // Suffixes for overlapping column names
+      validate = null, // 'one_to_one', 'one_to_many', 'many_to_one' or 'many_to_many'
+      indicator = false, // true (column '_merge') or a column name
+      strategy = 'auto', // 'auto', 'hash' or 'sortMerge'
     } = options;
 
     // Validate other DataFrame
@@ -20,16 +72,77 @@ export const join =
     }
 
     // Validate join type
-    if (!['inner', 'left', 'right', 'outer'].includes(how)) {
+    if (!JOIN_TYPES.includes(how)) {
+      throw new Error(
+        `Invalid join type: ${how}. Must be one of: ${JOIN_TYPES.join(', ')}`,
+      );
+    }
+
+    if (validate !== null && !UNIQUE_SIDES.has(validate)) {
+      throw new Error(
+        `Invalid validate option: ${validate}. Must be one of: ${[...UNIQUE_SIDES.keys()].join(', ')}`,
+      );
+    }
+
+    if (!STRATEGIES.includes(strategy)) {
       throw new Error(
-        `Invalid join type: ${how}. Must be one of: inner, left, right, outer`,
+        `Invalid join strategy: ${strategy}. Must be one of: ${STRATEGIES.join(', ')}`,
       );
     }
 
+    const indicatorName = indicator === true ? '_merge' : indicator || null;
+    if (indicatorName !== null) {
+      if (typeof indicatorName !== 'string') {
+        throw new Error('indicator must be true or a column name');
+      }
+      if (how === 'semi' || how === 'anti') {
+        throw new Error(`indicator does not apply to a ${how} join`);
+      }
+      if (
+        df.columns.includes(indicatorName) ||
+        other.columns.includes(indicatorName)
+      ) {
+        throw new Error(`Indicator column '${indicatorName}' already exists`);
+      }
+    }
+
+    if (how === 'cross') {
+      if (on || leftOn || rightOn || leftIndex || rightIndex) {
+        throw new Error('A cross join takes no join columns');
+      }
+      if (validate !== null) {
+        throw new Error('validate does not apply to a cross join');
+      }
+      return assemble(df, other, crossPairs(df.rowCount, other.rowCount), {
+        leftCols: [],
+        rightCols: [],
+        suffix,
+        indicatorName,
+      });
+    }
+
     // Determine join columns
     let leftCols, rightCols;
 
-    if (on) {
+    if (leftIndex || rightIndex) {
+      // Index labels on one side, columns (or index) on the other
+      leftCols = leftIndex ? [] : toArray(leftOn ?? on);
+      rightCols = rightIndex ? [] : toArray(rightOn ?? on);
+      if (
+        (!leftIndex && !leftCols.length) ||
+        (!rightIndex && !rightCols.length)
+      ) {
+        throw new Error(
+          'Join columns must be specified for the side not joined on its index',
+        );
+      }
+      if (leftIndex && !rightIndex && rightCols.length !== 1) {
+        throw new Error('Joining an index to columns requires one key column');
+      }
+      if (rightIndex && !leftIndex && leftCols.length !== 1) {
+        throw new Error('Joining an index to columns requires one key column');
+      }
+    } else if (on) {
       // Join on same column names in both DataFrames
       if (!Array.isArray(on)) {
         leftCols = [on];
@@ -40,12 +153,12 @@ export const join =
       }
     } else if (leftOn && rightOn) {
       // Join on different column names
-      if (!Array.isArray(leftOn)) {
-        leftCols = [leftOn];
-        rightCols = [rightOn];
-      } else {
-        leftCols = leftOn;
-        rightCols = rightOn;
+      leftCols = toArray(leftOn);
+      rightCols = toArray(rightOn);
+      if (leftCols.length !== rightCols.length) {
+        throw new Error(
+          'leftOn and rightOn must have the same number of columns',
+        );
       }
     } else {
       throw new Error(
@@ -66,165 +179,175 @@ export const join =
       }
     }
 
-    // Get rows from both DataFrames
-    const leftRows = df.toArray();
-    const rightRows = other.toArray();
-
-    // Create a map of right rows by join key
-    const rightMap = new Map();
+    // Key columns; index labels act as one key column
+    const leftKeys = leftIndex
+      ? [indexLabels(df.index)]
+      : leftCols.map((col) => df.col(col).vector);
+    const rightKeys = rightIndex
+      ? [indexLabels(other.index)]
+      : rightCols.map((col) => other.col(col).vector);
 
-    for (const row of rightRows) {
-      const key = rightCols.map((col) => row[col]).join('|');
-      if (!rightMap.has(key)) {
-        rightMap.set(key, []);
-      }
-      rightMap.get(key).push(row);
+    // Sort-merge when both sides are sorted by their single key column
+    let sorted = null;
+    if (strategy !== 'hash' && leftKeys.length === 1) {
+      const leftSorted = sortedKeys(leftKeys[0]);
+      const rightSorted = leftSorted && sortedKeys(rightKeys[0]);
+      if (rightSorted) sorted = [leftSorted, rightSorted];
     }
-
-    // Perform the join
-    const joinedRows = [];
-
-    // Set of columns in the result DataFrame
-    const resultColumns = new Set();
-
-    // Add all columns from left DataFrame
-    for (const col of df.columns) {
-      resultColumns.add(col);
+    if (strategy === 'sortMerge' && !sorted) {
+      throw new Error(
+        'A sortMerge join needs one key column, sorted ascending on both sides',
+      );
     }
 
-    // Add columns from right DataFrame with suffixes for overlapping names
-    for (const col of other.columns) {
-      if (df.columns.includes(col) && !leftCols.includes(col)) {
-        // Column exists in both DataFrames, add suffix
-        resultColumns.add(`${col}${suffix[1]}`);
-      } else if (
-        !rightCols.includes(col) ||
-        !leftCols.includes(rightCols[rightCols.indexOf(col)])
-      ) {
-        // Column only exists in right DataFrame or is not a join column
-        resultColumns.add(col);
-      }
+    let runs;
+    let duplicated;
+    if (sorted) {
+      runs = mergeRuns(sorted[0], sorted[1]);
+      duplicated = (side) =>
+        hasDuplicateSorted(side === 'left' ? sorted[0] : sorted[1]);
+    } else {
+      const codes = encodeJoinKeys(leftKeys, rightKeys);
+      runs = hashRuns(codes);
+      duplicated = (side) => hasDuplicateCodes(codes[side], codes.count);
     }
 
-    // Inner join or left part of outer join
-    for (const leftRow of leftRows) {
-      const key = leftCols.map((col) => leftRow[col]).join('|');
-      const matchingRightRows = rightMap.get(key) || [];
-
-      if (matchingRightRows.length > 0) {
-        // Match found, create joined rows
-        for (const rightRow of matchingRightRows) {
-          const joinedRow = { ...leftRow };
-
-          // Add columns from right row
-          for (const col of other.columns) {
-            if (df.columns.includes(col) && !leftCols.includes(col)) {
-              // Column exists in both DataFrames, add suffix
-              joinedRow[`${col}${suffix[1]}`] = rightRow[col];
-              // Rename left column if needed
-              if (!joinedRow.hasOwnProperty(`${col}${suffix[0]}`)) {
-                joinedRow[`${col}${suffix[0]}`] = leftRow[col];
-                delete joinedRow[col];
-              }
-            } else if (
-              !rightCols.includes(col) ||
-              !leftCols.includes(rightCols[rightCols.indexOf(col)])
-            ) {
-              // Column only exists in right DataFrame or is not a join column
-              joinedRow[col] = rightRow[col];
-            }
-          }
-
-          joinedRows.push(joinedRow);
-        }
-      } else if (how === 'left' || how === 'outer') {
-        // No match but include in left join or outer join
-        const joinedRow = { ...leftRow };
-
-        // Add null values for right columns
-        for (const col of other.columns) {
-          if (df.columns.includes(col) && !leftCols.includes(col)) {
-            // Column exists in both DataFrames, add suffix
-            // Use NaN for numeric columns, null for others
-            const colType = typeof rightRows[0]?.[col];
-            joinedRow[`${col}${suffix[1]}`] = colType === 'number' ? NaN : null;
-            // Rename left column if needed
-            if (!joinedRow.hasOwnProperty(`${col}${suffix[0]}`)) {
-              joinedRow[`${col}${suffix[0]}`] = leftRow[col];
-              delete joinedRow[col];
-            }
-          } else if (
-            !rightCols.includes(col) ||
-            !leftCols.includes(rightCols[rightCols.indexOf(col)])
-          ) {
-            // Column only exists in right DataFrame or is not a join column
-            // Use NaN for numeric columns, null for others
-            const colType = typeof rightRows[0]?.[col];
-            joinedRow[col] = colType === 'number' ? NaN : null;
-          }
-        }
-
-        joinedRows.push(joinedRow);
+    // Duplicate keys where the join expects unique ones
+    for (const side of validate === null ? [] : UNIQUE_SIDES.get(validate)) {
+      if (duplicated(side)) {
+        throw new Error(
+          `Join keys are not unique in the ${side} DataFrame (validate: '${validate}')`,
+        );
       }
     }
 
-    // Right join or right part of outer join
-    if (how === 'right' || how === 'outer') {
-      // Create a set of keys from left rows
-      const leftKeys = new Set(
-        leftRows.map((row) => leftCols.map((col) => row[col]).join('|')),
-      );
-
-      // Add right rows that don't have a match in left
-      for (const rightRow of rightRows) {
-        const key = rightCols.map((col) => rightRow[col]).join('|');
-
-        if (!leftKeys.has(key)) {
-          const joinedRow = {};
-
-          // Add null values for left columns
-          for (const col of df.columns) {
-            if (other.columns.includes(col) && !rightCols.includes(col)) {
-              // Column exists in both DataFrames, add suffix
-              // Use NaN for numeric columns, null for others
-              const colType = typeof leftRows[0]?.[col];
-              joinedRow[`${col}${suffix[0]}`] =
-                colType === 'number' ? NaN : null;
-            } else if (
-              !leftCols.includes(col) ||
-              !rightCols.includes(leftCols[leftCols.indexOf(col)])
-            ) {
-              // Column only exists in left DataFrame or is not a join column
-              // Use NaN for numeric columns, null for others
-              const colType = typeof leftRows[0]?.[col];
-              joinedRow[col] = colType === 'number' ? NaN : null;
-            }
-          }
-
-          // Add values from right row
-          for (const col of other.columns) {
-            if (df.columns.includes(col) && !rightCols.includes(col)) {
-              // Column exists in both DataFrames, add suffix
-              joinedRow[`${col}${suffix[1]}`] = rightRow[col];
-            } else if (
-              !rightCols.includes(col) ||
-              !leftCols.includes(rightCols[rightCols.indexOf(col)])
-            ) {
-              // Column only exists in right DataFrame or is not a join column
-              joinedRow[col] = rightRow[col];
-            } else {
-              // Join column
-              joinedRow[col] = rightRow[col];
-            }
-          }
-
-          joinedRows.push(joinedRow);
-        }
+    // Semi and anti joins only filter the left rows
+    if (how === 'semi' || how === 'anti') {
+      const keep = how === 'semi';
+      const positions = [];
+      for (let li = 0; li < df.rowCount; li++) {
+        if (runs.ends[li] > runs.starts[li] === keep) positions.push(li);
       }
+      return takePositions(df, Int32Array.from(positions));
     }
 
-    // Create a new DataFrame from joined rows
-    return df.constructor.fromRecords(joinedRows);
+    const pairs = joinPairs(runs, other.rowCount, how);
+    // Index labels are kept when both sides join on their index
+    const labels =
+      leftIndex && rightIndex
+        ? Array.from(pairs.left, (li, k) =>
+            li !== -1 ? df.index.get(li) : other.index.get(pairs.right[k]),
+          )
+        : undefined;
+    return assemble(df, other, pairs, {
+      leftCols,
+      rightCols,
+      suffix,
+      indicatorName,
+      labels,
+    });
   };
 
+/**
+ * Builds the joined frame column by column
+ * @param {DataFrame} df - Left DataFrame
+ * @param {DataFrame} other - Right DataFrame
+ * @param {{left: Int32Array, right: Int32Array}} pairs - Left and right
+ *   row of every joined row, -1 for none
+ * @param {Object} spec - Key columns, suffixes, indicator column name and
+ *   index labels
+ * @returns {DataFrame} - Left columns, then right columns; a right key
+ *   column named like its left key is merged into it, other names present
+ *   on both sides get the suffixes
+ */
+function assemble(df, other, pairs, spec) {
+  const { leftCols, rightCols, suffix, indicatorName, labels } = spec;
+  const merged = rightCols.filter((col, j) => leftCols[j] === col);
+  const rightOut = other.columns.filter((col) => !merged.includes(col));
+
+  const data = {};
+  for (const col of df.columns) {
+    const name = rightOut.includes(col) ? `${col}${suffix[0]}` : col;
+    const vector = df.col(col).vector;
+    data[name] = merged.includes(col)
+      ? coalesce(vector, other.col(col).vector, pairs)
+      : takeWithNulls(vector, pairs.left);
+  }
+  for (const col of rightOut) {
+    const name = df.columns.includes(col) ? `${col}${suffix[1]}` : col;
+    data[name] = takeWithNulls(other.col(col).vector, pairs.right);
+  }
+  if (indicatorName) {
+    const codes = Int32Array.from(pairs.left, (li, k) =>
+      li === -1 ? 1 : pairs.right[k] === -1 ? 0 : 2,
+    );
+    data[indicatorName] = new CategoricalVector(codes, INDICATOR_VALUES);
+  }
+  return new df.constructor(data, { index: labels });
+}
+
+/**
+ * Key column of joined rows: the left key, or the right one on rows
+ * that only the right side has
+ * @param {ColumnVector} leftVector - Left key column
+ * @param {ColumnVector} rightVector - Right key column
+ * @param {{left: Int32Array, right: Int32Array}} pairs - Joined rows
+ * @returns {ColumnVector|Array}
+ */
+function coalesce(leftVector, rightVector, pairs) {
+  if (!pairs.left.includes(-1)) return leftVector.take(pairs.left);
+  return Array.from(pairs.left, (li, k) =>
+    li !== -1 ? leftVector.get(li) : rightVector.get(pairs.right[k]),
+  );
+}
+
+/**
+ * Every left row with every right row, left rows outermost
+ * @param {number} n - Left rows
+ * @param {number} m - Right rows
+ * @returns {{left: Int32Array, right: Int32Array}}
+ */
+function crossPairs(n, m) {
+  const left = new Int32Array(n * m);
+  const right = new Int32Array(n * m);
+  for (let i = 0; i < n; i++) {
+    left.fill(i, i * m, (i + 1) * m);
+    for (let j = 0; j < m; j++) right[i * m + j] = j;
+  }
+  return { left, right };
+}
+
+/**
+ * Wraps a single column name into an array
+ * @param {string|string[]|null} cols - Column name(s)
+ * @returns {string[]} - Column names
+ */
+function toArray(cols) {
+  if (cols === null || cols === undefined) return [];
+  return Array.isArray(cols) ? cols : [cols];
+}
+
+/**
+ * Index labels as key values; MultiIndex tuples become one string each
+ * @param {Index} index - Row labels
+ * @returns {Array}
+ */
+function indexLabels(index) {
+  return Array.from({ length: index.length }, (_, i) => {
+    const label = index.get(i);
+    return Array.isArray(label) ? tupleKey(label) : label;
+  });
+}
+
+/**
+ * Join key of a MultiIndex tuple
+ * @param {Array} label - Tuple of level values
+ * @returns {string}
+ */
+function tupleKey(label) {
+  return JSON.stringify(
+    label.map((v) => (v instanceof Date ? v.getTime() : v)),
+  );
+}
+
 export default { join };
@@ -0,0 +1,225 @@
+/**
+ * As-of join: matches every left row with the right row whose key is
+ * nearest to it (the latest one at or before it by default), optionally
+ * only among right rows with the same `by` values. The typical use is
+ * aligning time series sampled at different moments:
+ *
+ * ```js
+ * // Latest quote of the same symbol at most one second before each trade
+ * trades.joinAsof(quotes, { on: 'time', by: 'symbol', tolerance: 1000 });
+ * ```
+ *
+ * Neither side has to be sorted; the result keeps the left rows, in their
+ * order and with their index.
+ */
+
+import { takeWithNulls } from '../../../core/utils/positions.js';
+
+const DIRECTIONS = ['backward', 'forward', 'nearest'];
+
+/**
+ * Joins each left row to the nearest right row by key
+ *
+ * @param {DataFrame} df - Left DataFrame
+ * @param {DataFrame} other - Right DataFrame
+ * @param {Object} options - Join options
+ * @param {string} [options.on] - Key column of both sides (numbers or dates)
+ * @param {string} [options.leftOn] - Left key column, instead of `on`
+ * @param {string} [options.rightOn] - Right key column, instead of `on`
+ * @param {string|string[]} [options.by] - Columns that must be equal on
+ *   both sides, e.g. the symbol
+ * @param {'backward'|'forward'|'nearest'} [options.direction='backward'] -
+ *   Match the last right key at or before the left key, the first one at
+ *   or after it, or the closest (ties go backward)
+ * @param {number|null} [options.tolerance=null] - Largest distance between
+ *   matched keys (in milliseconds for dates)
+ * @param {boolean} [options.allowExactMatches=true] - Whether equal keys
+ *   match; false looks strictly before / after
+ * @param {string[]} [options.suffix=['_x', '_y']] - Suffixes for other
+ *   column names present on both sides
+ * @returns {DataFrame} - Left columns and right columns (without the right
+ *   key and `by` columns), null where no right row matches
+ */
+export function joinAsof(df, other, options = {}) {
+  const {
+    on = null,
+    leftOn = on,
+    rightOn = on,
+    by = [],
+    direction = 'backward',
+    tolerance = null,
+    allowExactMatches = true,
+    suffix = ['_x', '_y'],
+  } = options;
+
+  if (!other || !other.columns) {
+    throw new Error('Other DataFrame is required');
+  }
+  if (!leftOn || !rightOn) {
+    throw new Error(
+      'Join key must be specified using either "on" or both "leftOn" and "rightOn"',
+    );
+  }
+  if (!DIRECTIONS.includes(direction)) {
+    throw new Error(
+      `Invalid direction: ${direction}. Must be one of: ${DIRECTIONS.join(', ')}`,
+    );
+  }
+  if (tolerance !== null && !(tolerance >= 0)) {
+    throw new Error('tolerance must be a non-negative number');
+  }
+  const byCols = Array.isArray(by) ? by : [by];
+  for (const col of [leftOn, ...byCols]) {
+    if (!df.columns.includes(col)) {
+      throw new Error(`Column '${col}' not found in left DataFrame`);
+    }
+  }
+  for (const col of [rightOn, ...byCols]) {
+    if (!other.columns.includes(col)) {
+      throw new Error(`Column '${col}' not found in right DataFrame`);
+    }
+  }
+
+  const { keys: leftKeys, kind: leftKind } = keyValues(df, leftOn);
+  const { keys: rightKeys, kind: rightKind } = keyValues(other, rightOn);
+  if (leftKind && rightKind && leftKind !== rightKind) {
+    throw new Error(
+      `As-of join keys '${leftOn}' and '${rightOn}' must both hold numbers or both hold dates`,
+    );
+  }
+
+  // Right rows with a key, per `by` group, ordered by key (stable, so
+  // among equal keys the later row comes last)
+  const groups = new Map();
+  const rightBy = byValues(other, byCols);
+  for (let i = 0; i < rightKeys.length; i++) {
+    if (rightKeys[i] === null) continue;
+    const id = rightBy(i);
+    if (!groups.has(id)) groups.set(id, []);
+    groups.get(id).push(i);
+  }
+  for (const rows of groups.values()) {
+    rows.sort((a, b) => rightKeys[a] - rightKeys[b]);
+  }
+
+  // Matched right row of every left row, -1 for none
+  const matches = new Int32Array(leftKeys.length).fill(-1);
+  const leftBy = byValues(df, byCols);
+  for (let i = 0; i < leftKeys.length; i++) {
+    const key = leftKeys[i];
+    const rows = key === null ? undefined : groups.get(leftBy(i));
+    if (!rows) continue;
+    const match = nearest(rows, rightKeys, key, direction, allowExactMatches);
+    if (
+      match !== -1 &&
+      (tolerance === null || Math.abs(rightKeys[match] - key) <= tolerance)
+    ) {
+      matches[i] = match;
+    }
+  }
+
+  // Left columns as they are, then the right ones; the right key column
+  // is dropped when it has the left key's name
+  const rightCols = other.columns.filter(
+    (col) => !byCols.includes(col) && !(col === rightOn && rightOn === leftOn),
+  );
+  const data = {};
+  for (const col of df.columns) {
+    const name = rightCols.includes(col) ? `${col}${suffix[0]}` : col;
+    data[name] = df.col(col).vector;
+  }
+  for (const col of rightCols) {
+    const name = df.columns.includes(col) ? `${col}${suffix[1]}` : col;
+    data[name] = takeWithNulls(other.col(col).vector, matches);
+  }
+  return new df.constructor(data, { index: df.index });
+}
+
+/**
+ * Keys of a join column as numbers (dates by their time), null where
+ * missing, and whether the column holds numbers or dates
+ * @param {DataFrame} df - DataFrame
+ * @param {string} col - Key column
+ * @returns {{ keys: Array<number|null>, kind: 'number'|'date'|null }}
+ */
+function keyValues(df, col) {
+  let kind = null;
+  const keys = df
+    .col(col)
+    .toArray()
+    .map((v) => {
+      if (v === null || v === undefined || Number.isNaN(v)) return null;
+      const valueKind =
+        v instanceof Date ? 'date' : typeof v === 'number' ? 'number' : null;
+      if (valueKind === null) {
+        throw new Error(`As-of join key '${col}' must hold numbers or dates`);
+      }
+      if (kind !== null && kind !== valueKind) {
+        throw new Error(
+          `As-of join key '${col}' mixes numbers and dates, convert it first`,
+        );
+      }
+      kind = valueKind;
+      return valueKind === 'date' ? v.getTime() : v;
+    });
+  return { keys, kind };
+}
+
+/**
+ * Group id of a row by its `by` values
+ * @param {DataFrame} df - DataFrame
+ * @param {string[]} cols - `by` columns
+ * @returns {(i: number) => *} - Id of row i; equal values give equal ids
+ */
+function byValues(df, cols) {
+  const columns = cols.map((col) => df.col(col).toArray());
+  const plain = (v) => (v instanceof Date ? v.getTime() : (v ?? null));
+  if (columns.length === 1) return (i) => plain(columns[0][i]);
+  return (i) => JSON.stringify(columns.map((values) => plain(values[i])));
+}
+
+/**
+ * Position of the first row whose key is at or after the target (after
+ * it with `after`)
+ * @param {number[]} rows - Right rows of a group, ordered by key
+ * @param {number[]} keys - Right keys
+ * @param {number} target - Key
+ * @param {boolean} after - Skip rows with the target key
+ * @returns {number}
+ */
+function bound(rows, keys, target, after) {
+  let lo = 0;
+  let hi = rows.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    const k = keys[rows[mid]];
+    if (k < target || (after && k === target)) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Right row matching a key; among right rows with equal keys, backward
+ * takes the last and forward the first
+ * @param {number[]} rows - Right rows of a group, ordered by key
+ * @param {number[]} keys - Right keys
+ * @param {number} key - Left key
+ * @param {string} direction - 'backward', 'forward' or 'nearest'
+ * @param {boolean} exact - Whether an equal key matches
+ * @returns {number} - Right row, -1 for none
+ */
+function nearest(rows, keys, key, direction, exact) {
+  const beforeAt = bound(rows, keys, key, exact) - 1;
+  const afterAt = bound(rows, keys, key, !exact);
+  const before = beforeAt >= 0 ? rows[beforeAt] : -1;
+  const after = afterAt < rows.length ? rows[afterAt] : -1;
+  if (direction === 'backward') return before;
+  if (direction === 'forward') return after;
+
+  if (before === -1) return after;
+  if (after === -1) return before;
+  return key - keys[before] <= keys[after] - key ? before : after;
+}
+
+export default { joinAsof };
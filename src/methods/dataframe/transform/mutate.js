@@ -1,5 +1,3 @@
-import { Series } from '../../../core/dataframe/Series.js';
-
 /**
  * Creates new columns or modifies existing columns in a DataFrame by applying functions to each row
  *
@@ -56,49 +54,13 @@ export function mutate(df, columnFunctions, options = {}) {
     newColumns[colName] = colValues;
   }
 
-  if (inplace) {
-    // Update existing columns and add new ones
-    for (const [colName, colValues] of Object.entries(newColumns)) {
-      // Create a new Series for this column
-      const series = new Series(colValues, { name: colName });
-
-      // Update or add Series to DataFrame
-      df._columns[colName] = series;
-
-      // If this is a new column, update the _order array
-      if (!df._order.includes(colName)) {
-        // Since _order is frozen, we need to create a new array and replace it
-        const newOrder = [...df._order, colName];
-        Object.defineProperty(df, '_order', { value: Object.freeze(newOrder) });
-      }
-    }
-
-    // Return the original DataFrame
-    return df;
-  } else {
-    // Create a new DataFrame with all columns
-    const newData = {};
-
-    // Copy existing columns that aren't being modified
-    for (const col of columns) {
-      if (!(col in newColumns)) {
-        newData[col] = df.col(col).toArray();
-      } else {
-        // Use the new values for modified columns
-        newData[col] = newColumns[col];
-      }
-    }
-
-    // Add completely new columns
-    for (const colName of Object.keys(newColumns)) {
-      if (!columns.includes(colName)) {
-        newData[colName] = newColumns[colName];
-      }
-    }
-
-    // Create a new DataFrame with the updated data
-    return new df.constructor(newData);
+  // Columns that are not mutated are shared with the result
+  const target = inplace ? df : df.select(columns);
+  for (const [colName, colValues] of Object.entries(newColumns)) {
+    target.setColumn(colName, colValues);
   }
+
+  return target;
 }
 
 /**
@@ -78,9 +78,9 @@ export const oneHot =
     // Create one-hot encoded columns
     for (const category of uniqueCategories) {
       const columnName = `${prefix}${category}`;
-      const encodedValues = new Array(df.frame.rowCount).fill(0);
+      const encodedValues = new Array(df.rowCount).fill(0);
 
-      for (let i = 0; i < df.frame.rowCount; i++) {
+      for (let i = 0; i < df.rowCount; i++) {
         const value = columnValues[i];
 
         if (category === 'null') {
@@ -98,7 +98,7 @@ export const oneHot =
     }
 
     // Create a new DataFrame with the encoded columns
-    return new df.constructor(result);
+    return new df.constructor(result, { index: df.index });
   };
 
 export default { oneHot };
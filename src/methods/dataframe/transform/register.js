@@ -5,11 +5,15 @@
 // Import transformation methods
 import { register as registerAssign } from './assign.js';
 import { register as registerApply } from './apply.js';
+import { register as registerAstype } from './astype.js';
 import { register as registerCategorize } from './categorize.js';
 import { register as registerCut } from './cut.js';
 import { register as registerDropna } from './dropna.js';
 import { register as registerMutate } from './mutate.js';
+import { register as registerWithColumns } from './withColumns.js';
 import joinModule from './join.js';
+import { joinAsof } from './joinAsof.js';
+import { concat } from './concat.js';
 import { registerSort } from './sort.js';
 import { register as registerStack } from '../../reshape/stack.js';
 import oneHotModule from './oneHot.js';
@@ -31,14 +35,22 @@ export function registerDataFrameTransform(DataFrame) {
     // Register individual transformation methods
     registerAssign(DataFrame);
     registerApply(DataFrame);
+    registerAstype(DataFrame);
     registerCategorize(DataFrame);
     registerCut(DataFrame);
     registerDropna(DataFrame);
     registerMutate(DataFrame);
+    registerWithColumns(DataFrame);
     // Register join method directly from module
     DataFrame.prototype.join = function (other, options) {
       return joinModule.join()(this, other, options);
     };
+    DataFrame.prototype.joinAsof = function (other, options) {
+      return joinAsof(this, other, options);
+    };
+    DataFrame.concat = function (frames, options) {
+      return concat(frames, options);
+    };
     registerStack(DataFrame);
     // Register oneHot method directly from module
     DataFrame.prototype.oneHot = function (column, options) {
@@ -25,74 +25,86 @@ function sort(df, column, options = {}) {
 
   const { descending = false, inplace = false } = options;
 
-  // Get column values using public API
-  const values = df.col(column).toArray();
+  const vector = df.col(column).vector;
 
-  // Create indices and sort them by column values
-  const indices = Array.from({ length: values.length }, (_, i) => i);
-
-  indices.sort((a, b) => {
-    const valA = values[a];
-    const valB = values[b];
-
-    // Handle null, undefined, and NaN values
-    if (
-      valA === null ||
-      valA === undefined ||
-      (typeof valA === 'number' && isNaN(valA))
-    ) {
-      return 1; // Move nulls to the end
-    }
-    if (
-      valB === null ||
-      valB === undefined ||
-      (typeof valB === 'number' && isNaN(valB))
-    ) {
-      return -1; // Move nulls to the end
-    }
-
-    // Compare values based on their types
-    if (typeof valA === 'string' && typeof valB === 'string') {
-      return descending ? valB.localeCompare(valA) : valA.localeCompare(valB);
-    }
-
-    // Default numeric comparison
-    return descending ? valB - valA : valA - valB;
-  });
+  // Categorical columns: counting sort on codes, in category order
+  const indices =
+    vector.dtype === 'category'
+      ? Array.from(vector.argsort(!descending))
+      : sortIndices(df.col(column).toArray(), descending);
 
   // Create a new object to hold the sorted columns
   const sortedData = {};
 
-  // Sort each column using the sorted indices
+  // Sort each column using the sorted indices,
+  // categorical columns keep their codes and categories
   for (const colName of df.columns) {
-    const colValues = df.col(colName).toArray();
-    sortedData[colName] = indices.map((i) => colValues[i]);
+    const colVector = df.col(colName).vector;
+    if (colVector.dtype === 'category') {
+      sortedData[colName] = colVector.take(indices);
+    } else {
+      const colValues = colVector.toArray();
+      sortedData[colName] = indices.map((i) => colValues[i]);
+    }
   }
 
   if (inplace) {
-    // For inplace modification, we need to modify the original DataFrame directly
-    // This requires accessing internal properties of DataFrame
-    // Note: This approach is not ideal as it relies on internal implementation details
-    // but is necessary for the inplace functionality to work correctly
-
-    // Create a new DataFrame with sorted data
-    const newDf = new df.constructor(sortedData);
-
-    // Replace the internal _columns object with the new one
-    // This is a direct modification of the internal state
     for (const colName of df.columns) {
-      if (df._columns[colName]) {
-        // Replace the Series data with the sorted data
-        const sortedSeries = newDf.col(colName);
-        df._columns[colName] = sortedSeries;
-      }
+      df.setColumn(colName, sortedData[colName]);
     }
+    df._setIndex(df.index.take(indices));
 
     return df;
   }
 
-  // Create a new DataFrame with the sorted data
-  return new df.constructor(sortedData);
+  // Create a new DataFrame with the sorted data, labels follow their rows
+  return new df.constructor(sortedData, { index: df.index.take(indices) });
+}
+
+/**
+ * Row positions that sort the values, nulls and NaN last
+ * @param {Array} values - Column values
+ * @param {boolean} descending - Sort in descending order
+ * @returns {number[]} - Sorted row positions
+ */
+function sortIndices(values, descending) {
+  const indices = Array.from({ length: values.length }, (_, i) => i);
+  indices.sort((a, b) => compareValues(values[a], values[b], descending));
+  return indices;
+}
+
+/**
+ * Sort order of two values: nulls (and NaN) go last in either direction,
+ * strings compare by locale, anything else numerically
+ * @param {*} valA - First value
+ * @param {*} valB - Second value
+ * @param {boolean} descending - Sort in descending order
+ * @returns {number} - Negative when valA comes first
+ */
+function compareValues(valA, valB, descending) {
+  // Handle null, undefined, and NaN values
+  if (
+    valA === null ||
+    valA === undefined ||
+    (typeof valA === 'number' && isNaN(valA))
+  ) {
+    return 1; // Move nulls to the end
+  }
+  if (
+    valB === null ||
+    valB === undefined ||
+    (typeof valB === 'number' && isNaN(valB))
+  ) {
+    return -1; // Move nulls to the end
+  }
+
+  // Compare values based on their types
+  if (typeof valA === 'string' && typeof valB === 'string') {
+    return descending ? valB.localeCompare(valA) : valA.localeCompare(valB);
+  }
+
+  // Default numeric comparison
+  return descending ? valB - valA : valA - valB;
 }
 
 /**
@@ -110,4 +122,4 @@ function registerSort(DataFrame) {
   };
 }
 
-export { sort, registerSort };
+export { sort, compareValues, registerSort };
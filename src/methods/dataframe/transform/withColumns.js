@@ -0,0 +1,59 @@
+import { isExpr, evaluate } from '../../../core/expr/index.js';
+
+/**
+ * Adds or replaces columns computed from expressions.
+ * All expressions see the input frame, so they can be given in any
+ * order; columns that are not replaced are shared with the result.
+ *
+ * @param {DataFrame} df - DataFrame instance
+ * @param {Expr[]|Object<string, Expr|*>} exprs - Expressions named by
+ *   their alias, or an object of names to expressions (other values are
+ *   assigned as in assign())
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.inplace=false] - Whether to modify the DataFrame in place
+ * @returns {DataFrame} - DataFrame with the new columns
+ */
+export function withColumns(df, exprs, options = {}) {
+  const { inplace = false } = options;
+
+  let entries;
+  if (Array.isArray(exprs)) {
+    entries = exprs.map((expr) => {
+      if (!isExpr(expr)) {
+        throw new Error('withColumns() expects expressions, e.g. col("a")');
+      }
+      return [expr.outputName, expr];
+    });
+  } else if (exprs && typeof exprs === 'object') {
+    entries = Object.entries(exprs);
+  } else {
+    throw new Error('Expressions must be an array or an object');
+  }
+
+  // Evaluate everything before writing, so no expression sees a new column
+  const columns = entries.map(([name, value]) => [
+    name,
+    isExpr(value) ? evaluate(value, df) : value,
+  ]);
+
+  const target = inplace ? df : df.select(df.columns);
+  for (const [name, value] of columns) target.setColumn(name, value);
+  return target;
+}
+
+/**
+ * Registers the withColumns method on DataFrame prototype
+ * @param {Class} DataFrame - DataFrame class to extend
+ */
+export function register(DataFrame) {
+  /**
+   * df.withColumns(expr1, expr2, ...), df.withColumns([exprs], options)
+   * or df.withColumns({ name: expr }, options)
+   */
+  DataFrame.prototype.withColumns = function (...args) {
+    if (isExpr(args[0])) return withColumns(this, args);
+    return withColumns(this, args[0], args[1]);
+  };
+}
+
+export default { withColumns, register };
@@ -0,0 +1,363 @@
+/**
+ * Spreadsheet-style pivot tables: one row per combination of the `index`
+ * columns, one column per combination of the `columns` columns and value
+ * column, each cell aggregating the rows it covers.
+ *
+ * ```js
+ * // Revenue by region and quarter, with totals
+ * df.pivotTable({
+ *   index: 'region',
+ *   columns: 'quarter',
+ *   values: 'revenue',
+ *   aggfunc: 'sum',
+ *   fillValue: 0,
+ *   margins: true,
+ * });
+ * ```
+ *
+ * The index columns stay regular columns of the result, so
+ * `melt(result, index)` turns it back into one row per cell.
+ */
+
+import { DataFrame } from '../../core/dataframe/DataFrame.js';
+import { Series } from '../../core/dataframe/Series.js';
+import { hashGroups } from '../../core/utils/hashGroups.js';
+import {
+  resolveReducer,
+  toAggregateFunction,
+} from '../../core/dataframe/reducers.js';
+
+const NORMALIZE = [false, true, 'all', 'index', 'columns'];
+
+/**
+ * Builds a pivot table
+ *
+ * @param {DataFrame} df - DataFrame instance
+ * @param {Object} options - Options
+ * @param {string|string[]} options.index - Columns whose values label the
+ *   rows
+ * @param {string|string[]} [options.columns] - Columns whose values label
+ *   the columns (several are joined with '.'); without them there is one
+ *   column per value column
+ * @param {string|string[]} [options.values] - Columns to aggregate; by
+ *   default the columns of an `aggfunc` object, else all other columns
+ * @param {string|Function|Object} [options.aggfunc='mean'] - Reducer name
+ *   or reducer (see core/dataframe/reducers.js), or an object giving one
+ *   per value column
+ * @param {*} [options.fillValue=null] - Value of cells no row falls into
+ * @param {boolean} [options.margins=false] - Add a total column per value
+ *   column and a total row, aggregating all rows of the row / column
+ * @param {string} [options.marginsName='All'] - Label of the totals
+ * @param {boolean} [options.dropna=true] - Leave out rows with a null key,
+ *   and columns whose cells are all null
+ * @returns {DataFrame} - Index columns, then the pivoted columns: named by
+ *   the column key, or `value_key` with several value columns
+ */
+export function pivotTable(df, options = {}) {
+  const {
+    index,
+    columns = [],
+    aggfunc = 'mean',
+    fillValue = null,
+    margins = false,
+    marginsName = 'All',
+    dropna = true,
+  } = options;
+
+  const indexCols = toArray(index);
+  const columnCols = toArray(columns);
+  if (indexCols.length === 0) {
+    throw new Error('pivotTable() needs at least one index column');
+  }
+  for (const col of [...indexCols, ...columnCols]) {
+    if (!df.columns.includes(col)) {
+      throw new Error(`Column '${col}' not found in DataFrame`);
+    }
+  }
+
+  const perColumn =
+    typeof aggfunc === 'object' && aggfunc !== null && !aggfunc.init;
+  const valueCols =
+    options.values !== undefined
+      ? toArray(options.values)
+      : perColumn
+        ? Object.keys(aggfunc)
+        : df.columns.filter(
+            (col) => !indexCols.includes(col) && !columnCols.includes(col),
+          );
+  const reducers = valueCols.map((col) => {
+    if (!df.columns.includes(col)) {
+      throw new Error(`Column '${col}' not found in DataFrame`);
+    }
+    if ([...indexCols, ...columnCols].includes(col)) {
+      throw new Error(`Column '${col}' is a key, it cannot be a value`);
+    }
+    if (perColumn && !(col in aggfunc)) {
+      throw new Error(`No aggregation given for column '${col}'`);
+    }
+    return toAggregateFunction(
+      resolveReducer(perColumn ? aggfunc[col] : aggfunc),
+    );
+  });
+
+  // Row and column groups, in key order; with dropna the rows with a null
+  // key belong to neither
+  const rowGroups = hashGroups(df, indexCols, { dropna, sort: true });
+  const colGroups = columnCols.length
+    ? hashGroups(df, columnCols, { dropna, sort: true })
+    : { first: Int32Array.of(0), indices: [null] };
+  const rowOf = groupOfRows(rowGroups.indices, df.rowCount);
+  const colOf = columnCols.length
+    ? groupOfRows(colGroups.indices, df.rowCount)
+    : new Int32Array(df.rowCount);
+
+  // Rows of every cell, per row group: Map column group → positions
+  const cells = rowGroups.indices.map((rows) => {
+    const byColumn = new Map();
+    for (const i of rows) {
+      const c = colOf[i];
+      if (c === -1) continue;
+      if (!byColumn.has(c)) byColumn.set(c, []);
+      byColumn.get(c).push(i);
+    }
+    return byColumn;
+  });
+
+  const colLabels = colGroups.indices.map((_, c) =>
+    columnCols.length
+      ? columnCols
+          .map((col) => label(df.getVector(col).get(colGroups.first[c])))
+          .join('.')
+      : null,
+  );
+  const nameOf = (valueCol, colLabel) => {
+    if (colLabel === null) return valueCol;
+    return valueCols.length === 1 ? colLabel : `${valueCol}_${colLabel}`;
+  };
+
+  // Aggregates the rows at some positions; null when there are none
+  const aggregate = (v, positions) => {
+    if (!positions || positions.length === 0) return null;
+    const vector = df.getVector(valueCols[v]).take(Int32Array.from(positions));
+    return reducers[v](new Series(vector, { name: valueCols[v] }));
+  };
+  // Rows with both keys, for the totals
+  const inTable = (rows) =>
+    Array.from(rows).filter((i) => rowOf[i] !== -1 && colOf[i] !== -1);
+  const allRows = margins ? inTable(rowOf.keys()) : null;
+
+  const data = {};
+  indexCols.forEach((col, k) => {
+    const vector = df.getVector(col);
+    data[col] = Array.from(rowGroups.first, (i) => vector.get(i));
+    if (margins) data[col].push(k === 0 ? marginsName : '');
+  });
+  valueCols.forEach((valueCol, v) => {
+    colGroups.indices.forEach((colRows, c) => {
+      const name = nameOf(valueCol, colLabels[c]);
+      if (Object.hasOwn(data, name)) {
+        throw new Error(`Pivoted column '${name}' clashes with another column`);
+      }
+      const cellValues = cells.map((byColumn) => aggregate(v, byColumn.get(c)));
+      if (dropna && cellValues.every((value) => value === null)) return;
+      if (margins) {
+        cellValues.push(aggregate(v, colRows ? inTable(colRows) : allRows));
+      }
+      data[name] = cellValues.map((value) => value ?? fillValue);
+    });
+    if (margins && columnCols.length) {
+      const name = nameOf(valueCol, marginsName);
+      const totals = rowGroups.indices.map((rows) =>
+        aggregate(v, inTable(rows)),
+      );
+      totals.push(aggregate(v, allRows));
+      data[name] = totals.map((value) => value ?? fillValue);
+    }
+  });
+  return new df.constructor(data);
+}
+
+/**
+ * Cross tabulation of two factors: how often each pair of values occurs,
+ * or an aggregate of `values` per pair
+ *
+ * @param {Series|Array} index - Row factor
+ * @param {Series|Array} columns - Column factor, as long as `index`
+ * @param {Object} [options] - Options
+ * @param {Series|Array} [options.values] - Values to aggregate instead of
+ *   counting (needs `aggfunc`)
+ * @param {string|Function|Object} [options.aggfunc] - Reducer for `values`
+ * @param {boolean|'all'|'index'|'columns'} [options.normalize=false] -
+ *   Divide every cell by the grand total (true / 'all'), its row total or
+ *   its column total
+ * @param {boolean} [options.margins=false] - Add row and column totals
+ * @param {string} [options.marginsName='All'] - Label of the totals
+ * @param {boolean} [options.dropna=true] - Leave out null factors
+ * @returns {DataFrame} - A column named after `index` (its Series name, or
+ *   'row_0'), then one column per value of `columns`
+ */
+export function crosstab(index, columns, options = {}) {
+  const {
+    values = null,
+    aggfunc = null,
+    normalize = false,
+    margins = false,
+    marginsName = 'All',
+    dropna = true,
+  } = options;
+
+  if ((values === null) !== (aggfunc === null)) {
+    throw new Error('values and aggfunc must be given together');
+  }
+  if (!NORMALIZE.includes(normalize)) {
+    throw new Error(
+      `Invalid normalize: ${normalize}. Must be one of: ${NORMALIZE.join(', ')}`,
+    );
+  }
+  const rowName = index?.name ?? 'row_0';
+  const colName = columns?.name ?? 'col_0';
+  if (rowName === colName) {
+    throw new Error('index and columns must have different names');
+  }
+  const rowValues = valuesOf(index);
+  const colValues = valuesOf(columns);
+  const cellValues = values === null ? null : valuesOf(values);
+  if (
+    colValues.length !== rowValues.length ||
+    (cellValues && cellValues.length !== rowValues.length)
+  ) {
+    throw new Error('index, columns and values must have the same length');
+  }
+
+  const valueName = [rowName, colName].includes('value') ? '_value' : 'value';
+  const df = new DataFrame({
+    [rowName]: rowValues,
+    [colName]: colValues,
+    [valueName]: cellValues ?? rowValues.map(() => 1),
+  });
+  const table = pivotTable(df, {
+    index: rowName,
+    columns: colName,
+    values: valueName,
+    aggfunc: aggfunc ?? 'size',
+    fillValue: aggfunc === null ? 0 : null,
+    margins: margins && !normalize,
+    marginsName,
+    dropna,
+  });
+  return normalize
+    ? normalized(table, rowName, normalize, margins, marginsName)
+    : table;
+}
+
+/**
+ * Divides the cells of a crosstab by the grand, row or column totals
+ * (the sums of its cells); totals, if asked for, are divided the same way
+ * @param {DataFrame} table - Crosstab without margins
+ * @param {string} rowName - Row label column
+ * @param {boolean|string} normalize - true, 'all', 'index' or 'columns'
+ * @param {boolean} margins - Add totals
+ * @param {string} marginsName - Label of the totals
+ * @returns {DataFrame}
+ */
+function normalized(table, rowName, normalize, margins, marginsName) {
+  const names = table.columns.filter((col) => col !== rowName);
+  const cells = names.map((name) =>
+    table
+      .col(name)
+      .toArray()
+      .map((value) => value ?? 0),
+  );
+  const rowCount = table.rowCount;
+  const rowTotals = Array.from({ length: rowCount }, (_, r) =>
+    cells.reduce((total, column) => total + column[r], 0),
+  );
+  const colTotals = cells.map((column) =>
+    column.reduce((total, value) => total + value, 0),
+  );
+  const grand = colTotals.reduce((total, value) => total + value, 0);
+
+  // Totals are one more row and column of the table
+  const labels = table.col(rowName).toArray();
+  if (margins) {
+    cells.forEach((column, c) => column.push(colTotals[c]));
+    cells.push([...rowTotals, grand]);
+    rowTotals.push(grand);
+    colTotals.push(grand);
+    labels.push(marginsName);
+    names.push(marginsName);
+  }
+  const divide = (value, r, c) => {
+    const total =
+      normalize === 'index'
+        ? rowTotals[r]
+        : normalize === 'columns'
+          ? colTotals[c]
+          : grand;
+    return total === 0 ? null : value / total;
+  };
+
+  const data = { [rowName]: labels };
+  names.forEach((name, c) => {
+    data[name] = cells[c].map((value, r) => divide(value, r, c));
+  });
+  return new table.constructor(data);
+}
+
+/**
+ * @param {Int32Array[]} indices - Rows of each group
+ * @param {number} rowCount - Number of rows
+ * @returns {Int32Array} - Group of every row, -1 for none
+ */
+function groupOfRows(indices, rowCount) {
+  const groupOf = new Int32Array(rowCount).fill(-1);
+  indices.forEach((rows, g) => {
+    for (const i of rows) groupOf[i] = g;
+  });
+  return groupOf;
+}
+
+/**
+ * @param {*} value - Key value
+ * @returns {string} - Column name part
+ */
+function label(value) {
+  return value instanceof Date ? value.toISOString() : String(value);
+}
+
+/**
+ * @param {Series|Array} input - Series or values
+ * @returns {Array}
+ */
+function valuesOf(input) {
+  if (input?.vector) return input.toArray();
+  if (Array.isArray(input) || ArrayBuffer.isView(input)) {
+    return Array.from(input);
+  }
+  throw new Error('crosstab() expects Series or arrays');
+}
+
+/**
+ * @param {string|string[]|undefined} cols - Column name(s)
+ * @returns {string[]}
+ */
+function toArray(cols) {
+  if (cols === null || cols === undefined) return [];
+  return Array.isArray(cols) ? cols : [cols];
+}
+
+/**
+ * Registers pivotTable on the DataFrame prototype and crosstab on the
+ * class
+ * @param {Class} DataFrame - DataFrame class to extend
+ */
+export const register = (DataFrame) => {
+  DataFrame.prototype.pivotTable = function (options) {
+    return pivotTable(this, options);
+  };
+  DataFrame.crosstab = function (index, columns, options) {
+    return crosstab(index, columns, options);
+  };
+};
+
+export default { pivotTable, crosstab, register };
@@ -3,6 +3,7 @@
  */
 
 import { register as registerPivot } from './pivot.js';
+import { register as registerPivotTable } from './pivotTable.js';
 import { register as registerMelt } from './melt.js';
 import { register as registerUnstack } from './unstack.js';
 import { register as registerStack } from './stack.js';
@@ -14,6 +15,7 @@ import { register as registerStack } from './stack.js';
 export function registerReshapeMethods(DataFrame) {
   // Register individual reshape methods
   registerPivot(DataFrame);
+  registerPivotTable(DataFrame);
   registerMelt(DataFrame);
   registerUnstack(DataFrame);
   registerStack(DataFrame);
@@ -5,6 +5,9 @@
  * @returns {number|null} - Maximum value or null for empty series
  */
 export function max(series) {
+  // Categoricals compare by category position (ordered only)
+  if (series.dtype === 'category') return series.vector.max();
+
   const values = series.toArray();
 
   // Return null for empty series (not NaN) according to guidelines
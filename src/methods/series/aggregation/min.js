@@ -5,6 +5,9 @@
  * @returns {number|null} - Minimum value or null for empty series
  */
 export function min(series) {
+  // Categoricals compare by category position (ordered only)
+  if (series.dtype === 'category') return series.vector.min();
+
   const values = series.toArray();
 
   // Return null for empty series (not NaN) according to guidelines
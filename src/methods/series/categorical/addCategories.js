@@ -0,0 +1,47 @@
+/**
+ * AddCategories method for Series
+ * Appends categories to a categorical Series
+ */
+
+/**
+ * Creates an addCategories method for Series
+ * @returns {Function} - Function to be attached to Series prototype
+ */
+export function addCategories() {
+  /**
+   * Appends new categories; existing codes and values are unchanged
+   * @param {Array|*} categories - Category or categories to add
+   * @returns {Series} - New categorical Series
+   */
+  return function (categories) {
+    assertCategorical(this, 'addCategories');
+    return new this.constructor(this.vector.addCategories(categories), {
+      name: this.name,
+    });
+  };
+}
+
+/**
+ * Throws unless the Series is categorical
+ * @param {Series} series - Series to check
+ * @param {string} method - Calling method name for the error message
+ */
+export function assertCategorical(series, method) {
+  if (series.dtype !== 'category') {
+    throw new Error(
+      `${method}() requires a categorical Series, got dtype '${series.dtype}'`,
+    );
+  }
+}
+
+/**
+ * Registers the addCategories method on Series prototype
+ * @param {Class} Series - Series class to extend
+ */
+export function register(Series) {
+  if (!Series.prototype.addCategories) {
+    Series.prototype.addCategories = addCategories();
+  }
+}
+
+export default { addCategories, register };
@@ -0,0 +1,20 @@
+/**
+ * Series categorical methods
+ *
+ * This module provides a unified API for managing the categories
+ * of dictionary-encoded Series.
+ *
+ * @module methods/series/categorical
+ */
+import { registerSeriesCategorical } from './register.js';
+
+/**
+ * Register all categorical methods on Series prototype
+ *
+ * @param {Function} Series - Series class
+ */
+export function register(Series) {
+  registerSeriesCategorical(Series);
+}
+
+export default register;
@@ -0,0 +1,21 @@
+/**
+ * Registrar for categorical Series methods
+ */
+
+import { register as registerAddCategories } from './addCategories.js';
+import { register as registerRemoveUnused } from './removeUnused.js';
+import { register as registerRenameCategories } from './renameCategories.js';
+import { register as registerSetOrdered } from './setOrdered.js';
+
+/**
+ * Registers all categorical methods for Series
+ * @param {Class} Series - Series class to extend
+ */
+export function registerSeriesCategorical(Series) {
+  registerAddCategories(Series);
+  registerRemoveUnused(Series);
+  registerRenameCategories(Series);
+  registerSetOrdered(Series);
+}
+
+export default registerSeriesCategorical;
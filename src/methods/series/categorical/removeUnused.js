@@ -0,0 +1,34 @@
+/**
+ * RemoveUnused method for Series
+ * Drops categories that no value refers to
+ */
+import { assertCategorical } from './addCategories.js';
+
+/**
+ * Creates a removeUnused method for Series
+ * @returns {Function} - Function to be attached to Series prototype
+ */
+export function removeUnused() {
+  /**
+   * Removes unused categories, keeping the order of the remaining ones
+   * @returns {Series} - New categorical Series
+   */
+  return function () {
+    assertCategorical(this, 'removeUnused');
+    return new this.constructor(this.vector.removeUnused(), {
+      name: this.name,
+    });
+  };
+}
+
+/**
+ * Registers the removeUnused method on Series prototype
+ * @param {Class} Series - Series class to extend
+ */
+export function register(Series) {
+  if (!Series.prototype.removeUnused) {
+    Series.prototype.removeUnused = removeUnused();
+  }
+}
+
+export default { removeUnused, register };
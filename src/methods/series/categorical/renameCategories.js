@@ -0,0 +1,37 @@
+/**
+ * RenameCategories method for Series
+ * Renames categories without touching the codes
+ */
+import { assertCategorical } from './addCategories.js';
+
+/**
+ * Creates a renameCategories method for Series
+ * @returns {Function} - Function to be attached to Series prototype
+ */
+export function renameCategories() {
+  /**
+   * Renames categories. Only the dictionary changes, so this is
+   * O(categories) regardless of the Series length.
+   * @param {Array|Object|Function} names - New names by position,
+   *   an { old: new } mapping, or a function of the old name
+   * @returns {Series} - New categorical Series
+   */
+  return function (names) {
+    assertCategorical(this, 'renameCategories');
+    return new this.constructor(this.vector.renameCategories(names), {
+      name: this.name,
+    });
+  };
+}
+
+/**
+ * Registers the renameCategories method on Series prototype
+ * @param {Class} Series - Series class to extend
+ */
+export function register(Series) {
+  if (!Series.prototype.renameCategories) {
+    Series.prototype.renameCategories = renameCategories();
+  }
+}
+
+export default { renameCategories, register };
@@ -0,0 +1,55 @@
+/**
+ * AsOrdered / asUnordered methods for Series
+ * Switch ordered semantics of a categorical Series
+ */
+import { assertCategorical } from './addCategories.js';
+
+/**
+ * Creates an asOrdered method for Series
+ * @returns {Function} - Function to be attached to Series prototype
+ */
+export function asOrdered() {
+  /**
+   * Marks the category order as meaningful (enables min/max and
+   * ordered sorting by category position)
+   * @returns {Series} - New categorical Series
+   */
+  return function () {
+    assertCategorical(this, 'asOrdered');
+    return new this.constructor(this.vector.setOrdered(true), {
+      name: this.name,
+    });
+  };
+}
+
+/**
+ * Creates an asUnordered method for Series
+ * @returns {Function} - Function to be attached to Series prototype
+ */
+export function asUnordered() {
+  /**
+   * Marks the categories as unordered
+   * @returns {Series} - New categorical Series
+   */
+  return function () {
+    assertCategorical(this, 'asUnordered');
+    return new this.constructor(this.vector.setOrdered(false), {
+      name: this.name,
+    });
+  };
+}
+
+/**
+ * Registers the asOrdered and asUnordered methods on Series prototype
+ * @param {Class} Series - Series class to extend
+ */
+export function register(Series) {
+  if (!Series.prototype.asOrdered) {
+    Series.prototype.asOrdered = asOrdered();
+  }
+  if (!Series.prototype.asUnordered) {
+    Series.prototype.asUnordered = asUnordered();
+  }
+}
+
+export default { asOrdered, asUnordered, register };
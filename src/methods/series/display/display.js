@@ -0,0 +1,44 @@
+/**
+ * Display method for Series
+ * Shows the HTML table in a browser or Jupyter environment
+ */
+import { toHTML } from './toHTML.js';
+
+/**
+ * Creates a display method for Series
+ * @returns {Function} - Function to be attached to Series prototype
+ */
+export function display() {
+  const render = toHTML();
+
+  /**
+   * Displays Series as an HTML table in browser or Jupyter environments
+   * @param {Object} [options] - Same options as toHTML
+   * @returns {Series} - The Series, for chaining
+   */
+  return function (options = {}) {
+    const html = render.call(this, options);
+
+    if (typeof document !== 'undefined') {
+      const div = document.createElement('div');
+      div.innerHTML = html;
+      document.body.appendChild(div);
+    } else if (typeof globalThis.jupyter !== 'undefined') {
+      globalThis.jupyter.display(html);
+    }
+
+    return this;
+  };
+}
+
+/**
+ * Registers the display method on Series prototype
+ * @param {Class} Series - Series class to extend
+ */
+export function register(Series) {
+  if (!Series.prototype.display) {
+    Series.prototype.display = display();
+  }
+}
+
+export default { display, register };
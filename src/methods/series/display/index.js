@@ -0,0 +1,19 @@
+/**
+ * Series display methods
+ *
+ * This module provides a unified API for printing and rendering Series.
+ *
+ * @module methods/series/display
+ */
+import { registerSeriesDisplay } from './register.js';
+
+/**
+ * Register all display methods on Series prototype
+ *
+ * @param {Function} Series - Series class
+ */
+export function register(Series) {
+  registerSeriesDisplay(Series);
+}
+
+export default register;
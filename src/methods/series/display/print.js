@@ -0,0 +1,43 @@
+/**
+ * Print method for Series
+ * Writes the values to the console, one per line
+ */
+
+/**
+ * Creates a print method for Series
+ * @returns {Function} - Function to be attached to Series prototype
+ */
+export function print() {
+  /**
+   * Prints Series to console
+   * @param {Object} [options] - Display options
+   * @param {number} [options.maxRows=10] - Maximum number of rows to display
+   * @param {boolean} [options.showIndex=true] - Whether to show row positions
+   * @returns {Series} - The Series, for chaining
+   */
+  return function (options = {}) {
+    const { maxRows = 10, showIndex = true } = options;
+    const rowCount = Math.min(this.length, maxRows);
+
+    const lines = [`${this.name ?? 'Series'} (${this.length} rows)`];
+    for (let i = 0; i < rowCount; i++) {
+      lines.push(showIndex ? `${i}: ${this.get(i)}` : String(this.get(i)));
+    }
+    if (this.length > rowCount) lines.push('...');
+    console.log(lines.join('\n'));
+
+    return this;
+  };
+}
+
+/**
+ * Registers the print method on Series prototype
+ * @param {Class} Series - Series class to extend
+ */
+export function register(Series) {
+  if (!Series.prototype.print) {
+    Series.prototype.print = print();
+  }
+}
+
+export default { print, register };
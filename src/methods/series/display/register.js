@@ -0,0 +1,21 @@
+/**
+ * Registrar for Series display methods
+ */
+
+import { register as registerPrint } from './print.js';
+import { register as registerToHTML } from './toHTML.js';
+import { register as registerToMarkdown } from './toMarkdown.js';
+import { register as registerDisplay } from './display.js';
+
+/**
+ * Registers all display methods for Series
+ * @param {Class} Series - Series class to extend
+ */
+export function registerSeriesDisplay(Series) {
+  registerPrint(Series);
+  registerToHTML(Series);
+  registerToMarkdown(Series);
+  registerDisplay(Series);
+}
+
+export default registerSeriesDisplay;
@@ -0,0 +1,64 @@
+/**
+ * ToHTML method for Series
+ * Renders the values as a one-column HTML table
+ */
+
+/**
+ * Creates a toHTML method for Series
+ * @returns {Function} - Function to be attached to Series prototype
+ */
+export function toHTML() {
+  /**
+   * Converts Series to an HTML table
+   * @param {Object} [options] - Display options
+   * @param {number} [options.maxRows=20] - Maximum number of rows to display
+   * @param {boolean} [options.showIndex=true] - Whether to show row positions
+   * @returns {string} - HTML string representation of the Series
+   */
+  return function (options = {}) {
+    const { maxRows = 20, showIndex = true } = options;
+    const rowCount = Math.min(this.length, maxRows);
+
+    let html = '<table class="tinyframe-table"><thead><tr>';
+    if (showIndex) html += '<th></th>';
+    html += `<th>${escapeHTML(this.name ?? 'Series')}</th>`;
+    html += '</tr></thead><tbody>';
+
+    for (let i = 0; i < rowCount; i++) {
+      html += '<tr>';
+      if (showIndex) html += `<td>${i}</td>`;
+      html += `<td>${escapeHTML(this.get(i))}</td>`;
+      html += '</tr>';
+    }
+    if (this.length > rowCount) {
+      html += showIndex
+        ? '<tr><td>...</td><td>...</td></tr>'
+        : '<tr><td>...</td></tr>';
+    }
+
+    return html + '</tbody></table>';
+  };
+}
+
+/**
+ * @param {*} value - Cell value
+ * @returns {string} - Text with HTML special characters escaped
+ */
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Registers the toHTML method on Series prototype
+ * @param {Class} Series - Series class to extend
+ */
+export function register(Series) {
+  if (!Series.prototype.toHTML) {
+    Series.prototype.toHTML = toHTML();
+  }
+}
+
+export default { toHTML, register };
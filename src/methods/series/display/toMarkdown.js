@@ -0,0 +1,47 @@
+/**
+ * ToMarkdown method for Series
+ * Renders the values as a one-column Markdown table
+ */
+
+/**
+ * Creates a toMarkdown method for Series
+ * @returns {Function} - Function to be attached to Series prototype
+ */
+export function toMarkdown() {
+  /**
+   * Converts Series to a Markdown table
+   * @param {Object} [options] - Display options
+   * @param {number} [options.maxRows=20] - Maximum number of rows to display
+   * @param {boolean} [options.showIndex=true] - Whether to show row positions
+   * @returns {string} - Markdown string representation of the Series
+   */
+  return function (options = {}) {
+    const { maxRows = 20, showIndex = true } = options;
+    const rowCount = Math.min(this.length, maxRows);
+    const line = (cells) => '| ' + cells.join(' | ') + ' |';
+    const header = [this.name ?? 'Series'];
+    if (showIndex) header.unshift('');
+
+    const rows = [line(header), line(header.map(() => '---'))];
+    for (let i = 0; i < rowCount; i++) {
+      const value = this.get(i);
+      const cell = value === null || value === undefined ? '' : String(value);
+      rows.push(line(showIndex ? [i, cell] : [cell]));
+    }
+    if (this.length > rowCount) rows.push(line(header.map(() => '...')));
+
+    return rows.join('\n');
+  };
+}
+
+/**
+ * Registers the toMarkdown method on Series prototype
+ * @param {Class} Series - Series class to extend
+ */
+export function register(Series) {
+  if (!Series.prototype.toMarkdown) {
+    Series.prototype.toMarkdown = toMarkdown();
+  }
+}
+
+export default { toMarkdown, register };
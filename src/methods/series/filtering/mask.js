@@ -0,0 +1,35 @@
+/**
+ * Mask method for Series
+ * Returns a new Series with the values where a boolean mask is true
+ */
+import { maskToPositions } from '../../../core/utils/positions.js';
+
+/**
+ * Creates a mask method for Series
+ * @returns {Function} - Function to be attached to Series prototype
+ */
+export function mask() {
+  /**
+   * Keeps the values where the mask is true (null counts as false)
+   * @param {Series|Array|TypedArray} booleanMask - Mask of the same length
+   * @returns {Series} - New Series with the selected values
+   */
+  return function (booleanMask) {
+    const positions = maskToPositions(booleanMask, this.length);
+    return new this.constructor(this.vector.take(positions), {
+      name: this.name,
+    });
+  };
+}
+
+/**
+ * Registers the mask method on Series prototype
+ * @param {Class} Series - Series class to extend
+ */
+export function register(Series) {
+  if (!Series.prototype.mask) {
+    Series.prototype.mask = mask();
+  }
+}
+
+export default mask;
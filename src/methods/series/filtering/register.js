@@ -8,6 +8,8 @@ import { register as registerStartsWith } from './startsWith.js';
 import { register as registerEndsWith } from './endsWith.js';
 import { register as registerMatches } from './matches.js';
 import { register as registerIsNull } from './isNull.js';
+import { register as registerMask } from './mask.js';
+import { register as registerTake } from './take.js';
 
 /**
  * Registers all filtering methods for Series
@@ -21,84 +23,15 @@ export function registerSeriesFiltering(Series) {
      * @param {Function} predicate - Function that takes a value and returns true/false
      * @returns {Series} - New Series with filtered values
      */
-    Series.prototype.filter = function(predicate) {
+    Series.prototype.filter = function (predicate) {
       const values = this.toArray();
       const filteredValues = values.filter(predicate);
       return new this.constructor(filteredValues);
     };
   }
 
-  // Only register gt if it's not already registered
-  if (!Series.prototype.gt) {
-    /**
-     * Returns a new Series with values greater than the specified value
-     * @param {number} value - Value to compare against
-     * @returns {Series} - New Series with filtered values
-     */
-    Series.prototype.gt = function(value) {
-      return this.filter((x) => x > value);
-    };
-  }
-
-  // Only register gte if it's not already registered
-  if (!Series.prototype.gte) {
-    /**
-     * Returns a new Series with values greater than or equal to the specified value
-     * @param {number} value - Value to compare against
-     * @returns {Series} - New Series with filtered values
-     */
-    Series.prototype.gte = function(value) {
-      return this.filter((x) => x >= value);
-    };
-  }
-
-  // Only register lt if it's not already registered
-  if (!Series.prototype.lt) {
-    /**
-     * Returns a new Series with values less than the specified value
-     * @param {number} value - Value to compare against
-     * @returns {Series} - New Series with filtered values
-     */
-    Series.prototype.lt = function(value) {
-      return this.filter((x) => x < value);
-    };
-  }
-
-  // Only register lte if it's not already registered
-  if (!Series.prototype.lte) {
-    /**
-     * Returns a new Series with values less than or equal to the specified value
-     * @param {number} value - Value to compare against
-     * @returns {Series} - New Series with filtered values
-     */
-    Series.prototype.lte = function(value) {
-      return this.filter((x) => x <= value);
-    };
-  }
-
-  // Only register eq if it's not already registered
-  if (!Series.prototype.eq) {
-    /**
-     * Returns a new Series with values equal to the specified value
-     * @param {*} value - Value to compare against
-     * @returns {Series} - New Series with filtered values
-     */
-    Series.prototype.eq = function(value) {
-      return this.filter((x) => x === value);
-    };
-  }
-
-  // Only register ne if it's not already registered
-  if (!Series.prototype.ne) {
-    /**
-     * Returns a new Series with values not equal to the specified value
-     * @param {*} value - Value to compare against
-     * @returns {Series} - New Series with filtered values
-     */
-    Series.prototype.ne = function(value) {
-      return this.filter((x) => x !== value);
-    };
-  }
+  // gt/gte/lt/lte/eq/ne are element-wise comparisons returning
+  // boolean masks, see ../ops/comparison.js
 
   // Only register notNull if it's not already registered
   if (!Series.prototype.notNull) {
@@ -106,7 +39,7 @@ export function registerSeriesFiltering(Series) {
      * Returns a new Series with non-null values
      * @returns {Series} - New Series with non-null values
      */
-    Series.prototype.notNull = function() {
+    Series.prototype.notNull = function () {
       return this.filter((x) => x !== null && x !== undefined);
     };
   }
@@ -118,7 +51,7 @@ export function registerSeriesFiltering(Series) {
      * @param {Array} values - Array of values to include
      * @returns {Series} - New Series with filtered values
      */
-    Series.prototype.isin = function(values) {
+    Series.prototype.isin = function (values) {
       const valueSet = new Set(values);
       return this.filter((x) => valueSet.has(x));
     };
@@ -131,6 +64,8 @@ export function registerSeriesFiltering(Series) {
   registerEndsWith(Series);
   registerMatches(Series);
   registerIsNull(Series);
+  registerMask(Series);
+  registerTake(Series);
 }
 
 export default registerSeriesFiltering;
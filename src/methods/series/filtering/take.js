@@ -0,0 +1,35 @@
+/**
+ * Take method for Series
+ * Returns a new Series with the values at the given positions
+ */
+import { normalizePositions } from '../../../core/utils/positions.js';
+
+/**
+ * Creates a take method for Series
+ * @returns {Function} - Function to be attached to Series prototype
+ */
+export function take() {
+  /**
+   * Selects values by integer position, copying the typed storage directly
+   * @param {ArrayLike<number>|Series} indices - Positions, negative values count from the end
+   * @returns {Series} - New Series with the selected values
+   */
+  return function (indices) {
+    const positions = normalizePositions(indices, this.length);
+    return new this.constructor(this.vector.take(positions), {
+      name: this.name,
+    });
+  };
+}
+
+/**
+ * Registers the take method on Series prototype
+ * @param {Class} Series - Series class to extend
+ */
+export function register(Series) {
+  if (!Series.prototype.take) {
+    Series.prototype.take = take();
+  }
+}
+
+export default take;
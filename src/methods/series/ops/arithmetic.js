@@ -0,0 +1,123 @@
+/**
+ * Element-wise arithmetic operators for Series
+ * add, sub, mul, div, mod, pow
+ */
+import {
+  toOperand,
+  isMissing,
+  align,
+  assertNumeric,
+  createResult,
+} from './operands.js';
+
+/**
+ * Applies a numeric binary operator row by row.
+ * A null on either side gives null; the result is a nullable f64 Series.
+ * @param {Series} series - Left operand
+ * @param {Series|Array|TypedArray|number} other - Right operand
+ * @param {Function} fn - (a, b) => number
+ * @param {string} op - Operator name for error messages
+ * @returns {Series} - New Series
+ */
+export function arithmetic(series, other, fn, op) {
+  const { left, right, length, index } = align(
+    toOperand(series),
+    toOperand(other),
+    op,
+  );
+  assertNumeric(left, op);
+  assertNumeric(right, op);
+
+  const result = createResult(length, 'f64');
+  const { data } = result;
+  const a = left.values;
+
+  if (right.scalar) {
+    const b = Number(right.value);
+    if (isMissing(right, 0)) {
+      for (let i = 0; i < length; i++) result.setNull(i);
+    } else {
+      for (let i = 0; i < length; i++) {
+        if (isMissing(left, i)) result.setNull(i);
+        else data[i] = fn(a[i], b);
+      }
+    }
+  } else {
+    const b = right.values;
+    for (let i = 0; i < length; i++) {
+      if (isMissing(left, i) || isMissing(right, i)) result.setNull(i);
+      else data[i] = fn(a[i], b[i]);
+    }
+  }
+
+  return new series.constructor(result.toVector(), {
+    name: series.name,
+    index,
+  });
+}
+
+/**
+ * Creates a Series method for a numeric binary operator
+ * @param {Function} fn - (a, b) => number
+ * @param {string} op - Operator name
+ * @returns {Function} - Function to be attached to Series prototype
+ */
+function operator(fn, op) {
+  /**
+   * @param {Series|Array|TypedArray|number} other - Series (aligned on row
+   *   labels when both have them), array of the same length or scalar
+   * @returns {Series} - New Series with the results
+   */
+  return function (other) {
+    return arithmetic(this, other, fn, op);
+  };
+}
+
+/**
+ * Creates an add method for Series
+ * @returns {Function} - Function to be attached to Series prototype
+ */
+export const add = () => operator((a, b) => a + b, 'add');
+
+/**
+ * Creates a sub method for Series
+ * @returns {Function} - Function to be attached to Series prototype
+ */
+export const sub = () => operator((a, b) => a - b, 'sub');
+
+/**
+ * Creates a mul method for Series
+ * @returns {Function} - Function to be attached to Series prototype
+ */
+export const mul = () => operator((a, b) => a * b, 'mul');
+
+/**
+ * Creates a div method for Series (x / 0 follows IEEE 754: ±Infinity or NaN)
+ * @returns {Function} - Function to be attached to Series prototype
+ */
+export const div = () => operator((a, b) => a / b, 'div');
+
+/**
+ * Creates a mod method for Series
+ * @returns {Function} - Function to be attached to Series prototype
+ */
+export const mod = () => operator((a, b) => a % b, 'mod');
+
+/**
+ * Creates a pow method for Series
+ * @returns {Function} - Function to be attached to Series prototype
+ */
+export const pow = () => operator((a, b) => a ** b, 'pow');
+
+/**
+ * Registers the arithmetic operators on Series prototype
+ * @param {Class} Series - Series class to extend
+ */
+export function register(Series) {
+  const operators = { add, sub, mul, div, mod, pow };
+  for (const [name, create] of Object.entries(operators)) {
+    if (!Series.prototype[name]) Series.prototype[name] = create();
+  }
+}
+
+export default { add, sub, mul, div, mod, pow, register };
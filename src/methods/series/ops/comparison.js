@@ -0,0 +1,192 @@
+/**
+ * Element-wise comparison operators for Series
+ * gt, gte, lt, lte, eq, ne — each returns a boolean mask Series
+ */
+import {
+  toOperand,
+  isMissing,
+  valueAt,
+  align,
+  createResult,
+} from './operands.js';
+import { DType } from '../../../core/storage/types.js';
+
+const ORDERING = new Set(['gt', 'gte', 'lt', 'lte']);
+
+/**
+ * Compares row by row. A null on either side gives null in the mask.
+ * Dates are compared by time, strings lexicographically, and ordered
+ * categoricals by the position of their categories; eq and ne compare
+ * categorical values as they are.
+ * @param {Series} series - Left operand
+ * @param {Series|Array|TypedArray|*} other - Right operand
+ * @param {Function} fn - (a, b) => boolean
+ * @param {string} op - Operator name for error messages
+ * @returns {Series} - Boolean Series
+ */
+export function compare(series, other, fn, op) {
+  const byCategory = ORDERING.has(op) && categoryOf(series, other, op);
+  const { left, right, length, index } = align(
+    byCategory ? toCodes(series, byCategory, op) : toOperand(series),
+    byCategory ? toCodes(other, byCategory, op) : toOperand(other),
+    op,
+  );
+  const result = createResult(length, 'bool');
+  const { data } = result;
+
+  for (let i = 0; i < length; i++) {
+    if (isMissing(left, i) || isMissing(right, i)) result.setNull(i);
+    else data[i] = fn(left.values[i], valueAt(right, i)) ? 1 : 0;
+  }
+
+  return new series.constructor(result.toVector(), {
+    name: series.name,
+    index,
+  });
+}
+
+/**
+ * @param {*} value - Operand
+ * @returns {*} - Its vector, or the value itself
+ */
+const vectorOf = (value) => (value?.vector?._isVector ? value.vector : value);
+
+/**
+ * Finds the categorical whose category order an ordering comparison
+ * follows. Unordered categoricals have no order to compare by.
+ * @param {Series} series - Left operand
+ * @param {*} other - Right operand
+ * @param {string} op - Operator name for error messages
+ * @returns {CategoricalVector|null} - Categorical operand, null if none
+ */
+function categoryOf(series, other, op) {
+  const vector = [vectorOf(series), vectorOf(other)].find(
+    (v) => v?.dtype === 'category',
+  );
+  if (!vector) return null;
+  if (!vector.ordered) {
+    throw new Error(
+      `${op}() cannot order an unordered categorical, use setOrdered(true) first`,
+    );
+  }
+  return vector;
+}
+
+/**
+ * Turns an operand into category positions, so that ordered categoricals
+ * compare by category order. Plain values are looked up in `categories`.
+ * @param {*} value - Series, ColumnVector, array, TypedArray or scalar
+ * @param {CategoricalVector} categorical - Categorical giving the order
+ * @param {string} op - Operator name for error messages
+ * @returns {Object} - Operand holding category positions
+ */
+function toCodes(value, categorical, op) {
+  const vector = vectorOf(value);
+  if (vector?.dtype === 'category') {
+    const same =
+      vector.ordered &&
+      (vector.categories === categorical.categories ||
+        (vector.categories.length === categorical.categories.length &&
+          vector.categories.every((c, i) => c === categorical.categories[i])));
+    if (!same) {
+      throw new Error(
+        `${op}() can only order categoricals with the same ordered categories`,
+      );
+    }
+    const nulls = new Uint8Array(vector.length);
+    for (let i = 0; i < vector.length; i++) {
+      if (vector.codes[i] === -1) nulls[i] = 1;
+    }
+    return {
+      scalar: false,
+      values: vector.codes,
+      validity: null,
+      nulls,
+      dtype: DType.INT32,
+      index: value.index ?? null,
+    };
+  }
+
+  const codeOf = (v) => {
+    if (v === null || v === undefined) return null;
+    const code = categorical.codeOf(v);
+    if (code === -1) {
+      throw new Error(`${op}(): '${v}' is not a category`);
+    }
+    return code;
+  };
+  if (vector?._isVector || ArrayBuffer.isView(value) || Array.isArray(value)) {
+    const values = vector?._isVector ? vector.toArray() : Array.from(value);
+    return {
+      ...toOperand(values.map(codeOf)),
+      index: value.index ?? null,
+    };
+  }
+  return toOperand(codeOf(value));
+}
+
+/**
+ * Creates a Series method for a comparison operator
+ * @param {Function} fn - (a, b) => boolean
+ * @param {string} op - Operator name
+ * @returns {Function} - Function to be attached to Series prototype
+ */
+function operator(fn, op) {
+  /**
+   * @param {Series|Array|TypedArray|*} other - Series (aligned on row
+   *   labels when both have them), array of the same length or scalar
+   * @returns {Series} - Boolean mask
+   */
+  return function (other) {
+    return compare(this, other, fn, op);
+  };
+}
+
+/**
+ * Creates a gt method for Series
+ * @returns {Function} - Function to be attached to Series prototype
+ */
+export const gt = () => operator((a, b) => a > b, 'gt');
+
+/**
+ * Creates a gte method for Series
+ * @returns {Function} - Function to be attached to Series prototype
+ */
+export const gte = () => operator((a, b) => a >= b, 'gte');
+
+/**
+ * Creates an lt method for Series
+ * @returns {Function} - Function to be attached to Series prototype
+ */
+export const lt = () => operator((a, b) => a < b, 'lt');
+
+/**
+ * Creates an lte method for Series
+ * @returns {Function} - Function to be attached to Series prototype
+ */
+export const lte = () => operator((a, b) => a <= b, 'lte');
+
+/**
+ * Creates an eq method for Series
+ * @returns {Function} - Function to be attached to Series prototype
+ */
+export const eq = () => operator((a, b) => a === b, 'eq');
+
+/**
+ * Creates a ne method for Series
+ * @returns {Function} - Function to be attached to Series prototype
+ */
+export const ne = () => operator((a, b) => a !== b, 'ne');
+
+/**
+ * Registers the comparison operators on Series prototype
+ * @param {Class} Series - Series class to extend
+ */
+export function register(Series) {
+  const operators = { gt, gte, lt, lte, eq, ne };
+  for (const [name, create] of Object.entries(operators)) {
+    if (!Series.prototype[name]) Series.prototype[name] = create();
+  }
+}
+
+export default { gt, gte, lt, lte, eq, ne, register };
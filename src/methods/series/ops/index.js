@@ -0,0 +1,20 @@
+/**
+ * Series operators
+ *
+ * This module provides element-wise arithmetic, comparison and logical
+ * operators between Series, arrays and scalars.
+ *
+ * @module methods/series/ops
+ */
+import { registerSeriesOps } from './register.js';
+
+/**
+ * Register all operators on Series prototype
+ *
+ * @param {Function} Series - Series class
+ */
+export function register(Series) {
+  registerSeriesOps(Series);
+}
+
+export default register;
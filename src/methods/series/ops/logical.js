@@ -0,0 +1,138 @@
+/**
+ * Element-wise logical operators for Series
+ * and, or, xor, not — each returns a boolean Series
+ */
+import {
+  toOperand,
+  isMissing,
+  valueAt,
+  align,
+  createResult,
+} from './operands.js';
+
+/**
+ * Combines two boolean operands with three-valued (Kleene) logic:
+ * null means "unknown", so `false and null` is false and
+ * `true or null` is true; every other combination with null is null.
+ * @param {Series} series - Left operand
+ * @param {Series|Array|TypedArray|boolean} other - Right operand
+ * @param {string} op - 'and', 'or' or 'xor'
+ * @returns {Series} - Boolean Series
+ */
+export function logical(series, other, op) {
+  const { left, right, length, index } = align(
+    toOperand(series),
+    toOperand(other),
+    op,
+  );
+  const result = createResult(length, 'bool');
+  const { data } = result;
+
+  for (let i = 0; i < length; i++) {
+    const a = isMissing(left, i) ? null : Boolean(left.values[i]);
+    const b = isMissing(right, i) ? null : Boolean(valueAt(right, i));
+
+    if (op === 'and') {
+      if (a === false || b === false) data[i] = 0;
+      else if (a === null || b === null) result.setNull(i);
+      else data[i] = 1;
+    } else if (op === 'or') {
+      if (a === true || b === true) data[i] = 1;
+      else if (a === null || b === null) result.setNull(i);
+      else data[i] = 0;
+    } else if (a === null || b === null) {
+      result.setNull(i);
+    } else {
+      data[i] = a !== b ? 1 : 0;
+    }
+  }
+
+  return new series.constructor(result.toVector(), {
+    name: series.name,
+    index,
+  });
+}
+
+/**
+ * Creates an and method for Series
+ * @returns {Function} - Function to be attached to Series prototype
+ */
+export function and() {
+  /**
+   * @param {Series|Array|TypedArray|boolean} other - Mask (aligned on row labels
+   *   when both have them), array of the same length or scalar
+   * @returns {Series} - Boolean Series
+   */
+  return function (other) {
+    return logical(this, other, 'and');
+  };
+}
+
+/**
+ * Creates an or method for Series
+ * @returns {Function} - Function to be attached to Series prototype
+ */
+export function or() {
+  /**
+   * @param {Series|Array|TypedArray|boolean} other - Mask (aligned on row labels
+   *   when both have them), array of the same length or scalar
+   * @returns {Series} - Boolean Series
+   */
+  return function (other) {
+    return logical(this, other, 'or');
+  };
+}
+
+/**
+ * Creates a xor method for Series
+ * @returns {Function} - Function to be attached to Series prototype
+ */
+export function xor() {
+  /**
+   * @param {Series|Array|TypedArray|boolean} other - Mask (aligned on row labels
+   *   when both have them), array of the same length or scalar
+   * @returns {Series} - Boolean Series
+   */
+  return function (other) {
+    return logical(this, other, 'xor');
+  };
+}
+
+/**
+ * Creates a not method for Series
+ * @returns {Function} - Function to be attached to Series prototype
+ */
+export function not() {
+  /**
+   * Negates every value, nulls stay null
+   * @returns {Series} - Boolean Series
+   */
+  return function () {
+    const operand = toOperand(this);
+    const { length } = operand.values;
+    const result = createResult(length, 'bool');
+
+    for (let i = 0; i < length; i++) {
+      if (isMissing(operand, i)) result.setNull(i);
+      else result.data[i] = operand.values[i] ? 0 : 1;
+    }
+
+    return new this.constructor(result.toVector(), {
+      name: this.name,
+      index: this.index,
+    });
+  };
+}
+
+/**
+ * Registers the logical operators on Series prototype
+ * @param {Class} Series - Series class to extend
+ */
+export function register(Series) {
+  const operators = { and, or, xor, not };
+  for (const [name, create] of Object.entries(operators)) {
+    if (!Series.prototype[name]) Series.prototype[name] = create();
+  }
+}
+
+export default { and, or, xor, not, register };
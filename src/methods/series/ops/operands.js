@@ -0,0 +1,253 @@
+/**
+ * Shared helpers for element-wise Series operators
+ */
+import { Index } from '../../../core/dataframe/Index.js';
+import { TypedArrayVector } from '../../../core/storage/TypedArrayVector.js';
+import { DType } from '../../../core/storage/types.js';
+import { isNumericDType, inferDType } from '../../../core/storage/cast.js';
+import {
+  createValidity,
+  isValid,
+  setValid,
+  setNull as markNull,
+} from '../../../core/storage/validity.js';
+
+const DATETIME_DTYPES = new Set([DType.TIMESTAMP_MS, DType.DATE_DAY]);
+
+/**
+ * Normalizes one side of an operator.
+ * Typed storage is read directly (no toArray copy). Booleans become
+ * 0/1 (the typed bool layout) and datetimes epoch milliseconds, so
+ * values from every kind of storage compare with ===.
+ * @param {*} value - Series, ColumnVector, array, TypedArray or scalar
+ * @returns {{ scalar: boolean, value?: *, values?: ArrayLike,
+ *   validity?: Uint8Array|null, nulls?: Uint8Array|null, dtype: string,
+ *   index?: Index|null }}
+ */
+export function toOperand(value) {
+  const vector = value?.vector?._isVector ? value.vector : value;
+
+  if (vector?._isVector && vector !== value) {
+    return { ...toOperand(vector), index: value.index ?? null };
+  }
+  if (vector?._isVector) {
+    if (vector._data && ArrayBuffer.isView(vector._data)) {
+      // bool is stored as 0/1 bytes, that is fine for every operator
+      return {
+        scalar: false,
+        values: vector._data,
+        validity: vector._validity ?? null,
+        nulls: null,
+        dtype: vector.dtype,
+      };
+    }
+    return fromArray(vector.toArray(), vector.dtype);
+  }
+
+  if (ArrayBuffer.isView(value)) {
+    return {
+      scalar: false,
+      values: value,
+      validity: null,
+      nulls: null,
+      dtype: value instanceof Float64Array ? DType.FLOAT64 : DType.MIXED,
+    };
+  }
+  if (Array.isArray(value)) return fromArray(value, inferDType(value));
+
+  return { scalar: true, value: normalize(value), dtype: scalarDType(value) };
+}
+
+/**
+ * @param {*} value - Plain value
+ * @returns {*} - Value in the representation of typed storage
+ */
+function normalize(value) {
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value instanceof Date ? value.getTime() : value;
+}
+
+/**
+ * @param {*} value - Scalar operand
+ * @returns {string} - DType code
+ */
+function scalarDType(value) {
+  if (value instanceof Date) return DType.TIMESTAMP_MS;
+  if (typeof value === 'boolean') return DType.BOOL;
+  return typeof value === 'number' ? DType.FLOAT64 : DType.MIXED;
+}
+
+/**
+ * @param {Array} values - Plain values
+ * @param {string} dtype - Logical dtype of the values
+ * @returns {Object} - Operand
+ */
+function fromArray(values, dtype) {
+  let nulls = null;
+  const out = new Array(values.length);
+  for (let i = 0; i < values.length; i++) {
+    const v = values[i];
+    if (v === null || v === undefined) {
+      nulls ??= new Uint8Array(values.length);
+      nulls[i] = 1;
+    }
+    out[i] = normalize(v);
+  }
+  return { scalar: false, values: out, validity: null, nulls, dtype };
+}
+
+/**
+ * @param {Object} operand
+ * @param {number} i - Row position
+ * @returns {boolean} - true when the operand has no value at row i
+ */
+export function isMissing(operand, i) {
+  if (operand.scalar)
+    return operand.value === null || operand.value === undefined;
+  if (operand.validity) return !isValid(operand.validity, i);
+  return operand.nulls !== null && operand.nulls[i] === 1;
+}
+
+/**
+ * @param {Object} operand
+ * @param {number} i - Row position
+ * @returns {*} - Raw value at row i
+ */
+export function valueAt(operand, i) {
+  return operand.scalar ? operand.value : operand.values[i];
+}
+
+/**
+ * Lines the operands up row by row.
+ * Two Series with row labels (the columns of a frame and the results of
+ * operators on them) are aligned on those labels: the result has the
+ * labels of the left Series followed by the ones only the right Series
+ * has, and a label missing from one side gives null there. Every other
+ * operand is taken by position, so its length must match; scalars are
+ * broadcast.
+ * @param {Object} left - Left operand
+ * @param {Object} right - Right operand
+ * @param {string} op - Operator name for the error messages
+ * @returns {{ left: Object, right: Object, length: number,
+ *   index: Index|null }} - Aligned operands and the labels of the result
+ */
+export function align(left, right, op) {
+  const index = left.index ?? right.index ?? null;
+  if (right.scalar) return { left, right, length: left.values.length, index };
+
+  if (
+    left.index &&
+    right.index &&
+    left.index !== right.index &&
+    !left.index.equals(right.index)
+  ) {
+    return alignLabels(left, right, op);
+  }
+  if (right.values.length !== left.values.length) {
+    throw new Error(
+      `${op}(): length mismatch, ${left.values.length} vs ${right.values.length}`,
+    );
+  }
+  return { left, right, length: left.values.length, index };
+}
+
+/**
+ * Aligns two labelled operands on the union of their labels
+ * @param {Object} left - Left operand
+ * @param {Object} right - Right operand
+ * @param {string} op - Operator name for the error message
+ * @returns {{ left: Object, right: Object, length: number, index: Index }}
+ */
+function alignLabels(left, right, op) {
+  if (!left.index.isUnique || !right.index.isUnique) {
+    throw new Error(
+      `${op}(): cannot align Series on row labels with duplicates`,
+    );
+  }
+  const leftLabels = left.index.toArray();
+  const rightLabels = right.index.toArray();
+  const onlyRight = [];
+  const inLeft = left.index.getIndexer(rightLabels);
+  for (let i = 0; i < rightLabels.length; i++) {
+    if (inLeft[i] === -1) onlyRight.push(rightLabels[i]);
+  }
+
+  const labels = leftLabels.concat(onlyRight);
+  const sameName = left.index.name === right.index.name;
+  const index = Index.from(labels, {
+    name: sameName ? left.index.name : null,
+    names: left.index.names,
+  });
+
+  const leftPositions = new Int32Array(labels.length).fill(-1);
+  for (let i = 0; i < leftLabels.length; i++) leftPositions[i] = i;
+  return {
+    left: takeOperand(left, leftPositions),
+    right: takeOperand(right, right.index.getIndexer(labels)),
+    length: labels.length,
+    index,
+  };
+}
+
+/**
+ * Picks rows of an operand by position, -1 gives null
+ * @param {Object} operand - Series operand
+ * @param {Int32Array} positions - Row positions
+ * @returns {Object} - Operand with one row per position
+ */
+function takeOperand(operand, positions) {
+  const values = new Array(positions.length);
+  const nulls = new Uint8Array(positions.length);
+  for (let i = 0; i < positions.length; i++) {
+    const p = positions[i];
+    if (p === -1 || isMissing(operand, p)) nulls[i] = 1;
+    else values[i] = operand.values[p];
+  }
+  return { ...operand, values, validity: null, nulls };
+}
+
+/**
+ * Throws unless the operand holds numbers (booleans and datetimes count)
+ * @param {Object} operand
+ * @param {string} op - Operator name for the error message
+ */
+export function assertNumeric(operand, op) {
+  const { dtype } = operand;
+  const ok = operand.scalar
+    ? operand.value === null ||
+      operand.value === undefined ||
+      typeof operand.value === 'number'
+    : isNumericDType(dtype) ||
+      dtype === DType.BOOL ||
+      DATETIME_DTYPES.has(dtype);
+  if (!ok) {
+    throw new Error(`${op}() requires numeric values, got dtype '${dtype}'`);
+  }
+}
+
+/**
+ * Collects results into typed storage with a validity bitmap
+ * that is only allocated once the first null shows up
+ * @param {number} length - Number of rows
+ * @param {string} dtype - 'f64' or 'bool'
+ * @returns {{ data: TypedArray, setNull: Function, toVector: Function }}
+ */
+export function createResult(length, dtype) {
+  const data =
+    dtype === DType.BOOL ? new Uint8Array(length) : new Float64Array(length);
+  let validity = null;
+
+  return {
+    data,
+    setNull(i) {
+      if (!validity) {
+        validity = createValidity(length);
+        for (let j = 0; j < length; j++) setValid(validity, j);
+      }
+      markNull(validity, i);
+    },
+    toVector() {
+      return new TypedArrayVector(data, { dtype, validity });
+    },
+  };
+}
@@ -0,0 +1,19 @@
+/**
+ * Registrar for Series operators
+ */
+
+import { register as registerArithmetic } from './arithmetic.js';
+import { register as registerComparison } from './comparison.js';
+import { register as registerLogical } from './logical.js';
+
+/**
+ * Registers arithmetic, comparison and logical operators for Series
+ * @param {Class} Series - Series class to extend
+ */
+export function registerSeriesOps(Series) {
+  registerArithmetic(Series);
+  registerComparison(Series);
+  registerLogical(Series);
+}
+
+export default registerSeriesOps;
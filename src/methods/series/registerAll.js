@@ -7,6 +7,9 @@
 import { register as registerSeriesAggregation } from './aggregation/index.js';
 import { register as registerSeriesTransform } from './transform/index.js';
 import { register as registerSeriesFiltering } from './filtering/index.js';
+import { register as registerSeriesCategorical } from './categorical/index.js';
+import { register as registerSeriesOps } from './ops/index.js';
+import { register as registerSeriesDisplay } from './display/index.js';
 import { register as registerSeriesTimeSeries } from '../timeseries/series/index.js';
 
 /**
@@ -18,6 +21,9 @@ export function extendSeries(Series) {
   registerSeriesAggregation(Series);
   registerSeriesTransform(Series);
   registerSeriesFiltering(Series);
+  registerSeriesOps(Series);
+  registerSeriesCategorical(Series);
+  registerSeriesDisplay(Series);
   registerSeriesTimeSeries(Series);
 
   // Here you can add logging or other actions during registration
@@ -71,6 +77,12 @@ export function getSeriesMethodsInfo() {
       // Other aggregation methods...
     },
     transform: {
+      astype: {
+        signature: 'astype(dtype)',
+        description: 'Cast values to another dtype',
+        returns: 'Series',
+        example: "series.astype('i32')",
+      },
       map: {
         signature: 'map(fn)',
         description: 'Applies a function to each element in Series',
@@ -98,56 +110,187 @@ export function getSeriesMethodsInfo() {
         returns: 'Series',
         example: 'series.filter(x => x > 0)',
       },
+      mask: {
+        signature: 'mask(booleanSeries)',
+        description: 'Returns values where a boolean mask is true',
+        returns: 'Series',
+        example: 'series.mask(series.gt(10))',
+      },
+      take: {
+        signature: 'take(indices)',
+        description: 'Returns values at the given positions',
+        returns: 'Series',
+        example: 'series.take([0, 2])',
+      },
+      notNull: {
+        signature: 'notNull()',
+        description: 'Returns non-null values',
+        returns: 'Series',
+        example: 'series.notNull()',
+      },
+      isin: {
+        signature: 'isin(values)',
+        description: 'Returns values in the specified array',
+        returns: 'Series',
+        example: 'series.isin([1, 2, 3])',
+      },
+      // Other filtering methods...
+    },
+    ops: {
+      add: {
+        signature: 'add(other)',
+        description: 'Element-wise addition with a Series, array or scalar',
+        returns: 'Series',
+        example: "df.col('close').sub(df.col('open')).div(df.col('open'))",
+      },
+      sub: {
+        signature: 'sub(other)',
+        description: 'Element-wise subtraction',
+        returns: 'Series',
+        example: "series.sub(df.col('open'))",
+      },
+      mul: {
+        signature: 'mul(other)',
+        description: 'Element-wise multiplication',
+        returns: 'Series',
+        example: 'series.mul(100)',
+      },
+      div: {
+        signature: 'div(other)',
+        description: 'Element-wise division',
+        returns: 'Series',
+        example: "series.div(df.col('open'))",
+      },
+      mod: {
+        signature: 'mod(other)',
+        description: 'Element-wise remainder',
+        returns: 'Series',
+        example: 'series.mod(2)',
+      },
+      pow: {
+        signature: 'pow(other)',
+        description: 'Element-wise power',
+        returns: 'Series',
+        example: 'series.pow(2)',
+      },
       gt: {
-        signature: 'gt(value)',
-        description: 'Returns values greater than the specified value',
+        signature: 'gt(other)',
+        description: 'Boolean mask of values greater than other',
         returns: 'Series',
         example: 'series.gt(10)',
       },
       gte: {
-        signature: 'gte(value)',
-        description:
-          'Returns values greater than or equal to the specified value',
+        signature: 'gte(other)',
+        description: 'Boolean mask of values greater than or equal to other',
         returns: 'Series',
         example: 'series.gte(10)',
       },
       lt: {
-        signature: 'lt(value)',
-        description: 'Returns values less than the specified value',
+        signature: 'lt(other)',
+        description: 'Boolean mask of values less than other',
         returns: 'Series',
         example: 'series.lt(10)',
       },
       lte: {
-        signature: 'lte(value)',
-        description: 'Returns values less than or equal to the specified value',
+        signature: 'lte(other)',
+        description: 'Boolean mask of values less than or equal to other',
         returns: 'Series',
         example: 'series.lte(10)',
       },
       eq: {
-        signature: 'eq(value)',
-        description: 'Returns values equal to the specified value',
+        signature: 'eq(other)',
+        description: 'Boolean mask of values equal to other',
         returns: 'Series',
-        example: 'series.eq(10)',
+        example: "series.eq('AAPL')",
       },
       ne: {
-        signature: 'ne(value)',
-        description: 'Returns values not equal to the specified value',
+        signature: 'ne(other)',
+        description: 'Boolean mask of values not equal to other',
         returns: 'Series',
-        example: 'series.ne(10)',
+        example: "series.ne('AAPL')",
       },
-      notNull: {
-        signature: 'notNull()',
-        description: 'Returns non-null values',
+      and: {
+        signature: 'and(other)',
+        description: 'Element-wise logical AND (three-valued with nulls)',
         returns: 'Series',
-        example: 'series.notNull()',
+        example: 'series.gt(0).and(series.lt(10))',
       },
-      isin: {
-        signature: 'isin(values)',
-        description: 'Returns values in the specified array',
+      or: {
+        signature: 'or(other)',
+        description: 'Element-wise logical OR (three-valued with nulls)',
         returns: 'Series',
-        example: 'series.isin([1, 2, 3])',
+        example: 'series.lt(0).or(series.gt(10))',
+      },
+      xor: {
+        signature: 'xor(other)',
+        description: 'Element-wise logical XOR',
+        returns: 'Series',
+        example: 'a.xor(b)',
+      },
+      not: {
+        signature: 'not()',
+        description: 'Element-wise logical NOT',
+        returns: 'Series',
+        example: 'series.eq(0).not()',
+      },
+    },
+    categorical: {
+      addCategories: {
+        signature: 'addCategories(categories)',
+        description: 'Appends categories to a categorical Series',
+        returns: 'Series',
+        example: "series.addCategories(['NVDA'])",
+      },
+      removeUnused: {
+        signature: 'removeUnused()',
+        description: 'Drops categories that no value refers to',
+        returns: 'Series',
+        example: 'series.removeUnused()',
+      },
+      renameCategories: {
+        signature: 'renameCategories(names)',
+        description: 'Renames categories by position, mapping or function',
+        returns: 'Series',
+        example: "series.renameCategories({ AAPL: 'Apple' })",
+      },
+      asOrdered: {
+        signature: 'asOrdered()',
+        description: 'Marks the category order as meaningful',
+        returns: 'Series',
+        example: 'series.asOrdered().max()',
+      },
+      asUnordered: {
+        signature: 'asUnordered()',
+        description: 'Marks the categories as unordered',
+        returns: 'Series',
+        example: 'series.asUnordered()',
+      },
+    },
+    display: {
+      print: {
+        signature: 'print([options])',
+        description: 'Print values to the console',
+        returns: 'Series',
+        example: 'series.print({ maxRows: 5 })',
+      },
+      toHTML: {
+        signature: 'toHTML([options])',
+        description: 'Convert to a one-column HTML table',
+        returns: 'string',
+        example: 'series.toHTML()',
+      },
+      toMarkdown: {
+        signature: 'toMarkdown([options])',
+        description: 'Convert to a one-column Markdown table',
+        returns: 'string',
+        example: 'series.toMarkdown({ showIndex: false })',
+      },
+      display: {
+        signature: 'display([options])',
+        description: 'Show as an HTML table in browser or Jupyter',
+        returns: 'Series',
+        example: 'series.display()',
       },
-      // Other filtering methods...
     },
   };
 }
@@ -0,0 +1,39 @@
+/**
+ * Astype method for Series
+ * Returns a copy of the Series converted to another dtype
+ */
+
+/**
+ * Creates an astype method for Series
+ * @returns {Function} - Function to be attached to Series prototype
+ */
+export function astype() {
+  /**
+   * Converts the Series to the given dtype.
+   * Nulls are preserved; values that cannot be represented exactly
+   * (2.5 → i32, 'abc' → f64, 300 → u8) throw an error.
+   * @param {string} dtype - Target dtype ('i32', 'int32', 'f64', 'bool', 'str', ...)
+   * @returns {Series} - New Series with the requested dtype
+   */
+  return function (dtype) {
+    try {
+      return new this.constructor(this.vector, { name: this.name, dtype });
+    } catch (error) {
+      throw new Error(
+        this.name ? `Series '${this.name}': ${error.message}` : error.message,
+      );
+    }
+  };
+}
+
+/**
+ * Registers the astype method on Series prototype
+ * @param {Class} Series - Series class to extend
+ */
+export function register(Series) {
+  if (!Series.prototype.astype) {
+    Series.prototype.astype = astype();
+  }
+}
+
+export default { astype, register };
@@ -15,6 +15,7 @@ import { map } from './map.js';
 import { apply } from './apply.js';
 import { round } from './round.js';
 import { abs } from './abs.js';
+import { astype } from './astype.js';
 
 /**
  * Registers all transformation methods for Series
@@ -130,6 +131,10 @@ export function registerSeriesTransform(Series) {
   if (!Series.prototype.pctChange) {
     Series.prototype.pctChange = pctChange();
   }
+
+  if (!Series.prototype.astype) {
+    Series.prototype.astype = astype();
+  }
 }
 
 export default registerSeriesTransform;
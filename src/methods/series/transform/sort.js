@@ -18,6 +18,19 @@ export function sort() {
   return function (options = {}) {
     const { ascending = true, inplace = false } = options;
 
+    // Categoricals sort by category position with a counting sort on codes
+    if (typeof this.vector.argsort === 'function') {
+      const result = new this.constructor(
+        this.vector.take(this.vector.argsort(ascending)),
+        { name: this.name },
+      );
+      if (inplace) {
+        Object.assign(this, result);
+        return this;
+      }
+      return result;
+    }
+
     const values = this.toArray();
     const sortedValues = [...values].sort((a, b) => {
       // Handle null and undefined values
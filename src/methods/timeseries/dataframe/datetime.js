@@ -0,0 +1,63 @@
+import {
+  toDatetime as seriesToDatetime,
+  tzLocalize as seriesTzLocalize,
+  tzConvert as seriesTzConvert,
+} from '../series/datetime.js';
+
+/**
+ * Converts a column to timestamps
+ *
+ * @param {DataFrame} df - DataFrame instance
+ * @param {string} column - Column with Date objects, epoch milliseconds or strings
+ * @param {Object} [options] - See Series toDatetime: { format, tz, errors }
+ * @returns {DataFrame} - New DataFrame with the converted column
+ */
+export function toDatetime(df, column, options = {}) {
+  return replaceColumn(df, column, (series) =>
+    seriesToDatetime(series, options),
+  );
+}
+
+/**
+ * Attaches a timezone to a naive timestamp column (or removes it with null)
+ *
+ * @param {DataFrame} df - DataFrame instance
+ * @param {string} column - Timestamp column
+ * @param {string|null} tz - IANA timezone name
+ * @returns {DataFrame} - New DataFrame with the localized column
+ */
+export function tzLocalize(df, column, tz) {
+  return replaceColumn(df, column, (series) => seriesTzLocalize(series, tz));
+}
+
+/**
+ * Expresses a tz-aware timestamp column in another timezone
+ *
+ * @param {DataFrame} df - DataFrame instance
+ * @param {string} column - tz-aware timestamp column
+ * @param {string} tz - IANA timezone name
+ * @returns {DataFrame} - New DataFrame with the converted column
+ */
+export function tzConvert(df, column, tz) {
+  return replaceColumn(df, column, (series) => seriesTzConvert(series, tz));
+}
+
+/**
+ * @param {DataFrame} df
+ * @param {string} column
+ * @param {(series: Series) => Series} fn
+ * @returns {DataFrame}
+ */
+function replaceColumn(df, column, fn) {
+  if (!df.columns.includes(column)) {
+    throw new Error(`Column '${column}' not found in DataFrame`);
+  }
+
+  const data = {};
+  for (const col of df.columns) {
+    data[col] = col === column ? fn(df.col(col)) : df.col(col);
+  }
+  return new df.constructor(data, { index: df.index });
+}
+
+export default { toDatetime, tzLocalize, tzConvert };
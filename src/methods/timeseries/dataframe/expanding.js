@@ -52,7 +52,7 @@ export function expanding(options) {
     }
 
     // Create a new DataFrame with the result columns
-    return new df.constructor(resultColumns);
+    return new df.constructor(resultColumns, { index: df.index });
   };
 }
 
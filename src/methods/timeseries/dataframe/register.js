@@ -2,6 +2,8 @@
  * Registrar for DataFrame time series methods
  */
 
+import { toDatetime, tzLocalize, tzConvert } from './datetime.js';
+
 /**
  * Registers all time series methods for DataFrame
  * @param {Class} DataFrame - DataFrame class to extend
@@ -10,7 +12,7 @@ export function registerDataFrameTimeSeries(DataFrame) {
   /**
    * Resamples a DataFrame to a different time frequency
    * @param {Object} options - Options object
-   * @param {string} options.dateColumn - Name of the column containing dates
+   * @param {string} [options.dateColumn] - Name of the column containing dates (defaults to the DatetimeIndex)
    * @param {string} options.freq - Target frequency ('D' for day, 'W' for week, 'M' for month, 'Q' for quarter, 'Y' for year)
    * @param {Object} options.aggregations - Object mapping column names to aggregation functions
    * @param {boolean} [options.includeEmpty=false] - Whether to include empty periods
@@ -20,7 +22,7 @@ export function registerDataFrameTimeSeries(DataFrame) {
     // Validate required options
     const { dateColumn, freq, aggregations = {} } = options || {};
 
-    if (!dateColumn) {
+    if (!dateColumn && this.index.kind !== 'datetime') {
       throw new Error('dateColumn parameter is required');
     }
 
@@ -28,7 +30,7 @@ export function registerDataFrameTimeSeries(DataFrame) {
       throw new Error('freq parameter is required');
     }
 
-    if (!this.columns.includes(dateColumn)) {
+    if (dateColumn && !this.columns.includes(dateColumn)) {
       throw new Error(`Date column '${dateColumn}' not found in DataFrame`);
     }
 
@@ -91,6 +93,36 @@ export function registerDataFrameTimeSeries(DataFrame) {
     const pctChangeModule = require('./shift.js');
     return pctChangeModule.pctChange(this, periods);
   };
+
+  /**
+   * Converts a column to timestamps (dtype 'ts_ms')
+   * @param {string} column - Column with Date objects, epoch milliseconds or strings
+   * @param {Object} [options] - { format?: string, tz?: string, errors?: 'raise'|'coerce' }
+   * @returns {DataFrame} - DataFrame with the converted column
+   */
+  DataFrame.prototype.toDatetime = function (column, options) {
+    return toDatetime(this, column, options);
+  };
+
+  /**
+   * Attaches a timezone to a naive timestamp column
+   * @param {string} column - Timestamp column
+   * @param {string|null} tz - IANA timezone name, null to drop the timezone
+   * @returns {DataFrame} - DataFrame with the localized column
+   */
+  DataFrame.prototype.tzLocalize = function (column, tz) {
+    return tzLocalize(this, column, tz);
+  };
+
+  /**
+   * Expresses a tz-aware timestamp column in another timezone
+   * @param {string} column - tz-aware timestamp column
+   * @param {string} tz - IANA timezone name
+   * @returns {DataFrame} - DataFrame with the converted column
+   */
+  DataFrame.prototype.tzConvert = function (column, tz) {
+    return tzConvert(this, column, tz);
+  };
 }
 
 export default registerDataFrameTimeSeries;
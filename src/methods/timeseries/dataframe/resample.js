@@ -1,8 +1,13 @@
+import { DatetimeIndex } from '../../../core/dataframe/Index.js';
+import { DatetimeVector } from '../../../core/storage/DatetimeVector.js';
+import { DType } from '../../../core/storage/types.js';
+import { wallToUtc } from '../../../core/utils/datetime.js';
+
 /**
  * Resample a DataFrame to a different time frequency
  *
  * @param {Object} options - Options object
- * @param {string} options.dateColumn - Name of the column containing dates
+ * @param {string} [options.dateColumn] - Name of the column containing dates; when omitted the DataFrame's DatetimeIndex is used
  * @param {string} options.freq - Target frequency ('D' for day, 'W' for week, 'M' for month, 'Q' for quarter, 'Y' for year)
  * @param {Object} options.aggregations - Object mapping column names to aggregation functions
  * @param {boolean} [options.includeEmpty=false] - Whether to include empty periods
@@ -16,8 +21,11 @@ export const resample = (options) => (df) => {
     includeEmpty = false,
   } = options || {};
 
+  // Without a date column, resample on the DatetimeIndex
+  const useIndex = !dateColumn && df.index.kind === 'datetime';
+
   // Validate options
-  if (!dateColumn || !df.columns.includes(dateColumn)) {
+  if (!useIndex && (!dateColumn || !df.columns.includes(dateColumn))) {
     throw new Error(`Date column '${dateColumn}' not found in DataFrame`);
   }
 
@@ -29,22 +37,47 @@ export const resample = (options) => (df) => {
     throw new Error('At least one aggregation must be specified');
   }
 
-  // Get date column values
-  const dateValues = df.col(dateColumn).toArray();
+  // Timestamp columns are bucketed on their wall-clock time without re-parsing
+  const vector = useIndex ? null : df.col(dateColumn).vector;
+  const typed =
+    vector?.dtype === DType.TIMESTAMP_MS || vector?.dtype === DType.DATE_DAY;
+
+  let dates;
+  if (typed) {
+    dates = new Array(vector.length);
+    for (let i = 0; i < vector.length; i++) {
+      const wall = vector.getWallTime(i);
+      dates[i] = wall === null ? null : new Date(wall);
+    }
+  } else {
+    const dateValues = useIndex
+      ? df.index.toArray()
+      : df.col(dateColumn).toArray();
 
-  // Convert dates to Date objects if they are strings
-  const dates = dateValues.map((d) => (d instanceof Date ? d : new Date(d)));
+    // Convert dates to Date objects if they are strings
+    dates = dateValues.map((d) => (d instanceof Date ? d : new Date(d)));
+  }
 
   // Group data by time periods
-  const groups = groupByTimePeriod(dates, freq);
+  const groups = groupByTimePeriod(dates, freq, typed);
 
   // Create a new object to hold the result columns
   const resultColumns = {};
 
-  // Add date column with period start dates
-  resultColumns[dateColumn] = Object.keys(groups).map(
-    (period) => new Date(period),
-  );
+  // Period start dates become the date column or the resulting index
+  const periodStarts = Object.keys(groups).map((period) => new Date(period));
+  if (typed) {
+    const starts = periodStarts.map((d) =>
+      vector.tz ? wallToUtc(d.getTime(), vector.tz) : d.getTime(),
+    );
+    resultColumns[dateColumn] = DatetimeVector.fromValues(
+      starts,
+      vector.dtype,
+      { tz: vector.tz },
+    );
+  } else if (!useIndex) {
+    resultColumns[dateColumn] = periodStarts;
+  }
 
   // Apply aggregations to each column
   for (const [colName, aggFunc] of Object.entries(aggregations)) {
@@ -74,6 +107,11 @@ export const resample = (options) => (df) => {
   }
 
   // Create a new DataFrame with the result columns
+  if (useIndex) {
+    return df.constructor.create(resultColumns, {
+      index: new DatetimeIndex(periodStarts, { name: df.index.name }),
+    });
+  }
   return df.constructor.create(resultColumns);
 };
 
@@ -82,9 +120,10 @@ export const resample = (options) => (df) => {
  *
  * @param {Date[]} dates - Array of dates
  * @param {string} freq - Frequency ('D', 'W', 'M', 'Q', 'Y')
+ * @param {boolean} [utc=false] - Read calendar fields in UTC instead of local time
  * @returns {Object} - Object mapping period start dates to arrays of indices
  */
-function groupByTimePeriod(dates, freq) {
+function groupByTimePeriod(dates, freq, utc = false) {
   const groups = {};
 
   // Group dates by period
@@ -94,7 +133,7 @@ function groupByTimePeriod(dates, freq) {
       continue;
     }
 
-    const periodStart = getPeriodStart(date, freq);
+    const periodStart = getPeriodStart(date, freq, utc);
     const periodKey = periodStart.toISOString();
 
     if (!groups[periodKey]) {
@@ -112,38 +151,41 @@ function groupByTimePeriod(dates, freq) {
  *
  * @param {Date} date - Date to get period start for
  * @param {string} freq - Frequency ('D', 'W', 'M', 'Q', 'Y')
+ * @param {boolean} [utc=false] - Use UTC calendar fields instead of local time
  * @returns {Date} - Start date of the period
  */
-function getPeriodStart(date, freq) {
+function getPeriodStart(date, freq, utc = false) {
   const result = new Date(date);
+  const zone = utc ? 'UTC' : '';
+  const startOfDay = () => result[`set${zone}Hours`](0, 0, 0, 0);
 
   switch (freq.toUpperCase()) {
     case 'D':
       // Start of day
-      result.setHours(0, 0, 0, 0);
+      startOfDay();
       break;
     case 'W':
       // Start of week (Sunday)
-      const day = result.getDay();
-      result.setDate(result.getDate() - day);
-      result.setHours(0, 0, 0, 0);
+      const day = result[`get${zone}Day`]();
+      result[`set${zone}Date`](result[`get${zone}Date`]() - day);
+      startOfDay();
       break;
     case 'M':
       // Start of month
-      result.setDate(1);
-      result.setHours(0, 0, 0, 0);
+      result[`set${zone}Date`](1);
+      startOfDay();
       break;
     case 'Q':
       // Start of quarter
-      const month = result.getMonth();
+      const month = result[`get${zone}Month`]();
       const quarterMonth = Math.floor(month / 3) * 3;
-      result.setMonth(quarterMonth, 1);
-      result.setHours(0, 0, 0, 0);
+      result[`set${zone}Month`](quarterMonth, 1);
+      startOfDay();
       break;
     case 'Y':
       // Start of year
-      result.setMonth(0, 1);
-      result.setHours(0, 0, 0, 0);
+      result[`set${zone}Month`](0, 1);
+      startOfDay();
       break;
     default:
       throw new Error(`Unsupported frequency: ${freq}`);
@@ -88,7 +88,7 @@ export const rolling = (options) => (df) => {
   }
 
   // Create a new DataFrame with the result columns
-  return df.constructor.create(resultColumns);
+  return df.constructor.create(resultColumns, { index: df.index });
 };
 
 export default rolling;
@@ -37,7 +37,7 @@ export function shift(df, periods = 1, fillValue = null) {
   }
 
   // Create a new DataFrame with the shifted columns
-  return new df.constructor(shiftedColumns);
+  return new df.constructor(shiftedColumns, { index: df.index });
 }
 
 /**
@@ -79,7 +79,7 @@ export function pctChange(df, periods = 1) {
   }
 
   // Create a new DataFrame with the percentage change columns
-  return new df.constructor(pctChangeColumns);
+  return new df.constructor(pctChangeColumns, { index: df.index });
 }
 
 export default {
@@ -0,0 +1,96 @@
+import { DatetimeVector } from '../../../core/storage/DatetimeVector.js';
+import { DType } from '../../../core/storage/types.js';
+import { parseDatetime } from '../../../core/utils/datetime.js';
+
+/**
+ * Converts Series values to timestamps
+ *
+ * @param {Series} series - Series with Date objects, epoch milliseconds or strings
+ * @param {Object} [options] - Conversion options
+ * @param {string} [options.format] - Format of string values, e.g. 'DD.MM.YYYY HH:mm'
+ * @param {string} [options.tz] - Timezone of the result; strings without an offset are read as wall time in it
+ * @param {string} [options.errors='raise'] - 'raise' to throw on unparsable values, 'coerce' to set them to null
+ * @returns {Series} - Timestamp Series (dtype 'ts_ms')
+ */
+export function toDatetime(series, options = {}) {
+  const { format, tz = null, errors = 'raise' } = options;
+
+  if (!['raise', 'coerce'].includes(errors)) {
+    throw new Error(`Invalid errors option: ${errors}`);
+  }
+
+  // Already timestamps: only the timezone may change
+  if (series.vector instanceof DatetimeVector) {
+    if (!tz || tz === series.tz) return series;
+    return tzLocalizeOrConvert(series, tz);
+  }
+
+  const values = series.toArray();
+  const times = new Array(values.length);
+  for (let i = 0; i < values.length; i++) {
+    try {
+      times[i] = parseDatetime(values[i], { format, tz });
+    } catch (error) {
+      if (errors === 'raise') {
+        throw new Error(`${error.message} (at position ${i})`);
+      }
+      times[i] = null;
+    }
+  }
+
+  return new series.constructor(
+    DatetimeVector.fromValues(times, DType.TIMESTAMP_MS, { tz }),
+    { name: series.name },
+  );
+}
+
+/**
+ * Attaches a timezone to naive timestamps keeping their wall-clock time,
+ * or makes tz-aware timestamps naive when tz is null
+ *
+ * @param {Series} series - Timestamp Series
+ * @param {string|null} tz - IANA timezone name
+ * @returns {Series} - Series in the given timezone
+ */
+export function tzLocalize(series, tz) {
+  return new series.constructor(datetimeVector(series).localize(tz), {
+    name: series.name,
+  });
+}
+
+/**
+ * Expresses tz-aware timestamps in another timezone (same instants)
+ *
+ * @param {Series} series - tz-aware timestamp Series
+ * @param {string} tz - IANA timezone name
+ * @returns {Series} - Series in the given timezone
+ */
+export function tzConvert(series, tz) {
+  return new series.constructor(datetimeVector(series).convert(tz), {
+    name: series.name,
+  });
+}
+
+/**
+ * @param {Series} series
+ * @param {string} tz
+ * @returns {Series}
+ */
+function tzLocalizeOrConvert(series, tz) {
+  return series.tz ? tzConvert(series, tz) : tzLocalize(series, tz);
+}
+
+/**
+ * @param {Series} series
+ * @returns {DatetimeVector}
+ */
+function datetimeVector(series) {
+  if (!(series.vector instanceof DatetimeVector)) {
+    throw new Error(
+      `Series '${series.name}' is not a datetime column, use toDatetime first`,
+    );
+  }
+  return series.vector;
+}
+
+export default { toDatetime, tzLocalize, tzConvert };
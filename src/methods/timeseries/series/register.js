@@ -2,6 +2,8 @@
  * Registrar for Series time series methods
  */
 
+import { toDatetime, tzLocalize, tzConvert } from './datetime.js';
+
 /**
  * Registers all time series methods for Series
  * @param {Class} Series - Series class to extend
@@ -56,6 +58,33 @@ export function registerSeriesTimeSeries(Series) {
     const pctChangeModule = require('./shift.js');
     return pctChangeModule.pctChange(this, periods);
   };
+
+  /**
+   * Convert values to timestamps (dtype 'ts_ms')
+   * @param {Object} [options] - { format?: string, tz?: string, errors?: 'raise'|'coerce' }
+   * @returns {Series} - Timestamp Series
+   */
+  Series.prototype.toDatetime = function (options) {
+    return toDatetime(this, options);
+  };
+
+  /**
+   * Attach a timezone to naive timestamps
+   * @param {string|null} tz - IANA timezone name, null to drop the timezone
+   * @returns {Series} - Localized Series
+   */
+  Series.prototype.tzLocalize = function (tz) {
+    return tzLocalize(this, tz);
+  };
+
+  /**
+   * Express tz-aware timestamps in another timezone
+   * @param {string} tz - IANA timezone name
+   * @returns {Series} - Converted Series
+   */
+  Series.prototype.tzConvert = function (tz) {
+    return tzConvert(this, tz);
+  };
 }
 
 export default registerSeriesTimeSeries;
@@ -171,4 +171,98 @@ describe('DataFrame', () => {
     expect(markdown).toContain('| --- | --- |');
     expect(markdown).toContain('| 1 | x |');
   });
+
+  /**
+   * Tests column mutation and structural sharing
+   */
+  test('should add, replace and delete columns in place', () => {
+    const df = new DataFrame(sampleData);
+
+    expect(df.setColumn('c', [7, 8, 9])).toBe(df);
+    expect(df.columns).toEqual(['a', 'b', 'c']);
+    expect(df.setColumn('c', 0).col('c').toArray()).toEqual([0, 0, 0]);
+
+    expect(df.deleteColumn('a')).toBe(df);
+    expect(df.columns).toEqual(['b', 'c']);
+    expect(df.col('a')).toBeUndefined();
+    expect(() => df.deleteColumn('a')).toThrow("Column 'a' not found");
+    expect(() => df.setColumn('d', [1, 2])).toThrow(
+      "Column 'd' has length 2, expected 3",
+    );
+  });
+
+  test('should share unchanged columns between derived frames', () => {
+    const df = new DataFrame(sampleData);
+    const assigned = df.assign({ c: [7, 8, 9] });
+    const data = df.col('a').vector._data;
+
+    expect(assigned.col('a').vector._data).toBe(data);
+    expect(df.select(['a']).col('a').vector._data).toBe(data);
+    expect(df.drop(['b']).col('a').vector._data).toBe(data);
+    expect(df.columns).toEqual(['a', 'b']);
+
+    // setColumn replaces the column in one frame only
+    assigned.setColumn('a', [0, 0, 0]);
+    expect(df.col('a').toArray()).toEqual([1, 2, 3]);
+  });
+
+  test('should copy a shared column on the first write', () => {
+    const df = new DataFrame(sampleData);
+    const derived = [
+      df.assign({ c: [7, 8, 9] }),
+      df.select(['a', 'b']),
+      new DataFrame({ a: df.col('a'), b: df.col('b') }),
+    ];
+
+    derived.forEach((frame, k) => {
+      frame.col('a').set(0, 99 + k);
+      frame.col('b').set(0, 'w');
+    });
+    expect(df.col('a').toArray()).toEqual([1, 2, 3]);
+    expect(df.col('b').toArray()).toEqual(['x', 'y', 'z']);
+    expect(derived.map((frame) => frame.col('a').get(0))).toEqual([
+      99, 100, 101,
+    ]);
+
+    // Writes to the parent do not reach the derived frames either
+    df.col('a').set(1, -2);
+    expect(derived[0].col('a').toArray()).toEqual([99, 2, 3]);
+  });
+
+  test('should share a Series stored under another name', () => {
+    const df = new DataFrame(sampleData);
+    df.setColumn('a2', df.col('a'));
+
+    expect(df.col('a2').name).toBe('a2');
+    expect(df.col('a2').vector._data).toBe(df.col('a').vector._data);
+
+    df.col('a2').set(0, 10);
+    expect(df.col('a').get(0)).toBe(1);
+  });
+
+  test('should create a DataFrame from row arrays', () => {
+    const df = DataFrame.fromArrays(
+      [
+        [1, 'x'],
+        [2, 'y'],
+      ],
+      ['a', 'b'],
+    );
+
+    expect(df.columns).toEqual(['a', 'b']);
+    expect(df.toArray()).toEqual([
+      { a: 1, b: 'x' },
+      { a: 2, b: 'y' },
+    ]);
+  });
+
+  test('should report its shape and serialize to JSON records', () => {
+    const df = new DataFrame(sampleData);
+
+    expect(df.columnCount).toBe(2);
+    expect(df.isEmpty()).toBe(false);
+    expect(new DataFrame({}).isEmpty()).toBe(true);
+    expect(new DataFrame({ a: [] }).isEmpty()).toBe(true);
+    expect(JSON.parse(JSON.stringify(df))).toEqual(df.toArray());
+  });
 });
@@ -3,7 +3,9 @@
  */
 
 import { DataFrame } from '../../../src/core/dataframe/DataFrame.js';
+import { Series } from '../../../src/core/dataframe/Series.js';
 import { GroupByCore as GroupBy } from '../../../src/core/dataframe/GroupByCore.js';
+import { col } from '../../../src/core/expr/index.js';
 import { describe, test, expect, vi } from 'vitest';
 
 /**
@@ -320,4 +322,363 @@ describe('DataFrame.groupAgg', () => {
     expect(groupB.value_sum).toBe(45);
     expect(groupB.count_mean).toBe(3);
   });
+
+  test('groups categorical columns by their codes', () => {
+    const df = new DataFrame({
+      sector: new Series(['Tech', 'Energy', 'Tech', null, 'Energy'], {
+        dtype: 'category',
+      }),
+      size: new Series(['L', 'L', 'S', 'L', 'L'], { dtype: 'category' }),
+      value: [1, 2, 3, 4, 5],
+    });
+
+    const groupBy = new GroupBy(df, ['sector', 'size']);
+
+    expect(groupBy.size).toBe(4);
+    expect(Array.from(groupBy._groups.indices[1])).toEqual([1, 4]);
+
+    const result = groupBy.agg({ value: 'sum' });
+    expect(result.col('sector').dtype).toBe('category');
+    expect(result.col('sector').toArray()).toEqual([
+      'Tech',
+      'Energy',
+      'Tech',
+      null,
+    ]);
+    expect(result.col('size').toArray()).toEqual(['L', 'L', 'S', 'L']);
+    expect(result.col('value_sum').toArray()).toEqual([1, 7, 3, 4]);
+  });
+
+  test('should aggregate expressions per group', () => {
+    const df = new DataFrame(sampleData);
+    const groupBy = new GroupBy(df, 'category');
+
+    const result = groupBy.agg(
+      col('value').sum().alias('total'),
+      col('value').mul(col('count')).sum().alias('weighted'),
+      col('count').max(),
+    );
+
+    expect(result.columns).toEqual(['category', 'total', 'weighted', 'count']);
+    expect(result.toArray()).toEqual([
+      { category: 'A', total: 25, weighted: 55, count: 3 },
+      { category: 'B', total: 45, weighted: 140, count: 4 },
+      { category: 'C', total: 30, weighted: 150, count: 5 },
+    ]);
+    expect(() => groupBy.agg([col('value')])).toThrow(
+      'must reduce to one value',
+    );
+    expect(() =>
+      groupBy.agg([col('value').sum(), col('value').mean()]),
+    ).toThrow("Duplicate output column 'value'");
+  });
+});
+
+/**
+ * Tests for hash grouping on column values
+ * Verifies typed keys, null keys and the dropna / sort options
+ */
+describe('GroupByCore keys', () => {
+  const trades = () =>
+    new DataFrame({
+      symbol: ['B|C', 'A', 'B|C', null, 'A', 'A'],
+      date: [
+        new Date('2024-01-02'),
+        new Date('2024-01-02'),
+        new Date('2024-01-02'),
+        new Date('2024-01-03'),
+        new Date('2024-01-03'),
+        new Date('2024-01-02'),
+      ],
+      year: [2024, 2023, 2024, null, 2023, 2024],
+      qty: [1, 2, 3, 4, 5, 6],
+    });
+
+  test('keeps key values and their types', () => {
+    const result = new GroupBy(trades(), ['symbol', 'date']).agg(
+      col('qty').sum().alias('qty'),
+    );
+
+    expect(result.toArray()).toEqual([
+      { symbol: 'B|C', date: new Date('2024-01-02'), qty: 4 },
+      { symbol: 'A', date: new Date('2024-01-02'), qty: 8 },
+      { symbol: null, date: new Date('2024-01-03'), qty: 4 },
+      { symbol: 'A', date: new Date('2024-01-03'), qty: 5 },
+    ]);
+    expect(result.col('date').toArray()[0]).toBeInstanceOf(Date);
+
+    const years = new GroupBy(trades(), 'year').agg({ qty: 'sum' });
+    expect(years.col('year').toArray()).toEqual([2024, 2023, null]);
+  });
+
+  test('drops null keys with dropna and orders groups with sort', () => {
+    const df = trades();
+
+    const dropped = new GroupBy(df, 'symbol', { dropna: true });
+    expect(dropped.size).toBe(2);
+    const totals = dropped.agg({ qty: 'sum' });
+    expect(totals.col('symbol').toArray()).toEqual(['B|C', 'A']);
+    expect(totals.col('qty_sum').toArray()).toEqual([4, 13]);
+
+    const sorted = new GroupBy(df, ['year', 'symbol'], { sort: true });
+    expect(sorted.agg(col('qty').sum().alias('qty')).toArray()).toEqual([
+      { year: 2023, symbol: 'A', qty: 7 },
+      { year: 2024, symbol: 'A', qty: 6 },
+      { year: 2024, symbol: 'B|C', qty: 4 },
+      { year: null, symbol: null, qty: 4 },
+    ]);
+  });
+
+  test('shares the row positions of each group between aggregations', () => {
+    const groupBy = new GroupBy(trades(), 'symbol');
+
+    expect(groupBy._groups.indices.map((rows) => Array.from(rows))).toEqual([
+      [0, 2],
+      [1, 4, 5],
+      [3],
+    ]);
+    const result = groupBy.apply((group) => ({ rows: group.rowCount }));
+    expect(result.col('rows').toArray()).toEqual([2, 3, 1]);
+    expect(() => new GroupBy(trades(), 'nope')).toThrow(
+      "Column 'nope' not found",
+    );
+  });
+});
+
+/**
+ * Tests for per-row group operations
+ * Verifies results line up with the original rows and never cross groups
+ */
+describe('GroupByCore per-row operations', () => {
+  const prices = () =>
+    new DataFrame({
+      symbol: ['AAPL', 'MSFT', 'AAPL', 'MSFT', 'AAPL', 'MSFT', 'AAPL'],
+      px: [100, 200, 110, 190, null, 209, 121],
+    });
+
+  test('transform broadcasts group values back to the rows', () => {
+    const g = new GroupBy(prices(), 'symbol');
+
+    expect(g.transform('px', 'max').toArray()).toEqual([
+      121, 209, 121, 209, 121, 209, 121,
+    ]);
+    expect(g.transform('px', 'size').toArray()).toEqual([4, 3, 4, 3, 4, 3, 4]);
+    expect(g.transform('px', 'count').toArray()).toEqual([3, 3, 3, 3, 3, 3, 3]);
+
+    // functions get the group's Series and return one value or one per row
+    expect(g.transform('px', (s) => s.length).toArray()).toEqual([
+      4, 3, 4, 3, 4, 3, 4,
+    ]);
+    const fromFirst = g.transform('px', (s) => {
+      const values = s.toArray();
+      return values.map((v) => (v === null ? null : v - values[0]));
+    });
+    expect(fromFirst.name).toBe('px');
+    expect(fromFirst.toArray()).toEqual([0, 0, 10, -10, null, 9, 21]);
+
+    // z-score of each price within its symbol
+    const mean = g.transform('px', 'mean').toArray();
+    const std = g.transform('px', 'std').toArray();
+    const zscore = prices()
+      .col('px')
+      .toArray()
+      .map((v, i) => (v === null ? null : (v - mean[i]) / std[i]));
+    expect(zscore[1]).toBeCloseTo(0.0351, 3);
+    expect(zscore[6]).toBeCloseTo(1.0157, 3);
+
+    expect(() => g.transform('px', 'nope')).toThrow('Unknown aggregation');
+    expect(() => g.transform('px', () => [1])).toThrow(
+      'returned 1 values for a group of 4 rows',
+    );
+    expect(() => g.transform('nope', 'sum')).toThrow("Column 'nope' not found");
+  });
+
+  test('filter keeps whole groups in row order', () => {
+    const df = new GroupBy(prices(), 'symbol').filter(
+      (group) => group.rowCount > 3,
+    );
+
+    expect(df.col('symbol').toArray()).toEqual([
+      'AAPL',
+      'AAPL',
+      'AAPL',
+      'AAPL',
+    ]);
+    expect(df.col('px').toArray()).toEqual([100, 110, null, 121]);
+  });
+
+  test('cumulative operations restart in every group', () => {
+    const g = new GroupBy(prices(), 'symbol');
+
+    expect(g.cumsum('px').toArray()).toEqual([
+      100,
+      200,
+      210,
+      390,
+      null,
+      599,
+      331,
+    ]);
+    expect(g.cumprod('px').toArray()).toEqual([
+      100,
+      200,
+      11000,
+      38000,
+      null,
+      7942000,
+      1331000,
+    ]);
+    expect(g.cummax('px').toArray()).toEqual([
+      100,
+      200,
+      110,
+      200,
+      null,
+      209,
+      121,
+    ]);
+    expect(g.cummin('px').toArray()).toEqual([
+      100,
+      200,
+      100,
+      190,
+      null,
+      190,
+      100,
+    ]);
+  });
+
+  test('rank ranks within each group', () => {
+    const df = new DataFrame({
+      k: ['a', 'a', 'b', 'a', 'b', 'a'],
+      v: [3, 1, 5, 3, 5, null],
+    });
+    const g = new GroupBy(df, 'k');
+
+    expect(g.rank('v').toArray()).toEqual([2.5, 1, 1.5, 2.5, 1.5, null]);
+    expect(g.rank('v', { method: 'min' }).toArray()).toEqual([
+      2,
+      1,
+      1,
+      2,
+      1,
+      null,
+    ]);
+    expect(g.rank('v', { method: 'max' }).toArray()).toEqual([
+      3,
+      1,
+      2,
+      3,
+      2,
+      null,
+    ]);
+    expect(g.rank('v', { method: 'first' }).toArray()).toEqual([
+      2,
+      1,
+      1,
+      3,
+      2,
+      null,
+    ]);
+    expect(
+      g.rank('v', { method: 'dense', descending: true }).toArray(),
+    ).toEqual([1, 2, 1, 1, 1, null]);
+    expect(() => g.rank('v', { method: 'nope' })).toThrow(
+      "Unknown rank method 'nope'",
+    );
+  });
+
+  test('shift, diff and pctChange look back within the group', () => {
+    const g = new GroupBy(prices(), 'symbol');
+
+    expect(g.shift('px').toArray()).toEqual([
+      null,
+      null,
+      100,
+      200,
+      110,
+      190,
+      null,
+    ]);
+    expect(g.shift('px', -1).toArray()).toEqual([
+      110,
+      190,
+      null,
+      209,
+      121,
+      null,
+      null,
+    ]);
+    expect(g.diff('px').toArray()).toEqual([
+      null,
+      null,
+      10,
+      -10,
+      null,
+      19,
+      null,
+    ]);
+    expect(g.diff('px', 3).toArray()).toEqual([
+      null,
+      null,
+      null,
+      null,
+      null,
+      null,
+      21,
+    ]);
+    expect(g.pctChange('px').toArray()).toEqual([
+      null,
+      null,
+      0.1,
+      -0.05,
+      null,
+      0.1,
+      null,
+    ]);
+    expect(() => g.shift('px', 1.5)).toThrow('periods must be an integer');
+  });
+
+  test('rolling windows stay within the group', () => {
+    const g = new GroupBy(prices(), 'symbol');
+    const sum = (values) => values.reduce((a, b) => a + b, 0);
+
+    expect(g.rolling('px', { window: 2, aggregation: sum }).toArray()).toEqual([
+      null,
+      null,
+      210,
+      390,
+      null,
+      399,
+      null,
+    ]);
+    expect(
+      g.rolling('px', { window: 2, aggregation: sum, minPeriods: 1 }).toArray(),
+    ).toEqual([100, 200, 210, 390, 110, 399, 121]);
+  });
+
+  test('nth, head and tail pick rows of each group in row order', () => {
+    const g = new GroupBy(prices(), 'symbol');
+
+    expect(g.nth(0).col('px').toArray()).toEqual([100, 200]);
+    expect(g.nth(-1).col('px').toArray()).toEqual([209, 121]);
+    expect(g.nth(3).col('px').toArray()).toEqual([121]);
+    expect(g.head(2).col('px').toArray()).toEqual([100, 200, 110, 190]);
+    expect(g.tail(2).col('px').toArray()).toEqual([190, null, 209, 121]);
+    expect(g.tail(2).col('symbol').toArray()).toEqual([
+      'MSFT',
+      'AAPL',
+      'MSFT',
+      'AAPL',
+    ]);
+    expect(() => g.nth(0.5)).toThrow('n must be an integer');
+  });
+
+  test('rows outside every group get null', () => {
+    const df = new DataFrame({ k: ['a', null, 'a'], v: [1, 2, 3] });
+
+    const g = new GroupBy(df, 'k', { dropna: true });
+    expect(g.cumsum('v').toArray()).toEqual([1, null, 4]);
+    expect(g.head(1).col('v').toArray()).toEqual([1]);
+  });
 });
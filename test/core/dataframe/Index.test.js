@@ -0,0 +1,107 @@
+/**
+ * Unit tests for Index.js
+ */
+
+import {
+  Index,
+  RangeIndex,
+  DatetimeIndex,
+  MultiIndex,
+} from '../../../src/core/dataframe/Index.js';
+import { DataFrame } from '../../../src/core/dataframe/DataFrame.js';
+import { describe, test, expect } from 'vitest';
+
+describe('Index', () => {
+  test('should infer the index type from labels', () => {
+    expect(Index.from(['a', 'b'])).toBeInstanceOf(Index);
+    expect(Index.from(['a', 'b']).kind).toBe('string');
+    expect(Index.from([10, 20]).kind).toBe('integer');
+    expect(Index.from([]).kind).toBe('empty');
+    expect(Index.from([new Date('2024-01-01')])).toBeInstanceOf(DatetimeIndex);
+    expect(
+      Index.from([
+        ['a', 1],
+        ['b', 2],
+      ]),
+    ).toBeInstanceOf(MultiIndex);
+    expect(
+      Index.from(
+        [
+          ['a', 1],
+          ['b', 2],
+        ],
+        { names: ['key', 'n'] },
+      ).names,
+    ).toEqual(['key', 'n']);
+  });
+
+  test('should look up positions by label', () => {
+    const index = new Index(['x', 'y', 'z', 'y']);
+
+    expect(index.getLoc('x')).toBe(0);
+    expect(index.getLoc('y')).toEqual([1, 3]);
+    expect(index.isUnique).toBe(false);
+    expect(() => index.getLoc('w')).toThrow("Label 'w' not found in index");
+    expect(Array.from(index.getIndexer(['z', 'w']))).toEqual([2, -1]);
+  });
+
+  test('should keep labels when taking and slicing', () => {
+    const index = new Index(['a', 'b', 'c', 'd'], { name: 'key' });
+
+    expect(index.take([3, 1]).toArray()).toEqual(['d', 'b']);
+    expect(index.slice(-2).toArray()).toEqual(['c', 'd']);
+    expect(index.take([0]).name).toBe('key');
+  });
+
+  test('RangeIndex should map labels to positions', () => {
+    const index = new RangeIndex(3);
+
+    expect(index.isDefault).toBe(true);
+    expect(index.toArray()).toEqual([0, 1, 2]);
+    expect(index.getLoc(2)).toBe(2);
+    expect(index.slice(0, 2)).toBeInstanceOf(RangeIndex);
+    expect(index.take([2, 0]).toArray()).toEqual([2, 0]);
+  });
+
+  test('DatetimeIndex should match dates by timestamp', () => {
+    const index = new DatetimeIndex([
+      new Date('2024-01-01'),
+      new Date('2024-01-02'),
+    ]);
+
+    expect(index.kind).toBe('datetime');
+    expect(index.getLoc(new Date('2024-01-02'))).toBe(1);
+    expect(index.get(0)).toEqual(new Date('2024-01-01'));
+  });
+
+  test('MultiIndex should look up tuples and expose levels', () => {
+    const index = new MultiIndex(
+      [
+        ['a', 'a', 'b'],
+        [1, 2, 1],
+      ],
+      { names: ['letter', 'num'] },
+    );
+
+    expect(index.nlevels).toBe(2);
+    expect(index.get(1)).toEqual(['a', 2]);
+    expect(index.getLoc(['b', 1])).toBe(2);
+    expect(index.getLevelValues('num').toArray()).toEqual([1, 2, 1]);
+  });
+
+  test('DataFrame should carry a RangeIndex by default', () => {
+    const df = new DataFrame({ a: [1, 2, 3] });
+
+    expect(df.index).toBeInstanceOf(RangeIndex);
+    expect(df.index.length).toBe(3);
+  });
+
+  test('DataFrame should accept explicit labels', () => {
+    const df = new DataFrame({ a: [1, 2] }, { index: ['x', 'y'] });
+
+    expect(df.index.toArray()).toEqual(['x', 'y']);
+    expect(() => new DataFrame({ a: [1, 2] }, { index: ['x'] })).toThrow(
+      'Index length 1 does not match row count 2',
+    );
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * Unit tests for Window.js
+ */
+
+import { DataFrame } from '../../../src/core/dataframe/DataFrame.js';
+import { Window } from '../../../src/core/dataframe/Window.js';
+import { getReducer } from '../../../src/core/dataframe/reducers.js';
+import { describe, test, expect } from 'vitest';
+
+describe('Window', () => {
+  // Partition A in window order: rows 2 (day 1), 3 and 5 (day 2, peers), 0
+  const df = new DataFrame({
+    sym: ['A', 'B', 'A', 'A', 'B', 'A'],
+    day: [3, 1, 1, 2, 2, 2],
+    px: [13, 21, 11, 12, 22, 12.5],
+  });
+  const bySym = new Window(df, { partitionBy: 'sym', orderBy: 'day' });
+
+  test('numbers and ranks rows within partitions', () => {
+    expect(bySym.rowNumber().toArray()).toEqual([4, 1, 1, 2, 2, 3]);
+    expect(bySym.rank().toArray()).toEqual([4, 1, 1, 2, 2, 2]);
+    expect(bySym.denseRank().toArray()).toEqual([3, 1, 1, 2, 2, 2]);
+
+    const desc = new Window(df, { orderBy: 'px', descending: true });
+    expect(desc.rowNumber().toArray()).toEqual([3, 2, 6, 5, 1, 4]);
+  });
+
+  test('ntile splits a partition into buckets, larger ones first', () => {
+    const byPx = new Window(df, { orderBy: 'px' });
+    expect(byPx.ntile(4).toArray()).toEqual([2, 3, 1, 1, 4, 2]);
+    expect(byPx.ntile(10).toArray()).toEqual([4, 5, 1, 2, 6, 3]);
+    expect(() => byPx.ntile(0)).toThrow('n must be a positive integer');
+  });
+
+  test('lag and lead look back and ahead in window order', () => {
+    expect(bySym.lag('px').toArray()).toEqual([12.5, null, null, 11, 21, 12]);
+    expect(bySym.lead('px', 1, 0).toArray()).toEqual([0, 22, 12, 12.5, 0, 13]);
+    expect(bySym.lag('px', 2).toArray()).toEqual([
+      12,
+      null,
+      null,
+      null,
+      null,
+      11,
+    ]);
+    expect(() => bySym.lag('px', 1.5)).toThrow('offset must be an integer');
+  });
+
+  test('default frame runs to the last peer of the current row', () => {
+    expect(bySym.agg('px', 'sum').toArray()).toEqual([
+      48.5, 21, 11, 35.5, 43, 35.5,
+    ]);
+    expect(bySym.lastValue('px').toArray()).toEqual([
+      13, 21, 11, 12.5, 22, 12.5,
+    ]);
+    expect(bySym.firstValue('px').toArray()).toEqual([11, 21, 11, 11, 21, 11]);
+
+    // Without orderBy every row sees its whole partition
+    const unordered = new Window(df, { partitionBy: 'sym' });
+    expect(unordered.agg('px', 'sum').toArray()).toEqual([
+      48.5, 43, 48.5, 48.5, 43, 48.5,
+    ]);
+    expect(unordered.rank().toArray()).toEqual([1, 1, 1, 1, 1, 1]);
+  });
+
+  test('rows and range frames', () => {
+    const moving = new Window(df, {
+      partitionBy: 'sym',
+      orderBy: 'day',
+      frame: { rows: [-1, 0] },
+    });
+    expect(moving.agg('px', 'mean').toArray()).toEqual([
+      12.75, 21, 11, 11.5, 21.5, 12.25,
+    ]);
+
+    const following = new Window(df, {
+      partitionBy: 'sym',
+      orderBy: 'day',
+      frame: { rows: [1, null] },
+    });
+    expect(following.firstValue('px').toArray()).toEqual([
+      null,
+      22,
+      12,
+      12.5,
+      null,
+      13,
+    ]);
+    expect(following.agg('px', 'count').toArray()).toEqual([0, 1, 3, 2, 0, 1]);
+
+    // Rows whose day is at most one before the current row's
+    const lastTwoDays = new Window(df, {
+      partitionBy: 'sym',
+      orderBy: 'day',
+      frame: { range: [-1, 0] },
+    });
+    expect(lastTwoDays.agg('px', 'sum').toArray()).toEqual([
+      37.5, 21, 11, 35.5, 43, 35.5,
+    ]);
+  });
+
+  test('range offsets on dates, with nulls ordered last', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    const dates = new DataFrame({
+      date: [
+        new Date('2024-01-01'),
+        new Date('2024-01-02'),
+        null,
+        new Date('2024-01-05'),
+      ],
+      qty: [1, 2, 4, 8],
+    });
+    const week = new Window(dates, {
+      orderBy: 'date',
+      frame: { range: [-3 * DAY, 0] },
+    });
+    expect(week.agg('qty', 'sum').toArray()).toEqual([1, 3, 4, 10]);
+    expect(week.rowNumber().toArray()).toEqual([1, 2, 4, 3]);
+  });
+
+  test('agg takes reducer names, functions and folding reducers', () => {
+    const span = (s) => Math.max(...s.toArray()) - Math.min(...s.toArray());
+    expect(bySym.agg('px', span).toArray()).toEqual([2, 0, 0, 1.5, 1, 1.5]);
+
+    const count = {
+      init: () => 0,
+      update: (n) => n + 1,
+      finalize: (n) => n,
+    };
+    expect(bySym.agg('px', count).toArray()).toEqual([4, 1, 1, 3, 2, 3]);
+    expect(() => bySym.agg('px', 'nope')).toThrow('Unknown aggregation: nope');
+  });
+
+  test('sliding reducers give the results of the reducers on each frame', () => {
+    const n = 60;
+    const data = new DataFrame({
+      sym: Array.from({ length: n }, (_, i) => (i % 3 ? 'A' : 'B')),
+      t: Array.from({ length: n }, (_, i) => Math.floor(i / 2)),
+      v: Array.from({ length: n }, (_, i) => {
+        if (i % 7 === 0) return null;
+        if (i === 20) return Infinity;
+        return ((i * 37) % 23) - 11;
+      }),
+    });
+    const frames = [
+      undefined,
+      { rows: [-3, 0] },
+      { rows: [null, 0] },
+      { rows: [-2, 2] },
+      { rows: [1, null] },
+      { rows: [2, 4] },
+      { range: [-5, 0] },
+      { range: [-2, 3] },
+    ];
+    const names = [
+      'sum',
+      'mean',
+      'count',
+      'min',
+      'max',
+      'median',
+      'size',
+      'first',
+      'last',
+    ];
+
+    for (const frame of frames) {
+      const w = new Window(data, { partitionBy: 'sym', orderBy: 't', frame });
+      for (const name of names) {
+        // A plain function takes the per-frame path
+        const reducer = getReducer(name);
+        expect(w.agg('v', name).toArray()).toEqual(
+          w.agg('v', (s) => reducer(s)).toArray(),
+        );
+      }
+    }
+  });
+
+  test('folding reducers on running and moving frames', () => {
+    const sumOfSquares = {
+      init: () => 0,
+      update: (acc, v) => acc + v * v,
+      finalize: (acc) => acc,
+    };
+    const running = new Window(df, { orderBy: 'px' });
+    expect(running.agg('px', sumOfSquares).toArray()).toEqual([
+      121 + 144 + 156.25 + 169,
+      121 + 144 + 156.25 + 169 + 441,
+      121,
+      121 + 144,
+      121 + 144 + 156.25 + 169 + 441 + 484,
+      121 + 144 + 156.25,
+    ]);
+
+    const moving = new Window(df, { orderBy: 'px', frame: { rows: [-1, 0] } });
+    expect(moving.agg('px', sumOfSquares).toArray()).toEqual([
+      156.25 + 169,
+      169 + 441,
+      121,
+      121 + 144,
+      441 + 484,
+      144 + 156.25,
+    ]);
+  });
+
+  test('rejects invalid definitions', () => {
+    expect(() => new Window(df, { orderBy: 'nope' })).toThrow(
+      "Column 'nope' not found in DataFrame",
+    );
+    expect(() => new Window(df, { frame: { rows: [-1.5, 0] } })).toThrow(
+      'frame must be',
+    );
+    expect(
+      () =>
+        new Window(df, { orderBy: ['sym', 'day'], frame: { range: [-1, 0] } }),
+    ).toThrow('A range frame with offsets needs one orderBy column');
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Unit tests for the reducer registry and aggregation specs
+ */
+
+import { describe, test, expect, afterEach } from 'vitest';
+import { DataFrame } from '../../../src/core/dataframe/DataFrame.js';
+import { GroupByCore } from '../../../src/core/dataframe/GroupByCore.js';
+import {
+  q,
+  registerReducer,
+  unregisterReducer,
+  getReducer,
+  listReducers,
+  normalizeAggSpec,
+} from '../../../src/core/dataframe/reducers.js';
+
+const trades = new DataFrame({
+  symbol: ['AAPL', 'MSFT', 'AAPL', 'MSFT', 'AAPL'],
+  price: [10, 20, 30, null, 20],
+  lat: [1, 2, 3, 4, 5],
+});
+
+const range = {
+  init: () => ({ low: Infinity, high: -Infinity }),
+  update: (s, v) =>
+    v === null ? s : { low: Math.min(s.low, v), high: Math.max(s.high, v) },
+  merge: (a, b) => ({
+    low: Math.min(a.low, b.low),
+    high: Math.max(a.high, b.high),
+  }),
+  finalize: (s) => s.high - s.low,
+};
+
+describe('aggregation specs', () => {
+  test('named aggregations set the output column names', () => {
+    const result = new GroupByCore(trades, 'symbol').agg({
+      avgPx: ['price', 'mean'],
+      p50: ['lat', q(0.5)],
+      trades: ['lat', 'size'],
+    });
+
+    expect(result.columns).toEqual(['symbol', 'avgPx', 'p50', 'trades']);
+    expect(result.col('avgPx').toArray()).toEqual([20, 20]);
+    expect(result.col('p50').toArray()).toEqual([3, 3]);
+    expect(result.col('trades').toArray()).toEqual([3, 2]);
+  });
+
+  test('every Series aggregation is available by name', () => {
+    const result = new GroupByCore(trades, 'symbol').agg({
+      price: [
+        'sum',
+        'count',
+        'median',
+        'mode',
+        'std',
+        'var',
+        'product',
+        'first',
+        'last',
+        'nUnique',
+        q(0.25),
+      ],
+    });
+    const row = (name) => result.col(`price_${name}`).toArray();
+
+    expect(row('sum')).toEqual([60, 20]);
+    expect(row('count')).toEqual([3, 1]);
+    expect(row('median')).toEqual([20, 20]);
+    expect(row('mode')).toEqual([10, 20]);
+    expect(row('std')).toEqual([10, 0]);
+    expect(row('var')).toEqual([100, 0]);
+    expect(row('product')).toEqual([6000, 20]);
+    expect(row('first')).toEqual([10, 20]);
+    expect(row('last')).toEqual([20, null]);
+    expect(row('nUnique')).toEqual([3, 1]);
+    expect(row('q25')).toEqual([15, 20]);
+  });
+
+  test('a column named like a reducer needs the spelled-out form', () => {
+    const orders = new DataFrame({
+      venue: ['X', 'Y', 'X'],
+      count: [2, 5, 3],
+    });
+    const grouped = new GroupByCore(orders, 'venue');
+
+    // A reducer name first is a list of reducers, even with a count column
+    expect(
+      normalizeAggSpec({ count: ['count', 'sum'] }).map(({ name }) => name),
+    ).toEqual(['count_count', 'count_sum']);
+    expect(() => grouped.agg({ total: ['count', 'sum'] })).toThrow(
+      "Column 'total' not found in DataFrame",
+    );
+
+    const result = grouped.agg({ total: { column: 'count', agg: 'sum' } });
+    expect(result.columns).toEqual(['venue', 'total']);
+    expect(result.col('total').toArray()).toEqual([5, 5]);
+  });
+
+  test('nunique is an alias of nUnique', () => {
+    const result = new GroupByCore(trades, 'symbol').agg({ price: 'nunique' });
+    expect(result.col('price_nunique').toArray()).toEqual([3, 1]);
+    expect(getReducer('nunique')).toBe(getReducer('nUnique'));
+  });
+
+  test('normalizeAggSpec flattens specs and rejects bad ones', () => {
+    const fn = (s) => s.length;
+    expect(
+      normalizeAggSpec({ price: ['mean', q(0.95)], lat: fn }).map(
+        ({ name, column }) => [name, column],
+      ),
+    ).toEqual([
+      ['price_mean', 'price'],
+      ['price_q95', 'price'],
+      ['lat', 'lat'],
+    ]);
+    expect(normalizeAggSpec({ price: 'sum' })[0].op).toBe('sum');
+
+    expect(() => normalizeAggSpec({ price: 'nope' })).toThrow(
+      'Unknown aggregation: nope',
+    );
+    expect(() => normalizeAggSpec({ price: ['sum', 'sum'] })).toThrow(
+      "Duplicate output column 'price_sum'",
+    );
+    expect(() => normalizeAggSpec({ price: 1 })).toThrow(
+      'Invalid aggregation spec for price',
+    );
+    expect(() => q(2)).toThrow('Quantile must be between 0 and 1 inclusive');
+    expect(() =>
+      new GroupByCore(trades, 'symbol').agg({ x: ['nope', 'sum'] }),
+    ).toThrow("Column 'nope' not found in DataFrame");
+    expect(() =>
+      new GroupByCore(trades, 'symbol').agg({ symbol: ['price', 'sum'] }),
+    ).toThrow("Duplicate output column 'symbol'");
+  });
+});
+
+describe('reducer registry', () => {
+  afterEach(() => {
+    unregisterReducer('range');
+    unregisterReducer('sum');
+  });
+
+  test('folding reducers run over each group', () => {
+    registerReducer('range', range);
+
+    expect(listReducers()).toContain('range');
+    const result = new GroupByCore(trades, 'symbol').agg({
+      spread: ['price', 'range'],
+      lat: range,
+    });
+    expect(result.col('spread').toArray()).toEqual([20, 0]);
+    expect(result.col('lat').toArray()).toEqual([4, 2]);
+    expect(
+      new GroupByCore(trades, 'symbol').transform('lat', 'range').toArray(),
+    ).toEqual([4, 2, 4, 2, 4]);
+  });
+
+  test('rejects duplicates unless overridden, built-ins come back', () => {
+    expect(() => registerReducer('sum', () => 0)).toThrow(
+      "Reducer 'sum' is already registered",
+    );
+    expect(() => registerReducer('range', { init: () => 0 })).toThrow(
+      "Reducer 'range' must be a function or define init(), update() and finalize()",
+    );
+    expect(() => registerReducer('', () => 0)).toThrow(
+      'Reducer name must be a non-empty string',
+    );
+
+    const builtIn = getReducer('sum');
+    registerReducer('sum', () => 0, { override: true });
+    expect(getReducer('sum')).not.toBe(builtIn);
+    expect(unregisterReducer('sum')).toBe(true);
+    expect(getReducer('sum')).toBe(builtIn);
+    expect(unregisterReducer('sum')).toBe(false);
+  });
+});
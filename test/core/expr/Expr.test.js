@@ -0,0 +1,209 @@
+/**
+ * Unit tests for column expressions (col / lit / when)
+ */
+
+import { describe, test, expect } from 'vitest';
+import { DataFrame } from '../../../src/core/dataframe/DataFrame.js';
+import { Series } from '../../../src/core/dataframe/Series.js';
+import {
+  col,
+  lit,
+  when,
+  isExpr,
+  foldConstants,
+} from '../../../src/core/expr/index.js';
+import {
+  evaluate,
+  evaluateAggregate,
+} from '../../../src/core/expr/evaluate.js';
+
+const df = new DataFrame({
+  symbol: ['AAPL', 'MSFT', 'aapl ', 'GOOG'],
+  price: [10, 20, null, 40],
+  qty: [1, -2, 3, 4],
+});
+
+describe('Expr', () => {
+  test('builds immutable trees and reports the columns they read', () => {
+    const expr = col('price').mul(col('qty')).add(1).alias('notional');
+
+    expect(isExpr(expr)).toBe(true);
+    expect(Object.isFrozen(expr)).toBe(true);
+    expect(expr.outputName).toBe('notional');
+    expect(expr.columns()).toEqual(['price', 'qty']);
+    expect(expr.isAggregation()).toBe(false);
+    expect(col('price').sub(col('price').mean()).isAggregation()).toBe(true);
+    expect(String(expr)).toBe(
+      '((col("price") * col("qty")) + lit(1)).alias("notional")',
+    );
+  });
+
+  test('names results after the first column unless aliased', () => {
+    expect(col('price').mul(2).outputName).toBe('price');
+    expect(lit(1).outputName).toBe('literal');
+    expect(() => col('a').alias('')).toThrow('Alias must be');
+    expect(() => col(1)).toThrow('Column name must be a string');
+  });
+
+  test('evaluates arithmetic column-at-a-time with nulls propagating', () => {
+    const result = evaluate(col('price').mul(col('qty')).alias('n'), df);
+
+    expect(result.name).toBe('n');
+    expect(result.dtype).toBe('f64');
+    expect(result.toArray()).toEqual([10, -40, null, 160]);
+  });
+
+  test('broadcasts literals and aggregations', () => {
+    expect(evaluate(lit(5).sub(col('qty')), df).toArray()).toEqual([
+      4, 7, 2, 1,
+    ]);
+    expect(evaluate(col('qty').sub(col('qty').mean()), df).toArray()).toEqual([
+      -0.5, -3.5, 1.5, 2.5,
+    ]);
+    expect(evaluate(lit(2).mul(3), df).toArray()).toEqual([6, 6, 6, 6]);
+  });
+
+  test('evaluates comparisons and Kleene logic', () => {
+    const mask = evaluate(col('price').gt(15).or(col('qty').lt(0)), df);
+    expect(mask.toArray()).toEqual([false, true, null, true]);
+
+    expect(evaluate(col('price').between(10, 20), df).toArray()).toEqual([
+      true,
+      true,
+      null,
+      false,
+    ]);
+    expect(evaluate(col('price').gt(15).not(), df).toArray()).toEqual([
+      true,
+      false,
+      null,
+      false,
+    ]);
+  });
+
+  test('when/then/otherwise picks the first matching branch', () => {
+    const side = when(col('qty').lt(0))
+      .then('sell')
+      .when(col('price').isNull())
+      .then('unknown')
+      .otherwise('buy')
+      .alias('side');
+
+    expect(evaluate(side, df).toArray()).toEqual([
+      'buy',
+      'sell',
+      'unknown',
+      'buy',
+    ]);
+    expect(evaluate(when(col('qty').gt(3)).then(1), df).toArray()).toEqual([
+      null,
+      null,
+      null,
+      1,
+    ]);
+    expect(() => when('qty > 3')).toThrow('when() expects an expression');
+  });
+
+  test('string functions skip nulls', () => {
+    const names = new DataFrame({ s: [' Ab ', null, 'cd'] });
+
+    expect(evaluate(col('s').str.trim().str.upper(), names).toArray()).toEqual([
+      'AB',
+      null,
+      'CD',
+    ]);
+    expect(evaluate(col('s').str.contains(/b/i), names).toArray()).toEqual([
+      true,
+      null,
+      false,
+    ]);
+    expect(evaluate(col('s').str.length(), names).toArray()).toEqual([
+      4,
+      null,
+      2,
+    ]);
+  });
+
+  test('date parts use the wall time of tz-aware columns', () => {
+    const instants = [new Date('2024-03-10T23:30:00Z'), null];
+    const times = new DataFrame({
+      utc: new Series(instants, { dtype: 'ts_ms' }),
+      tokyo: new Series(instants, { dtype: 'ts_ms', tz: 'Asia/Tokyo' }),
+    });
+
+    expect(evaluate(col('utc').dt.day(), times).toArray()).toEqual([10, null]);
+    expect(evaluate(col('utc').dt.hour(), times).toArray()).toEqual([23, null]);
+    expect(evaluate(col('tokyo').dt.day(), times).toArray()).toEqual([
+      11,
+      null,
+    ]);
+    expect(evaluate(col('tokyo').dt.hour(), times).toArray()).toEqual([
+      8,
+      null,
+    ]);
+  });
+
+  test('null handling and membership', () => {
+    expect(evaluate(col('price').fillNull(0), df).toArray()).toEqual([
+      10, 20, 0, 40,
+    ]);
+    expect(evaluate(col('price').isNull(), df).toArray()).toEqual([
+      false,
+      false,
+      true,
+      false,
+    ]);
+    expect(
+      evaluate(col('symbol').isIn(['AAPL', 'GOOG']), df).toArray(),
+    ).toEqual([true, false, false, true]);
+  });
+
+  test('evaluateAggregate reduces to one value', () => {
+    expect(evaluateAggregate(col('qty').sum(), df)).toBe(6);
+    expect(evaluateAggregate(col('price').mul(col('qty')).sum(), df)).toBe(130);
+    expect(evaluateAggregate(col('symbol').nUnique(), df)).toBe(4);
+    expect(() => evaluateAggregate(col('qty'), df)).toThrow(
+      'must reduce to one value',
+    );
+  });
+
+  test('reports unknown columns', () => {
+    expect(() => evaluate(col('nope').add(1), df)).toThrow(
+      "Column 'nope' not found",
+    );
+  });
+});
+
+describe('foldConstants', () => {
+  test('computes literal-only parts once and keeps the output name', () => {
+    const folded = foldConstants(col('a').add(lit(2).mul(3)));
+    expect(String(folded)).toBe('(col("a") + lit(6))');
+
+    const renamed = foldConstants(lit(true).and(col('b')));
+    expect(String(renamed)).toBe('col("b").alias("literal")');
+    expect(String(foldConstants(lit(2).add(2).alias('four')))).toBe(
+      'lit(4).alias("four")',
+    );
+  });
+
+  test('simplifies and/or with a constant side', () => {
+    const x = col('a').gt(1);
+    expect(foldConstants(x.and(true))).toBe(x);
+    const keepName = false;
+    expect(String(foldConstants(x.and(lit(1).gt(2)), { keepName }))).toBe(
+      'lit(false)',
+    );
+    expect(String(foldConstants(x.or(true)))).toBe('lit(true).alias("a")');
+    expect(String(foldConstants(when(lit(true)).then(1).otherwise(2)))).toBe(
+      'lit(1)',
+    );
+  });
+
+  test('leaves aggregations and casts to evaluation', () => {
+    const mean = col('a').mean();
+    expect(foldConstants(mean)).toBe(mean);
+    expect(String(foldConstants(lit(1).cast('f64')))).toBe(
+      'lit(1).cast({"dtype":"f64"})',
+    );
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Unit tests for the query parser
+ */
+
+import { describe, test, expect } from 'vitest';
+import { DataFrame } from '../../../src/core/dataframe/DataFrame.js';
+import { Series } from '../../../src/core/dataframe/Series.js';
+import {
+  parseQuery,
+  tokenize,
+  QueryError,
+  templateToQuery,
+} from '../../../src/core/expr/parser.js';
+import { evaluate } from '../../../src/core/expr/evaluate.js';
+
+const df = new DataFrame({
+  symbol: ['AAPL', 'MSFT', 'AMZN', null],
+  price: [10, 20, 30, 40],
+  'trade side': ['buy', 'sell', 'buy', 'sell'],
+});
+const columns = df.columns;
+
+const run = (source, vars) =>
+  evaluate(parseQuery(source, { columns, vars }), df).toArray();
+
+describe('tokenize', () => {
+  test('splits numbers, strings, names, keywords and operators', () => {
+    const tokens = tokenize("price >= 1.5e2 AND `trade side` <> 'a\\'b'");
+
+    expect(tokens.map((t) => [t.type, t.value])).toEqual([
+      ['name', 'price'],
+      ['op', '>='],
+      ['number', 150],
+      ['keyword', 'and'],
+      ['column', 'trade side'],
+      ['op', '<>'],
+      ['string', "a'b"],
+      ['end', null],
+    ]);
+  });
+
+  test('reports unterminated strings with their position', () => {
+    expect(() => tokenize("symbol == 'AAPL")).toThrow(
+      'Unterminated string at position 10',
+    );
+  });
+});
+
+describe('parseQuery', () => {
+  test('compiles comparisons and boolean logic to expressions', () => {
+    const expr = parseQuery('price > 15 and not price = 30', { columns });
+
+    expect(String(expr)).toBe(
+      '((col("price") > lit(15)) and (col("price") == lit(30)).not())',
+    );
+    expect(run('price > 15 && !(price === 30)')).toEqual([
+      false,
+      true,
+      false,
+      true,
+    ]);
+    expect(run('price < 15 or price >= 40')).toEqual([
+      true,
+      false,
+      false,
+      true,
+    ]);
+  });
+
+  test('reads row.column as the column, as in row predicates', () => {
+    expect(String(parseQuery('row.price > 15', { columns }))).toBe(
+      '(col("price") > lit(15))',
+    );
+    expect(() => parseQuery('row.volume > 1', { columns })).toThrow(
+      "Unknown column 'volume'",
+    );
+  });
+
+  test('supports arithmetic with the usual precedence', () => {
+    expect(run('price * 2 - 5 > 30')).toEqual([false, true, true, true]);
+    expect(run('-price < -25')).toEqual([false, false, true, true]);
+  });
+
+  test('supports in, between, like and null checks', () => {
+    expect(run("symbol in ['AAPL', 'AMZN']")).toEqual([
+      true,
+      false,
+      true,
+      null,
+    ]);
+    expect(run("symbol not in ('AAPL')")).toEqual([false, true, true, null]);
+    expect(run('price between 15 and 30')).toEqual([false, true, true, false]);
+    expect(run("symbol like 'A%'")).toEqual([true, false, true, null]);
+    expect(run("symbol like 'A__L'")).toEqual([true, false, false, null]);
+    expect(run('symbol is null')).toEqual([false, false, false, true]);
+    expect(run('symbol IS NOT NULL')).toEqual([true, true, true, false]);
+    expect(run('symbol != null')).toEqual([true, true, true, false]);
+  });
+
+  test('supports string functions and methods', () => {
+    expect(run("lower(symbol) == 'msft'")).toEqual([false, true, false, null]);
+    expect(run("symbol.startsWith('AM')")).toEqual([false, false, true, null]);
+    expect(run("symbol_includes('P')")).toEqual([true, false, false, null]);
+    expect(run('symbol.length == 4')).toEqual([true, true, true, null]);
+    expect(run("`trade side` == 'buy'")).toEqual([true, false, true, false]);
+  });
+
+  test('resolves @variables as data, never as code', () => {
+    expect(
+      run('price > @min and symbol in @allowed', {
+        min: 15,
+        allowed: ['MSFT', "x' or 1 == 1"],
+      }),
+    ).toEqual([false, true, false, null]);
+    expect(() => run('price > @missing')).toThrow(
+      "Unknown variable '@missing' at position 8",
+    );
+  });
+
+  test('reads date strings in the timezone of datetime columns', () => {
+    const times = new DataFrame({
+      t: new Series([new Date('2024-01-01T00:30:00Z')], {
+        dtype: 'ts_ms',
+        tz: 'Europe/Paris',
+      }),
+    });
+    const expr = parseQuery("t >= '2024-01-01 01:30'", {
+      columns: { t: { dtype: 'ts_ms', tz: 'Europe/Paris' } },
+    });
+
+    expect(evaluate(expr, times).toArray()).toEqual([true]);
+  });
+
+  test('reports errors with their position', () => {
+    const attempt = (source) => {
+      try {
+        parseQuery(source, { columns });
+      } catch (error) {
+        return error;
+      }
+      return null;
+    };
+
+    const error = attempt('price >< 25');
+    expect(error).toBeInstanceOf(QueryError);
+    expect(error.position).toBe(7);
+    expect(error.message).toContain("Expected a value, got '<' at position 7");
+    expect(error.message).toContain('\n  price >< 25\n         ^');
+
+    expect(attempt('prize > 25').message).toContain(
+      "Unknown column 'prize' at position 0",
+    );
+    expect(attempt('price >').message).toContain(
+      'Expected a value, got end of query at position 7',
+    );
+    expect(attempt('process.exit()').message).toContain(
+      "Unknown column 'process'",
+    );
+    expect(attempt('price > 1 1').message).toContain("Unexpected '1'");
+    expect(attempt('eval(price)').message).toContain("Unknown function 'eval'");
+    expect(attempt('price < null').message).toContain(
+      "Cannot compare with null using '<'",
+    );
+    expect(attempt('').message).toContain('Empty query');
+  });
+
+  test('templateToQuery turns interpolations into variables', () => {
+    const tag = (strings, ...values) => templateToQuery(strings, values);
+
+    expect(tag`price > ${10} and symbol == ${"' or 1 == 1"}`).toEqual({
+      source: 'price > @0 and symbol == @1',
+      vars: { 0: 10, 1: "' or 1 == 1" },
+    });
+  });
+});
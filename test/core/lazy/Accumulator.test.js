@@ -0,0 +1,117 @@
+/**
+ * Unit tests for Accumulator, incremental aggregation over batches
+ */
+
+import { describe, test, expect } from 'vitest';
+import { DataFrame } from '../../../src/core/dataframe/DataFrame.js';
+import { GroupByCore } from '../../../src/core/dataframe/GroupByCore.js';
+import { Accumulator } from '../../../src/core/lazy/Accumulator.js';
+import { approxQuantile } from '../../../src/core/lazy/aggregators.js';
+import { slice } from '../../../src/methods/dataframe/indexing/slice.js';
+import { readCsv } from '../../../src/io/readers/csv.js';
+import { col } from '../../../src/core/expr/index.js';
+
+const ticks = new DataFrame({
+  day: ['mon', 'mon', 'tue', 'mon', 'tue', 'wed', 'tue'],
+  price: [10, 12, 11, null, 15, 20, 13],
+  qty: [1, 2, 3, 4, 5, 6, 7],
+});
+
+const spec = {
+  avgPx: ['price', 'mean'],
+  volume: ['qty', 'sum'],
+  std: ['price', 'std'],
+  last: ['price', 'last'],
+};
+
+const batches = (df, size) => {
+  const out = [];
+  for (let start = 0; start < df.rowCount; start += size) {
+    out.push(slice(df, start, Math.min(start + size, df.rowCount)));
+  }
+  return out;
+};
+
+describe('Accumulator', () => {
+  test('aggregates batches like groupBy over the whole frame', () => {
+    const accumulator = new Accumulator(spec, { by: 'day' });
+    for (const batch of batches(ticks, 2)) accumulator.update(batch);
+
+    const expected = new GroupByCore(ticks, 'day').agg(spec);
+    const result = accumulator.result();
+    expect(result.columns).toEqual(expected.columns);
+    for (const name of ['day', 'avgPx', 'volume', 'last']) {
+      expect(result.col(name).toArray()).toEqual(expected.col(name).toArray());
+    }
+    result
+      .col('std')
+      .toArray()
+      .forEach((std, i) => {
+        expect(std).toBeCloseTo(expected.col('std').toArray()[i], 10);
+      });
+  });
+
+  test('merges accumulators of separate inputs', () => {
+    const [first, second] = [slice(ticks, 0, 4), slice(ticks, 4, 7)];
+    const a = new Accumulator(spec, { by: 'day', sort: true }).update(first);
+    const b = new Accumulator(spec, { by: 'day' }).update(second);
+
+    const merged = a.merge(b).result();
+    expect(merged.col('day').toArray()).toEqual(['mon', 'tue', 'wed']);
+    expect(merged.col('volume').toArray()).toEqual([7, 15, 6]);
+    expect(merged.col('last').toArray()).toEqual([null, 13, 20]);
+
+    expect(() => a.merge(new Accumulator({ qty: 'sum' }))).toThrow(
+      'Accumulator.merge() expects the same keys and aggregations',
+    );
+    const unmergeable = {
+      init: () => 0,
+      update: (n) => n + 1,
+      finalize: (n) => n,
+    };
+    const c = new Accumulator({ n: ['qty', unmergeable] });
+    expect(() => c.merge(new Accumulator({ n: ['qty', unmergeable] }))).toThrow(
+      "Aggregation 'n' cannot be merged: no merge()",
+    );
+  });
+
+  test('without keys returns one row, also before any batch', () => {
+    const accumulator = new Accumulator([
+      col('qty').sum().alias('qty'),
+      col('price').max().alias('high'),
+    ]);
+    expect(accumulator.result().toArray()).toEqual([{ qty: 0, high: null }]);
+
+    accumulator.update(ticks);
+    expect(accumulator.result().toArray()).toEqual([{ qty: 28, high: 20 }]);
+  });
+
+  test('consumes readCsv batches', async () => {
+    const lines = ['day,lat'];
+    for (let i = 0; i < 500; i++) lines.push(`${i % 2 ? 'mon' : 'tue'},${i}`);
+    const reader = await readCsv(lines.join('\n'), { batchSize: 64 });
+
+    const stats = new Accumulator(
+      { n: ['lat', 'count'], p50: ['lat', approxQuantile(0.5)] },
+      { by: 'day', sort: true },
+    );
+    await reader.process((batch) => stats.update(batch));
+
+    const result = stats.result();
+    expect(result.col('day').toArray()).toEqual(['mon', 'tue']);
+    expect(result.col('n').toArray()).toEqual([250, 250]);
+    result
+      .col('p50')
+      .toArray()
+      .forEach((p50) => expect(Math.abs(p50 - 250)).toBeLessThan(5));
+  });
+
+  test('rejects aggregations that need all values at once', () => {
+    expect(() => new Accumulator({ price: 'median' })).toThrow(
+      'Accumulator: every aggregation must have an incremental aggregator',
+    );
+    expect(() =>
+      new Accumulator({ qty: 'sum' }, { by: 'nope' }).update(ticks),
+    ).toThrow("Column 'nope' not found");
+  });
+});
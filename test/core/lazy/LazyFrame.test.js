@@ -4,6 +4,7 @@
 
 import { DataFrame } from '../../../src/core/dataframe/DataFrame.js';
 import { LazyFrame } from '../../../src/core/lazy/LazyFrame.js';
+import { col, lit } from '../../../src/core/expr/index.js';
 import { describe, test, expect, vi } from 'vitest';
 
 /**
@@ -187,4 +188,110 @@ describe('LazyFrame', () => {
     expect(str).toContain('LazyFrame');
     expect(str).toContain('steps: 2');
   });
+
+  /**
+   * Tests expression steps
+   */
+  test('should run expression filters, selects and withColumns', () => {
+    const df = new DataFrame(sampleData);
+
+    const result = LazyFrame.fromDataFrame(df)
+      .filter(col('a').gt(2))
+      .withColumns([col('a').mul(col('b')).alias('ab')])
+      .select(['c', 'ab'])
+      .collect();
+
+    expect(result.toArray()).toEqual([
+      { c: 'z', ab: 90 },
+      { c: 'w', ab: 160 },
+      { c: 'v', ab: 250 },
+    ]);
+  });
+  test('should run groupBy, sort and limit on the optimized plan', () => {
+    const df = new DataFrame({
+      sector: ['tech', 'energy', 'tech', 'energy', 'retail'],
+      price: [10, 20, 30, 40, 50],
+      qty: [1, 2, 3, 4, 5],
+    });
+
+    const result = LazyFrame.fromDataFrame(df)
+      .withColumn('notional', col('price').mul(col('qty')))
+      .groupBy('sector')
+      .agg(col('notional').sum().alias('total'))
+      .filter(col('sector').ne('retail'))
+      .sort('total', { descending: true })
+      .limit(1)
+      .collect();
+
+    expect(result.toArray()).toEqual([{ sector: 'energy', total: 200 }]);
+  });
+
+  test('should join and union lazily', () => {
+    const trades = new DataFrame({ sym: ['A', 'B', 'A'], qty: [1, 2, 3] });
+    const names = new DataFrame({ sym: ['A', 'B'], name: ['Alpha', 'Beta'] });
+
+    const joined = LazyFrame.fromDataFrame(trades)
+      .join(names, { on: 'sym' })
+      .filter(col('name').eq('Alpha').and(col('qty').gt(1)))
+      .select(['sym', 'qty'])
+      .collect();
+    expect(joined.toArray()).toEqual([{ sym: 'A', qty: 3 }]);
+
+    const stacked = LazyFrame.fromDataFrame(trades)
+      .union(trades)
+      .filter(col('sym').eq('B'))
+      .collect();
+    expect(stacked.col('qty').toArray()).toEqual([2, 2]);
+
+    expect(() =>
+      LazyFrame.fromDataFrame(trades).union(names).collect(),
+    ).toThrow('same columns');
+  });
+
+  test('should explain the optimized plan', () => {
+    const df = new DataFrame(sampleData);
+    const lazy = LazyFrame.fromDataFrame(df)
+      .withColumn('d', col('a').add(lit(1).add(1)))
+      .filter(col('b').gt(20))
+      .select(['a', 'd']);
+
+    expect(lazy.explain()).toBe(
+      [
+        'Select [a, d]',
+        '  WithColumns [(col("a") + lit(2)).alias("d")]',
+        '    Filter (col("b") > lit(20))',
+        '      DataFrame [5 rows x 3 columns] project [a, b]',
+      ].join('\n'),
+    );
+    expect(lazy.explain({ optimized: false }).split('\n')[0]).toBe(
+      'Select [a, d]',
+    );
+    expect(lazy.collect().toArray()).toEqual([
+      { a: 3, d: 5 },
+      { a: 4, d: 6 },
+      { a: 5, d: 7 },
+    ]);
+  });
+
+  test('should reject filters that are neither functions nor expressions', () => {
+    const lazy = LazyFrame.fromDataFrame(new DataFrame(sampleData));
+    expect(() => lazy.filter('a > 1')).toThrow('function or an expression');
+  });
+  test('should hand scans their pushdown and read them asynchronously', async () => {
+    const read = vi.fn(async () => new DataFrame({ a: [3, 4] }));
+    const lazy = LazyFrame.fromScan({ format: 'test', path: 'mem', read })
+      .filter(col('a').gt(2))
+      .select(['a'])
+      .head(2);
+
+    const pending = lazy.collect();
+    expect(pending).toBeInstanceOf(Promise);
+    expect((await pending).col('a').toArray()).toEqual([3, 4]);
+
+    const [pushdown] = read.mock.calls[0];
+    expect(pushdown.columns).toEqual(['a']);
+    expect(String(pushdown.predicate)).toBe('(col("a") > lit(2))');
+    expect(pushdown.limit).toBe(2);
+    expect(pushdown.fn).toBeUndefined();
+  });
 });
@@ -0,0 +1,113 @@
+/**
+ * Unit tests for the incremental aggregators (init/update/merge/finalize)
+ */
+
+import { describe, test, expect } from 'vitest';
+import { DataFrame } from '../../../src/core/dataframe/DataFrame.js';
+import { GroupByCore } from '../../../src/core/dataframe/GroupByCore.js';
+import {
+  AGGREGATORS,
+  approxQuantile,
+  approxNUnique,
+} from '../../../src/core/lazy/aggregators.js';
+
+const fold = (aggregator, values) =>
+  values.reduce((state, v) => aggregator.update(state, v), aggregator.init());
+
+const values = [4, null, 7, 1, NaN, 7, 10, 3];
+
+describe('AGGREGATORS', () => {
+  test('merging the states of two parts gives the state of the whole', () => {
+    for (const [name, aggregator] of Object.entries(AGGREGATORS)) {
+      const whole = aggregator.finalize(fold(aggregator, values));
+      for (const cut of [0, 3, values.length]) {
+        const merged = aggregator.merge(
+          fold(aggregator, values.slice(0, cut)),
+          fold(aggregator, values.slice(cut)),
+        );
+        const result = aggregator.finalize(merged);
+        if (name === 'var' || name === 'std') {
+          expect(result, `${name} cut at ${cut}`).toBeCloseTo(whole, 10);
+        } else {
+          expect(result, `${name} cut at ${cut}`).toEqual(whole);
+        }
+      }
+    }
+  });
+
+  test('empty parts finalize like empty Series aggregations', () => {
+    const empty = (name) =>
+      AGGREGATORS[name].finalize(AGGREGATORS[name].init());
+    expect(empty('sum')).toBe(0);
+    expect(empty('count')).toBe(0);
+    expect(empty('mean')).toBeNull();
+    expect(empty('min')).toBeNull();
+    expect(empty('var')).toBeNull();
+    expect(empty('first')).toBeNull();
+    expect(empty('last')).toBeNull();
+    expect(empty('nUnique')).toBe(0);
+  });
+});
+
+describe('approximate aggregators', () => {
+  const df = new DataFrame({
+    day: Array.from({ length: 2000 }, (_, i) => (i < 1000 ? 'mon' : 'tue')),
+    lat: Array.from({ length: 2000 }, (_, i) => i % 1000),
+    user: Array.from({ length: 2000 }, (_, i) => `u${i % 300}`),
+  });
+
+  test('work as reducers in groupBy specs', () => {
+    const result = new GroupByCore(df, 'day').agg({
+      p90: ['lat', approxQuantile(0.9)],
+      users: ['user', approxNUnique()],
+      lat: [approxQuantile(0.5, { compression: 50 })],
+    });
+
+    expect(result.columns).toEqual(['day', 'p90', 'users', 'lat_approxQ50']);
+    result
+      .col('p90')
+      .toArray()
+      .forEach((p90) => {
+        expect(Math.abs(p90 - 899.5)).toBeLessThan(10);
+      });
+    expect(result.col('users').toArray()).toEqual([300, 300]);
+    result
+      .col('lat_approxQ50')
+      .toArray()
+      .forEach((median) => {
+        expect(Math.abs(median - 499.5)).toBeLessThan(10);
+      });
+  });
+
+  test('merge partial sketches', () => {
+    const p50 = approxQuantile(0.5);
+    const distinct = approxNUnique({ precision: 10 });
+    const lat = df.col('lat').toArray();
+    const users = df.col('user').toArray();
+
+    const quantile = p50.finalize(
+      p50.merge(fold(p50, lat.slice(0, 700)), fold(p50, lat.slice(700))),
+    );
+    expect(Math.abs(quantile - 499.5)).toBeLessThan(10);
+    const count = distinct.finalize(
+      distinct.merge(
+        fold(distinct, users.slice(0, 150)),
+        fold(distinct, users.slice(150)),
+      ),
+    );
+    // 1024 registers: linear counting, within a few percent
+    expect(Math.abs(count - 300)).toBeLessThan(10);
+  });
+
+  test('validate their options', () => {
+    expect(() => approxQuantile(1.5)).toThrow(
+      'Quantile must be between 0 and 1',
+    );
+    expect(() => approxQuantile(0.5, { compression: 0 })).toThrow(
+      'compression must be a number of at least 10',
+    );
+    expect(() => approxNUnique({ precision: 20 })).toThrow(
+      'precision must be an integer from 4 to 16',
+    );
+  });
+});
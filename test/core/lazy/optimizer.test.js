@@ -2,111 +2,295 @@
  * Unit tests for optimizer.js
  */
 
-import { optimize } from '../../../src/core/lazy/optimizer.js';
+import { optimize, schemaOf } from '../../../src/core/lazy/optimizer.js';
+import { LazyNode } from '../../../src/core/lazy/LazyNode.js';
+import { DataFrame } from '../../../src/core/dataframe/DataFrame.js';
+import { col, lit } from '../../../src/core/expr/index.js';
 import { describe, test, expect } from 'vitest';
 
+const df = new DataFrame({
+  a: [1, 2, 3],
+  b: [4, 5, 6],
+  c: ['x', 'y', 'z'],
+});
+
+const source = (frame = df) => new LazyNode('source', { df: frame });
+
+/** Builds a linear plan over a source from [op, args] pairs */
+const chain = (...steps) =>
+  steps.reduce(
+    (input, [op, args]) => new LazyNode(op, args, [input]),
+    source(),
+  );
+
+/** Operations from the root down the first inputs */
+const ops = (node) => (node ? [node.op, ...ops(node.input)] : []);
+
 /**
- * Tests for the optimizer function
- * Verifies optimization of LazyFrame execution plans
+ * Tests for the optimize function
+ * Verifies rewrites of LazyFrame logical plans
  */
 describe('optimizer', () => {
-  /**
-   * Tests handling of short plans
-   */
-  test('should return plan unchanged if too short', () => {
-    const shortPlan = [{ op: 'source', df: {} }];
-    expect(optimize(shortPlan)).toBe(shortPlan);
-
-    const shortPlan2 = [
-      { op: 'source', df: {} },
-      { op: 'filter', fn: () => true },
-    ];
-    expect(optimize(shortPlan2)).toBe(shortPlan2);
+  test('should return a bare source unchanged', () => {
+    const plan = source();
+    expect(optimize(plan)).toBe(plan);
   });
 
   /**
    * Tests merging consecutive filter operations
    */
-  test('should merge consecutive filter operations', () => {
-    const plan = [
-      { op: 'source', df: {} },
-      { op: 'filter', fn: (x) => x.a > 5 },
-      { op: 'filter', fn: (x) => x.b < 10 },
-    ];
+  test('should merge consecutive function filters', () => {
+    const optimized = optimize(
+      chain(
+        ['filter', { fn: (x) => x.a > 5 }],
+        ['filter', { fn: (x) => x.b < 10 }],
+      ),
+    );
+
+    expect(ops(optimized)).toEqual(['filter', 'source']);
+    expect(optimized.args.fn({ a: 6, b: 8 })).toBe(true);
+    expect(optimized.args.fn({ a: 4, b: 8 })).toBe(false);
+    expect(optimized.args.fn({ a: 6, b: 12 })).toBe(false);
+  });
+
+  test('should merge expression filters with and', () => {
+    const first = ['filter', { predicate: col('a').gt(5) }];
+    const plan = chain(first, ['filter', { predicate: col('b').lt(10) }]);
 
     const optimized = optimize(plan);
 
-    expect(optimized.length).toBe(2);
-    expect(optimized[0].op).toBe('source');
-    expect(optimized[1].op).toBe('filter');
+    expect(ops(optimized)).toEqual(['filter', 'source']);
+    expect(String(optimized.args.predicate)).toBe(
+      '((col("a") > lit(5)) and (col("b") < lit(10)))',
+    );
+    // the input plan is left untouched
+    expect(String(plan.input.args.predicate)).toBe('(col("a") > lit(5))');
+  });
 
-    // Test that the merged filter function works correctly
-    const testRow = { a: 6, b: 8 };
-    expect(optimized[1].fn(testRow)).toBe(true);
+  test('should push expression filters below select, withColumns and sort', () => {
+    const optimized = optimize(
+      chain(
+        ['withColumns', { exprs: [col('a').mul(2).alias('a2')] }],
+        ['sort', { by: 'a2', descending: true }],
+        ['select', { cols: ['a', 'a2'] }],
+        ['filter', { predicate: col('a').gt(1).and(col('a2').lt(6)) }],
+      ),
+    );
 
-    const testRow2 = { a: 4, b: 8 };
-    expect(optimized[1].fn(testRow2)).toBe(false);
+    // a > 1 reaches the source, a2 < 6 stops above the column it needs
+    expect(ops(optimized)).toEqual([
+      'select',
+      'sort',
+      'filter',
+      'withColumns',
+      'filter',
+      'source',
+    ]);
+    expect(String(optimized.input.input.args.predicate)).toBe(
+      '(col("a2") < lit(6))',
+    );
+    expect(String(optimized.input.input.input.input.args.predicate)).toBe(
+      '(col("a") > lit(1))',
+    );
+  });
+
+  test('should not push a filter past a computed column or a limit', () => {
+    const computed = optimize(
+      chain(
+        ['select', { cols: [col('a').mul(2).alias('a')] }],
+        ['filter', { predicate: col('a').gt(2) }],
+      ),
+    );
+    const limited = optimize(
+      chain(['limit', { n: 2 }], ['filter', { predicate: col('a').gt(2) }]),
+    );
 
-    const testRow3 = { a: 6, b: 12 };
-    expect(optimized[1].fn(testRow3)).toBe(false);
+    expect(ops(computed)).toEqual(['filter', 'select', 'source']);
+    expect(ops(limited)).toEqual(['filter', 'limit', 'source']);
   });
 
-  /**
-   * Tests pushing select above filter
-   */
-  test('should push select above filter', () => {
-    const plan = [
-      { op: 'source', df: {} },
-      { op: 'filter', fn: (x) => x.a > 5 },
-      { op: 'select', cols: ['a', 'b'] },
-    ];
+  test('should keep filters with aggregations in place', () => {
+    const optimized = optimize(
+      chain(
+        ['filter', { predicate: col('c').ne('z') }],
+        ['filter', { predicate: col('a').gt(col('a').mean()) }],
+      ),
+    );
 
-    const optimized = optimize(plan);
+    expect(ops(optimized)).toEqual(['filter', 'filter', 'source']);
+    expect(optimized.args.predicate.isAggregation()).toBe(true);
+  });
 
-    expect(optimized.length).toBe(3);
-    expect(optimized[0].op).toBe('source');
-    expect(optimized[1].op).toBe('select');
-    expect(optimized[2].op).toBe('filter');
+  test('should fold constants and drop filters that always hold', () => {
+    const optimized = optimize(
+      chain(
+        ['filter', { predicate: lit(1).lt(2) }],
+        ['withColumns', { exprs: [col('a').add(lit(2).mul(3)).alias('d')] }],
+        ['filter', { predicate: col('a').gt(lit(10).div(5)).and(true) }],
+      ),
+    );
+
+    expect(ops(optimized)).toEqual(['withColumns', 'filter', 'source']);
+    expect(String(optimized.args.exprs[0])).toBe(
+      '(col("a") + lit(6)).alias("d")',
+    );
+    expect(String(optimized.input.args.predicate)).toBe('(col("a") > lit(2))');
   });
 
-  /**
-   * Tests handling of complex plans
-   */
-  test('should optimize complex plans', () => {
-    const plan = [
-      { op: 'source', df: {} },
-      { op: 'filter', fn: (x) => x.a > 5 },
-      { op: 'filter', fn: (x) => x.b < 10 },
-      { op: 'select', cols: ['a', 'b'] },
-      { op: 'head', n: 5 },
-    ];
+  test('should push filters on group keys below groupBy', () => {
+    const optimized = optimize(
+      chain(
+        ['groupBy', { by: ['c'], aggs: [col('a').sum().alias('total')] }],
+        ['filter', { predicate: col('c').ne('x').and(col('total').gt(1)) }],
+      ),
+    );
+
+    expect(ops(optimized)).toEqual(['filter', 'groupBy', 'filter', 'source']);
+    expect(String(optimized.input.input.args.predicate)).toBe(
+      '(col("c") != lit("x"))',
+    );
+  });
+
+  test('should push filters into the side of a join that owns the columns', () => {
+    const right = source(new DataFrame({ c: ['x'], r: [1] }));
+    const join = (how) =>
+      new LazyNode(
+        'filter',
+        { predicate: col('a').gt(1).and(col('r').eq(1)) },
+        [
+          new LazyNode('join', { options: { on: 'c', how } }, [
+            source(),
+            right,
+          ]),
+        ],
+      );
+
+    const inner = optimize(join('inner'));
+    expect(inner.op).toBe('join');
+    expect(ops(inner.inputs[0])).toEqual(['filter', 'source']);
+    expect(ops(inner.inputs[1])).toEqual(['filter', 'source']);
+
+    // a left join keeps unmatched left rows, so r = 1 must stay on top
+    const left = optimize(join('left'));
+    expect(left.op).toBe('filter');
+    expect(String(left.args.predicate)).toBe('(col("r") == lit(1))');
+    expect(ops(left.input.inputs[0])).toEqual(['filter', 'source']);
+    expect(left.input.inputs[1].op).toBe('source');
+
+    // a semi join only filters the left rows
+    const semi = optimize(join('semi'));
+    expect(ops(semi.input.inputs[0])).toEqual(['filter', 'source']);
+    expect(semi.input.inputs[1].op).toBe('source');
+  });
+
+  test('should push filters into every input of a union', () => {
+    const plan = new LazyNode('filter', { predicate: col('a').gt(1) }, [
+      new LazyNode('union', {}, [source(), source()]),
+    ]);
 
     const optimized = optimize(plan);
 
-    expect(optimized.length).toBe(4);
-    expect(optimized[0].op).toBe('source');
-    expect(optimized[1].op).toBe('select');
-    expect(optimized[2].op).toBe('filter');
-    expect(optimized[3].op).toBe('head');
+    expect(optimized.op).toBe('union');
+    expect(optimized.inputs.map(ops)).toEqual([
+      ['filter', 'source'],
+      ['filter', 'source'],
+    ]);
+  });
+
+  test('should push limits below row-wise projections and merge them', () => {
+    const optimized = optimize(
+      chain(
+        ['limit', { n: 5 }],
+        ['withColumns', { exprs: [col('a').mul(2).alias('d')] }],
+        ['limit', { n: 2 }],
+      ),
+    );
+
+    expect(ops(optimized)).toEqual(['withColumns', 'limit', 'source']);
+    expect(optimized.input.args.n).toBe(2);
+  });
+
+  test('should read only the columns later steps use', () => {
+    const optimized = optimize(
+      chain(
+        ['withColumns', { exprs: [col('b').mul(2).alias('unused')] }],
+        ['filter', { predicate: col('b').gt(4) }],
+        ['select', { cols: ['a'] }],
+      ),
+    );
+
+    // the filter runs at the source, the unused column is never computed
+    expect(ops(optimized)).toEqual(['select', 'filter', 'source']);
+    const scan = optimized.input.input;
+    expect(scan.args.columns).toEqual(['a', 'b']);
+  });
+
+  test('should keep every column for function filters and apply', () => {
+    const optimized = optimize(
+      chain(
+        ['filter', { fn: (row) => row.c !== 'x' }],
+        ['select', { cols: ['a'] }],
+      ),
+    );
+
+    expect(ops(optimized)).toEqual(['select', 'filter', 'source']);
+    expect(optimized.input.input.args.columns).toBeUndefined();
   });
 
-  /**
-   * Tests handling of unsupported operations
-   */
   test('should pass through unsupported operations', () => {
-    const plan = [
-      { op: 'source', df: {} },
-      { op: 'filter', fn: (x) => x.a > 5 },
-      { op: 'custom', customFn: () => {} },
-      { op: 'head', n: 5 },
-    ];
+    const optimized = optimize(
+      chain(
+        ['filter', { fn: (x) => x.a > 5 }],
+        ['custom', { customFn: () => {} }],
+        ['limit', { n: 5 }],
+      ),
+    );
 
-    const optimized = optimize(plan);
+    expect(ops(optimized)).toEqual(['limit', 'custom', 'filter', 'source']);
+  });
+
+  test('schemaOf follows column changes through the plan', () => {
+    expect(schemaOf(source())).toEqual(['a', 'b', 'c']);
+    expect(
+      schemaOf(
+        chain(
+          ['withColumns', { exprs: [col('a').mul(2).alias('d')] }],
+          ['select', { cols: ['d', col('c')] }],
+        ),
+      ),
+    ).toEqual(['d', 'c']);
+    expect(schemaOf(chain(['apply', { fn: (x) => x }]))).toBeNull();
+  });
+
+  test('should push filters, limits and columns into scans', () => {
+    const scan = new LazyNode('scan', { format: 'csv', path: 'x.csv' });
+    const plan = (...steps) =>
+      steps.reduce(
+        (input, [op, args]) => new LazyNode(op, args, [input]),
+        scan,
+      );
+
+    const pushed = optimize(
+      plan(
+        ['filter', { predicate: col('a').gt(1) }],
+        ['filter', { fn: (row) => row.b > 0 }],
+        ['select', { cols: ['a'] }],
+        ['limit', { n: 3 }],
+      ),
+    );
+    expect(ops(pushed)).toEqual(['select', 'scan']);
+    const { args } = pushed.input;
+    expect(args.columns).toEqual(['a']);
+    expect(String(args.predicate)).toBe('(col("a") > lit(1))');
+    expect(args.fn({ b: 1 })).toBe(true);
+    expect(args.limit).toBe(3);
 
-    expect(optimized.length).toBe(4);
-    expect(optimized[0].op).toBe('source');
-    expect(optimized[1].op).toBe('filter');
-    expect(optimized[2].op).toBe('custom');
-    expect(optimized[3].op).toBe('head');
+    // rows after a limit are not the rows a filter would have read
+    const limited = optimize(
+      plan(['limit', { n: 3 }], ['filter', { predicate: col('a').gt(1) }]),
+    );
+    expect(ops(limited)).toEqual(['filter', 'scan']);
+    expect(limited.input.args.limit).toBe(3);
+    expect(limited.input.args.predicate).toBeUndefined();
   });
 });
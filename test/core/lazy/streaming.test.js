@@ -0,0 +1,243 @@
+/**
+ * Unit tests for streaming LazyFrame execution (streaming.js,
+ * aggregators.js, externalSort.js)
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { DataFrame } from '../../../src/core/dataframe/DataFrame.js';
+import { GroupByCore } from '../../../src/core/dataframe/GroupByCore.js';
+import { sort } from '../../../src/methods/dataframe/transform/sort.js';
+import { LazyFrame } from '../../../src/core/lazy/LazyFrame.js';
+import { col } from '../../../src/core/expr/index.js';
+
+const trades = new DataFrame({
+  symbol: ['AAPL', 'MSFT', 'AAPL', 'GOOG', 'MSFT', 'AAPL', 'GOOG', 'AAPL'],
+  price: [185.5, 390, 188, 141.2, null, 190.1, 139.9, 187],
+  qty: [10, -5, 7, 3, 4, -2, 8, 1],
+});
+
+const lazy = () => LazyFrame.fromDataFrame(trades);
+
+const collectBatches = async (batches) => {
+  const out = [];
+  for await (const batch of batches) out.push(batch);
+  return out;
+};
+
+describe('LazyFrame streaming execution', () => {
+  test('row-wise steps run per batch and match collect()', async () => {
+    const plan = lazy()
+      .withColumn('notional', col('price').mul(col('qty')))
+      .filter(col('qty').gt(0))
+      .select(['symbol', 'notional'])
+      .limit(4);
+
+    const batches = await collectBatches(plan.stream({ batchSize: 2 }));
+    expect(batches.length).toBeGreaterThan(1);
+    expect(batches.every((b) => b.rowCount <= 2)).toBe(true);
+
+    const streamed = await plan.collect({ streaming: true, batchSize: 2 });
+    expect(streamed.toArray()).toEqual(plan.collect().toArray());
+    expect(streamed.rowCount).toBe(4);
+  });
+
+  test('an empty result keeps its columns', async () => {
+    const df = await lazy()
+      .filter(col('qty').gt(100))
+      .select(['symbol'])
+      .collect({ streaming: true, batchSize: 3 });
+
+    expect(df.rowCount).toBe(0);
+    expect(df.columns).toEqual(['symbol']);
+  });
+
+  test('groupBy aggregates with partial states per group', async () => {
+    const aggs = [
+      col('qty').sum().alias('qty'),
+      col('price').mean().alias('avg'),
+      col('price').min().alias('low'),
+      col('price').max().alias('high'),
+      col('price').count().alias('n'),
+      col('price').std().alias('std'),
+      col('qty').var().alias('var'),
+      col('qty').first().alias('first'),
+      col('qty').last().alias('last'),
+      col('price').nUnique().alias('prices'),
+    ];
+    const df = await lazy()
+      .groupBy('symbol')
+      .agg(aggs)
+      .collect({ streaming: true, batchSize: 3 });
+
+    const expected = new GroupByCore(trades, 'symbol').agg(aggs);
+    // Welford's update differs from the two-pass std in the last digits
+    const { std, ...rest } = Object.fromEntries(
+      df.columns.map((name) => [name, df.col(name).toArray()]),
+    );
+    for (const [name, values] of Object.entries(rest)) {
+      expect(values).toEqual(expected.col(name).toArray());
+    }
+    std.forEach((value, i) => {
+      expect(value).toBeCloseTo(expected.col('std').toArray()[i], 10);
+    });
+    expect(df.col('symbol').toArray()).toEqual(['AAPL', 'MSFT', 'GOOG']);
+  });
+
+  test('groupBy keeps key types and aggregates computed columns', async () => {
+    const df = await LazyFrame.fromDataFrame(
+      new DataFrame({
+        year: [2023, 2024, 2023],
+        side: ['b', 's', 'b'],
+        v: [1, 2, 3],
+      }),
+    )
+      .groupBy(['year', 'side'])
+      .agg(col('v').mul(10).sum().alias('total'))
+      .collect({ streaming: true, batchSize: 1 });
+
+    expect(df.toArray()).toEqual([
+      { year: 2023, side: 'b', total: 40 },
+      { year: 2024, side: 's', total: 20 },
+    ]);
+  });
+
+  test('groupBy honours dropna and sort', async () => {
+    const plan = LazyFrame.fromDataFrame(
+      new DataFrame({ k: ['b', null, 'a', 'b', NaN], v: [1, 2, 3, 4, 5] }),
+    );
+    for (const options of [{}, { dropna: true }, { sort: true }]) {
+      const grouped = plan.groupBy('k', options).agg(col('v').sum().alias('v'));
+      const streamed = await grouped.collect({ streaming: true, batchSize: 2 });
+      expect(streamed.toArray()).toEqual(grouped.collect().toArray());
+    }
+  });
+
+  test('groupBy streams object specs with folding reducers', async () => {
+    const spread = {
+      init: () => [Infinity, -Infinity],
+      update: ([low, high], v) =>
+        v === null ? [low, high] : [Math.min(low, v), Math.max(high, v)],
+      finalize: ([low, high]) => high - low,
+    };
+    const plan = lazy()
+      .groupBy('symbol')
+      .agg({ qty: ['sum', 'mean'], spread: ['price', spread] });
+
+    const streamed = await plan.collect({
+      streaming: true,
+      batchSize: 3,
+      memoryLimit: 64,
+    });
+    expect(streamed.toArray()).toEqual(plan.collect().toArray());
+    expect(streamed.columns).toEqual([
+      'symbol',
+      'qty_sum',
+      'qty_mean',
+      'spread',
+    ]);
+  });
+
+  test('inner, left, semi and anti joins stream the left side', async () => {
+    const sectors = new DataFrame({
+      symbol: ['AAPL', 'MSFT'],
+      sector: ['Tech', 'Software'],
+    });
+    for (const how of ['inner', 'left', 'semi', 'anti']) {
+      const plan = lazy().join(sectors, { on: 'symbol', how });
+      const streamed = await plan.collect({ streaming: true, batchSize: 3 });
+      expect(streamed.toArray()).toEqual(plan.collect().toArray());
+    }
+  });
+
+  test('other steps run on their whole input within memoryLimit', async () => {
+    const plan = lazy()
+      .groupBy('symbol')
+      .agg(col('price').median().alias('median'))
+      .apply((df) => sort(df, 'median'));
+
+    const streamed = await plan.collect({ streaming: true, batchSize: 2 });
+    expect(streamed.toArray()).toEqual(plan.collect().toArray());
+
+    await expect(
+      plan.collect({ streaming: true, batchSize: 2, memoryLimit: 64 }),
+    ).rejects.toThrow(
+      'needs its whole input in memory, which exceeds memoryLimit',
+    );
+  });
+
+  test('validates options', async () => {
+    await expect(
+      lazy().collect({ streaming: true, batchSize: 0 }),
+    ).rejects.toThrow('batchSize must be a positive integer');
+    await expect(
+      lazy().collect({ streaming: true, memoryLimit: -1 }),
+    ).rejects.toThrow('memoryLimit must be a positive number of bytes');
+  });
+});
+
+describe('external sort', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tinyframe-stream-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const ticks = () => {
+    const n = 200;
+    const day = Date.UTC(2024, 0, 1);
+    return new DataFrame({
+      id: Array.from({ length: n }, (_, i) => i),
+      // many ties and a few nulls, in no particular order
+      price: Array.from({ length: n }, (_, i) =>
+        i % 37 === 0 ? null : (i * 7919) % 50,
+      ),
+      at: Array.from({ length: n }, (_, i) => new Date(day + i * 1000)),
+    });
+  };
+
+  test('spills sorted runs and merges them like an in-memory sort', async () => {
+    const plan = LazyFrame.fromDataFrame(ticks()).sort('price', {
+      descending: true,
+    });
+
+    const options = { batchSize: 16, memoryLimit: 1024, tempDir: dir };
+    const batches = await collectBatches(plan.stream(options));
+    const streamed = await plan.collect({ streaming: true, ...options });
+
+    expect(batches.length).toBeGreaterThan(1);
+    // stable, nulls last, Dates come back from the spill files as Dates
+    expect(streamed.toArray()).toEqual(plan.collect().toArray());
+    expect(streamed.col('at').toArray()[0]).toBeInstanceOf(Date);
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  test('removes its spill files when the consumer stops early', async () => {
+    const batches = LazyFrame.fromDataFrame(ticks())
+      .sort('price')
+      .stream({ batchSize: 10, memoryLimit: 1024, tempDir: dir });
+
+    for await (const batch of batches) {
+      expect(batch.col('price').toArray()[0]).toBe(0);
+      expect(fs.readdirSync(dir)).toHaveLength(1);
+      break;
+    }
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  test('sorts in memory when the input fits', async () => {
+    const df = await LazyFrame.fromDataFrame(ticks())
+      .sort('price')
+      .limit(3)
+      .collect({ streaming: true, tempDir: dir });
+
+    expect(df.col('price').toArray()).toEqual([0, 0, 0]);
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+});
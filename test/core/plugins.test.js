@@ -0,0 +1,253 @@
+/**
+ * Unit tests for the plugin API
+ */
+
+import { describe, test, expect, afterEach } from 'vitest';
+import { TinyFrame } from '../../src/core/plugins.js';
+import { DataFrame } from '../../src/core/dataframe/DataFrame.js';
+import { Series } from '../../src/core/dataframe/Series.js';
+import { GroupByCore } from '../../src/core/dataframe/GroupByCore.js';
+import { getFormat, readFormat } from '../../src/io/formats.js';
+import { getReducer } from '../../src/core/dataframe/reducers.js';
+
+const finance = {
+  name: 'finance',
+  dataframe: {
+    total: (df, column) =>
+      df
+        .col(column)
+        .toArray()
+        .reduce((a, b) => a + b, 0),
+  },
+  series: {
+    double: (series) => series.toArray().map((v) => v * 2),
+  },
+  groupBy: {
+    groupCount: (group) => group.size,
+  },
+  accessors: {
+    ta: {
+      dataframe: { last: (df, column) => df.col(column).get(df.rowCount - 1) },
+      series: { first: (series) => series.get(0) },
+    },
+  },
+  formats: {
+    lines: {
+      read: async (source) => new DataFrame({ line: source.split('\n') }),
+    },
+  },
+};
+
+describe('TinyFrame.use', () => {
+  afterEach(() => {
+    TinyFrame.reset();
+  });
+
+  const df = new DataFrame({ sector: ['a', 'b', 'a'], price: [1, 2, 3] });
+
+  test('adds DataFrame, Series and GroupBy methods', () => {
+    expect(TinyFrame.use(finance)).toBe(TinyFrame);
+
+    expect(df.total('price')).toBe(6);
+    expect(df.col('price').double()).toEqual([2, 4, 6]);
+    expect(new GroupByCore(df, 'sector').groupCount()).toBe(2);
+    expect(TinyFrame.plugins()).toEqual(['finance']);
+    expect(TinyFrame.has('finance')).toBe(true);
+  });
+
+  test('adds accessor namespaces bound to the instance', () => {
+    TinyFrame.use(finance);
+
+    expect(df.ta.last('price')).toBe(3);
+    expect(df.ta).toBe(df.ta);
+    expect(df.col('price').ta.first()).toBe(1);
+  });
+
+  test('merges accessor methods from several plugins', () => {
+    TinyFrame.use(finance);
+    const cached = df.ta;
+    TinyFrame.use({
+      name: 'more-ta',
+      accessors: { ta: { dataframe: { size: (frame) => frame.rowCount } } },
+    });
+
+    expect(df.ta.size()).toBe(3);
+    expect(df.ta.last('price')).toBe(3);
+    expect(df.ta).not.toBe(cached);
+
+    TinyFrame.unuse('more-ta');
+    expect(df.ta.size).toBeUndefined();
+  });
+
+  test('registers IO formats', async () => {
+    TinyFrame.use(finance);
+
+    const result = await readFormat('lines', 'x\ny');
+    expect(result.col('line').toArray()).toEqual(['x', 'y']);
+  });
+
+  test('registers reducers for aggregation specs', () => {
+    TinyFrame.use({
+      name: 'spread',
+      reducers: {
+        spread: (s) => Math.max(...s.toArray()) - Math.min(...s.toArray()),
+      },
+    });
+
+    const result = new GroupByCore(df, 'sector').agg({
+      range: ['price', 'spread'],
+    });
+    expect(result.col('range').toArray()).toEqual([2, 0]);
+    expect(() =>
+      TinyFrame.use({ name: 'again', reducers: { spread: () => 0 } }),
+    ).toThrow("Plugin 'again': reducer 'spread' already exists");
+    expect(() =>
+      TinyFrame.use({ name: 'bad', reducers: { nope: { init: () => 0 } } }),
+    ).toThrow("Plugin 'bad': reducer 'nope' must be a function");
+
+    TinyFrame.unuse('spread');
+    expect(getReducer('spread')).toBeUndefined();
+  });
+
+  test('rejects names that already exist and installs nothing', () => {
+    const plugin = {
+      name: 'clash',
+      dataframe: { fresh: () => 1 },
+      series: { map: () => 2 },
+    };
+
+    expect(() => TinyFrame.use(plugin)).toThrow(
+      "Plugin 'clash': Series.map already exists",
+    );
+    expect(DataFrame.prototype.fresh).toBeUndefined();
+    expect(TinyFrame.has('clash')).toBe(false);
+
+    expect(() =>
+      TinyFrame.use({ name: 'fields', dataframe: { col: () => 1 } }),
+    ).toThrow("Plugin 'fields': DataFrame.col already exists");
+    expect(() =>
+      TinyFrame.use(
+        { name: 'fields', dataframe: { col: () => 1 } },
+        { override: true },
+      ),
+    ).toThrow(
+      "Plugin 'fields': DataFrame.col is set on every instance, it cannot be overridden",
+    );
+    expect(() =>
+      TinyFrame.use({ name: 'formats', formats: { csv: { read: () => 1 } } }),
+    ).toThrow("Plugin 'formats': format 'csv' already exists");
+  });
+
+  test('rejects invalid and duplicate plugins', () => {
+    expect(() => TinyFrame.use({})).toThrow('Plugin must have a name');
+    expect(() => TinyFrame.use(null)).toThrow(
+      'Plugin must be an object or a loader function',
+    );
+    expect(() => TinyFrame.use({ name: 'bad', dataframe: { x: 1 } })).toThrow(
+      "Plugin 'bad': DataFrame.x must be a function",
+    );
+
+    // Formats are checked before anything is installed
+    const plugin = {
+      name: 'p',
+      dataframe: { foo: () => 1 },
+      formats: { bad: {} },
+    };
+    expect(() => TinyFrame.use(plugin)).toThrow(
+      "Plugin 'p': format 'bad' must define read() and/or write() functions",
+    );
+    plugin.formats.bad = { read: () => 1, write: 'file' };
+    expect(() => TinyFrame.use(plugin)).toThrow(
+      "Plugin 'p': format 'bad' must define read() and/or write() functions",
+    );
+    expect(DataFrame.prototype.foo).toBeUndefined();
+    plugin.formats.bad = { read: () => 1 };
+    TinyFrame.use(plugin);
+    expect(TinyFrame.plugins()).toEqual(['p']);
+
+    TinyFrame.use(finance);
+    expect(() => TinyFrame.use(finance)).toThrow(
+      "Plugin 'finance' is already registered",
+    );
+  });
+
+  test('rolls back what was installed when a change fails', () => {
+    // A non-configurable property cannot be redefined, so installing
+    // the Series method throws after the DataFrame one is in place
+    Object.defineProperty(Series.prototype, 'sealed', { value: () => 0 });
+    const plugin = {
+      name: 'partial',
+      dataframe: { foo: () => 1 },
+      series: { sealed: () => 2 },
+    };
+
+    expect(() => TinyFrame.use(plugin, { override: true })).toThrow(
+      'Cannot redefine property: sealed',
+    );
+    expect(DataFrame.prototype.foo).toBeUndefined();
+    expect(TinyFrame.plugins()).toEqual([]);
+
+    delete plugin.series;
+    TinyFrame.use(plugin);
+    expect(df.foo()).toBe(1);
+  });
+
+  test('overrides existing methods and restores them on unuse', () => {
+    const original = Series.prototype.toString;
+    TinyFrame.use(
+      { name: 'pretty', series: { toString: () => 'pretty' } },
+      { override: true },
+    );
+
+    expect(String(new Series([1]))).toBe('pretty');
+    expect(TinyFrame.unuse('pretty')).toBe(true);
+    expect(Series.prototype.toString).toBe(original);
+    expect(TinyFrame.unuse('pretty')).toBe(false);
+  });
+
+  test('unuses plugins out of install order', async () => {
+    const plugin = (name) => ({
+      name,
+      dataframe: { label: () => name },
+      accessors: { ta: { dataframe: { label: () => name } } },
+      formats: { tagged: { read: async () => name } },
+    });
+    TinyFrame.use(plugin('a'));
+    TinyFrame.use(plugin('b'), { override: true });
+    TinyFrame.use(plugin('c'), { override: true });
+
+    // Removing an overridden plugin leaves the live definition alone
+    TinyFrame.unuse('a');
+    expect(df.label()).toBe('c');
+    expect(df.ta.label()).toBe('c');
+
+    // Removing the live one brings back the most recent one left
+    TinyFrame.unuse('c');
+    expect(df.label()).toBe('b');
+    expect(df.ta.label()).toBe('b');
+    await expect(getFormat('tagged').read()).resolves.toBe('b');
+
+    TinyFrame.unuse('b');
+    expect('label' in df).toBe(false);
+    expect('ta' in df).toBe(false);
+    expect(getFormat('tagged')).toBeUndefined();
+  });
+
+  test('unuse removes methods, accessors and formats', () => {
+    TinyFrame.use(finance);
+    TinyFrame.unuse('finance');
+
+    expect('total' in df).toBe(false);
+    expect('ta' in df).toBe(false);
+    expect(getFormat('lines')).toBeUndefined();
+    expect(TinyFrame.plugins()).toEqual([]);
+  });
+
+  test('loads plugins lazily from a loader', async () => {
+    const result = TinyFrame.use(async () => ({ default: finance }));
+
+    expect(result).toBeInstanceOf(Promise);
+    await expect(result).resolves.toBe(TinyFrame);
+    expect(df.total('price')).toBe(6);
+  });
+});
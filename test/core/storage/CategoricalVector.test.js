@@ -0,0 +1,105 @@
+import { describe, test, expect } from 'vitest';
+import { CategoricalVector } from '../../../src/core/storage/CategoricalVector.js';
+import { VectorFactory } from '../../../src/core/storage/VectorFactory.js';
+import { Series } from '../../../src/core/dataframe/Series.js';
+
+describe('CategoricalVector', () => {
+  test('encodes values as codes into sorted categories', () => {
+    const vec = CategoricalVector.fromValues(['MSFT', 'AAPL', null, 'MSFT']);
+
+    expect(vec.dtype).toBe('category');
+    expect(vec.categories).toEqual(['AAPL', 'MSFT']);
+    expect(Array.from(vec.codes)).toEqual([1, 0, -1, 1]);
+    expect(vec.toArray()).toEqual(['MSFT', 'AAPL', null, 'MSFT']);
+    expect(vec.nullCount).toBe(1);
+  });
+
+  test('uses explicit categories and nulls out unknown values', () => {
+    const vec = CategoricalVector.fromValues(['low', 'high', 'mid', 'x'], {
+      categories: ['low', 'mid', 'high'],
+      ordered: true,
+    });
+
+    expect(Array.from(vec.codes)).toEqual([0, 2, 1, -1]);
+    expect(vec.ordered).toBe(true);
+    expect(() =>
+      CategoricalVector.fromValues([], { categories: ['a', 'a'] }),
+    ).toThrow('Categories must be unique');
+  });
+
+  test('slice and take share the categories', () => {
+    const vec = CategoricalVector.fromValues(['b', 'a', 'c', 'a']);
+
+    expect(vec.slice(1, 3).toArray()).toEqual(['a', 'c']);
+    expect(vec.take([3, 0]).toArray()).toEqual(['a', 'b']);
+    expect(vec.take([3, 0]).categories).toBe(vec.categories);
+  });
+
+  test('argsort orders rows by category position, nulls last', () => {
+    const vec = CategoricalVector.fromValues(['low', null, 'high', 'low'], {
+      categories: ['low', 'high'],
+    });
+
+    expect(Array.from(vec.argsort())).toEqual([0, 3, 2, 1]);
+    expect(Array.from(vec.argsort(false))).toEqual([2, 0, 3, 1]);
+  });
+
+  test('min and max require ordered categories', () => {
+    const vec = CategoricalVector.fromValues(['mid', 'low'], {
+      categories: ['low', 'mid', 'high'],
+    });
+
+    expect(() => vec.min()).toThrow(
+      'Cannot compute min of an unordered categorical',
+    );
+    expect(vec.setOrdered(true).max()).toBe('mid');
+    expect(vec.setOrdered(true).min()).toBe('low');
+  });
+
+  test('addCategories, removeUnused and renameCategories', () => {
+    const vec = CategoricalVector.fromValues(['a', 'b', 'a'], {
+      categories: ['a', 'b', 'c'],
+    });
+
+    expect(vec.addCategories(['d']).categories).toEqual(['a', 'b', 'c', 'd']);
+    expect(() => vec.addCategories('a')).toThrow("Category 'a' already exists");
+
+    const compact = vec.removeUnused();
+    expect(compact.categories).toEqual(['a', 'b']);
+    expect(compact.toArray()).toEqual(['a', 'b', 'a']);
+
+    expect(vec.renameCategories({ a: 'A' }).toArray()).toEqual(['A', 'b', 'A']);
+    expect(vec.renameCategories((c) => c.toUpperCase()).categories).toEqual([
+      'A',
+      'B',
+      'C',
+    ]);
+    expect(() => vec.renameCategories(['x'])).toThrow(
+      'New categories must have length 3, got 1',
+    );
+    expect(() => vec.renameCategories({ a: 'b' })).toThrow(
+      'Categories must be unique',
+    );
+  });
+
+  test('is created by VectorFactory and Series for the category dtype', () => {
+    const vec = VectorFactory.from(['x', 'y', 'x'], { dtype: 'categorical' });
+    expect(vec).toBeInstanceOf(CategoricalVector);
+
+    const series = new Series(['x', 'y'], {
+      dtype: 'category',
+      categories: ['y', 'x'],
+      ordered: true,
+    });
+    expect(series.dtype).toBe('category');
+    expect(series.categories).toEqual(['y', 'x']);
+    expect(series.ordered).toBe(true);
+
+    // Re-encoding against other categories
+    const recoded = new Series(series.vector, {
+      dtype: 'category',
+      categories: ['x'],
+    });
+    expect(recoded.toArray()).toEqual(['x', null]);
+  });
+});
@@ -93,4 +93,62 @@ describe('TypedArrayVector', () => {
     expect(sliced.get(1)).toBeCloseTo(3.3);
     expect(sliced.get(2)).toBeCloseTo(4.4);
   });
+
+  /**
+   * Tests nullable storage with a validity bitmap
+   */
+  test('should track nulls in a validity bitmap', () => {
+    const vector = TypedArrayVector.fromValues([1, null, 3, null], 'i32');
+
+    expect(vector.dtype).toBe('i32');
+    expect(vector._data).toBeInstanceOf(Int32Array);
+    expect(vector.toArray()).toEqual([1, null, 3, null]);
+    expect(vector.nullCount).toBe(2);
+    expect(vector.sum()).toBe(4);
+
+    const sliced = vector.slice(1, 3);
+    expect(sliced.toArray()).toEqual([null, 3]);
+    expect(sliced.dtype).toBe('i32');
+  });
+
+  /**
+   * Tests boolean storage
+   */
+  test('should decode booleans stored as bytes', () => {
+    const vector = TypedArrayVector.fromValues([true, false, null], 'bool');
+
+    expect(vector._data).toBeInstanceOf(Uint8Array);
+    expect(vector.toArray()).toEqual([true, false, null]);
+  });
+
+  /**
+   * Tests zero-copy slices with copy-on-write
+   */
+  test('should share memory with slices until one side is written', () => {
+    const vector = new TypedArrayVector(new Float64Array([1, 2, 3, 4]));
+    const view = vector.slice(1, 3);
+
+    expect(view._data.buffer).toBe(vector._data.buffer);
+
+    view.set(0, 20);
+    expect(view.toArray()).toEqual([20, 3]);
+    expect(vector.toArray()).toEqual([1, 2, 3, 4]);
+
+    const other = vector.slice(0, 2);
+    vector.set(1, null);
+    expect(other.toArray()).toEqual([1, 2]);
+    expect(vector.toArray()).toEqual([1, null, 3, 4]);
+  });
+
+  /**
+   * Tests casting on write
+   */
+  test('should cast values written with set', () => {
+    const vector = TypedArrayVector.fromValues([1, 2], 'i32');
+
+    vector.set(0, '7');
+    expect(vector.toArray()).toEqual([7, 2]);
+    expect(() => vector.set(1, 2.5)).toThrow('Cannot cast 2.5 to i32');
+    expect(() => vector.set(2, 1)).toThrow('Index 2 is out of bounds');
+  });
 });
@@ -86,6 +86,26 @@ describe('VectorFactory', () => {
     expect(array[2]).toBe(3);
   });
 
+  /**
+   * Tests that integers, booleans and nulls keep typed storage
+   */
+  test('should keep nullable numbers and booleans in typed storage', () => {
+    const ints = VectorFactory.from([1, 2, null]);
+    expect(ints).toBeInstanceOf(TypedArrayVector);
+    expect(ints.dtype).toBe('i32');
+    expect(ints.toArray()).toEqual([1, 2, null]);
+
+    const floats = VectorFactory.from([1.5, undefined, 2 ** 31]);
+    expect(floats).toBeInstanceOf(TypedArrayVector);
+    expect(floats.dtype).toBe('f64');
+    expect(floats.toArray()).toEqual([1.5, null, 2 ** 31]);
+
+    const flags = VectorFactory.from([true, null, false]);
+    expect(flags).toBeInstanceOf(TypedArrayVector);
+    expect(flags.dtype).toBe('bool');
+    expect(flags.toArray()).toEqual([true, null, false]);
+  });
+
   /**
    * Tests preferArrow option
    */
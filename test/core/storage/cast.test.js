@@ -0,0 +1,60 @@
+/**
+ * Unit tests for cast.js
+ */
+
+import {
+  normalizeDType,
+  inferDType,
+  castValue,
+  castArray,
+  promoteDTypes,
+} from '../../../src/core/storage/cast.js';
+import { describe, test, expect } from 'vitest';
+
+describe('dtype casting', () => {
+  test('should resolve dtype aliases', () => {
+    expect(normalizeDType('int32')).toBe('i32');
+    expect(normalizeDType('float')).toBe('f64');
+    expect(normalizeDType('boolean')).toBe('bool');
+    expect(normalizeDType('str')).toBe('str');
+    expect(() => normalizeDType('decimal')).toThrow('Unknown dtype: decimal');
+  });
+
+  test('should infer logical dtypes from JS values', () => {
+    expect(inferDType([1, 2, null])).toBe('i32');
+    expect(inferDType([1, 2 ** 31])).toBe('f64');
+    expect(inferDType([1.5, NaN])).toBe('f64');
+    expect(inferDType([true, null])).toBe('bool');
+    expect(inferDType(['a', undefined])).toBe('str');
+    expect(inferDType([1, 'a'])).toBe('mixed');
+  });
+
+  test('should cast values and keep nulls', () => {
+    expect(castArray(['1', 2, null, true], 'i32')).toEqual([1, 2, null, 1]);
+    expect(castArray([1, 0, 'false'], 'bool')).toEqual([true, false, false]);
+    expect(castArray([1.5, null], 'str')).toEqual(['1.5', null]);
+    expect(castValue(' 2.5 ', 'f64')).toBe(2.5);
+  });
+
+  test('should reject lossy casts with the failing position', () => {
+    expect(() => castArray([1, 2.5], 'i32')).toThrow(
+      'Cannot cast 2.5 at position 1 to i32: fractional part would be lost',
+    );
+    expect(() => castArray([300], 'u8')).toThrow('value out of range');
+    expect(() => castValue('abc', 'f64')).toThrow(
+      "Cannot cast 'abc' to f64: not a number",
+    );
+    expect(() => castValue(2, 'bool')).toThrow('not a boolean');
+  });
+
+  test('should promote dtypes to one that holds them all', () => {
+    expect(promoteDTypes(['i32', 'i32'])).toBe('i32');
+    expect(promoteDTypes(['i16', 'u8', 'i32'])).toBe('i32');
+    expect(promoteDTypes(['i8', 'u8'])).toBe('i16');
+    expect(promoteDTypes(['i32', 'u32'])).toBe('f64');
+    expect(promoteDTypes(['f32', 'i16'])).toBe('f64');
+    expect(promoteDTypes(['date', 'ts_ms'])).toBe('ts_ms');
+    expect(promoteDTypes(['category', 'str'])).toBe('str');
+    expect(promoteDTypes(['bool', 'f64'])).toBe('mixed');
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Unit tests for datetime.js
+ */
+
+import {
+  parseDatetime,
+  tzOffset,
+  wallToUtc,
+  utcToWall,
+  validateTimeZone,
+} from '../../../src/core/utils/datetime.js';
+import { describe, test, expect } from 'vitest';
+
+describe('datetime utils', () => {
+  test('should parse ISO strings as wall time or absolute instants', () => {
+    expect(parseDatetime('2024-03-01')).toBe(Date.UTC(2024, 2, 1));
+    expect(parseDatetime('2024-03-01 09:30')).toBe(Date.UTC(2024, 2, 1, 9, 30));
+    expect(parseDatetime('2024-03-01T09:30:00.250Z')).toBe(
+      Date.UTC(2024, 2, 1, 9, 30, 0, 250),
+    );
+    expect(parseDatetime('2024-03-01T09:30:00+02:00')).toBe(
+      Date.UTC(2024, 2, 1, 7, 30),
+    );
+  });
+
+  test('should parse with an explicit format', () => {
+    expect(
+      parseDatetime('05.01.2024 16:00', { format: 'DD.MM.YYYY HH:mm' }),
+    ).toBe(Date.UTC(2024, 0, 5, 16));
+    expect(() => parseDatetime('2024-01-05', { format: 'DD.MM.YYYY' })).toThrow(
+      "Cannot parse '2024-01-05' as datetime with format 'DD.MM.YYYY'",
+    );
+  });
+
+  test('should read wall-clock strings in a timezone', () => {
+    // 09:30 in New York during EST is 14:30 UTC
+    expect(parseDatetime('2024-01-15 09:30', { tz: 'America/New_York' })).toBe(
+      Date.UTC(2024, 0, 15, 14, 30),
+    );
+  });
+
+  test('should compute offsets across DST', () => {
+    const hour = 3_600_000;
+    expect(tzOffset(Date.UTC(2024, 0, 15), 'America/New_York')).toBe(-5 * hour);
+    expect(tzOffset(Date.UTC(2024, 6, 15), 'America/New_York')).toBe(-4 * hour);
+
+    const wall = Date.UTC(2024, 6, 15, 9, 30);
+    expect(utcToWall(wallToUtc(wall, 'Europe/London'), 'Europe/London')).toBe(
+      wall,
+    );
+  });
+
+  test('should resolve repeated wall times to the first occurrence', () => {
+    // 01:30 happens twice in New York on 2024-11-03
+    expect(wallToUtc(Date.UTC(2024, 10, 3, 1, 30), 'America/New_York')).toBe(
+      Date.UTC(2024, 10, 3, 5, 30),
+    );
+  });
+
+  test('should reject unknown timezones', () => {
+    expect(() => validateTimeZone('Mars/Olympus')).toThrow(
+      'Unknown timezone: Mars/Olympus',
+    );
+  });
+});
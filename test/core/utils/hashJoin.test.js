@@ -0,0 +1,68 @@
+/**
+ * Unit tests for the join row matching on column storage
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+  encodeJoinKeys,
+  hashRuns,
+  sortedKeys,
+  mergeRuns,
+  joinPairs,
+  hasDuplicateCodes,
+} from '../../../src/core/utils/hashJoin.js';
+import { CategoricalVector } from '../../../src/core/storage/CategoricalVector.js';
+
+describe('hashJoin', () => {
+  test('encodeJoinKeys shares codes between sides and keeps types', () => {
+    const keys = encodeJoinKeys([[1, '1', null, 1]], [['1', 1, NaN]]);
+    expect(Array.from(keys.left)).toEqual([0, 1, -1, 0]);
+    expect(Array.from(keys.right)).toEqual([1, 0, -1]);
+    expect(keys.count).toBe(2);
+    expect(hasDuplicateCodes(keys.left, keys.count)).toBe(true);
+    expect(hasDuplicateCodes(keys.right, keys.count)).toBe(false);
+  });
+
+  test('encodeJoinKeys combines several columns and categories', () => {
+    const city = CategoricalVector.fromValues(['x', 'y', 'x']);
+    const keys = encodeJoinKeys(
+      [city, [1, 1, 2]],
+      [
+        ['x', 'x', null],
+        [2, 1, 1],
+      ],
+    );
+    expect(Array.from(keys.left)).toEqual([0, 1, 2]);
+    expect(Array.from(keys.right)).toEqual([2, 0, -1]);
+  });
+
+  test('hashing and merging find the same runs', () => {
+    const left = [1, 2, 2, 5, null];
+    const right = [2, 2, 3, 5];
+    const hashed = joinPairs(
+      hashRuns(encodeJoinKeys([left], [right])),
+      4,
+      'outer',
+    );
+    const merged = joinPairs(
+      mergeRuns(sortedKeys(left), sortedKeys(right)),
+      4,
+      'outer',
+    );
+
+    expect(Array.from(hashed.left)).toEqual([0, 1, 1, 2, 2, 3, 4, -1]);
+    expect(Array.from(hashed.right)).toEqual([-1, 0, 1, 0, 1, 3, -1, 2]);
+    expect(merged).toEqual(hashed);
+  });
+
+  test('sortedKeys rejects unsorted, mixed and null-first columns', () => {
+    expect(sortedKeys([new Date(1), new Date(2), null]).keys).toEqual([
+      1,
+      2,
+      null,
+    ]);
+    expect(sortedKeys([2, 1])).toBe(null);
+    expect(sortedKeys([1, 'a'])).toBe(null);
+    expect(sortedKeys([null, 1])).toBe(null);
+  });
+});
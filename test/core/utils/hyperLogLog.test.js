@@ -0,0 +1,40 @@
+/**
+ * Unit tests for the HyperLogLog distinct count sketch
+ */
+
+import { describe, test, expect } from 'vitest';
+import { HyperLogLog } from '../../../src/core/utils/hyperLogLog.js';
+
+describe('HyperLogLog', () => {
+  test('counts small sets exactly enough and large sets within its error', () => {
+    const small = new HyperLogLog();
+    for (const v of ['a', 'b', 'a', 1, '1', null, NaN]) small.add(v);
+    expect(small.count()).toBe(4);
+
+    const large = new HyperLogLog();
+    for (let i = 0; i < 100000; i++) large.add(`user-${i % 50000}`);
+    expect(Math.abs(large.count() - 50000) / 50000).toBeLessThan(0.03);
+  });
+
+  test('counts Dates by their time', () => {
+    const sketch = new HyperLogLog(10);
+    sketch.add(new Date(0)).add(new Date(0)).add(new Date(1000));
+    expect(sketch.count()).toBe(2);
+  });
+
+  test('merges sketches of the same precision', () => {
+    const a = new HyperLogLog(12);
+    const b = new HyperLogLog(12);
+    for (let i = 0; i < 20000; i++) a.add(i);
+    for (let i = 10000; i < 30000; i++) b.add(i);
+
+    a.merge(b);
+    expect(Math.abs(a.count() - 30000) / 30000).toBeLessThan(0.05);
+    expect(() => a.merge(new HyperLogLog(10))).toThrow(
+      'Cannot merge HyperLogLog sketches of precision 12 and 10',
+    );
+    expect(() => new HyperLogLog(3)).toThrow(
+      'precision must be an integer from 4 to 16',
+    );
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Unit tests for the t-digest quantile sketch
+ */
+
+import { describe, test, expect } from 'vitest';
+import { TDigest } from '../../../src/core/utils/tdigest.js';
+
+// Deterministic pseudo-random values (LCG), no dependency on Math.random
+const uniform = (n, seed = 1) => {
+  let x = seed;
+  return Array.from({ length: n }, () => {
+    x = (x * 1103515245 + 12345) % 2147483648;
+    return x / 2147483648;
+  });
+};
+
+const exact = (values, q) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+};
+
+describe('TDigest', () => {
+  test('estimates quantiles of a large stream with few centroids', () => {
+    const values = uniform(20000).map((u) => Math.exp(4 * u));
+    const digest = new TDigest();
+    for (const v of values) digest.add(v);
+
+    for (const q of [0.01, 0.25, 0.5, 0.9, 0.99]) {
+      const estimate = digest.quantile(q);
+      expect(
+        Math.abs(estimate - exact(values, q)) / exact(values, q),
+      ).toBeLessThan(0.02);
+    }
+    expect(digest.quantile(0)).toBe(Math.min(...values));
+    expect(digest.quantile(1)).toBe(Math.max(...values));
+    expect(digest._means.length).toBeLessThan(100);
+  });
+
+  test('merged digests match a digest of all values', () => {
+    const values = uniform(10000, 7).map((u) => u * 100);
+    const whole = new TDigest();
+    const left = new TDigest();
+    const right = new TDigest();
+    values.forEach((v, i) => {
+      whole.add(v);
+      (i % 3 === 0 ? left : right).add(v);
+    });
+
+    left.merge(right);
+    expect(left.count).toBe(10000);
+    for (const q of [0.05, 0.5, 0.95]) {
+      expect(left.quantile(q)).toBeCloseTo(whole.quantile(q), 0);
+    }
+  });
+
+  test('handles small and empty inputs', () => {
+    const digest = new TDigest();
+    expect(digest.quantile(0.5)).toBeNull();
+
+    digest.add(5).add(NaN).add(null);
+    expect(digest.count).toBe(1);
+    expect(digest.quantile(0.5)).toBe(5);
+
+    digest.add(1).add(9);
+    expect(digest.quantile(0.5)).toBe(5);
+    expect(() => digest.quantile(2)).toThrow(
+      'Quantile must be between 0 and 1',
+    );
+    expect(() => new TDigest(1)).toThrow(
+      'compression must be a number of at least 10',
+    );
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * The root entry point exports the core classes with every method registered
+ */
+
+import { describe, test, expect } from 'vitest';
+import * as tinyframe from '../src/index.js';
+import { DataFrame } from '../src/core/dataframe/DataFrame.js';
+import { Series } from '../src/core/dataframe/Series.js';
+import {
+  Index,
+  RangeIndex,
+  DatetimeIndex,
+  MultiIndex,
+} from '../src/core/dataframe/Index.js';
+
+describe('tinyframejs', () => {
+  test('exports the core classes', () => {
+    expect(tinyframe.DataFrame).toBe(DataFrame);
+    expect(tinyframe.Series).toBe(Series);
+    expect(tinyframe.Index).toBe(Index);
+    expect(tinyframe.RangeIndex).toBe(RangeIndex);
+    expect(tinyframe.DatetimeIndex).toBe(DatetimeIndex);
+    expect(tinyframe.MultiIndex).toBe(MultiIndex);
+  });
+
+  test('registers methods from every category', () => {
+    const df = new tinyframe.DataFrame({ a: [1, 2, 3], b: ['x', 'y', 'z'] });
+
+    for (const name of [
+      'query$',
+      'expr$',
+      'setIndex',
+      'rolling',
+      'resample',
+      'toMarkdown',
+      'groupBy',
+      'pivot',
+    ]) {
+      expect(typeof df[name]).toBe('function');
+    }
+    expect(typeof df.col('a').toMarkdown).toBe('function');
+    expect(df.query$`a > 1`.col('b').toArray()).toEqual(['y', 'z']);
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Unit tests for the IO format registry
+ */
+
+import { describe, test, expect, afterEach } from 'vitest';
+import {
+  registerFormat,
+  unregisterFormat,
+  getFormat,
+  listFormats,
+  readFormat,
+  writeFormat,
+} from '../../src/io/formats.js';
+
+describe('IO format registry', () => {
+  afterEach(() => {
+    unregisterFormat('upper');
+  });
+
+  test('lists the built-in formats', () => {
+    expect(listFormats()).toEqual(
+      expect.arrayContaining(['csv', 'tsv', 'json', 'excel', 'arrow']),
+    );
+  });
+
+  test('reads and writes through a registered format', async () => {
+    registerFormat('upper', {
+      read: async (source) => source.toUpperCase(),
+      write: async (df, destination, options) => ({ df, destination, options }),
+    });
+
+    await expect(readFormat('upper', 'abc')).resolves.toBe('ABC');
+    await expect(writeFormat('upper', 'df', 'out', { a: 1 })).resolves.toEqual({
+      df: 'df',
+      destination: 'out',
+      options: { a: 1 },
+    });
+  });
+
+  test('validates registrations', () => {
+    expect(() => registerFormat('', { read() {} })).toThrow(
+      'Format name must be a non-empty string',
+    );
+    expect(() => registerFormat('upper', {})).toThrow(
+      "Format 'upper' must define read() or write()",
+    );
+    expect(() => registerFormat('csv', { read() {} })).toThrow(
+      "Format 'csv' is already registered",
+    );
+  });
+
+  test('overrides only when asked and unregisters', () => {
+    const write = () => 'written';
+    registerFormat('upper', { write });
+    registerFormat('upper', { read: () => 'read' }, { override: true });
+
+    expect(getFormat('upper').write).toBeUndefined();
+    expect(unregisterFormat('upper')).toBe(true);
+    expect(getFormat('upper')).toBeUndefined();
+  });
+
+  test('reports missing readers and writers', async () => {
+    await expect(readFormat('arrow', 'x')).rejects.toThrow(
+      "No reader for format 'arrow'",
+    );
+    await expect(writeFormat('nope', {})).rejects.toThrow(
+      "No writer for format 'nope'",
+    );
+  });
+});
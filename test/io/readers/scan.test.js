@@ -0,0 +1,212 @@
+/**
+ * Unit tests for lazy scans (scanCsv, scanJsonl, scanArrow) and the
+ * row generator options they push down to
+ */
+
+import { describe, test, expect, vi, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { scanCsv, scanJsonl, scanArrow } from '../../../src/io/readers/scan.js';
+import { csvRowGenerator } from '../../../src/io/readers/stream/csvStream.js';
+import { jsonlRowGenerator } from '../../../src/io/readers/stream/jsonStream.js';
+import { DataFrame } from '../../../src/core/dataframe/DataFrame.js';
+import { col } from '../../../src/core/expr/index.js';
+
+const rows = [
+  { date: '2024-01-02', symbol: 'AAPL', price: 185.5, qty: 10 },
+  { date: '2024-01-15', symbol: 'MSFT', price: 390, qty: -5 },
+  { date: '2024-02-01', symbol: 'AAPL', price: 188, qty: 7 },
+  { date: '2024-02-20', symbol: 'GOOG', price: 141.2, qty: 3 },
+];
+
+// Arrow table over the same rows, enough of the API for scanArrow
+vi.mock('apache-arrow', () => {
+  const data = {
+    date: ['2024-01-02', '2024-01-15', '2024-02-01', '2024-02-20'],
+    symbol: ['AAPL', 'MSFT', 'AAPL', 'GOOG'],
+    price: [185.5, 390, 188, 141.2],
+    qty: [10n, -5n, 7n, 3n],
+  };
+  return {
+    tableFromIPC: vi.fn(() => ({
+      numRows: 4,
+      schema: { fields: Object.keys(data).map((name) => ({ name })) },
+      getChild: (name) => ({ get: (i) => data[name][i] }),
+    })),
+  };
+});
+
+let dir;
+const file = (name) => path.join(dir, name);
+
+beforeAll(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tinyframe-scan-'));
+  const csv = [
+    'date,symbol,price,qty',
+    ...rows.map((r) => [r.date, r.symbol, r.price, r.qty].join(',')),
+  ];
+  fs.writeFileSync(file('trades.csv'), csv.join('\n') + '\n');
+  fs.writeFileSync(
+    file('trades.jsonl'),
+    rows.map((r) => JSON.stringify(r)).join('\n') + '\n',
+  );
+  fs.writeFileSync(file('trades.arrow'), 'mock');
+});
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const collectAll = async (generator) => {
+  const out = [];
+  for await (const row of generator) out.push(row);
+  return out;
+};
+
+describe('row generator pushdown options', () => {
+  test('csvRowGenerator projects, filters on the whole row and stops early', async () => {
+    const result = await collectAll(
+      csvRowGenerator(file('trades.csv'), {
+        convertTypes: true,
+        columns: ['symbol', 'qty'],
+        filter: (row) => row.price > 150,
+        limit: 2,
+      }),
+    );
+
+    expect(result).toEqual([
+      { symbol: 'AAPL', qty: 10 },
+      { symbol: 'MSFT', qty: -5 },
+    ]);
+    await expect(
+      collectAll(csvRowGenerator(file('trades.csv'), { columns: ['nope'] })),
+    ).rejects.toThrow("Column 'nope' not found");
+  });
+
+  test('csvRowGenerator keeps strings unless asked to convert', async () => {
+    const [first] = await collectAll(
+      csvRowGenerator(file('trades.csv'), { limit: 1 }),
+    );
+    expect(first).toEqual({
+      date: '2024-01-02',
+      symbol: 'AAPL',
+      price: '185.5',
+      qty: '10',
+    });
+  });
+
+  test('jsonlRowGenerator projects, filters and limits', async () => {
+    const result = await collectAll(
+      jsonlRowGenerator(file('trades.jsonl'), {
+        columns: ['symbol', 'missing'],
+        filter: (row) => row.symbol !== 'MSFT',
+        limit: 2,
+      }),
+    );
+
+    expect(result).toEqual([
+      { symbol: 'AAPL', missing: null },
+      { symbol: 'AAPL', missing: null },
+    ]);
+  });
+});
+
+describe('scanCsv / scanJsonl / scanArrow', () => {
+  const january = (lazy) =>
+    lazy
+      .filter(col('date').gte('2024-01-01').and(col('date').lt('2024-02-01')))
+      .select(['date', 'price']);
+
+  test('scanCsv pushes columns and filters into the scan', async () => {
+    const lazy = january(scanCsv(file('trades.csv')));
+
+    expect(lazy.explain()).toBe(
+      `Select [date, price]\n  Scan csv ${file('trades.csv')} ` +
+        'project [date, price] filter ((col("date") >= lit("2024-01-01")) ' +
+        'and (col("date") < lit("2024-02-01")))',
+    );
+
+    const df = await lazy.collect();
+    expect(df).toBeInstanceOf(DataFrame);
+    expect(df.toArray()).toEqual([
+      { date: '2024-01-02', price: 185.5 },
+      { date: '2024-01-15', price: 390 },
+    ]);
+  });
+
+  test('head(n) stops reading after n matching rows', async () => {
+    // The last row would fail to parse, so it must never be read
+    const lines = ['a', '1', '2', '3', 'boom'];
+    fs.writeFileSync(file('early.csv'), lines.join('\n'));
+    const parsers = {
+      a: (v) => {
+        if (v === 'boom') throw new Error('read too far');
+        return Number(v);
+      },
+    };
+
+    const plain = await scanCsv(file('early.csv'), { parsers })
+      .head(2)
+      .collect();
+    expect(plain.col('a').toArray()).toEqual([1, 2]);
+
+    const filtered = await scanCsv(file('early.csv'), { parsers, batchSize: 1 })
+      .filter(col('a').gt(1))
+      .head(2)
+      .collect();
+    expect(filtered.col('a').toArray()).toEqual([2, 3]);
+  });
+
+  test('function filters run on each row while reading', async () => {
+    const lazy = scanJsonl(file('trades.jsonl'))
+      .filter((row) => row.qty > 0)
+      .select(['symbol']);
+
+    expect(lazy.explain()).toContain('filter <function>');
+    const df = await lazy.collect();
+    expect(df.col('symbol').toArray()).toEqual(['AAPL', 'AAPL', 'GOOG']);
+  });
+
+  test('scanJsonl and scanArrow feed the rest of the plan', async () => {
+    const fromJsonl = await january(scanJsonl(file('trades.jsonl'))).collect();
+    expect(fromJsonl.col('price').toArray()).toEqual([185.5, 390]);
+
+    const fromArrow = await scanArrow(file('trades.arrow'))
+      .groupBy('symbol')
+      .agg(col('qty').sum().alias('qty'))
+      .collect();
+    expect(fromArrow.toArray()).toEqual([
+      { symbol: 'AAPL', qty: 17 },
+      { symbol: 'MSFT', qty: -5 },
+      { symbol: 'GOOG', qty: 3 },
+    ]);
+  });
+
+  test('streams the file batch by batch', async () => {
+    const lazy = scanCsv(file('trades.csv'), { batchSize: 1 }).filter(
+      col('qty').gt(0),
+    );
+
+    const sizes = [];
+    for await (const batch of lazy.select(['symbol']).stream()) {
+      sizes.push(batch.rowCount);
+    }
+    expect(sizes).toEqual([1, 1, 1]);
+
+    const totals = await lazy
+      .groupBy('symbol')
+      .agg(col('qty').sum().alias('qty'), col('price').max().alias('high'))
+      .collect({ streaming: true });
+    expect(totals.toArray()).toEqual([
+      { symbol: 'AAPL', qty: 17, high: 188 },
+      { symbol: 'GOOG', qty: 3, high: 141.2 },
+    ]);
+  });
+
+  test('reports missing columns of the file', async () => {
+    await expect(
+      scanCsv(file('trades.csv')).select(['nope']).collect(),
+    ).rejects.toThrow("Column 'nope' not found");
+  });
+});
@@ -117,6 +117,25 @@ describe('DataFrame Group API', () => {
       expect(groupB.total).toBe(45);
       expect(groupB.ratio).toBe(45 / 6); // (20 + 25) / (2 + 4)
     });
+
+    test('should pass grouping options through', () => {
+      const df = new DataFrame({
+        year: [2024, null, 2023, 2024],
+        value: [1, 2, 3, 4],
+      });
+
+      const result = df
+        .group('year', { sort: true, dropna: true })
+        .sum('value');
+      expect(result.col('year').toArray()).toEqual([2023, 2024]);
+      expect(result.col('value_sum').toArray()).toEqual([3, 5]);
+      expect(
+        df
+          .groupAgg('year', { value: 'sum' }, { sort: true })
+          .col('year')
+          .toArray(),
+      ).toEqual([2023, 2024, null]);
+    });
   });
 
   /**
@@ -310,4 +329,14 @@ describe('DataFrame Group API', () => {
       expect(groupB.category_count).toBe(2);
     });
   });
+
+  describe('DataFrame.window', () => {
+    test('should return window functions aligned with the rows', () => {
+      const df = new DataFrame(sampleData);
+      const w = df.window({ partitionBy: 'category', orderBy: 'value' });
+
+      expect(w.rowNumber().toArray()).toEqual([1, 1, 2, 2, 1]);
+      expect(w.agg('count', 'sum').toArray()).toEqual([1, 2, 4, 6, 5]);
+    });
+  });
 });
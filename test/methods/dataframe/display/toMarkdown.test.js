@@ -0,0 +1,46 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { DataFrame } from '../../../../src/core/dataframe/DataFrame.js';
+import { registerDataFrameDisplay } from '../../../../src/methods/dataframe/display/register.js';
+
+describe('DataFrame toMarkdown method', () => {
+  beforeAll(() => {
+    registerDataFrameDisplay(DataFrame);
+  });
+
+  const df = new DataFrame({
+    name: ['Alice', 'Bob', 'Charlie'],
+    age: [25, 30, null],
+  });
+
+  it('renders a Markdown table', () => {
+    expect(df.toMarkdown()).toBe(
+      [
+        '| name | age |',
+        '| --- | --- |',
+        '| Alice | 25 |',
+        '| Bob | 30 |',
+        '| Charlie |  |',
+      ].join('\n'),
+    );
+  });
+
+  it('limits rows and columns', () => {
+    const lines = df.toMarkdown({ maxRows: 1, maxCols: 1 }).split('\n');
+
+    expect(lines).toEqual([
+      '| name | ... |',
+      '| --- | --- |',
+      '| Alice | ... |',
+      '| ... | ... |',
+    ]);
+  });
+
+  it('shows the labels of a non-default index', () => {
+    const labelled = new DataFrame({ age: [25, 30] }, { index: ['a|b', 'c'] });
+
+    expect(labelled.toMarkdown().split('\n')[2]).toBe('| a\\|b | 25 |');
+    expect(df.toMarkdown({ showIndex: true }).split('\n')[2]).toBe(
+      '| 0 | Alice | 25 |',
+    );
+  });
+});
@@ -2,9 +2,10 @@
  * Unit tests for filter method
  */
 
-import { describe, test, expect } from 'vitest';
+import { describe, test, expect, vi } from 'vitest';
 import { DataFrame } from '../../../../src/core/dataframe/DataFrame.js';
 import registerDataFrameFiltering from '../../../../src/methods/dataframe/filtering/register.js';
+import { col } from '../../../../src/core/expr/index.js';
 
 // Test data for use in all tests
 const testData = [
@@ -63,7 +64,27 @@ describe('Filter Method', () => {
     });
 
     test('should throw error for non-function input', () => {
-      expect(() => df.filter('age > 25')).toThrow();
+      expect(() => df.filter(25)).toThrow(
+        'Predicate must be a function, an expression or a string expression',
+      );
+    });
+
+    test('should parse string predicates instead of running them', () => {
+      vi.stubGlobal('Function', () => {
+        throw new Error('Function must not be called');
+      });
+      try {
+        const result = df.filter("row.age > 25 && city != 'Chicago'");
+        expect(result.col('name').toArray()).toEqual(['Bob']);
+        expect(() => df.filter('row.age > 25; globalThis.x = 1')).toThrow(
+          'Invalid filter expression',
+        );
+        expect(() => df.filter('row.height > 2')).toThrow(
+          'Invalid filter expression',
+        );
+      } finally {
+        vi.unstubAllGlobals();
+      }
     });
 
     test('should return a new DataFrame instance', () => {
@@ -82,10 +103,7 @@ describe('Filter Method', () => {
 
       // Use Int32Array for age and Float64Array for salary
       const typedDf = DataFrame.fromRecords(typedData, {
-        columns: {
-          age: { type: 'int32' },
-          salary: { type: 'float64' },
-        },
+        dtypes: { age: 'i32', salary: 'f64' },
       });
 
       // Filter the data
@@ -96,4 +114,24 @@ describe('Filter Method', () => {
       expect(result._columns.salary.vector.__data).toBeInstanceOf(Float64Array);
     });
   });
+
+  describe('with expressions', () => {
+    const df = DataFrame.fromRecords(testData);
+
+    test('filters with a boolean expression and keeps row labels', () => {
+      const result = df.filter(
+        col('age').gt(25).and(col('city').str.startsWith('S').not()),
+      );
+
+      expect(result.col('name').toArray()).toEqual(['Charlie']);
+      expect(result.index.toArray()).toEqual([2]);
+    });
+
+    test('treats null results as false', () => {
+      const withNulls = new DataFrame({ a: [1, null, 3] });
+      expect(withNulls.filter(col('a').gt(0)).col('a').toArray()).toEqual([
+        1, 3,
+      ]);
+    });
+  });
 });
@@ -0,0 +1,83 @@
+/**
+ * Unit tests for mask and take methods
+ */
+
+import { describe, test, expect, beforeAll } from 'vitest';
+import { DataFrame } from '../../../../src/core/dataframe/DataFrame.js';
+import { Series } from '../../../../src/core/dataframe/Series.js';
+import { register as registerMask } from '../../../../src/methods/dataframe/filtering/mask.js';
+import { register as registerTake } from '../../../../src/methods/dataframe/filtering/take.js';
+import { register as registerComparison } from '../../../../src/methods/series/ops/comparison.js';
+
+describe('DataFrame.mask / DataFrame.take', () => {
+  beforeAll(() => {
+    registerMask(DataFrame);
+    registerTake(DataFrame);
+    registerComparison(Series);
+  });
+
+  const createFrame = () =>
+    new DataFrame(
+      {
+        ticker: new Series(['AAPL', 'MSFT', 'AAPL', 'IBM'], {
+          dtype: 'category',
+        }),
+        price: [190, 410, 185, null],
+        volume: new Series([10, 20, 30, 40], { dtype: 'i32' }),
+      },
+      { index: ['a', 'b', 'c', 'd'] },
+    );
+
+  test('mask keeps rows where a comparison is true', () => {
+    const df = createFrame();
+    const result = df.mask(df.col('price').gt(186));
+
+    expect(result.col('price').toArray()).toEqual([190, 410]);
+    expect(result.col('ticker').toArray()).toEqual(['AAPL', 'MSFT']);
+    expect(result.index.toArray()).toEqual(['a', 'b']);
+  });
+
+  test('mask keeps column dtypes', () => {
+    const df = createFrame();
+    const result = df.mask([true, false, true, false]);
+
+    expect(result.dtypes).toEqual(df.dtypes);
+    expect(result.col('ticker').categories).toEqual(['AAPL', 'IBM', 'MSFT']);
+  });
+
+  test('null mask values count as false', () => {
+    const df = createFrame();
+    // price is null in the last row, so the comparison is null there
+    const result = df.mask(df.col('price').lt(1000));
+
+    expect(result.rowCount).toBe(3);
+  });
+
+  test('mask validates its input', () => {
+    const df = createFrame();
+
+    expect(() => df.mask([true])).toThrow(
+      'Mask length 1 does not match row count 4',
+    );
+    expect(() => df.mask('price > 0')).toThrow(
+      'Mask must be a boolean Series, array or TypedArray',
+    );
+  });
+
+  test('take selects rows by position in the given order', () => {
+    const df = createFrame();
+    const result = df.take([3, 0, -2]);
+
+    expect(result.col('volume').toArray()).toEqual([40, 10, 30]);
+    expect(result.col('volume').dtype).toBe('i32');
+    expect(result.col('price').toArray()).toEqual([null, 190, 185]);
+    expect(result.index.toArray()).toEqual(['d', 'a', 'c']);
+  });
+
+  test('take validates positions', () => {
+    const df = createFrame();
+
+    expect(() => df.take([4])).toThrow('Index 4 is out of bounds for length 4');
+    expect(() => df.take([0.5])).toThrow('Index 0.5 is not an integer');
+  });
+});
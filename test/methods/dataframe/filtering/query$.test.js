@@ -0,0 +1,134 @@
+/**
+ * Unit tests for query$ method
+ */
+
+import { describe, test, expect } from 'vitest';
+import { DataFrame } from '../../../../src/core/dataframe/DataFrame.js';
+import { register as registerQuery$ } from '../../../../src/methods/dataframe/filtering/query$.js';
+
+// Test data for use in all tests
+const testData = [
+  { name: 'Alice', age: 25, city: 'New York', salary: 70000 },
+  { name: 'Bob', age: 30, city: 'San Francisco', salary: 85000 },
+  { name: 'Charlie', age: 35, city: 'Chicago', salary: 90000 },
+];
+
+describe('Query$ Method', () => {
+  // Register query$ method for DataFrame
+  registerQuery$(DataFrame);
+
+  describe('with standard storage', () => {
+    // Create DataFrame using fromRecords
+    const df = DataFrame.fromRecords(testData);
+
+    test('should filter rows based on a simple condition', () => {
+      const result = df.query$`age > 25`;
+
+      // Check that the filtered data is correct
+      expect(result.rowCount).toBe(2);
+      expect(result.toArray()).toEqual([
+        { name: 'Bob', age: 30, city: 'San Francisco', salary: 85000 },
+        { name: 'Charlie', age: 35, city: 'Chicago', salary: 90000 },
+      ]);
+    });
+
+    test('should handle complex conditions with logical operators', () => {
+      const result = df.query$`age > 25 && salary > 85000`;
+
+      // Check that the filtered data is correct
+      expect(result.rowCount).toBe(1);
+      expect(result.toArray()).toEqual([
+        { name: 'Charlie', age: 35, city: 'Chicago', salary: 90000 },
+      ]);
+    });
+
+    test('should handle string methods with _includes syntax', () => {
+      const result = df.query$`city_includes("Francisco")`;
+
+      // Check that the filtered data is correct
+      expect(result.rowCount).toBe(1);
+      expect(result.toArray()).toEqual([
+        { name: 'Bob', age: 30, city: 'San Francisco', salary: 85000 },
+      ]);
+    });
+
+    test('should handle string methods with _startsWith syntax', () => {
+      const result = df.query$`city_startsWith("Chi")`;
+
+      // Check that the filtered data is correct
+      expect(result.rowCount).toBe(1);
+      expect(result.toArray()).toEqual([
+        { name: 'Charlie', age: 35, city: 'Chicago', salary: 90000 },
+      ]);
+    });
+
+    test('should handle string methods with _endsWith syntax', () => {
+      const result = df.query$`city_endsWith("York")`;
+
+      // Check that the filtered data is correct
+      expect(result.rowCount).toBe(1);
+      expect(result.toArray()).toEqual([
+        { name: 'Alice', age: 25, city: 'New York', salary: 70000 },
+      ]);
+    });
+
+    test('should return empty DataFrame when no rows match', () => {
+      const result = df.query$`age > 100`;
+
+      // Should have all columns but no rows
+      expect(result.columns.sort()).toEqual(
+        ['age', 'city', 'name', 'salary'].sort(),
+      );
+      expect(result.rowCount).toBe(0);
+    });
+
+    test('should throw error for invalid expression', () => {
+      expect(() => df.query$`age >< 25`).toThrow();
+    });
+
+    test('should return a new DataFrame instance', () => {
+      const result = df.query$`age > 25`;
+      expect(result).toBeInstanceOf(DataFrame);
+      expect(result).not.toBe(df); // Should be a new instance
+    });
+
+    test('should keep the row labels of matching rows', () => {
+      const indexed = DataFrame.fromRecords(testData, {
+        index: ['a', 'b', 'c'],
+      });
+      const result = indexed.query$`age > 25`;
+
+      expect(result.index.toArray()).toEqual(['b', 'c']);
+    });
+
+    test('should handle template literal interpolation', () => {
+      const minAge = 30;
+      const result = df.query$`age >= ${minAge}`;
+
+      // Check that the filtered data is correct
+      expect(result.rowCount).toBe(2);
+      expect(result.toArray()).toEqual([
+        { name: 'Bob', age: 30, city: 'San Francisco', salary: 85000 },
+        { name: 'Charlie', age: 35, city: 'Chicago', salary: 90000 },
+      ]);
+    });
+  });
+
+  describe('interpolation', () => {
+    const df = DataFrame.fromRecords(testData);
+
+    test('passes interpolated values as data', () => {
+      const cities = ['Chicago', 'New York'];
+      expect(df.query$`city in ${cities}`.rowCount).toBe(2);
+
+      const hostile = '" || true || "';
+      expect(df.query$`name == ${hostile}`.rowCount).toBe(0);
+    });
+
+    test('reports errors instead of dropping rows', () => {
+      expect(() => df.query$`age > 25 && ${'x'}.nope()`).toThrow(
+        "Unknown method 'nope'",
+      );
+    });
+  });
+});
@@ -23,10 +23,7 @@ describe('Query Method', () => {
 
     // Create DataFrame with typed arrays for testing type preservation
     const typedDf = DataFrame.fromRecords(testData, {
-      columns: {
-        age: { type: 'int32' },
-        salary: { type: 'float64' },
-      },
+      dtypes: { age: 'i32', salary: 'f64' },
     });
 
     test('should filter rows using a simple query', () => {
@@ -115,4 +112,32 @@ describe('Query Method', () => {
       ]);
     });
   });
+
+  describe('query grammar', () => {
+    const df = DataFrame.fromRecords(testData);
+
+    test('supports IN, BETWEEN and LIKE', () => {
+      const result = df.query(
+        "city IN ('Chicago', 'New York') AND salary BETWEEN 60000 AND 80000",
+      );
+      expect(result.col('name').toArray()).toEqual(['Alice']);
+
+      expect(df.query("city LIKE 'San%'").col('name').toArray()).toEqual([
+        'Bob',
+      ]);
+    });
+
+    test('resolves @variables from options.vars', () => {
+      const result = df.query('age >= @min and city in @cities', {
+        vars: { min: 30, cities: ['Chicago'] },
+      });
+      expect(result.col('name').toArray()).toEqual(['Charlie']);
+    });
+
+    test('reports unknown columns with their position', () => {
+      expect(() => df.query('age > 25 and town == "Paris"')).toThrow(
+        "Unknown column 'town' at position 13",
+      );
+    });
+  });
 });
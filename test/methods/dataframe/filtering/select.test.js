@@ -5,6 +5,7 @@
 import { describe, test, expect } from 'vitest';
 import { DataFrame } from '../../../../src/core/dataframe/DataFrame.js';
 import { registerDataFrameFiltering } from '../../../../src/methods/dataframe/filtering/register.js';
+import { col } from '../../../../src/core/expr/index.js';
 
 // Register filtering methods on DataFrame
 registerDataFrameFiltering(DataFrame);
@@ -23,10 +24,7 @@ describe('Select Method', () => {
 
     // Create DataFrame with typed arrays for testing type preservation
     const typedDf = DataFrame.fromRecords(testData, {
-      columns: {
-        age: { type: 'int32' },
-        salary: { type: 'float64' },
-      },
+      dtypes: { age: 'i32', salary: 'f64' },
     });
 
     test('should select specific columns', () => {
@@ -76,4 +74,25 @@ describe('Select Method', () => {
       expect(result._columns.salary.vector.__data).toBeInstanceOf(Float64Array);
     });
   });
+
+  describe('with expressions', () => {
+    const df = DataFrame.fromRecords(testData);
+
+    test('evaluates expressions next to plain columns', () => {
+      const result = df.select(
+        'name',
+        col('salary').div(12).round(0).alias('monthly'),
+      );
+
+      expect(result.columns).toEqual(['name', 'monthly']);
+      expect(result.col('monthly').toArray()).toEqual([5833, 7083, 7500]);
+      expect(result.col('name').toArray()).toEqual(['Alice', 'Bob', 'Charlie']);
+    });
+
+    test('reports unknown columns inside expressions', () => {
+      expect(() => df.select([col('bonus').mul(2)])).toThrow(
+        "Column 'bonus' not found",
+      );
+    });
+  });
 });
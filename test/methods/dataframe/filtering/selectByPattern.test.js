@@ -41,10 +41,7 @@ describe('SelectByPattern Method', () => {
 
     // Create DataFrame with typed arrays for testing type preservation
     const typedDf = DataFrame.fromRecords(testData, {
-      columns: {
-        age: { type: 'int32' },
-        salary: { type: 'float64' },
-      },
+      dtypes: { age: 'i32', salary: 'f64' },
     });
 
     test('should select columns matching a pattern', () => {
@@ -173,10 +173,7 @@ describe('Where Method', () => {
     test('should preserve Float64Array for salary', () => {
       // Create DataFrame with typed arrays
       const typedDf = DataFrame.fromRecords(testData, {
-        columns: {
-          age: { type: 'int32' },
-          salary: { type: 'float64' },
-        },
+        dtypes: { age: 'i32', salary: 'f64' },
       });
 
       // Filter data
@@ -30,10 +30,7 @@ describe('Sample Method', () => {
 
     // Create DataFrame with typed arrays for testing type preservation
     const typedDf = DataFrame.fromRecords(testData.slice(0, 5), {
-      columns: {
-        age: { type: 'int32' },
-        salary: { type: 'float64' },
-      },
+      dtypes: { age: 'i32', salary: 'f64' },
     });
 
     test('should select a random sample of rows', () => {
@@ -0,0 +1,100 @@
+/**
+ * Unit tests for setIndex, resetIndex and reindex methods
+ */
+
+import { describe, it, expect } from 'vitest';
+import { DataFrame } from '../../../../src/core/dataframe/DataFrame.js';
+import { MultiIndex } from '../../../../src/core/dataframe/Index.js';
+import { registerDataFrameIndexing } from '../../../../src/methods/dataframe/indexing/register.js';
+import { registerDataFrameFiltering } from '../../../../src/methods/dataframe/filtering/register.js';
+
+const testData = [
+  { id: 'a', group: 'x', value: 10 },
+  { id: 'b', group: 'x', value: 20 },
+  { id: 'c', group: 'y', value: 30 },
+];
+
+describe('DataFrame row index', () => {
+  registerDataFrameIndexing(DataFrame);
+  registerDataFrameFiltering(DataFrame);
+
+  const df = DataFrame.fromRecords(testData);
+
+  describe('setIndex()', () => {
+    it('should move a column into the index', () => {
+      const result = df.setIndex('id');
+
+      expect(result.columns).toEqual(['group', 'value']);
+      expect(result.index.toArray()).toEqual(['a', 'b', 'c']);
+      expect(result.index.name).toBe('id');
+    });
+
+    it('should keep the column when drop is false', () => {
+      const result = df.setIndex('id', { drop: false });
+
+      expect(result.columns).toEqual(['id', 'group', 'value']);
+    });
+
+    it('should build a MultiIndex from several columns', () => {
+      const result = df.setIndex(['group', 'id']);
+
+      expect(result.index).toBeInstanceOf(MultiIndex);
+      expect(result.index.get(2)).toEqual(['y', 'c']);
+    });
+
+    it('should throw for unknown columns', () => {
+      expect(() => df.setIndex('missing')).toThrow(
+        "Column 'missing' not found",
+      );
+    });
+  });
+
+  describe('label lookups', () => {
+    const indexed = df.setIndex('id');
+
+    it('should select rows by label with loc', () => {
+      expect(indexed.loc('b')).toEqual({ group: 'x', value: 20 });
+      expect(indexed.loc(['c', 'a'], 'value').col('value').toArray()).toEqual([
+        30, 10,
+      ]);
+    });
+
+    it('should keep labels through filtering and slicing', () => {
+      expect(indexed.where('value', '>', 15).index.toArray()).toEqual([
+        'b',
+        'c',
+      ]);
+      expect(indexed.tail(1, { print: false }).index.toArray()).toEqual(['c']);
+    });
+  });
+
+  describe('resetIndex()', () => {
+    it('should insert the index as the first column', () => {
+      const result = df.setIndex('id').resetIndex();
+
+      expect(result.columns).toEqual(['id', 'group', 'value']);
+      expect(result.index.isDefault).toBe(true);
+    });
+
+    it('should discard labels when drop is true', () => {
+      const result = df.setIndex('id').resetIndex({ drop: true });
+
+      expect(result.columns).toEqual(['group', 'value']);
+    });
+  });
+
+  describe('reindex()', () => {
+    it('should reorder rows and fill missing labels', () => {
+      const result = df.setIndex('id').reindex(['c', 'z'], { fillValue: 0 });
+
+      expect(result.index.toArray()).toEqual(['c', 'z']);
+      expect(result.col('value').toArray()).toEqual([30, 0]);
+    });
+
+    it('should refuse duplicate labels', () => {
+      expect(() => df.setIndex('group').reindex(['x'])).toThrow(
+        'Cannot reindex on an index with duplicate labels',
+      );
+    });
+  });
+});
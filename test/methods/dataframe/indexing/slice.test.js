@@ -0,0 +1,68 @@
+/**
+ * Unit tests for slice method and zero-copy head/tail/iloc
+ */
+
+import { describe, test, expect, beforeAll } from 'vitest';
+import { DataFrame } from '../../../../src/core/dataframe/DataFrame.js';
+import { Series } from '../../../../src/core/dataframe/Series.js';
+import { registerDataFrameIndexing } from '../../../../src/methods/dataframe/indexing/register.js';
+
+describe('DataFrame.slice', () => {
+  beforeAll(() => {
+    registerDataFrameIndexing(DataFrame);
+  });
+
+  const createFrame = () =>
+    new DataFrame(
+      {
+        price: [10, 20, 30, 40, 50],
+        volume: new Series([1, null, 3, 4, 5], { dtype: 'i32' }),
+        ticker: new Series(['A', 'B', 'A', 'C', 'B'], { dtype: 'category' }),
+      },
+      { index: ['a', 'b', 'c', 'd', 'e'] },
+    );
+
+  test('returns rows [start, end) with their labels and dtypes', () => {
+    const df = createFrame();
+    const page = df.slice(1, 3);
+
+    expect(page.col('price').toArray()).toEqual([20, 30]);
+    expect(page.col('volume').toArray()).toEqual([null, 3]);
+    expect(page.col('ticker').toArray()).toEqual(['B', 'A']);
+    expect(page.index.toArray()).toEqual(['b', 'c']);
+    expect(page.dtypes).toEqual(df.dtypes);
+    expect(df.slice(-2).col('price').toArray()).toEqual([40, 50]);
+  });
+
+  test('head, tail and iloc share memory with the source', () => {
+    const df = createFrame();
+    const buffer = df.col('price').vector._data.buffer;
+
+    expect(df.head(2).col('price').vector._data.buffer).toBe(buffer);
+    expect(df.tail(2).col('price').vector._data.buffer).toBe(buffer);
+    expect(df.iloc([1, 2, 3]).col('price').vector._data.buffer).toBe(buffer);
+    expect(df.iloc([3, 1]).col('price').toArray()).toEqual([40, 20]);
+  });
+
+  test('writing to a view copies instead of changing the source', () => {
+    const df = createFrame();
+    const page = df.head(2);
+
+    page.col('price').set(0, 99);
+    page.col('ticker').set(1, 'C');
+
+    expect(page.col('price').toArray()).toEqual([99, 20]);
+    expect(df.col('price').toArray()).toEqual([10, 20, 30, 40, 50]);
+    expect(df.col('ticker').toArray()).toEqual(['A', 'B', 'A', 'C', 'B']);
+  });
+
+  test('writing to the source leaves existing views unchanged', () => {
+    const df = createFrame();
+    const page = df.tail(2);
+
+    df.col('volume').set(4, null);
+
+    expect(df.col('volume').toArray()).toEqual([1, null, 3, 4, null]);
+    expect(page.col('volume').toArray()).toEqual([4, 5]);
+  });
+});
@@ -121,4 +121,62 @@ describe('DataFrame.assign', () => {
     expect(result.col('value').toArray()).toEqual(newValues); // New DataFrame has updated values
     expect(df.col('value').toArray()[0]).toBe(originalValue); // Original DataFrame unchanged
   });
+
+  test('shares unchanged columns with the result', () => {
+    // Arrange
+    const df = new DataFrame(testData);
+
+    // Act
+    const result = df.assign({ newCol: [1, 2, 3, 4, 5] });
+
+    // Assert
+    for (const col of df.columns) {
+      expect(result.col(col).toArray()).toEqual(df.col(col).toArray());
+    }
+    expect(result.col('value').vector._data).toBe(df.col('value').vector._data);
+    expect(df.columns).not.toContain('newCol');
+  });
+
+  test('shares the storage of an assigned Series', () => {
+    // Arrange
+    const df = new DataFrame(testData);
+    const other = new DataFrame({ x: [1, 2, 3, 4, 5] });
+
+    // Act
+    const result = df.assign({ x: other.col('x') });
+
+    // Assert
+    expect(result.col('x').vector._data).toBe(other.col('x').vector._data);
+  });
+
+  test('writes through the result leave the input unchanged', () => {
+    // Arrange
+    const df = new DataFrame(testData);
+    const result = df.assign({ c: [1, 2, 3, 4, 5] });
+
+    // Act
+    result.col('value').set(0, 99);
+    result.col('category').set(1, 'Z');
+    df.col('value').set(2, -1);
+
+    // Assert
+    expect(df.col('value').toArray()).toEqual([10, 20, -1, 40, 50]);
+    expect(df.col('category').toArray()).toEqual(['A', 'B', 'A', 'C', 'B']);
+    expect(result.col('value').toArray()).toEqual([99, 20, 30, 40, 50]);
+    expect(result.col('category').get(1)).toBe('Z');
+  });
+
+  test('modifies the DataFrame in place with inplace=true', () => {
+    // Arrange
+    const df = new DataFrame(testData);
+    const value = df.col('value');
+
+    // Act
+    const result = df.assign({ newCol: 1 }, { inplace: true });
+
+    // Assert
+    expect(result).toBe(df);
+    expect(df.columns).toEqual(['value', 'category', 'mixed', 'newCol']);
+    expect(df.col('value')).toBe(value);
+  });
 });
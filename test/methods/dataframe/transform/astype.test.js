@@ -0,0 +1,64 @@
+import { describe, test, expect, beforeAll } from 'vitest';
+import { DataFrame } from '../../../../src/core/dataframe/DataFrame.js';
+import { register as registerAstype } from '../../../../src/methods/dataframe/transform/astype.js';
+
+// Register astype method on DataFrame prototype before tests
+beforeAll(() => {
+  registerAstype(DataFrame);
+});
+
+// Test data to be used in all tests
+const testData = {
+  id: [1, 2, null],
+  price: [9.5, 10, 11.25],
+  active: [1, 0, 1],
+};
+
+describe('DataFrame.astype', () => {
+  test('reports column dtypes', () => {
+    const df = new DataFrame(testData);
+
+    expect(df.dtypes).toEqual({ id: 'i32', price: 'f64', active: 'i32' });
+  });
+
+  test('casts selected columns', () => {
+    const df = new DataFrame(testData);
+
+    const result = df.astype({ id: 'i32', active: 'bool' });
+
+    expect(result.dtypes).toEqual({ id: 'i32', price: 'f64', active: 'bool' });
+    expect(result.col('id').toArray()).toEqual([1, 2, null]);
+    expect(result.col('active').toArray()).toEqual([true, false, true]);
+    // Untouched columns are shared, not copied
+    expect(result.col('price').vector._data).toBe(df.col('price').vector._data);
+  });
+
+  test('casts every column to a single dtype', () => {
+    const df = new DataFrame({ a: [1, 2], b: [3, 4] });
+
+    expect(df.astype('str').dtypes).toEqual({ a: 'str', b: 'str' });
+  });
+
+  test('accepts dtypes in the constructor', () => {
+    const df = new DataFrame(testData, { dtypes: { id: 'u8' } });
+
+    expect(df.col('id').dtype).toBe('u8');
+    expect(df.col('id').toArray()).toEqual([1, 2, null]);
+  });
+
+  test('throws on lossy casts with the column name', () => {
+    const df = new DataFrame(testData);
+
+    expect(() => df.astype({ price: 'i32' })).toThrow(
+      "Column 'price': Cannot cast 9.5 at position 0 to i32",
+    );
+  });
+
+  test('throws for unknown columns', () => {
+    const df = new DataFrame(testData);
+
+    expect(() => df.astype({ missing: 'i32' })).toThrow(
+      "Column 'missing' not found",
+    );
+  });
+});
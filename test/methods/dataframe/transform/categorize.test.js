@@ -171,4 +171,19 @@ describe('DataFrame.categorize', () => {
       result2.col('value_categorized').toArray(),
     );
   });
+
+  test('can store the result as a categorical column', () => {
+    // Arrange
+    const df = new DataFrame(testData);
+    const categories = { 10: 'Low', 20: 'Low', 30: 'Medium', 50: 'High' };
+
+    // Act
+    const result = df.categorize('value', categories, { categorical: true });
+    const column = result.col('value_categorized');
+
+    // Assert
+    expect(column.dtype).toBe('category');
+    expect(column.categories).toEqual(['Low', 'Medium', 'High']);
+    expect(column.toArray()).toEqual(['Low', 'Low', 'Medium', null, 'High']);
+  });
 });
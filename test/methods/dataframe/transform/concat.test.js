@@ -0,0 +1,97 @@
+import { describe, test, expect } from 'vitest';
+import { DataFrame } from '../../../../src/core/dataframe/DataFrame.js';
+import { concat } from '../../../../src/methods/dataframe/transform/concat.js';
+
+describe('concat', () => {
+  const jan = new DataFrame(
+    { id: [1, 2], qty: [10, 20] },
+    { dtypes: { id: 'i32', qty: 'i32' } },
+  );
+  const feb = new DataFrame(
+    { id: [3], qty: [2.5], note: ['late'] },
+    { dtypes: { id: 'i16' } },
+  );
+
+  test('appends rows and promotes dtypes', () => {
+    const result = concat([jan, feb]);
+
+    expect(result.columns).toEqual(['id', 'qty', 'note']);
+    expect(result.col('id').toArray()).toEqual([1, 2, 3]);
+    expect(result.col('id').vector.dtype).toBe('i32');
+    expect(result.col('qty').toArray()).toEqual([10, 20, 2.5]);
+    expect(result.col('qty').vector.dtype).toBe('f64');
+    // Missing columns are null in the frames without them
+    expect(result.col('note').toArray()).toEqual([null, null, 'late']);
+    expect(result.index.isDefault).toBe(true);
+  });
+
+  test('inner join keeps the shared columns only', () => {
+    const result = concat([feb, jan], { join: 'inner' });
+    expect(result.columns).toEqual(['id', 'qty']);
+    expect(result.col('qty').toArray()).toEqual([2.5, 10, 20]);
+  });
+
+  test('keeps dates, categories and nulls', () => {
+    const day = (d) => new Date(`2024-01-${d}`);
+    const a = new DataFrame(
+      { date: [day('01'), null], city: ['x', 'y'] },
+      { dtypes: { city: 'category' } },
+    );
+    const b = new DataFrame(
+      { date: [day('03')], city: ['z'] },
+      { dtypes: { city: 'category' } },
+    );
+    const result = concat([a, b]);
+
+    expect(result.col('date').vector.dtype).toBe('ts_ms');
+    expect(result.col('date').toArray()).toEqual([day('01'), null, day('03')]);
+    expect(result.col('city').vector.dtype).toBe('category');
+    expect(result.col('city').vector.categories).toEqual(['x', 'y', 'z']);
+    expect(result.col('city').toArray()).toEqual(['x', 'y', 'z']);
+  });
+
+  test('labels: kept, ignored or under keys', () => {
+    const a = new DataFrame({ v: [1, 2] }, { index: ['a', 'b'] });
+    const b = new DataFrame({ v: [3] }, { index: ['c'] });
+
+    expect(concat([a, b]).index.toArray()).toEqual(['a', 'b', 'c']);
+    expect(concat([a, b], { ignoreIndex: true }).index.isDefault).toBe(true);
+
+    const keyed = concat([a, b], { keys: ['x', 'y'] });
+    expect(keyed.index.toArray()).toEqual([
+      ['x', 'a'],
+      ['x', 'b'],
+      ['y', 'c'],
+    ]);
+  });
+
+  test('places columns side by side', () => {
+    const prices = new DataFrame({ price: [1, 2] });
+    const sizes = new DataFrame({ size: [3, 4] });
+    const result = concat([prices, sizes], { axis: 1 });
+    expect(result.toArray()).toEqual([
+      { price: 1, size: 3 },
+      { price: 2, size: 4 },
+    ]);
+
+    const keyed = concat([prices, prices], { axis: 1, keys: ['a', 'b'] });
+    expect(keyed.columns).toEqual(['a_price', 'b_price']);
+  });
+
+  test('rejects invalid input', () => {
+    expect(() => concat([])).toThrow(
+      'concat() expects a non-empty array of DataFrames',
+    );
+    expect(() => concat([jan], { axis: 2 })).toThrow('Invalid axis: 2');
+    expect(() => concat([jan], { join: 'left' })).toThrow('Invalid join: left');
+    expect(() => concat([jan, feb], { keys: ['a'] })).toThrow(
+      'keys must have one entry per frame',
+    );
+    expect(() => concat([jan, feb], { axis: 1 })).toThrow(
+      'concat() along axis 1 needs frames with the same number of rows, got 2 and 1',
+    );
+    expect(() => concat([jan, jan], { axis: 1 })).toThrow(
+      "Column 'id' is in more than one frame",
+    );
+  });
+});
@@ -1,5 +1,6 @@
 import { describe, test, expect, beforeAll } from 'vitest';
 import { DataFrame } from '../../../../src/core/dataframe/DataFrame.js';
+import { Series } from '../../../../src/core/dataframe/Series.js';
 import { join } from '../../../../src/methods/dataframe/transform/join.js';
 
 // Register join method on DataFrame prototype before tests
@@ -76,13 +77,13 @@ describe('DataFrame.join', () => {
       'Dave',
     ]);
 
-    // The age for id=4 should be null (NaN in TypedArray)
+    // The age for id=4 is null: the right side has no match
     const ageValues = result.col('age').toArray();
     expect(ageValues[0]).toBe(25);
     expect(ageValues[1]).toBe(30);
     expect(ageValues[2]).toBe(35);
-    // Missing values are represented as NaN
-    expect(Number.isNaN(ageValues[3])).toBe(true);
+    // Missing values are null, not NaN
+    expect(ageValues[3]).toBe(null);
   });
 
   test('throws error with invalid join type', () => {
@@ -134,7 +135,7 @@ describe('DataFrame.join', () => {
     expect(idValues).toContain(3);
     expect(idValues).toContain(5);
 
-    // Check name values - the name for id=5 should be NaN
+    // Check name values - the name for id=5 should be null
     const nameValues = result.col('name').toArray();
     const ageValues = result.col('age').toArray();
 
@@ -213,7 +214,7 @@ describe('DataFrame.join', () => {
     expect(ageValues[idx1]).toBe(25);
     expect(ageValues[idx2]).toBe(30);
     expect(ageValues[idx3]).toBe(35);
-    expect(Number.isNaN(ageValues[idx4])).toBe(true); // age for id=4 should be NaN
+    expect(ageValues[idx4]).toBe(null); // age for id=4 should be null
     expect(ageValues[idx5]).toBe(40);
   });
 
@@ -271,4 +272,215 @@ describe('DataFrame.join', () => {
     expect(valueValues[idx2A]).toBe(30);
     expect(scoreValues[idx2A]).toBe(300);
   });
+
+  test('joins categorical key columns on their codes', () => {
+    const trades = new DataFrame({
+      ticker: new Series(['MSFT', 'AAPL', 'IBM', 'MSFT'], {
+        dtype: 'category',
+      }),
+      qty: [1, 2, 3, 4],
+    });
+    const sectors = new DataFrame({
+      ticker: new Series(['AAPL', 'MSFT', 'XOM'], {
+        dtype: 'category',
+        categories: ['XOM', 'MSFT', 'AAPL'],
+      }),
+      sector: ['Tech', 'Software', 'Energy'],
+    });
+
+    const inner = trades.join(sectors, 'ticker', 'inner');
+    expect(inner.col('qty').toArray()).toEqual([1, 2, 4]);
+    expect(inner.col('sector').toArray()).toEqual([
+      'Software',
+      'Tech',
+      'Software',
+    ]);
+
+    const outer = trades.join(sectors, 'ticker', 'outer');
+    expect(outer.col('ticker').toArray()).toEqual([
+      'MSFT',
+      'AAPL',
+      'IBM',
+      'MSFT',
+      'XOM',
+    ]);
+  });
+});
+
+describe('join types, validate and indicator', () => {
+  const orders = new DataFrame({
+    id: [1, 2, 2, 4],
+    qty: [10, 20, 30, 40],
+  });
+  const customers = new DataFrame({
+    id: [1, 2, 3],
+    name: ['Ann', 'Bob', 'Cid'],
+  });
+  const joinFrames = join();
+
+  test('semi and anti joins filter the left rows', () => {
+    const semi = joinFrames(orders, customers, { on: 'id', how: 'semi' });
+    expect(semi.columns).toEqual(['id', 'qty']);
+    expect(semi.col('qty').toArray()).toEqual([10, 20, 30]);
+
+    // Each left row at most once, whatever the number of matches
+    const twice = joinFrames(customers, orders, { on: 'id', how: 'semi' });
+    expect(twice.col('name').toArray()).toEqual(['Ann', 'Bob']);
+
+    const anti = joinFrames(orders, customers, { on: 'id', how: 'anti' });
+    expect(anti.toArray()).toEqual([{ id: 4, qty: 40 }]);
+  });
+
+  test('cross join pairs every row with every row', () => {
+    const sizes = new DataFrame({ size: ['S', 'L'] });
+    const colors = new DataFrame({ color: ['red', 'blue', 'green'] });
+    const result = joinFrames(sizes, colors, { how: 'cross' });
+
+    expect(result.rowCount).toBe(6);
+    expect(result.col('size').toArray()).toEqual([
+      'S',
+      'S',
+      'S',
+      'L',
+      'L',
+      'L',
+    ]);
+    expect(result.col('color').toArray()).toEqual([
+      'red',
+      'blue',
+      'green',
+      'red',
+      'blue',
+      'green',
+    ]);
+
+    const self = joinFrames(sizes, sizes, { how: 'cross' });
+    expect(self.columns).toEqual(['size_x', 'size_y']);
+    expect(() =>
+      joinFrames(sizes, colors, { how: 'cross', on: 'size' }),
+    ).toThrow('A cross join takes no join columns');
+  });
+
+  test('validate throws on duplicate keys', () => {
+    expect(() =>
+      joinFrames(orders, customers, { on: 'id', validate: 'many_to_one' }),
+    ).not.toThrow();
+    expect(() =>
+      joinFrames(orders, customers, { on: 'id', validate: 'one_to_many' }),
+    ).toThrow(
+      "Join keys are not unique in the left DataFrame (validate: 'one_to_many')",
+    );
+    expect(() =>
+      joinFrames(customers, orders, { on: 'id', validate: 'one_to_one' }),
+    ).toThrow('Join keys are not unique in the right DataFrame');
+    expect(() =>
+      joinFrames(orders, customers, { on: 'id', validate: '1:1' }),
+    ).toThrow('Invalid validate option: 1:1');
+  });
+
+  test('indicator reports where each row came from', () => {
+    const result = joinFrames(orders, customers, {
+      on: 'id',
+      how: 'outer',
+      indicator: true,
+    });
+    expect(result.col('_merge').toArray()).toEqual([
+      'both',
+      'both',
+      'both',
+      'left_only',
+      'right_only',
+    ]);
+
+    const named = joinFrames(orders, customers, {
+      on: 'id',
+      how: 'left',
+      indicator: 'source',
+    });
+    expect(named.col('source').toArray()).toEqual([
+      'both',
+      'both',
+      'both',
+      'left_only',
+    ]);
+    expect(() =>
+      joinFrames(orders, customers, { on: 'id', indicator: 'qty' }),
+    ).toThrow("Indicator column 'qty' already exists");
+  });
+});
+
+describe('join keys and strategies', () => {
+  const joinFrames = join();
+
+  test('keys keep their type and null keys never match', () => {
+    const left = new DataFrame({ key: [1, '1', null], a: [1, 2, 3] });
+    const right = new DataFrame({ key: ['1', null], b: [10, 20] });
+
+    const inner = joinFrames(left, right, { on: 'key' });
+    expect(inner.toArray()).toEqual([{ key: '1', a: 2, b: 10 }]);
+
+    const anti = joinFrames(left, right, { on: 'key', how: 'anti' });
+    expect(anti.col('a').toArray()).toEqual([1, 3]);
+  });
+
+  test('matches dates by time', () => {
+    const left = new DataFrame({
+      date: [new Date('2024-01-01'), new Date('2024-01-02')],
+      qty: [1, 2],
+    });
+    const right = new DataFrame({
+      date: [new Date('2024-01-02')],
+      price: [9.5],
+    });
+    const result = joinFrames(left, right, { on: 'date', how: 'left' });
+    expect(result.col('price').toArray()).toEqual([null, 9.5]);
+  });
+
+  test('unmatched rows are null and columns keep their dtype', () => {
+    const left = new DataFrame(
+      { id: [1, 2], qty: [5, 6] },
+      { dtypes: { qty: 'i32' } },
+    );
+    const right = new DataFrame(
+      { id: [2, 3], price: [1.5, 2.5] },
+      { dtypes: { price: 'f64' } },
+    );
+    const outer = joinFrames(left, right, { on: 'id', how: 'outer' });
+
+    expect(outer.col('id').toArray()).toEqual([1, 2, 3]);
+    expect(outer.col('qty').toArray()).toEqual([5, 6, null]);
+    expect(outer.col('price').toArray()).toEqual([null, 1.5, 2.5]);
+    expect(outer.col('qty').vector.dtype).toBe('i32');
+    expect(outer.col('price').vector.dtype).toBe('f64');
+  });
+
+  test('sort-merge gives the same rows as hashing', () => {
+    const left = new DataFrame({ id: [1, 2, 2, 4, null], a: [1, 2, 3, 4, 5] });
+    const right = new DataFrame({ id: [2, 2, 3, 4], b: [6, 7, 8, 9] });
+
+    for (const how of ['inner', 'left', 'right', 'outer', 'semi', 'anti']) {
+      const hashed = joinFrames(left, right, {
+        on: 'id',
+        how,
+        strategy: 'hash',
+      });
+      const merged = joinFrames(left, right, {
+        on: 'id',
+        how,
+        strategy: 'sortMerge',
+      });
+      expect(merged.toArray()).toEqual(hashed.toArray());
+    }
+  });
+
+  test('rejects a sort-merge of unsorted keys and unknown strategies', () => {
+    const sorted = new DataFrame({ id: [1, 2] });
+    const unsorted = new DataFrame({ id: [2, 1] });
+    expect(() =>
+      joinFrames(sorted, unsorted, { on: 'id', strategy: 'sortMerge' }),
+    ).toThrow('A sortMerge join needs one key column');
+    expect(() =>
+      joinFrames(sorted, unsorted, { on: 'id', strategy: 'fast' }),
+    ).toThrow('Invalid join strategy: fast');
+  });
 });
@@ -0,0 +1,111 @@
+import { describe, test, expect } from 'vitest';
+import { DataFrame } from '../../../../src/core/dataframe/DataFrame.js';
+import { joinAsof } from '../../../../src/methods/dataframe/transform/joinAsof.js';
+
+describe('joinAsof', () => {
+  const trades = new DataFrame({
+    time: [1, 5, 10, 3],
+    symbol: ['A', 'A', 'B', 'B'],
+    qty: [100, 200, 300, 400],
+  });
+  const quotes = new DataFrame({
+    time: [0, 2, 2, 4, 6, 9],
+    symbol: ['A', 'B', 'A', 'A', 'B', 'B'],
+    bid: [9.9, 20.1, 10, 10.1, 20.3, 20.2],
+  });
+
+  test('matches the latest right row of the same group', () => {
+    const result = joinAsof(trades, quotes, { on: 'time', by: 'symbol' });
+
+    expect(result.columns).toEqual(['time', 'symbol', 'qty', 'bid']);
+    expect(result.col('time').toArray()).toEqual([1, 5, 10, 3]);
+    // time 9 sorts after 6 even though the right side is not sorted
+    expect(result.col('bid').toArray()).toEqual([9.9, 10.1, 20.2, 20.1]);
+  });
+
+  test('forward and nearest directions', () => {
+    const forward = joinAsof(trades, quotes, {
+      on: 'time',
+      by: 'symbol',
+      direction: 'forward',
+    });
+    expect(forward.col('bid').toArray()).toEqual([10, null, null, 20.3]);
+
+    const near = joinAsof(trades, quotes, {
+      on: 'time',
+      by: 'symbol',
+      direction: 'nearest',
+    });
+    // time 1 is as close to 0 as to 2: ties go backward
+    expect(near.col('bid').toArray()).toEqual([9.9, 10.1, 20.2, 20.1]);
+  });
+
+  test('tolerance and exact matches', () => {
+    const close = joinAsof(trades, quotes, {
+      on: 'time',
+      by: 'symbol',
+      direction: 'forward',
+      tolerance: 1,
+    });
+    expect(close.col('bid').toArray()).toEqual([10, null, null, null]);
+
+    const left = new DataFrame({ time: [2, 4] });
+    const strict = joinAsof(left, quotes, {
+      on: 'time',
+      allowExactMatches: false,
+    });
+    expect(strict.col('bid').toArray()).toEqual([9.9, 10]);
+    // Among equal keys backward takes the last right row
+    const exact = joinAsof(left, quotes, { on: 'time' });
+    expect(exact.col('bid').toArray()).toEqual([10, 10.1]);
+  });
+
+  test('joins dates, different key names and clashing columns', () => {
+    const day = (d) => new Date(`2024-01-${d}`);
+    const bars = new DataFrame({
+      ts: [day('02'), day('05'), null],
+      price: [1, 2, 3],
+    });
+    const fundamentals = new DataFrame({
+      date: [day('01'), day('04')],
+      price: [10, 20],
+    });
+
+    const result = joinAsof(bars, fundamentals, {
+      leftOn: 'ts',
+      rightOn: 'date',
+      suffix: ['', '_f'],
+    });
+    expect(result.columns).toEqual(['ts', 'price', 'date', 'price_f']);
+    expect(result.col('price_f').toArray()).toEqual([10, 20, null]);
+    expect(result.col('date').toArray()).toEqual([day('01'), day('04'), null]);
+  });
+
+  test('rejects invalid options', () => {
+    expect(() => joinAsof(trades, quotes, {})).toThrow(
+      'Join key must be specified',
+    );
+    expect(() =>
+      joinAsof(trades, quotes, { on: 'time', direction: 'sideways' }),
+    ).toThrow('Invalid direction: sideways');
+    expect(() =>
+      joinAsof(trades, quotes, { on: 'time', tolerance: -1 }),
+    ).toThrow('tolerance must be a non-negative number');
+    expect(() => joinAsof(trades, quotes, { on: 'symbol' })).toThrow(
+      "As-of join key 'symbol' must hold numbers or dates",
+    );
+    const epoch = new DataFrame({ time: [Date.UTC(2024, 0, 1)] });
+    const dated = new DataFrame({ time: [new Date(Date.UTC(2024, 0, 1))] });
+    expect(() => joinAsof(epoch, dated, { on: 'time' })).toThrow(
+      "As-of join keys 'time' and 'time' must both hold numbers or both hold dates",
+    );
+    expect(() =>
+      joinAsof(new DataFrame({ time: [1, dated.col('time').get(0)] }), epoch, {
+        on: 'time',
+      }),
+    ).toThrow("As-of join key 'time' mixes numbers and dates");
+    expect(() => joinAsof(trades, quotes, { on: 'time', by: 'x' })).toThrow(
+      "Column 'x' not found in left DataFrame",
+    );
+  });
+});
@@ -1,6 +1,7 @@
 // test/methods/dataframe/transform/sort.test.js
 import { describe, it, expect, beforeEach } from 'vitest';
 import { DataFrame } from '../../../../src/core/dataframe/DataFrame.js';
+import { Series } from '../../../../src/core/dataframe/Series.js';
 import {
   sort,
   registerSort,
@@ -110,7 +111,8 @@ describe('DataFrame.sort', () => {
       30,
       null,
       NaN,
-      undefined,
+      // undefined is stored as null
+      null,
     ]);
     expect(result.col('id').toArray()).toEqual([5, 1, 2, 3, 4]);
   });
@@ -141,4 +143,31 @@ describe('DataFrame.sort', () => {
       result2.col('name').toArray(),
     );
   });
+
+  it('sorts a categorical column by category order', () => {
+    // Arrange
+    const ratings = new DataFrame({
+      rating: new Series(['mid', 'high', null, 'low'], {
+        dtype: 'category',
+        categories: ['low', 'mid', 'high'],
+      }),
+      id: [1, 2, 3, 4],
+    });
+
+    // Act
+    const result = ratings.sort('rating');
+
+    // Assert
+    expect(result.col('rating').toArray()).toEqual([
+      'low',
+      'mid',
+      'high',
+      null,
+    ]);
+    expect(result.col('rating').dtype).toBe('category');
+    expect(result.col('id').toArray()).toEqual([4, 1, 2, 3]);
+    expect(
+      ratings.sort('rating', { descending: true }).col('id').toArray(),
+    ).toEqual([2, 1, 4, 3]);
+  });
 });
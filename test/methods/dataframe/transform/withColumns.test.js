@@ -0,0 +1,64 @@
+/**
+ * Unit tests for withColumns method
+ */
+
+import { describe, test, expect } from 'vitest';
+import { DataFrame } from '../../../../src/core/dataframe/DataFrame.js';
+import { registerDataFrameTransform } from '../../../../src/methods/dataframe/transform/register.js';
+import { registerDataFrameFiltering } from '../../../../src/methods/dataframe/filtering/register.js';
+import { col, lit, when } from '../../../../src/core/expr/index.js';
+
+registerDataFrameFiltering(DataFrame);
+registerDataFrameTransform(DataFrame);
+
+const df = new DataFrame({
+  price: [10, 20, 30],
+  qty: [1, -2, 3],
+});
+
+describe('withColumns', () => {
+  test('adds columns from expressions and shares the others', () => {
+    const result = df.withColumns(
+      col('price').mul(col('qty')).alias('notional'),
+      when(col('qty').lt(0)).then('sell').otherwise('buy').alias('side'),
+    );
+
+    expect(result.columns).toEqual(['price', 'qty', 'notional', 'side']);
+    expect(result.col('notional').toArray()).toEqual([10, -40, 90]);
+    expect(result.col('side').toArray()).toEqual(['buy', 'sell', 'buy']);
+    expect(result.col('price').vector._data).toBe(df.col('price').vector._data);
+    expect(df.columns).toEqual(['price', 'qty']);
+  });
+
+  test('evaluates every expression against the input frame', () => {
+    const result = df.withColumns([
+      col('price').add(1),
+      col('price').mul(2).alias('double'),
+    ]);
+
+    expect(result.col('price').toArray()).toEqual([11, 21, 31]);
+    expect(result.col('double').toArray()).toEqual([20, 40, 60]);
+  });
+
+  test('accepts an object of names and broadcasts literals', () => {
+    const result = df.withColumns({ fee: lit(0.5), total: col('qty').abs() });
+
+    expect(result.col('fee').toArray()).toEqual([0.5, 0.5, 0.5]);
+    expect(result.col('total').toArray()).toEqual([1, 2, 3]);
+  });
+
+  test('modifies the frame in place when asked', () => {
+    const target = new DataFrame({ a: [1, 2] });
+    const result = target.withColumns([col('a').neg().alias('b')], {
+      inplace: true,
+    });
+
+    expect(result).toBe(target);
+    expect(target.col('b').toArray()).toEqual([-1, -2]);
+  });
+
+  test('rejects values that are not expressions', () => {
+    expect(() => df.withColumns(['price'])).toThrow('expects expressions');
+    expect(() => df.withColumns(null)).toThrow('must be an array or an object');
+  });
+});
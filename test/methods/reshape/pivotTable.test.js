@@ -0,0 +1,161 @@
+/**
+ * Unit tests for pivotTable and crosstab
+ */
+
+import { describe, test, expect } from 'vitest';
+import { DataFrame } from '../../../src/core/dataframe/DataFrame.js';
+import { Series } from '../../../src/core/dataframe/Series.js';
+import registerReshapeMethods from '../../../src/methods/reshape/register.js';
+
+registerReshapeMethods(DataFrame);
+
+const sales = new DataFrame({
+  region: ['North', 'South', 'North', 'South', 'North', 'East'],
+  quarter: ['Q2', 'Q1', 'Q1', 'Q1', 'Q2', null],
+  revenue: [10, 20, 30, 40, 50, 60],
+  units: [1, 2, 3, 4, 5, 6],
+});
+
+describe('pivotTable', () => {
+  test('aggregates cells, sorted by key, with a fill value', () => {
+    const table = sales.pivotTable({
+      index: 'region',
+      columns: 'quarter',
+      values: 'revenue',
+      aggfunc: 'sum',
+      fillValue: 0,
+    });
+
+    // East only has a null quarter, which dropna leaves out
+    expect(table.columns).toEqual(['region', 'Q1', 'Q2']);
+    expect(table.toArray()).toEqual([
+      { region: 'East', Q1: 0, Q2: 0 },
+      { region: 'North', Q1: 30, Q2: 60 },
+      { region: 'South', Q1: 60, Q2: 0 },
+    ]);
+  });
+
+  test('margins aggregate the rows of each row, column and the table', () => {
+    const table = sales.pivotTable({
+      index: 'region',
+      columns: 'quarter',
+      values: 'revenue',
+      aggfunc: 'mean',
+      margins: true,
+      marginsName: 'Total',
+    });
+
+    expect(table.columns).toEqual(['region', 'Q1', 'Q2', 'Total']);
+    expect(table.col('region').toArray()).toEqual([
+      'East',
+      'North',
+      'South',
+      'Total',
+    ]);
+    // Means of the rows, not of the cells
+    expect(table.col('Total').toArray()).toEqual([null, 30, 30, 30]);
+    expect(table.col('Q1').toArray()).toEqual([null, 30, 30, 30]);
+  });
+
+  test('several values with one reducer each', () => {
+    const table = sales.pivotTable({
+      index: 'region',
+      columns: 'quarter',
+      aggfunc: { revenue: 'sum', units: (s) => s.length },
+      dropna: false,
+    });
+
+    expect(table.columns).toEqual([
+      'region',
+      'revenue_Q1',
+      'revenue_Q2',
+      'revenue_null',
+      'units_Q1',
+      'units_Q2',
+      'units_null',
+    ]);
+    expect(table.col('revenue_null').toArray()).toEqual([60, null, null]);
+    expect(table.col('units_Q1').toArray()).toEqual([null, 1, 2]);
+  });
+
+  test('melt turns the table back into one row per cell', () => {
+    const table = sales.pivotTable({
+      index: 'region',
+      columns: 'quarter',
+      values: 'revenue',
+      aggfunc: 'sum',
+    });
+    const long = table.melt(['region'], null, 'quarter', 'revenue');
+
+    expect(long.toArray().filter((row) => row.revenue !== null)).toEqual([
+      { region: 'North', quarter: 'Q1', revenue: 30 },
+      { region: 'North', quarter: 'Q2', revenue: 60 },
+      { region: 'South', quarter: 'Q1', revenue: 60 },
+    ]);
+  });
+
+  test('rejects invalid options', () => {
+    expect(() => sales.pivotTable({ columns: 'quarter' })).toThrow(
+      'pivotTable() needs at least one index column',
+    );
+    expect(() =>
+      sales.pivotTable({ index: 'region', values: 'region' }),
+    ).toThrow("Column 'region' is a key, it cannot be a value");
+    expect(() =>
+      sales.pivotTable({ index: 'region', aggfunc: 'nope' }),
+    ).toThrow('Unknown aggregation: nope');
+    expect(() =>
+      sales.pivotTable({
+        index: 'region',
+        values: ['revenue', 'units'],
+        aggfunc: { revenue: 'sum' },
+      }),
+    ).toThrow("No aggregation given for column 'units'");
+  });
+});
+
+describe('crosstab', () => {
+  const region = new Series(['N', 'S', 'N', 'N'], { name: 'region' });
+  const product = new Series(['a', 'a', 'b', 'a'], { name: 'product' });
+
+  test('counts pairs of values, with totals', () => {
+    const table = DataFrame.crosstab(region, product, { margins: true });
+    expect(table.toArray()).toEqual([
+      { region: 'N', a: 2, b: 1, All: 3 },
+      { region: 'S', a: 1, b: 0, All: 1 },
+      { region: 'All', a: 3, b: 1, All: 4 },
+    ]);
+  });
+
+  test('normalizes by rows, columns or the grand total', () => {
+    const byRow = DataFrame.crosstab(region, product, { normalize: 'index' });
+    expect(byRow.col('a').toArray()).toEqual([2 / 3, 1]);
+
+    const byColumn = DataFrame.crosstab(region, product, {
+      normalize: 'columns',
+      margins: true,
+    });
+    expect(byColumn.col('a').toArray()).toEqual([2 / 3, 1 / 3, 1]);
+    expect(byColumn.col('All').toArray()).toEqual([0.75, 0.25, 1]);
+
+    const all = DataFrame.crosstab(['x', 'y'], ['p', 'p'], { normalize: true });
+    // Unnamed factors are called row_0 and col_0
+    expect(all.columns).toEqual(['row_0', 'p']);
+    expect(all.col('p').toArray()).toEqual([0.5, 0.5]);
+  });
+
+  test('aggregates values per pair', () => {
+    const table = DataFrame.crosstab(region, product, {
+      values: [1, 2, 3, 4],
+      aggfunc: 'sum',
+    });
+    expect(table.col('a').toArray()).toEqual([5, 2]);
+    expect(table.col('b').toArray()).toEqual([3, null]);
+    expect(() => DataFrame.crosstab(region, product, { values: [1] })).toThrow(
+      'values and aggfunc must be given together',
+    );
+    expect(() =>
+      DataFrame.crosstab(region, product, { normalize: 'rows' }),
+    ).toThrow('Invalid normalize: rows');
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, test, expect, beforeAll } from 'vitest';
+import { Series } from '../../../../src/core/dataframe/Series.js';
+import { register } from '../../../../src/methods/series/categorical/index.js';
+import { register as registerMin } from '../../../../src/methods/series/aggregation/min.js';
+import { register as registerMax } from '../../../../src/methods/series/aggregation/max.js';
+import { register as registerSort } from '../../../../src/methods/series/transform/sort.js';
+
+describe('Series categorical methods', () => {
+  beforeAll(() => {
+    register(Series);
+    registerMin(Series);
+    registerMax(Series);
+    registerSort(Series);
+  });
+
+  const sectors = () =>
+    new Series(['Tech', 'Energy', 'Tech', null], {
+      name: 'sector',
+      dtype: 'category',
+    });
+
+  test('addCategories keeps values and name', () => {
+    const result = sectors().addCategories(['Utilities']);
+
+    expect(result.name).toBe('sector');
+    expect(result.categories).toEqual(['Energy', 'Tech', 'Utilities']);
+    expect(result.toArray()).toEqual(['Tech', 'Energy', 'Tech', null]);
+  });
+
+  test('removeUnused drops categories without rows', () => {
+    const result = sectors().addCategories('Utilities').removeUnused();
+    expect(result.categories).toEqual(['Energy', 'Tech']);
+  });
+
+  test('renameCategories changes labels only', () => {
+    const result = sectors().renameCategories(['E', 'T']);
+    expect(result.toArray()).toEqual(['T', 'E', 'T', null]);
+  });
+
+  test('methods require a categorical Series', () => {
+    expect(() => new Series(['a']).removeUnused()).toThrow(
+      "removeUnused() requires a categorical Series, got dtype 'str'",
+    );
+  });
+
+  test('ordered categoricals support min and max by category order', () => {
+    const rating = new Series(['mid', 'low', 'high'], {
+      dtype: 'category',
+      categories: ['low', 'mid', 'high'],
+    });
+
+    expect(() => rating.max()).toThrow(
+      'Cannot compute max of an unordered categorical',
+    );
+    expect(rating.asOrdered().max()).toBe('high');
+    expect(rating.asOrdered().min()).toBe('low');
+    expect(rating.asOrdered().asUnordered().ordered).toBe(false);
+  });
+
+  test('sort uses category order and keeps the dtype', () => {
+    const rating = new Series(['mid', null, 'low', 'high'], {
+      dtype: 'category',
+      categories: ['low', 'mid', 'high'],
+    });
+    const sorted = rating.sort();
+
+    expect(sorted.dtype).toBe('category');
+    expect(sorted.toArray()).toEqual(['low', 'mid', 'high', null]);
+    expect(rating.sort({ ascending: false }).toArray()).toEqual([
+      'high',
+      'mid',
+      'low',
+      null,
+    ]);
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, test, expect, beforeAll, vi } from 'vitest';
+import { Series } from '../../../../src/core/dataframe/Series.js';
+import { register } from '../../../../src/methods/series/display/index.js';
+
+describe('Series display methods', () => {
+  beforeAll(() => {
+    register(Series);
+  });
+
+  const series = new Series([10, 20, 30, 40, 50], { name: 'price' });
+
+  test('converts Series to an HTML table', () => {
+    const html = series.toHTML();
+
+    expect(html).toContain('<table class="tinyframe-table">');
+    expect(html).toContain('<th>price</th>');
+    expect(html).toContain('<td>10</td>');
+    expect(html).toContain('<td>50</td>');
+  });
+
+  test('escapes HTML in values', () => {
+    const html = new Series(['<b>'], { name: 'tag' }).toHTML();
+    expect(html).toContain('<td>&lt;b&gt;</td>');
+  });
+
+  test('converts Series to a Markdown table', () => {
+    expect(series.toMarkdown({ maxRows: 2 })).toBe(
+      [
+        '|  | price |',
+        '| --- | --- |',
+        '| 0 | 10 |',
+        '| 1 | 20 |',
+        '| ... | ... |',
+      ].join('\n'),
+    );
+    expect(series.toMarkdown({ showIndex: false }).split('\n')[2]).toBe(
+      '| 10 |',
+    );
+  });
+
+  test('prints to the console and returns the Series', () => {
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+    try {
+      expect(series.print({ maxRows: 1 })).toBe(series);
+      expect(log).toHaveBeenCalledWith('price (5 rows)\n0: 10\n...');
+    } finally {
+      log.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, test, expect, beforeAll } from 'vitest';
+import { Series } from '../../../../src/core/dataframe/Series.js';
+import { register as registerMask } from '../../../../src/methods/series/filtering/mask.js';
+import { register as registerTake } from '../../../../src/methods/series/filtering/take.js';
+import { register as registerComparison } from '../../../../src/methods/series/ops/comparison.js';
+
+describe('Series.mask / Series.take', () => {
+  beforeAll(() => {
+    registerMask(Series);
+    registerTake(Series);
+    registerComparison(Series);
+  });
+
+  test('mask keeps values where a boolean Series is true', () => {
+    const series = new Series([5, 15, null, 25], { name: 'x' });
+    const result = series.mask(series.gt(10));
+
+    expect(result.toArray()).toEqual([15, 25]);
+    expect(result.name).toBe('x');
+  });
+
+  test('mask accepts plain and typed arrays', () => {
+    const series = new Series(['a', 'b', 'c']);
+
+    expect(series.mask([false, true, true]).toArray()).toEqual(['b', 'c']);
+    expect(series.mask(new Uint8Array([1, 0, 0])).toArray()).toEqual(['a']);
+  });
+
+  test('take copies typed storage with nulls', () => {
+    const series = new Series([1, null, 3], { dtype: 'i32' });
+    const result = series.take([2, 1, 0]);
+
+    expect(result.dtype).toBe('i32');
+    expect(result.toArray()).toEqual([3, null, 1]);
+    expect(series.take(new Int32Array([-1])).toArray()).toEqual([3]);
+  });
+
+  test('take keeps datetime timezone', () => {
+    const series = new Series(['2024-01-01T00:00:00Z'], {
+      dtype: 'ts_ms',
+      tz: 'UTC',
+    });
+    expect(series.take([0]).tz).toBe('UTC');
+  });
+});
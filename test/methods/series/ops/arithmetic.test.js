@@ -0,0 +1,100 @@
+import { describe, test, expect, beforeAll } from 'vitest';
+import { Series } from '../../../../src/core/dataframe/Series.js';
+import { DataFrame } from '../../../../src/core/dataframe/DataFrame.js';
+import { register } from '../../../../src/methods/series/ops/arithmetic.js';
+
+describe('Series arithmetic operators', () => {
+  beforeAll(() => {
+    register(Series);
+  });
+
+  test('combines two Series element-wise', () => {
+    const df = new DataFrame({ open: [10, 20, 40], close: [11, 18, 40] });
+    const change = df.col('close').sub(df.col('open')).div(df.col('open'));
+
+    expect(change.dtype).toBe('f64');
+    expect(change.name).toBe('close');
+    expect(change.toArray()).toEqual([0.1, -0.1, 0]);
+  });
+
+  test('broadcasts scalars', () => {
+    const series = new Series([1, 2, 3]);
+
+    expect(series.add(1).toArray()).toEqual([2, 3, 4]);
+    expect(series.mul(2).toArray()).toEqual([2, 4, 6]);
+    expect(series.mod(2).toArray()).toEqual([1, 0, 1]);
+    expect(series.pow(2).toArray()).toEqual([1, 4, 9]);
+  });
+
+  test('accepts arrays and typed arrays of the same length', () => {
+    const series = new Series([1, 2, 3]);
+
+    expect(series.add([1, 1, 1]).toArray()).toEqual([2, 3, 4]);
+    expect(series.sub(new Float64Array([1, 2, 3])).toArray()).toEqual([
+      0, 0, 0,
+    ]);
+  });
+
+  test('propagates nulls from either side', () => {
+    const a = new Series([1, null, 3, 4]);
+    const b = new Series([1, 2, null, 4], { dtype: 'i32' });
+    const sum = a.add(b);
+
+    expect(sum.toArray()).toEqual([2, null, null, 8]);
+    expect(sum.nullCount).toBe(2);
+    expect(a.add(null).toArray()).toEqual([null, null, null, null]);
+  });
+
+  test('follows IEEE semantics for division by zero', () => {
+    const result = new Series([1, -1, 0]).div(0).toArray();
+    expect(result[0]).toBe(Infinity);
+    expect(result[1]).toBe(-Infinity);
+    expect(result[2]).toBeNaN();
+  });
+
+  test('throws on length mismatch and non-numeric data', () => {
+    expect(() => new Series([1, 2]).add(new Series([1, 2, 3]))).toThrow(
+      'add(): length mismatch, 2 vs 3',
+    );
+    expect(() => new Series(['a', 'b']).mul(2)).toThrow(
+      "mul() requires numeric values, got dtype 'str'",
+    );
+    expect(() => new Series([1, 2]).add('x')).toThrow(
+      "add() requires numeric values, got dtype 'mixed'",
+    );
+  });
+
+  test('aligns Series on row labels, null where a label is missing', () => {
+    const prices = new DataFrame(
+      { price: [10, 20, 30] },
+      { index: ['a', 'b', 'c'] },
+    );
+    const qty = new DataFrame({ qty: [1, 2, 4] }, { index: ['c', 'b', 'd'] });
+
+    const total = prices.col('price').mul(qty.col('qty'));
+    expect(total.index.toArray()).toEqual(['a', 'b', 'c', 'd']);
+    expect(total.toArray()).toEqual([null, 40, 30, null]);
+
+    // Same labels: combined as they are, labels kept
+    const same = prices.col('price').add(prices.col('price'));
+    expect(same.toArray()).toEqual([20, 40, 60]);
+    expect(same.index).toBe(prices.index);
+
+    // Unlabelled operands are taken by position
+    expect(
+      prices
+        .col('price')
+        .mul(new Series([1, 2, 3]))
+        .toArray(),
+    ).toEqual([10, 40, 90]);
+    expect(prices.col('price').mul([3, 2, 1]).toArray()).toEqual([30, 40, 30]);
+    expect(() => prices.col('price').mul([1, 2])).toThrow(
+      'mul(): length mismatch, 3 vs 2',
+    );
+
+    const twice = new DataFrame({ v: [1, 2] }, { index: ['a', 'a'] });
+    expect(() => prices.col('price').add(twice.col('v'))).toThrow(
+      'add(): cannot align Series on row labels with duplicates',
+    );
+  });
+});
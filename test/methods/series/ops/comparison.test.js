@@ -0,0 +1,83 @@
+import { describe, test, expect, beforeAll } from 'vitest';
+import { Series } from '../../../../src/core/dataframe/Series.js';
+import { register } from '../../../../src/methods/series/ops/comparison.js';
+
+describe('Series comparison operators', () => {
+  beforeAll(() => {
+    register(Series);
+  });
+
+  test('returns boolean masks against scalars', () => {
+    const series = new Series([1, 5, 10]);
+
+    const mask = series.gt(4);
+    expect(mask.dtype).toBe('bool');
+    expect(mask.toArray()).toEqual([false, true, true]);
+    expect(series.gte(5).toArray()).toEqual([false, true, true]);
+    expect(series.lt(5).toArray()).toEqual([true, false, false]);
+    expect(series.lte(5).toArray()).toEqual([true, true, false]);
+    expect(series.eq(5).toArray()).toEqual([false, true, false]);
+    expect(series.ne(5).toArray()).toEqual([true, false, true]);
+  });
+
+  test('compares two Series and propagates nulls', () => {
+    const a = new Series([1, null, 3]);
+    const b = new Series([0, 2, 3]);
+
+    expect(a.gt(b).toArray()).toEqual([true, null, false]);
+    expect(a.eq(b).toArray()).toEqual([false, null, true]);
+  });
+
+  test('compares strings, booleans and dates', () => {
+    expect(new Series(['AAPL', 'MSFT']).eq('AAPL').toArray()).toEqual([
+      true,
+      false,
+    ]);
+    expect(
+      new Series([true, false], { dtype: 'bool' }).eq(true).toArray(),
+    ).toEqual([true, false]);
+
+    const dates = new Series([new Date('2024-01-01'), new Date('2024-03-01')]);
+    expect(dates.gt(new Date('2024-02-01')).toArray()).toEqual([false, true]);
+    expect(dates.eq(new Date('2024-01-01')).toArray()).toEqual([true, false]);
+  });
+
+  test('compares categorical values', () => {
+    const tickers = new Series(['AAPL', 'MSFT', null], { dtype: 'category' });
+    expect(tickers.eq('MSFT').toArray()).toEqual([false, true, null]);
+  });
+
+  test('orders ordered categoricals by category position', () => {
+    const size = new Series(['lo', 'hi', 'mid', null], {
+      dtype: 'category',
+      categories: ['lo', 'mid', 'hi'],
+      ordered: true,
+    });
+
+    expect(size.gt('mid').toArray()).toEqual([false, true, false, null]);
+    expect(size.lte('mid').toArray()).toEqual([true, false, true, null]);
+    expect(size.lt(['mid', 'mid', 'hi', 'lo']).toArray()).toEqual([
+      true,
+      false,
+      true,
+      null,
+    ]);
+    expect(size.gte(size).toArray()).toEqual([true, true, true, null]);
+    expect(() => size.gt('huge')).toThrow("gt(): 'huge' is not a category");
+  });
+
+  test('refuses to order unordered categoricals', () => {
+    const size = new Series(['lo', 'hi', 'mid'], {
+      dtype: 'category',
+      categories: ['lo', 'mid', 'hi'],
+    });
+
+    expect(() => size.gt('mid')).toThrow(
+      'gt() cannot order an unordered categorical',
+    );
+    expect(() => new Series(['lo']).lt(size.vector.take([0]))).toThrow(
+      'lt() cannot order an unordered categorical',
+    );
+    expect(size.eq('mid').toArray()).toEqual([false, false, true]);
+  });
+});
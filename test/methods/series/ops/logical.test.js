@@ -0,0 +1,39 @@
+import { describe, test, expect, beforeAll } from 'vitest';
+import { Series } from '../../../../src/core/dataframe/Series.js';
+import { register } from '../../../../src/methods/series/ops/index.js';
+
+describe('Series logical operators', () => {
+  beforeAll(() => {
+    register(Series);
+  });
+
+  test('combines comparison masks', () => {
+    const series = new Series([1, 5, 10, 15]);
+    const inRange = series.gte(5).and(series.lt(15));
+
+    expect(inRange.toArray()).toEqual([false, true, true, false]);
+    expect(series.lt(5).or(series.gt(10)).toArray()).toEqual([
+      true,
+      false,
+      false,
+      true,
+    ]);
+    expect(inRange.not().toArray()).toEqual([true, false, false, true]);
+    expect(series.gt(1).xor(series.gt(5)).toArray()).toEqual([
+      false,
+      true,
+      false,
+      false,
+    ]);
+  });
+
+  test('uses three-valued logic for nulls', () => {
+    const a = new Series([true, false, null, null], { dtype: 'bool' });
+    const b = new Series([null, null, true, false], { dtype: 'bool' });
+
+    expect(a.and(b).toArray()).toEqual([null, false, null, false]);
+    expect(a.or(b).toArray()).toEqual([true, null, true, null]);
+    expect(a.xor(b).toArray()).toEqual([null, null, null, null]);
+    expect(a.not().toArray()).toEqual([false, true, null, null]);
+  });
+});
@@ -29,11 +29,11 @@ describe('Series.abs', () => {
   test('handles null and undefined values', () => {
     const series = new Series([-1, null, -3, undefined, -5]);
     const absolute = series.abs();
-    // Math.abs(null) returns 0, Math.abs(undefined) returns NaN
+    // undefined is stored as null, and Math.abs(null) returns 0
     expect(absolute.toArray()[0]).toBe(1);
     expect(absolute.toArray()[1]).toBe(0);
     expect(absolute.toArray()[2]).toBe(3);
-    expect(isNaN(absolute.toArray()[3])).toBe(true);
+    expect(absolute.toArray()[3]).toBe(0);
     expect(absolute.toArray()[4]).toBe(5);
   });
 
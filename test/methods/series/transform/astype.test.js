@@ -0,0 +1,40 @@
+import { describe, test, expect, beforeAll } from 'vitest';
+import { Series } from '../../../../src/core/dataframe/Series.js';
+import { register } from '../../../../src/methods/series/transform/astype.js';
+
+describe('Series.astype', () => {
+  beforeAll(() => {
+    // Register the astype method on Series prototype
+    register(Series);
+  });
+
+  test('keeps integers with missing values as a nullable integer column', () => {
+    const series = new Series([1, null, 3], { name: 'id' });
+    const ids = series.astype('int32');
+
+    expect(ids.dtype).toBe('i32');
+    expect(ids.toArray()).toEqual([1, null, 3]);
+    expect(ids.nullCount).toBe(1);
+    expect(ids.name).toBe('id');
+  });
+
+  test('converts numbers to strings', () => {
+    const series = new Series([1, 2]);
+    expect(series.astype('str').toArray()).toEqual(['1', '2']);
+    expect(series.astype('str').dtype).toBe('str');
+  });
+
+  test('throws on lossy casts', () => {
+    const series = new Series([1, 2.5], { name: 'price' });
+    expect(() => series.astype('i32')).toThrow(
+      "Series 'price': Cannot cast 2.5 at position 1 to i32",
+    );
+  });
+
+  test('reports the dtype of untyped data', () => {
+    expect(new Series([1, 2]).dtype).toBe('i32');
+    expect(new Series([1.5, 2]).dtype).toBe('f64');
+    expect(new Series(['a', 'b']).dtype).toBe('str');
+    expect(new Series([true, false]).dtype).toBe('bool');
+  });
+});
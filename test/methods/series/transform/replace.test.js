@@ -23,7 +23,8 @@ describe('Series.replace', () => {
   test('handles null and undefined values', () => {
     const series = new Series([1, null, 3, undefined, 5]);
     const replaced = series.replace(null, 0);
-    expect(replaced.toArray()).toEqual([1, 0, 3, undefined, 5]);
+    // undefined is stored as null
+    expect(replaced.toArray()).toEqual([1, 0, 3, 0, 5]);
   });
 
   test('replaces values using regex pattern', () => {
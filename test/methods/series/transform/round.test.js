@@ -29,11 +29,11 @@ describe('Series.round', () => {
   test('handles null and undefined values', () => {
     const series = new Series([1.5, null, 3.5, undefined]);
     const rounded = series.round();
-    // Math.round(null) returns 0, Math.round(undefined) returns NaN
+    // undefined is stored as null, and Math.round(null) returns 0
     expect(rounded.toArray()[0]).toBe(2);
     expect(rounded.toArray()[1]).toBe(0);
     expect(rounded.toArray()[2]).toBe(4);
-    expect(isNaN(rounded.toArray()[3])).toBe(true);
+    expect(rounded.toArray()[3]).toBe(0);
   });
 
   test('handles empty Series', () => {
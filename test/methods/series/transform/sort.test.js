@@ -35,13 +35,14 @@ describe('Series.sort', () => {
   test('handles null and undefined values (they go to the end in ascending order)', () => {
     const series = new Series([5, null, 3, undefined, 1]);
     const sorted = series.sort();
-    expect(sorted.toArray()).toEqual([1, 3, 5, null, undefined]);
+    // undefined is stored as null
+    expect(sorted.toArray()).toEqual([1, 3, 5, null, null]);
   });
 
   test('handles null and undefined values (they go to the beginning in descending order)', () => {
     const series = new Series([5, null, 3, undefined, 1]);
     const sorted = series.sort({ ascending: false });
-    expect(sorted.toArray()).toEqual([null, 5, 3, 1, undefined]);
+    expect(sorted.toArray()).toEqual([null, null, 5, 3, 1]);
   });
 
   test('sorts mixed types (numbers and strings)', () => {
@@ -0,0 +1,62 @@
+import { describe, test, expect, beforeAll } from 'vitest';
+import { DataFrame } from '../../../../src/core/dataframe/DataFrame.js';
+import registerDataFrameTimeSeries from '../../../../src/methods/timeseries/dataframe/register.js';
+
+describe('DataFrame datetime columns', () => {
+  beforeAll(() => {
+    // Register timeseries methods before tests
+    registerDataFrameTimeSeries(DataFrame);
+  });
+
+  const df = DataFrame.create({
+    time: ['2024-03-08 16:00', '2024-03-11 09:30', '2024-03-11 16:00'],
+    price: [100, 101, 102],
+  });
+
+  test('should convert a column with toDatetime', () => {
+    const result = df.toDatetime('time', {
+      format: 'YYYY-MM-DD HH:mm',
+      tz: 'America/New_York',
+    });
+
+    expect(result.dtypes.time).toBe('ts_ms');
+    expect(result.col('time').tz).toBe('America/New_York');
+    // Before and after the DST switch on 2024-03-10
+    expect(result.col('time').get(0)).toEqual(new Date('2024-03-08T21:00:00Z'));
+    expect(result.col('time').get(1)).toEqual(new Date('2024-03-11T13:30:00Z'));
+    expect(result.col('price').vector._data).toBe(df.col('price').vector._data);
+  });
+
+  test('should localize and convert columns', () => {
+    const utc = df.toDatetime('time').tzLocalize('time', 'UTC');
+    const london = utc.tzConvert('time', 'Europe/London');
+
+    expect(london.col('time').tz).toBe('Europe/London');
+    expect(london.col('time').toArray()).toEqual(utc.col('time').toArray());
+  });
+
+  test('should throw for missing columns', () => {
+    expect(() => df.toDatetime('missing')).toThrow(
+      "Column 'missing' not found in DataFrame",
+    );
+  });
+
+  test('should resample on local calendar days of a tz-aware column', () => {
+    const trades = DataFrame.create({
+      time: ['2024-01-02T23:30:00Z', '2024-01-03T01:00:00Z'],
+      qty: [1, 2],
+    }).toDatetime('time', { tz: 'Asia/Tokyo' });
+
+    const result = trades.resample({
+      dateColumn: 'time',
+      freq: 'D',
+      aggregations: { qty: (values) => values.reduce((a, b) => a + b, 0) },
+    });
+
+    // Both trades fall on 2024-01-03 in Tokyo
+    expect(result.rowCount).toBe(1);
+    expect(result.col('qty').toArray()).toEqual([3]);
+    expect(result.col('time').tz).toBe('Asia/Tokyo');
+    expect(result.col('time').get(0)).toEqual(new Date('2024-01-02T15:00:00Z'));
+  });
+});
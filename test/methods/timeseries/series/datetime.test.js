@@ -0,0 +1,88 @@
+import { describe, expect, test, beforeAll } from 'vitest';
+import { Series } from '../../../../src/core/dataframe/Series';
+import registerSeriesTimeSeries from '../../../../src/methods/timeseries/series/register';
+
+// Register timeseries methods before tests
+beforeAll(() => {
+  registerSeriesTimeSeries(Series);
+});
+
+describe('Series.toDatetime', () => {
+  test('should convert strings to a timestamp column', () => {
+    const series = new Series(['2024-01-02', null, '2024-01-03T10:00Z'], {
+      name: 'ts',
+    });
+    const result = series.toDatetime();
+
+    expect(result.dtype).toBe('ts_ms');
+    expect(result.tz).toBe(null);
+    expect(result.vector._data).toBeInstanceOf(Float64Array);
+    expect(result.toArray()).toEqual([
+      new Date('2024-01-02T00:00:00Z'),
+      null,
+      new Date('2024-01-03T10:00:00Z'),
+    ]);
+  });
+
+  test('should store Date arrays as timestamps', () => {
+    const series = new Series([new Date('2024-01-02'), null]);
+
+    expect(series.dtype).toBe('ts_ms');
+    expect(series.get(0)).toEqual(new Date('2024-01-02'));
+    expect(series.get(1)).toBe(null);
+  });
+
+  test('should raise or coerce unparsable values', () => {
+    const series = new Series(['2024-01-02', 'soon']);
+
+    expect(() => series.toDatetime()).toThrow(
+      "Cannot parse 'soon' as datetime (at position 1)",
+    );
+    expect(series.toDatetime({ errors: 'coerce' }).get(1)).toBe(null);
+  });
+
+  test('should read local session times in a timezone', () => {
+    const series = new Series(['2024-07-01 09:30']);
+    const result = series.toDatetime({ tz: 'America/New_York' });
+
+    expect(result.tz).toBe('America/New_York');
+    expect(result.get(0)).toEqual(new Date('2024-07-01T13:30:00Z'));
+  });
+});
+
+describe('Series.tzLocalize / tzConvert', () => {
+  let naive;
+
+  beforeAll(() => {
+    naive = new Series(['2024-07-01 09:30']).toDatetime();
+  });
+
+  test('should localize naive timestamps keeping wall time', () => {
+    const local = naive.tzLocalize('Europe/London');
+
+    expect(local.tz).toBe('Europe/London');
+    expect(local.get(0)).toEqual(new Date('2024-07-01T08:30:00Z'));
+    expect(local.tzLocalize(null).get(0)).toEqual(naive.get(0));
+  });
+
+  test('should convert between timezones keeping instants', () => {
+    const utc = naive.tzLocalize('UTC');
+    const tokyo = utc.tzConvert('Asia/Tokyo');
+
+    expect(tokyo.tz).toBe('Asia/Tokyo');
+    expect(tokyo.get(0)).toEqual(utc.get(0));
+    expect(tokyo.vector.getWallTime(0)).toBe(Date.UTC(2024, 6, 1, 18, 30));
+  });
+
+  test('should reject invalid combinations', () => {
+    expect(() => naive.tzConvert('UTC')).toThrow(
+      'Cannot convert tz-naive timestamps, use tzLocalize',
+    );
+    expect(() => naive.tzLocalize('UTC').tzLocalize('UTC')).toThrow(
+      'Timestamps are already tz-aware (UTC), use tzConvert',
+    );
+    expect(() => new Series([1, 2]).tzConvert('UTC')).toThrow(
+      'is not a datetime column',
+    );
+  });
+});
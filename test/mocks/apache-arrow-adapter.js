@@ -20,6 +20,10 @@ class MockArrowVector {
     return Array.isArray(this._data) ? this._data : Array.from(this._data);
   }
 
+  slice(begin, end) {
+    return new MockArrowVector(this.toArray().slice(begin, end));
+  }
+
   get length() {
     return this._data.length;
   }
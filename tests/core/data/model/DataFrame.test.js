@@ -2,77 +2,19 @@
  * Unit tests for DataFrame.js
  */
 
-import { DataFrame } from '../../../../packages/core/src/data/model/DataFrame.js';
-import { Series } from '../../../../packages/core/src/data/model/Series.js';
+import { DataFrame } from '../../../../src/core/dataframe/DataFrame.js';
+import { Series } from '../../../../src/core/dataframe/Series.js';
 import { describe, test, expect, vi, beforeAll } from 'vitest';
-import { display } from '../../../../packages/core/src/methods/dataframe/display/display.js';
-import { extendDataFrame } from '../../../../packages/core/src/data/model/extendDataFrame.js';
+import { registerDataFrameDisplay } from '../../../../src/methods/dataframe/display/register.js';
 
 /**
  * Tests for the DataFrame class
  * Verifies DataFrame creation, data access, and manipulation methods
  */
 describe('DataFrame', () => {
-  // Register display methods before running tests using the new extendDataFrame utility
+  // Register display methods before running tests
   beforeAll(() => {
-    extendDataFrame(DataFrame.prototype, {
-      display,
-      // Add toHTML method for testing
-      toHTML: (df) => {
-        // Create table header
-        let html = '<table class="tinyframe-table"><thead><tr>';
-        for (const col of df._order) {
-          html += `<th>${col}</th>`;
-        }
-        html += '</tr></thead><tbody>';
-
-        // Add data rows
-        const rowCount = df._columns[df._order[0]].length;
-        for (let i = 0; i < rowCount; i++) {
-          html += '<tr>';
-          for (const col of df._order) {
-            // Get value from Series
-            const series = df._columns[col];
-            const value = series.get(i);
-            html += `<td>${value}</td>`;
-          }
-          html += '</tr>';
-        }
-
-        html += '</tbody></table>';
-        return html;
-      },
-      // Add toMarkdown method for testing
-      toMarkdown: (df) => {
-        // Create header row
-        let md = '| index |';
-        for (const col of df._order) {
-          md += ` ${col} |`;
-        }
-        md += '\n|---|';
-
-        // Add separator row
-        for (const col of df._order) {
-          md += '---|';
-        }
-        md += '\n';
-
-        // Add data rows
-        const rowCount = df._columns[df._order[0]].length;
-        for (let i = 0; i < rowCount; i++) {
-          md += `| ${i} |`;
-          for (const col of df._order) {
-            // Get value from Series
-            const series = df._columns[col];
-            const value = series.get(i);
-            md += ` ${value} |`;
-          }
-          md += '\n';
-        }
-
-        return md;
-      },
-    });
+    registerDataFrameDisplay(DataFrame);
   });
   // Sample test data
   const sampleData = {
@@ -82,7 +24,7 @@ describe('DataFrame', () => {
 
   // Mock the shouldUseArrow function to avoid issues with data iteration
   vi.mock(
-    '../../../../packages/core/src/data/strategy/shouldUseArrow.js',
+    '../../../../src/core/strategy/shouldUseArrow.js',
     () => ({
       shouldUseArrow: () => false,
     }),
@@ -175,10 +117,10 @@ describe('DataFrame', () => {
     const df = new DataFrame(sampleData);
     const html = df.toHTML();
 
-    expect(html).toContain('<table class="tinyframe-table">');
+    expect(html).toContain('<table class="tinyframe-table theme-default">');
     expect(html).toContain('<th>a</th>');
     expect(html).toContain('<th>b</th>');
-    expect(html).toContain('<td>1</td>');
+    expect(html).toContain('<span class="number-value">1</span>');
     expect(html).toContain('<td>x</td>');
   });
 
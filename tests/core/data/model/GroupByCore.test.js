@@ -2,8 +2,8 @@
  * Unit tests for GroupBy.js
  */
 
-import { DataFrame } from '../../../../packages/core/src/data/model/DataFrame.js';
-import { GroupByCore as GroupBy } from '../../../../packages/core/src/data/model/GroupByCore.js';
+import { DataFrame } from '../../../../src/core/dataframe/DataFrame.js';
+import { GroupByCore as GroupBy } from '../../../../src/core/dataframe/GroupByCore.js';
 import { describe, test, expect, vi } from 'vitest';
 
 /**
@@ -13,7 +13,7 @@ import { describe, test, expect, vi } from 'vitest';
 describe('GroupByCore', () => {
   // Mock the shouldUseArrow function to avoid issues with data iteration
   vi.mock(
-    '../../../../packages/core/src/data/strategy/shouldUseArrow.js',
+    '../../../../src/core/strategy/shouldUseArrow.js',
     () => ({
       shouldUseArrow: () => false,
     }),
@@ -281,7 +281,7 @@ describe('GroupByCore', () => {
 describe('DataFrame.groupAgg', () => {
   // Mock the shouldUseArrow function to avoid issues with data iteration
   vi.mock(
-    '../../../../packages/core/src/data/strategy/shouldUseArrow.js',
+    '../../../../src/core/strategy/shouldUseArrow.js',
     () => ({
       shouldUseArrow: () => false,
     }),
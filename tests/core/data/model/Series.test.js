@@ -2,7 +2,7 @@
  * Unit tests for Series.js
  */
 
-import { Series } from '../../../../packages/core/src/data/model/Series.js';
+import { Series } from '../../../../src/core/dataframe/Series.js';
 import { describe, test, expect, vi } from 'vitest';
 
 /**
@@ -12,7 +12,7 @@ import { describe, test, expect, vi } from 'vitest';
 describe('Series', () => {
   // Mock the shouldUseArrow function to avoid issues with data iteration
   vi.mock(
-    '../../../../packages/core/src/data/strategy/shouldUseArrow.js',
+    '../../../../src/core/strategy/shouldUseArrow.js',
     () => ({
       shouldUseArrow: () => false,
     }),
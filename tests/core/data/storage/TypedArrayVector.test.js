@@ -2,7 +2,7 @@
  * Unit tests for TypedArrayVector.js
  */
 
-import { TypedArrayVector } from '../../../../packages/core/src/data/storage/TypedArrayVector.js';
+import { TypedArrayVector } from '../../../../src/core/storage/TypedArrayVector.js';
 import { describe, test, expect } from 'vitest';
 
 /**
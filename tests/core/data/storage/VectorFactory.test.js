@@ -2,8 +2,8 @@
  * Unit tests for VectorFactory.js
  */
 
-import { VectorFactory } from '../../../../packages/core/src/data/storage/VectorFactory.js';
-import { TypedArrayVector } from '../../../../packages/core/src/data/storage/TypedArrayVector.js';
+import { VectorFactory } from '../../../../src/core/storage/VectorFactory.js';
+import { TypedArrayVector } from '../../../../src/core/storage/TypedArrayVector.js';
 import { describe, test, expect, vi } from 'vitest';
 
 /**
@@ -1,60 +1,16 @@
 import { describe, it, expect } from 'vitest';
-import { DataFrame } from '../../../../packages/core/src/data/model/DataFrame.js';
-import { VectorFactory } from '../../../../packages/core/src/data/storage/VectorFactory.js';
-import { TypedArrayVector } from '../../../../packages/core/src/data/storage/TypedArrayVector.js';
-import { SimpleVector } from '../../../../packages/core/src/data/storage/SimpleVector.js';
-import { isArrowAvailable } from '../../../../packages/core/src/data/storage/ArrowAdapter.js';
-
-// Import DataFrame method registerer
-import { extendDataFrame } from '../../../../packages/core/src/data/model/extendDataFrame.js';
-
-// Register DataFrame methods before running tests
-// The extendDataFrame function expects prototype, methods object, and options
-extendDataFrame(DataFrame.prototype, {
-  // Add filtering methods needed for tests
-  where: (df, column, operator, value) => {
-    const filtered = {};
-    const indices = [];
-
-    // Get the column data
-    const columnData = df.get(column);
-
-    // Apply the filter based on the operator
-    for (let i = 0; i < columnData.length; i++) {
-      const val = columnData[i];
-      let keep = false;
-
-      switch (operator) {
-        case '>':
-          keep = val > value;
-          break;
-        case '<':
-          keep = val < value;
-          break;
-        case '===':
-        case '==':
-          keep = val === value;
-          break;
-        default:
-          throw new Error(`Unsupported operator: ${operator}`);
-      }
-
-      if (keep) {
-        indices.push(i);
-      }
-    }
-
-    // Create a new DataFrame with the filtered data
-    for (const col of df.columns) {
-      filtered[col] = indices.map((i) => df.get(col)[i]);
-    }
-
-    return new DataFrame(filtered);
-  },
-
-  // Add utility method to check arrow availability
-  isArrowEnabled: (df) => isArrowAvailable(),
-});
+import { DataFrame } from '../../../../src/core/dataframe/DataFrame.js';
+import { VectorFactory } from '../../../../src/core/storage/VectorFactory.js';
+import { TypedArrayVector } from '../../../../src/core/storage/TypedArrayVector.js';
+import { SimpleVector } from '../../../../src/core/storage/SimpleVector.js';
+import { isArrowAvailable } from '../../../../src/core/storage/ArrowAdapter.js';
+
+// Register the DataFrame methods used by the tests
+import { register as registerWhere } from '../../../../src/methods/dataframe/filtering/where.js';
+import { register as registerSelect } from '../../../../src/methods/dataframe/filtering/select.js';
+
+registerWhere(DataFrame);
+registerSelect(DataFrame);
 
 // Use global reference to ArrowVector for correct type checking
 const ArrowVector = globalThis.__TinyFrameArrowVector;
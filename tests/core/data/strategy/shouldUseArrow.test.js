@@ -2,7 +2,7 @@
  * Unit tests for shouldUseArrow.js
  */
 
-import { shouldUseArrow } from '../../../../packages/core/src/data/strategy/shouldUseArrow.js';
+import { shouldUseArrow } from '../../../../src/core/strategy/shouldUseArrow.js';
 import { describe, test, expect } from 'vitest';
 
 /**
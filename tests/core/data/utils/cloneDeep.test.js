@@ -2,7 +2,7 @@
  * Unit tests for cloneDeep.js
  */
 
-import { cloneDeep } from '../../../../packages/core/src/data/utils/transform/cloneDeep.js';
+import { cloneDeep } from '../../../../src/core/utils/cloneDeep.js';
 import { describe, test, expect } from 'vitest';
 
 /**
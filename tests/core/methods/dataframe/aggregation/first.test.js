@@ -1,14 +1,14 @@
 /**
  * Unit-tests for DataFrame.first
  *
- * ▸ Core library:  @tinyframejs/core
+ * ▸ Core library:  tinyframejs
  *
  * ─────────────────────────────────────────────────────────
  */
 
 import { describe, it, expect, beforeAll } from 'vitest';
 
-import { DataFrame } from '@tinyframejs/core';
+import { DataFrame } from '../../../../../src/index.js';
 
 // ---------------------------------------------
 // Test data
@@ -61,7 +61,8 @@ describe('DataFrame.first()', () => {
 
   it('handles null and undefined values', () => {
     expect(nullDf.first('value')).toBeNull();
-    expect(undefinedDf.first('value')).toBeUndefined();
+    // undefined is stored as null
+    expect(undefinedDf.first('value')).toBeNull();
   });
 
   it('handles NaN values', () => {
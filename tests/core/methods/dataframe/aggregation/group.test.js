@@ -1,14 +1,14 @@
 /**
  * Unit-tests for DataFrame groupBy/group methods
  *
- * ▸ Core library:  @tinyframejs/core
+ * ▸ Core library:  tinyframejs
  *
  * ─────────────────────────────────────────────────────────
  */
 
 import { describe, test, expect, beforeAll } from 'vitest';
 
-import { DataFrame } from '@tinyframejs/core';
+import { DataFrame } from '../../../../../src/index.js';
 
 // ---------------------------------------------
 // Test data
@@ -78,7 +78,7 @@ describe('DataFrame Group API', () => {
 
       expect(result).toBeInstanceOf(DataFrame);
       expect(result.columns).toContain('category');
-      expect(result.columns).toContain('value');
+      expect(result.columns).toContain('value_sum');
 
       // Convert to array for easier testing
       const rows = result.toArray();
@@ -87,10 +87,10 @@ describe('DataFrame Group API', () => {
       // Check aggregation results
       const groupA = rows.find((r) => r.category === 'A');
       console.log('Group A:', groupA);
-      expect(groupA.value).toBe(25); // 10 + 15
+      expect(groupA.value_sum).toBe(25); // 10 + 15
 
       const groupB = rows.find((r) => r.category === 'B');
-      expect(groupB.value).toBe(45); // 20 + 25
+      expect(groupB.value_sum).toBe(45); // 20 + 25
     });
 
     test('performs aggregation with mean method', () => {
@@ -98,17 +98,17 @@ describe('DataFrame Group API', () => {
 
       expect(result).toBeInstanceOf(DataFrame);
       expect(result.columns).toContain('category');
-      expect(result.columns).toContain('value');
+      expect(result.columns).toContain('value_mean');
 
       // Convert to array for easier testing
       const rows = result.toArray();
 
       // Check aggregation results
       const groupA = rows.find((r) => r.category === 'A');
-      expect(groupA.value).toBe(12.5); // (10 + 15) / 2
+      expect(groupA.value_mean).toBe(12.5); // (10 + 15) / 2
 
       const groupB = rows.find((r) => r.category === 'B');
-      expect(groupB.value).toBe(22.5); // (20 + 25) / 2
+      expect(groupB.value_mean).toBe(22.5); // (20 + 25) / 2
     });
 
     test('supports custom operations with apply method', () => {
@@ -323,17 +323,17 @@ describe('DataFrame Group API', () => {
 
       expect(result).toBeInstanceOf(DataFrame);
       expect(result.columns).toContain('category');
-      expect(result.columns).toContain('value');
+      expect(result.columns).toContain('value_sum');
 
       // Convert to array for easier testing
       const rows = result.toArray();
 
       // Check aggregation results
       const groupA = rows.find((r) => r.category === 'A');
-      expect(groupA.value).toBe(25);
+      expect(groupA.value_sum).toBe(25);
 
       const groupB = rows.find((r) => r.category === 'B');
-      expect(groupB.value).toBe(45);
+      expect(groupB.value_sum).toBe(45);
     });
 
     test('performs aggregation with groupMean', () => {
@@ -341,17 +341,17 @@ describe('DataFrame Group API', () => {
 
       expect(result).toBeInstanceOf(DataFrame);
       expect(result.columns).toContain('category');
-      expect(result.columns).toContain('value');
+      expect(result.columns).toContain('value_mean');
 
       // Convert to array for easier testing
       const rows = result.toArray();
 
       // Check aggregation results
       const groupA = rows.find((r) => r.category === 'A');
-      expect(groupA.value).toBe(12.5);
+      expect(groupA.value_mean).toBe(12.5);
 
       const groupB = rows.find((r) => r.category === 'B');
-      expect(groupB.value).toBe(22.5);
+      expect(groupB.value_mean).toBe(22.5);
     });
 
     test('performs aggregation with groupMin', () => {
@@ -399,12 +399,12 @@ describe('DataFrame Group API', () => {
       // Convert to array for easier testing
       const rows = result.toArray();
 
-      // Check aggregation results
+      // Check aggregation results, the first column is counted
       const groupA = rows.find((r) => r.category === 'A');
-      expect(groupA.count).toBe(2);
+      expect(groupA.category_count).toBe(2);
 
       const groupB = rows.find((r) => r.category === 'B');
-      expect(groupB.count).toBe(2);
+      expect(groupB.category_count).toBe(2);
     });
   });
 });
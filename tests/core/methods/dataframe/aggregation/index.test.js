@@ -1,13 +1,13 @@
 /**
  * Unit tests for aggregation methods index
  *
- * ▸ Core library:  @tinyframejs/core
+ * ▸ Core library:  tinyframejs
  *
  * ─────────────────────────────────────────────────────────
  */
 
 import { describe, test, expect, beforeAll } from 'vitest';
-import { DataFrame } from '@tinyframejs/core';
+import { DataFrame } from '../../../../../src/index.js';
 
 // Test data for use in all tests
 const testData = [
@@ -1,14 +1,14 @@
 /**
  * Unit-tests for DataFrame.last
  *
- * ▸ Core library:  @tinyframejs/core
+ * ▸ Core library:  tinyframejs
  *
  * ─────────────────────────────────────────────────────────
  */
 
 import { describe, it, expect, beforeAll } from 'vitest';
 
-import { DataFrame } from '@tinyframejs/core';
+import { DataFrame } from '../../../../../src/index.js';
 
 // ---------------------------------------------
 // Test data
@@ -61,7 +61,8 @@ describe('DataFrame.last()', () => {
 
   it('handles null and undefined values', () => {
     expect(nullDf.last('value')).toBeNull();
-    expect(undefinedDf.last('value')).toBeUndefined();
+    // undefined is stored as null
+    expect(undefinedDf.last('value')).toBeNull();
   });
 
   it('handles NaN values', () => {
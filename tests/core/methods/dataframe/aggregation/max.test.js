@@ -1,14 +1,14 @@
 /**
  * Unit-tests for DataFrame.max
  *
- * ▸ Core library:  @tinyframejs/core
+ * ▸ Core library:  tinyframejs
  *
  * ─────────────────────────────────────────────────────────
  */
 
 import { describe, it, expect, beforeAll } from 'vitest';
 
-import { DataFrame } from '@tinyframejs/core';
+import { DataFrame } from '../../../../../src/index.js';
 
 // ---------------------------------------------
 // Test data
@@ -24,7 +24,8 @@ const sample = [
 let df, emptyDf;
 beforeAll(() => {
   df = DataFrame.fromRecords(sample);
-  emptyDf = DataFrame.fromRecords([]);
+  // A frame without rows still has its columns
+  emptyDf = new DataFrame({ value: [] });
 });
 
 // ---------------------------------------------
@@ -1,16 +1,16 @@
 /**
  * Unit-tests for DataFrame.mean
  *
- * ▸ Core library:  @tinyframejs/core
+ * ▸ Core library:  tinyframejs
  * ▸ Registration of aggregations occurs as a side effect:
- *       import '@tinyframejs/core/registerAggregation'
+ *       import 'tinyframejs'
  *
  * ─────────────────────────────────────────────────────────
  */
 
 import { describe, it, expect, beforeAll } from 'vitest';
 
-import { DataFrame } from '@tinyframejs/core';
+import { DataFrame } from '../../../../../src/index.js';
 
 // ---------------------------------------------
 // Test data
@@ -26,7 +26,8 @@ const sample = [
 let df, emptyDf;
 beforeAll(() => {
   df = DataFrame.fromRecords(sample);
-  emptyDf = DataFrame.fromRecords([]);
+  // A frame without rows still has its columns
+  emptyDf = new DataFrame({ value: [] });
 });
 
 // ---------------------------------------------
@@ -43,8 +44,8 @@ describe('DataFrame.mean()', () => {
     expect(df.mean('mixed')).toBe(25);
   });
 
-  it('returns NaN if there are no numbers in the column', () => {
-    expect(Number.isNaN(df.mean('category'))).toBe(true);
+  it('returns null if there are no numbers in the column', () => {
+    expect(df.mean('category')).toBeNull();
   });
 
   it('throws an error for non-existent column', () => {
@@ -52,6 +53,6 @@ describe('DataFrame.mean()', () => {
   });
 
   it('works with empty DataFrame', () => {
-    expect(Number.isNaN(emptyDf.mean('value'))).toBe(true);
+    expect(emptyDf.mean('value')).toBeNull();
   });
 });
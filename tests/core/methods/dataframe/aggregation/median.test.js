@@ -1,14 +1,14 @@
 /**
  * Unit-tests for DataFrame.median
  *
- * ▸ Core library:  @tinyframejs/core
+ * ▸ Core library:  tinyframejs
  *
  * ─────────────────────────────────────────────────────────
  */
 
 import { describe, it, expect, beforeAll } from 'vitest';
 
-import { DataFrame } from '@tinyframejs/core';
+import { DataFrame } from '../../../../../src/index.js';
 
 // ---------------------------------------------
 // Test data
@@ -34,7 +34,8 @@ let dfOdd, dfEven, emptyDf;
 beforeAll(() => {
   dfOdd = DataFrame.fromRecords(sampleOdd);
   dfEven = DataFrame.fromRecords(sampleEven);
-  emptyDf = DataFrame.fromRecords([]);
+  // A frame without rows still has its columns
+  emptyDf = new DataFrame({ value: [] });
 });
 
 // ---------------------------------------------
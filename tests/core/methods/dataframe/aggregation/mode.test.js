@@ -1,14 +1,14 @@
 /**
  * Unit-tests for DataFrame.mode
  *
- * ▸ Core library:  @tinyframejs/core
+ * ▸ Core library:  tinyframejs
  *
  * ─────────────────────────────────────────────────────────
  */
 
 import { describe, it, expect, beforeAll } from 'vitest';
 
-import { DataFrame } from '@tinyframejs/core';
+import { DataFrame } from '../../../../../src/index.js';
 
 // ---------------------------------------------
 // Test data
@@ -42,7 +42,8 @@ beforeAll(() => {
   df = DataFrame.fromRecords(modeTestData);
   multiModeDf = DataFrame.fromRecords(multiModeData);
   invalidDf = DataFrame.fromRecords(invalidData);
-  emptyDf = DataFrame.fromRecords([]);
+  // A frame without rows still has its columns
+  emptyDf = new DataFrame({ value: [] });
 });
 
 // ---------------------------------------------
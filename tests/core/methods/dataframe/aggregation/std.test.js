@@ -1,14 +1,14 @@
 /**
  * Unit-tests for DataFrame.std
  *
- * ▸ Core library:  @tinyframejs/core
+ * ▸ Core library:  tinyframejs
  *
  * ─────────────────────────────────────────────────────────
  */
 
 import { describe, it, expect, beforeAll } from 'vitest';
 
-import { DataFrame } from '@tinyframejs/core';
+import { DataFrame } from '../../../../../src/index.js';
 
 // ---------------------------------------------
 // Test data
@@ -31,7 +31,8 @@ beforeAll(() => {
   );
 
   // Empty DataFrame
-  emptyDf = DataFrame.fromRecords([]);
+  // A frame without rows still has its columns
+  emptyDf = new DataFrame({ value: [] });
 
   // DataFrame with a single value
   singleValueDf = DataFrame.fromRecords([{ value: 42 }]);
@@ -1,17 +1,17 @@
 /**
  * Unit-tests for DataFrame.sum
  *
- * ▸ Core library:  @tinyframejs/core
+ * ▸ Core library:  tinyframejs
  *
  * ─────────────────────────────────────────────────────────
  */
 
 import { describe, it, expect, beforeAll, vi } from 'vitest';
-import { DataFrame } from '@tinyframejs/core';
-import { validateColumn } from '@tinyframejs/core/data/utils';
+import { DataFrame } from '../../../../../src/index.js';
+import { validateColumn } from '../../../../../src/core/utils/validators.js';
 
 // Mock validateColumn for error testing
-vi.mock('@tinyframejs/core/data/utils', async (importOriginal) => {
+vi.mock('../../../../../src/core/utils/validators.js', async (importOriginal) => {
   const actual = await importOriginal();
   return {
     ...actual,
@@ -33,7 +33,8 @@ const sample = [
 let df, emptyDf;
 beforeAll(() => {
   df = DataFrame.fromRecords(sample);
-  emptyDf = DataFrame.fromRecords([]);
+  // A frame without rows still has its columns
+  emptyDf = new DataFrame({ value: [] });
 });
 
 // ---------------------------------------------
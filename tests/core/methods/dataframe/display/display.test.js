@@ -1,22 +1,13 @@
 // tests/core/methods/dataframe/display/display.test.js
 import { describe, it, expect, beforeAll, vi } from 'vitest';
-import { DataFrame } from '../../../../../packages/core/src/data/model/DataFrame.js';
-import { Series } from '../../../../../packages/core/src/data/model/Series.js';
-import { display } from '../../../../../packages/core/src/methods/dataframe/display/display.js';
-import { print } from '../../../../../packages/core/src/methods/dataframe/display/print.js';
-import { toHTML } from '../../../../../packages/core/src/methods/dataframe/display/toHTML.js';
-import { toMarkdown } from '../../../../../packages/core/src/methods/dataframe/display/toMarkdown.js';
-import { extendDataFrame } from '../../../../../packages/core/src/data/model/extendDataFrame.js';
+import { DataFrame } from '../../../../../src/core/dataframe/DataFrame.js';
+import { Series } from '../../../../../src/core/dataframe/Series.js';
+import { registerDataFrameDisplay } from '../../../../../src/methods/dataframe/display/register.js';
 
 describe('DataFrame display methods', () => {
   beforeAll(() => {
-    // Register display methods using the extendDataFrame utility
-    extendDataFrame(DataFrame.prototype, {
-      display,
-      print,
-      toHTML,
-      toMarkdown,
-    });
+    // Register display methods on the DataFrame prototype
+    registerDataFrameDisplay(DataFrame);
   });
 
   // Create test data
@@ -31,26 +22,26 @@ describe('DataFrame display methods', () => {
 
   it('should convert DataFrame to HTML table', () => {
     const html = df.toHTML();
-    expect(html).toContain('<table class="tinyframe-table">');
+    expect(html).toContain('<table class="tinyframe-table theme-default">');
     expect(html).toContain('<thead>');
     expect(html).toContain('<tbody>');
     expect(html).toContain('<th>A</th>');
     expect(html).toContain('<th>B</th>');
     expect(html).toContain('<th>C</th>');
-    expect(html).toContain('<td>1</td>');
-    expect(html).toContain('<td>4</td>');
-    expect(html).toContain('<td>7</td>');
+    expect(html).toContain('<span class="number-value">1</span>');
+    expect(html).toContain('<span class="number-value">4</span>');
+    expect(html).toContain('<span class="number-value">7</span>');
   });
 
   it('should convert DataFrame to Markdown table', () => {
     const markdown = df.toMarkdown();
 
-    // Check presence of headers and data
-    expect(markdown).toContain('| index | A | B | C |');
-    expect(markdown).toContain('|---|---|---|---|');
-    expect(markdown).toContain('| 0 | 1 | 4 | 7 |');
-    expect(markdown).toContain('| 1 | 2 | 5 | 8 |');
-    expect(markdown).toContain('| 2 | 3 | 6 | 9 |');
+    // Check presence of headers and data, a default index is not shown
+    expect(markdown).toContain('| A | B | C |');
+    expect(markdown).toContain('| --- | --- | --- |');
+    expect(markdown).toContain('| 1 | 4 | 7 |');
+    expect(markdown).toContain('| 2 | 5 | 8 |');
+    expect(markdown).toContain('| 3 | 6 | 9 |');
   });
 
   it('should have print method', () => {
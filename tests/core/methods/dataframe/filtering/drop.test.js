@@ -3,8 +3,8 @@
  */
 
 import { describe, test, expect } from 'vitest';
-import { DataFrame } from '../../../../../packages/core/src/data/model/DataFrame.js';
-import { drop } from '../../../../../packages/core/src/methods/dataframe/filtering/drop.js';
+import { DataFrame } from '../../../../../src/core/dataframe/DataFrame.js';
+import { drop } from '../../../../../src/methods/dataframe/filtering/drop.js';
 
 // Test data for use in all tests
 const testData = [
@@ -50,7 +50,7 @@ describe('Drop Method', () => {
     });
 
     test('should throw error for non-existent column', () => {
-      expect(() => df.drop(['name', 'nonexistent'])).toThrow('Column not found: \'nonexistent\'');
+      expect(() => df.drop(['name', 'nonexistent'])).toThrow("Column 'nonexistent' not found");
     });
 
     test('should return a new DataFrame instance', () => {
@@ -62,10 +62,7 @@ describe('Drop Method', () => {
     test('should preserve typed arrays', () => {
       // Create DataFrame with typed arrays
       const typedDf = DataFrame.fromRecords(testData, {
-        columns: {
-          age: { type: 'int32' },
-          salary: { type: 'float64' },
-        },
+        dtypes: { age: 'i32', salary: 'f64' },
       });
 
       // Drop columns
@@ -84,7 +81,7 @@ describe('Drop Method', () => {
     test('should handle empty DataFrame', () => {
       const emptyDf = DataFrame.fromRecords([]);
       
-      expect(() => emptyDf.drop(['name'])).toThrow('Column not found: \'name\'');
+      expect(() => emptyDf.drop(['name'])).toThrow("Column 'name' not found");
     });
 
     test('should handle empty column list', () => {
@@ -96,8 +93,8 @@ describe('Drop Method', () => {
       expect(result).not.toBe(df); // Should be a new instance
     });
 
-    test('should throw error when dropping all columns', () => {
-      expect(() => df.drop(['name', 'age', 'city', 'salary'])).toThrow('Cannot drop all columns');
+    test('should leave no columns when dropping all columns', () => {
+      expect(df.drop(['name', 'age', 'city', 'salary']).columns).toEqual([]);
     });
   });
 });
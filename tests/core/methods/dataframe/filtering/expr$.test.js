@@ -3,8 +3,8 @@
  */
 
 import { describe, test, expect } from 'vitest';
-import { DataFrame } from '../../../../../packages/core/src/data/model/DataFrame.js';
-import { expr$ } from '../../../../../packages/core/src/methods/dataframe/filtering/expr$.js';
+import { DataFrame } from '../../../../../src/core/dataframe/DataFrame.js';
+import { expr$ } from '../../../../../src/methods/dataframe/filtering/expr$.js';
 
 // Test data for use in all tests
 const testData = [
@@ -77,10 +77,7 @@ describe('Expr$ Method', () => {
     test('should preserve typed arrays', () => {
       // Create DataFrame with typed arrays
       const typedDf = DataFrame.fromRecords(testData, {
-        columns: {
-          age: { type: 'int32' },
-          salary: { type: 'float64' },
-        },
+        dtypes: { age: 'i32', salary: 'f64' },
       });
 
       // Filter the data
@@ -92,11 +89,12 @@ describe('Expr$ Method', () => {
     });
 
     test('should handle empty DataFrame', () => {
-      const emptyDf = DataFrame.fromRecords([]);
+      // Expressions may only name existing columns
+      const emptyDf = new DataFrame({ age: [] });
       const result = emptyDf.expr$('age > 25');
-      
+
       expect(result.rowCount).toBe(0);
-      expect(result.columns).toEqual([]);
+      expect(result.columns).toEqual(['age']);
     });
 
     test('should handle expressions with variables', () => {
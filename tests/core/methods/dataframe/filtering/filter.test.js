@@ -3,8 +3,8 @@
  */
 
 import { describe, test, expect } from 'vitest';
-import { DataFrame } from '../../../../../packages/core/src/data/model/DataFrame.js';
-import { filter } from '../../../../../packages/core/src/methods/dataframe/filtering/filter.js';
+import { DataFrame } from '../../../../../src/core/dataframe/DataFrame.js';
+import { filter } from '../../../../../src/methods/dataframe/filtering/filter.js';
 
 // Test data for use in all tests
 const testData = [
@@ -55,7 +55,8 @@ describe('Filter Method', () => {
     });
 
     test('should throw error for non-function predicate', () => {
-      expect(() => df.filter('not a function')).toThrow('Predicate must be a function');
+      // Strings are query expressions, see the query tests
+      expect(() => df.filter(25)).toThrow('Predicate must be a function');
     });
 
     test('should return a new DataFrame instance', () => {
@@ -67,10 +68,7 @@ describe('Filter Method', () => {
     test('should preserve typed arrays', () => {
       // Create DataFrame with typed arrays
       const typedDf = DataFrame.fromRecords(testData, {
-        columns: {
-          age: { type: 'int32' },
-          salary: { type: 'float64' },
-        },
+        dtypes: { age: 'i32', salary: 'f64' },
       });
 
       // Filter the data
@@ -3,8 +3,8 @@
  */
 
 import { describe, test, expect } from 'vitest';
-import { DataFrame } from '../../../../../packages/core/src/data/model/DataFrame.js';
-import { iloc } from '../../../../../packages/core/src/methods/dataframe/filtering/iloc.js';
+import { DataFrame } from '../../../../../src/core/dataframe/DataFrame.js';
+import { iloc } from '../../../../../src/methods/dataframe/indexing/iloc.js';
 
 // Test data for use in all tests
 const testData = [
@@ -104,28 +104,25 @@ describe('Iloc Method', () => {
     });
 
     test('should throw error for out of bounds row index', () => {
-      expect(() => df.iloc(10)).toThrow('Row index out of bounds');
+      expect(() => df.iloc(10)).toThrow('Row index 10 is out of bounds for DataFrame with 5 rows');
     });
 
     test('should throw error for out of bounds column index', () => {
-      expect(() => df.iloc(null, 10)).toThrow('Column index out of bounds');
+      expect(() => df.iloc(null, 10)).toThrow('Column index 10 is out of bounds for DataFrame with 4 columns');
     });
 
     test('should throw error for invalid row selector type', () => {
-      expect(() => df.iloc('invalid')).toThrow('Invalid row selector type');
+      expect(() => df.iloc('invalid')).toThrow('Invalid row selector');
     });
 
     test('should throw error for invalid column selector type', () => {
-      expect(() => df.iloc(null, 'invalid')).toThrow('Invalid column selector type');
+      expect(() => df.iloc(null, 'invalid')).toThrow('Invalid column selector');
     });
 
     test('should preserve typed arrays', () => {
       // Create DataFrame with typed arrays
       const typedDf = DataFrame.fromRecords(testData, {
-        columns: {
-          age: { type: 'int32' },
-          salary: { type: 'float64' },
-        },
+        dtypes: { age: 'i32', salary: 'f64' },
       });
 
       // Select rows and columns
@@ -139,7 +136,7 @@ describe('Iloc Method', () => {
     test('should handle empty DataFrame', () => {
       const emptyDf = DataFrame.fromRecords([]);
       
-      expect(() => emptyDf.iloc(0)).toThrow('Row index out of bounds');
+      expect(() => emptyDf.iloc(0)).toThrow('Row index 0 is out of bounds for DataFrame with 0 rows');
     });
   });
 });
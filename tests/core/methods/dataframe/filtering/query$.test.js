@@ -3,8 +3,8 @@
  */
 
 import { describe, test, expect } from 'vitest';
-import { DataFrame } from '../../../../../packages/core/src/data/model/DataFrame.js';
-import { query$ } from '../../../../../packages/core/src/methods/dataframe/filtering/query$.js';
+import { DataFrame } from '../../../../../src/core/dataframe/DataFrame.js';
+import { query$ } from '../../../../../src/methods/dataframe/filtering/query$.js';
 
 // Test data for use in all tests
 const testData = [
@@ -104,10 +104,7 @@ describe('Query$ Method', () => {
 
       // Use Int32Array for age and Float64Array for salary
       const typedDf = DataFrame.fromRecords(typedData, {
-        columns: {
-          age: { type: 'int32' },
-          salary: { type: 'float64' },
-        },
+        dtypes: { age: 'i32', salary: 'f64' },
       });
 
       // Filter the data
@@ -3,8 +3,11 @@
  */
 
 import { describe, test, expect } from 'vitest';
-import { DataFrame } from '../../../../../packages/core/src/data/model/DataFrame.js';
-import { query } from '../../../../../packages/core/src/methods/dataframe/filtering/query.js';
+import { DataFrame } from '../../../../../src/core/dataframe/DataFrame.js';
+import { query } from '../../../../../src/methods/dataframe/filtering/query.js';
+import { select } from '../../../../../src/methods/dataframe/filtering/select.js';
+import { head } from '../../../../../src/methods/dataframe/filtering/head.js';
+import { sort } from '../../../../../src/methods/dataframe/transform/sort.js';
 
 // Test data for use in all tests
 const testData = [
@@ -23,8 +26,8 @@ describe('Query Method', () => {
     // Create DataFrame using fromRecords
     const df = DataFrame.fromRecords(testData);
 
-    test('should filter rows based on a simple SQL-like query', () => {
-      const result = df.query('SELECT * WHERE age > 25');
+    test('should filter rows based on a simple query', () => {
+      const result = df.query('age > 25');
 
       // Check that the filtered data is correct
       expect(result.rowCount).toBe(2);
@@ -35,7 +38,7 @@ describe('Query Method', () => {
     });
 
     test('should handle complex conditions with logical operators', () => {
-      const result = df.query('SELECT * WHERE age > 25 AND salary > 85000');
+      const result = df.query('age > 25 AND salary > 85000');
 
       // Check that the filtered data is correct
       expect(result.rowCount).toBe(1);
@@ -45,7 +48,7 @@ describe('Query Method', () => {
     });
 
     test('should handle string operations', () => {
-      const result = df.query("SELECT * WHERE city LIKE '%Francisco%'");
+      const result = df.query("city LIKE '%Francisco%'");
 
       // Check that the filtered data is correct
       expect(result.rowCount).toBe(1);
@@ -54,8 +57,9 @@ describe('Query Method', () => {
       ]);
     });
 
+    // Queries only filter rows, columns are picked with select()
     test('should handle column selection', () => {
-      const result = df.query('SELECT name, age WHERE age > 25');
+      const result = select(df.query('age > 25'), ['name', 'age']);
 
       // Check that the filtered data is correct
       expect(result.rowCount).toBe(2);
@@ -66,8 +70,8 @@ describe('Query Method', () => {
       ]);
     });
 
-    test('should handle ORDER BY clause', () => {
-      const result = df.query('SELECT * ORDER BY age DESC');
+    test('should handle sorting the result', () => {
+      const result = sort(df.query('age > 0'), 'age', { descending: true });
 
       // Check that the data is sorted correctly
       expect(result.rowCount).toBe(3);
@@ -78,8 +82,11 @@ describe('Query Method', () => {
       ]);
     });
 
-    test('should handle LIMIT clause', () => {
-      const result = df.query('SELECT * ORDER BY age DESC LIMIT 2');
+    test('should handle limiting the result', () => {
+      const result = head(
+        sort(df.query('age > 0'), 'age', { descending: true }),
+        2,
+      );
 
       // Check that the result is limited correctly
       expect(result.rowCount).toBe(2);
@@ -90,7 +97,7 @@ describe('Query Method', () => {
     });
 
     test('should return empty DataFrame when no rows match', () => {
-      const result = df.query('SELECT * WHERE age > 100');
+      const result = df.query('age > 100');
 
       // Should have all columns but no rows
       expect(result.columns.sort()).toEqual(
@@ -104,7 +111,7 @@ describe('Query Method', () => {
     });
 
     test('should return a new DataFrame instance', () => {
-      const result = df.query('SELECT * WHERE age > 25');
+      const result = df.query('age > 25');
       expect(result).toBeInstanceOf(DataFrame);
       expect(result).not.toBe(df); // Should be a new instance
     });
@@ -112,14 +119,11 @@ describe('Query Method', () => {
     test('should preserve typed arrays', () => {
       // Create DataFrame with typed arrays
       const typedDf = DataFrame.fromRecords(testData, {
-        columns: {
-          age: { type: 'int32' },
-          salary: { type: 'float64' },
-        },
+        dtypes: { age: 'i32', salary: 'f64' },
       });
 
       // Filter the data
-      const result = typedDf.query('SELECT * WHERE age > 25');
+      const result = typedDf.query('age > 25');
 
       // Check that the result contains typed arrays
       expect(result._columns.age.vector.__data).toBeInstanceOf(Int32Array);
@@ -127,11 +131,11 @@ describe('Query Method', () => {
     });
 
     test('should handle empty DataFrame', () => {
-      const emptyDf = DataFrame.fromRecords([]);
-      const result = emptyDf.query('SELECT * WHERE age > 25');
-      
+      const emptyDf = new DataFrame({ age: [] });
+      const result = emptyDf.query('age > 25');
+
       expect(result.rowCount).toBe(0);
-      expect(result.columns).toEqual([]);
+      expect(result.columns).toEqual(['age']);
     });
   });
 });
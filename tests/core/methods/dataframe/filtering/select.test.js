@@ -3,8 +3,8 @@
  */
 
 import { describe, test, expect } from 'vitest';
-import { DataFrame } from '../../../../../packages/core/src/data/model/DataFrame.js';
-import { select } from '../../../../../packages/core/src/methods/dataframe/filtering/select.js';
+import { DataFrame } from '../../../../../src/core/dataframe/DataFrame.js';
+import { select } from '../../../../../src/methods/dataframe/filtering/select.js';
 
 // Test data for use in all tests
 const testData = [
@@ -54,10 +54,7 @@ describe('Select Method', () => {
     test('should preserve typed arrays', () => {
       // Create DataFrame with typed arrays
       const typedDf = DataFrame.fromRecords(testData, {
-        columns: {
-          age: { type: 'int32' },
-          salary: { type: 'float64' },
-        },
+        dtypes: { age: 'i32', salary: 'f64' },
       });
 
       // Select columns
@@ -69,10 +66,9 @@ describe('Select Method', () => {
       expect(ageCol.toArray()).toEqual([25, 30, 35]);
       expect(salaryCol.toArray()).toEqual([70000, 85000, 90000]);
       
-      // Verify that the column types are preserved by checking the column options
-      // This is an indirect way to verify the typed arrays are preserved
-      expect(result._options.columns.age.type).toBe('int32');
-      expect(result._options.columns.salary.type).toBe('float64');
+      // Verify that the column types are preserved
+      expect(ageCol.dtype).toBe('i32');
+      expect(salaryCol.dtype).toBe('f64');
     });
 
     test('should handle empty DataFrame', () => {
@@ -82,7 +78,7 @@ describe('Select Method', () => {
     });
 
     test('should handle empty column list', () => {
-      expect(() => df.select([])).toThrow('Column list cannot be empty');
+      expect(df.select([]).columns).toEqual([]);
     });
   });
 });
@@ -3,8 +3,8 @@
  */
 
 import { describe, test, expect } from 'vitest';
-import { DataFrame } from '../../../../../packages/core/src/data/model/DataFrame.js';
-import { selectByPattern } from '../../../../../packages/core/src/methods/dataframe/filtering/selectByPattern.js';
+import { DataFrame } from '../../../../../src/core/dataframe/DataFrame.js';
+import { selectByPattern } from '../../../../../src/methods/dataframe/filtering/selectByPattern.js';
 
 // Test data for use in all tests
 const testData = [
@@ -53,7 +53,7 @@ describe('SelectByPattern Method', () => {
     });
 
     test('should return empty DataFrame when no columns match', () => {
-      expect(() => df.selectByPattern('nonexistent')).toThrow('No columns match the pattern');
+      expect(df.selectByPattern('nonexistent').columns).toEqual([]);
     });
 
     test('should return a new DataFrame instance', () => {
@@ -65,11 +65,7 @@ describe('SelectByPattern Method', () => {
     test('should preserve typed arrays', () => {
       // Create DataFrame with typed arrays
       const typedDf = DataFrame.fromRecords(testData, {
-        columns: {
-          age: { type: 'int32' },
-          salary_usd: { type: 'float64' },
-          user_id: { type: 'int32' },
-        },
+        dtypes: { age: 'i32', salary_usd: 'f64', user_id: 'i32' },
       });
 
       // Select columns by pattern
@@ -81,16 +77,15 @@ describe('SelectByPattern Method', () => {
       expect(salaryCol.toArray()).toEqual([70000, 85000, 90000]);
       expect(userIdCol.toArray()).toEqual([1, 2, 3]);
       
-      // Verify that the column types are preserved by checking the column options
-      // This is an indirect way to verify the typed arrays are preserved
-      expect(result._options.columns.salary_usd.type).toBe('float64');
-      expect(result._options.columns.user_id.type).toBe('int32');
+      // Verify that the column types are preserved
+      expect(salaryCol.dtype).toBe('f64');
+      expect(userIdCol.dtype).toBe('i32');
     });
 
     test('should handle empty DataFrame', () => {
       const emptyDf = DataFrame.fromRecords([]);
       
-      expect(() => emptyDf.selectByPattern('city')).toThrow('No columns match the pattern');
+      expect(emptyDf.selectByPattern('city').columns).toEqual([]);
     });
   });
 });
@@ -3,8 +3,8 @@
  */
 
 import { describe, test, expect } from 'vitest';
-import { DataFrame } from '../../../../../packages/core/src/data/model/DataFrame.js';
-import { stratifiedSample } from '../../../../../packages/core/src/methods/dataframe/filtering/stratifiedSample.js';
+import { DataFrame } from '../../../../../src/core/dataframe/DataFrame.js';
+import { stratifiedSample } from '../../../../../src/methods/dataframe/filtering/stratifiedSample.js';
 
 // Test data for use in all tests
 const testData = [
@@ -21,8 +21,8 @@ const testData = [
 
 describe('StratifiedSample Method', () => {
   // Add stratifiedSample method to DataFrame prototype
-  DataFrame.prototype.stratifiedSample = function(column, n, options) {
-    return stratifiedSample(this, column, n, options);
+  DataFrame.prototype.stratifiedSample = function(column, fraction, options) {
+    return stratifiedSample(this, column, fraction, options);
   };
 
   describe('with standard storage', () => {
@@ -30,28 +30,21 @@ describe('StratifiedSample Method', () => {
     const df = DataFrame.fromRecords(testData);
 
     test('should sample proportionally from each category', () => {
-      const result = df.stratifiedSample('category', 4);
+      const result = df.stratifiedSample('category', 0.5);
 
-      // Check that the result has 4 rows
-      expect(result.rowCount).toBe(4);
-      
       // Check that each category is represented proportionally
       const categoryCounts = {};
       result.toArray().forEach(row => {
         categoryCounts[row.category] = (categoryCounts[row.category] || 0) + 1;
       });
-      
-      // Category A should have ~2 rows (4/9 * 4 ~= 1.78)
-      // Category B should have ~1 row (2/9 * 4 ~= 0.89)
-      // Category C should have ~1 row (3/9 * 4 ~= 1.33)
-      // Due to rounding and randomness, we can't check exact counts,
-      // but we can check that all categories are represented
-      expect(Object.keys(categoryCounts).sort()).toEqual(['A', 'B', 'C']);
+
+      // Half of each category, rounded: A 4 -> 2, B 2 -> 1, C 3 -> 2
+      expect(categoryCounts).toEqual({ A: 2, B: 1, C: 2 });
     });
 
     test('should sample with fixed seed for deterministic results', () => {
-      const sample1 = df.stratifiedSample('category', 4, { seed: 42 });
-      const sample2 = df.stratifiedSample('category', 4, { seed: 42 });
+      const sample1 = df.stratifiedSample('category', 0.5, { seed: 42 });
+      const sample2 = df.stratifiedSample('category', 0.5, { seed: 42 });
 
       // Compare the sampled rows
       const rows1 = sample1.toArray();
@@ -61,23 +54,26 @@ describe('StratifiedSample Method', () => {
     });
 
     test('should throw error for non-existent column', () => {
-      expect(() => df.stratifiedSample('nonexistent', 4)).toThrow('Column not found');
+      expect(() => df.stratifiedSample('nonexistent', 0.5)).toThrow("Column 'nonexistent' not found");
     });
 
-    test('should throw error for negative n', () => {
-      expect(() => df.stratifiedSample('category', -1)).toThrow('Number of rows to sample must be a positive number');
+    test('should throw error for negative fraction', () => {
+      expect(() => df.stratifiedSample('category', -1)).toThrow('Fraction must be in the range (0, 1]');
     });
 
-    test('should throw error for non-integer n', () => {
-      expect(() => df.stratifiedSample('category', 2.5)).toThrow('Number of rows to sample must be an integer');
+    test('should throw error for fraction above 1', () => {
+      expect(() => df.stratifiedSample('category', 1.5)).toThrow('Fraction must be in the range (0, 1]');
     });
 
-    test('should throw error when n > rows', () => {
-      expect(() => df.stratifiedSample('category', 10)).toThrow('Sample size (10) cannot be greater than number of rows (9)');
+    test('should keep at least one row per category', () => {
+      const result = df.stratifiedSample('category', 0.1);
+
+      const categories = new Set(result.toArray().map(row => row.category));
+      expect([...categories].sort()).toEqual(['A', 'B', 'C']);
     });
 
     test('should return a new DataFrame instance', () => {
-      const result = df.stratifiedSample('category', 4);
+      const result = df.stratifiedSample('category', 0.5);
       expect(result).toBeInstanceOf(DataFrame);
       expect(result).not.toBe(df); // Should be a new instance
     });
@@ -85,22 +81,20 @@ describe('StratifiedSample Method', () => {
     test('should preserve typed arrays', () => {
       // Create DataFrame with typed arrays
       const typedDf = DataFrame.fromRecords(testData, {
-        columns: {
-          value: { type: 'int32' },
-        },
+        dtypes: { value: 'i32' },
       });
 
       // Sample the data with a fixed seed for deterministic results
-      const result = typedDf.stratifiedSample('category', 4, { seed: 42 });
+      const result = typedDf.stratifiedSample('category', 0.5, { seed: 42 });
 
       // Check that the result contains typed arrays
       expect(result._columns.value.vector.__data).toBeInstanceOf(Int32Array);
     });
 
     test('should handle empty DataFrame', () => {
-      const emptyDf = DataFrame.fromRecords([]);
-      
-      expect(() => emptyDf.stratifiedSample('category', 1)).toThrow('DataFrame is empty');
+      const emptyDf = new DataFrame({ category: [], value: [] });
+
+      expect(emptyDf.stratifiedSample('category', 0.5).rowCount).toBe(0);
     });
 
     test('should handle DataFrame with single category', () => {
@@ -110,23 +104,11 @@ describe('StratifiedSample Method', () => {
         { category: 'A', value: 3 },
       ];
       const singleCategoryDf = DataFrame.fromRecords(singleCategoryData);
-      
-      const result = singleCategoryDf.stratifiedSample('category', 2);
-      
+
+      const result = singleCategoryDf.stratifiedSample('category', 0.6);
+
       expect(result.rowCount).toBe(2);
       expect(result.toArray().every(row => row.category === 'A')).toBe(true);
     });
-
-    test('should handle frac option instead of n', () => {
-      const result = df.stratifiedSample('category', { frac: 0.5 });
-      
-      // Should sample approximately half the rows
-      expect(result.rowCount).toBeGreaterThanOrEqual(4);
-      expect(result.rowCount).toBeLessThanOrEqual(5);
-      
-      // All categories should be represented
-      const categories = new Set(result.toArray().map(row => row.category));
-      expect([...categories].sort()).toEqual(['A', 'B', 'C']);
-    });
   });
 });
@@ -3,8 +3,8 @@
  */
 
 import { describe, test, expect } from 'vitest';
-import { DataFrame } from '../../../../../packages/core/src/data/model/DataFrame.js';
-import { tail } from '../../../../../packages/core/src/methods/dataframe/filtering/tail.js';
+import { DataFrame } from '../../../../../src/core/dataframe/DataFrame.js';
+import { tail } from '../../../../../src/methods/dataframe/indexing/tail.js';
 
 // Test data for use in all tests
 const testData = [
@@ -52,7 +52,7 @@ describe('Tail Method', () => {
     });
 
     test('should throw error for negative n', () => {
-      expect(() => df.tail(-1)).toThrow('Number of rows must be a positive integer');
+      expect(() => df.tail(-1)).toThrow('Number of rows must be a positive number');
     });
 
     test('should throw error for non-integer n', () => {
@@ -68,10 +68,7 @@ describe('Tail Method', () => {
     test('should preserve typed arrays', () => {
       // Create DataFrame with typed arrays
       const typedDf = DataFrame.fromRecords(testData, {
-        columns: {
-          age: { type: 'int32' },
-          salary: { type: 'float64' },
-        },
+        dtypes: { age: 'i32', salary: 'f64' },
       });
 
       // Get tail of the data
@@ -3,8 +3,8 @@
  */
 
 import { describe, test, expect } from 'vitest';
-import { DataFrame } from '../../../../../packages/core/src/data/model/DataFrame.js';
-import { where } from '../../../../../packages/core/src/methods/dataframe/filtering/where.js';
+import { DataFrame } from '../../../../../src/core/dataframe/DataFrame.js';
+import { where } from '../../../../../src/methods/dataframe/filtering/where.js';
 
 // Test data
 const testData = [
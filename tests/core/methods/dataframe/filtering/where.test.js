@@ -4,8 +4,8 @@
  */
 
 import { describe, test, expect } from 'vitest';
-import { DataFrame } from '../../../../../packages/core/src/data/model/DataFrame.js';
-import { where } from '../../../../../packages/core/src/methods/dataframe/filtering/where.js';
+import { DataFrame } from '../../../../../src/core/dataframe/DataFrame.js';
+import { where } from '../../../../../src/methods/dataframe/filtering/where.js';
 
 // Test data for use in all tests
 const testData = [
@@ -196,10 +196,7 @@ describe('Where Method', () => {
     test('should preserve typed arrays', () => {
       // Create DataFrame with typed arrays
       const typedDf = DataFrame.fromRecords(testData, {
-        columns: {
-          age: { type: 'int32' },
-          salary: { type: 'float64' },
-        },
+        dtypes: { age: 'i32', salary: 'f64' },
       });
 
       // Filter the data
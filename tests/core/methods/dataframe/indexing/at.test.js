@@ -3,8 +3,8 @@
  */
 
 import { describe, test, expect } from 'vitest';
-import { DataFrame } from '../../../../../packages/core/src/data/model/DataFrame.js';
-import { at } from '../../../../../packages/core/src/methods/dataframe/filtering/at.js';
+import { DataFrame } from '../../../../../src/core/dataframe/DataFrame.js';
+import { at } from '../../../../../src/methods/dataframe/indexing/at.js';
 
 // Test data for use in all tests
 const testData = [
@@ -58,11 +58,11 @@ describe('At Method', () => {
     });
 
     test('should throw error for negative index', () => {
-      expect(() => df.at(-1)).toThrow('Index out of bounds: -1 is negative');
+      expect(() => df.at(-1)).toThrow('Negative indices are not supported, got -1');
     });
 
     test('should throw error for index >= rowCount', () => {
-      expect(() => df.at(3)).toThrow('Index out of bounds: 3 >= 3');
+      expect(() => df.at(3)).toThrow('Index 3 is out of bounds for DataFrame with 3 rows');
     });
 
     test('should throw error for non-integer index', () => {
@@ -72,10 +72,7 @@ describe('At Method', () => {
     test('should handle typed arrays correctly', () => {
       // Create DataFrame with typed arrays
       const typedDf = DataFrame.fromRecords(testData, {
-        columns: {
-          age: { type: 'int32' },
-          salary: { type: 'float64' },
-        },
+        dtypes: { age: 'i32', salary: 'f64' },
       });
 
       // Get row at index
@@ -90,7 +87,7 @@ describe('At Method', () => {
       const emptyDf = DataFrame.fromRecords([]);
 
       expect(() => emptyDf.at(0)).toThrow(
-        'Index out of bounds: DataFrame is empty',
+        'Index 0 is out of bounds for DataFrame with 0 rows',
       );
     });
   });
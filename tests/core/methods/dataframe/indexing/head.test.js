@@ -3,8 +3,8 @@
  */
 
 import { describe, test, expect } from 'vitest';
-import { DataFrame } from '../../../../../packages/core/src/data/model/DataFrame.js';
-import { head } from '../../../../../packages/core/src/methods/dataframe/filtering/head.js';
+import { DataFrame } from '../../../../../src/core/dataframe/DataFrame.js';
+import { head } from '../../../../../src/methods/dataframe/indexing/head.js';
 
 // Test data for use in all tests
 const testData = [
@@ -53,7 +53,7 @@ describe('Head Method', () => {
 
     test('should throw error for negative n', () => {
       expect(() => df.head(-1)).toThrow(
-        'Number of rows must be a positive integer',
+        'Number of rows must be a positive number',
       );
     });
 
@@ -70,10 +70,7 @@ describe('Head Method', () => {
     test('should preserve typed arrays', () => {
       // Create DataFrame with typed arrays
       const typedDf = DataFrame.fromRecords(testData, {
-        columns: {
-          age: { type: 'int32' },
-          salary: { type: 'float64' },
-        },
+        dtypes: { age: 'i32', salary: 'f64' },
       });
 
       // Get head of the data
@@ -3,8 +3,9 @@
  */
 
 import { describe, test, expect } from 'vitest';
-import { DataFrame } from '../../../../../packages/core/src/data/model/DataFrame.js';
-import { loc } from '../../../../../packages/core/src/methods/dataframe/filtering/loc.js';
+import { DataFrame } from '../../../../../src/core/dataframe/DataFrame.js';
+import { loc } from '../../../../../src/methods/dataframe/indexing/loc.js';
+import { setIndex } from '../../../../../src/methods/dataframe/indexing/setIndex.js';
 
 // Test data for use in all tests
 const testData = [
@@ -23,17 +24,14 @@ describe('Loc Method', () => {
 
   describe('with standard storage', () => {
     // Create DataFrame using fromRecords with id as index
-    const df = DataFrame.fromRecords(testData);
-
-    // Set index to 'id' column
-    df.setIndex('id');
+    // setIndex returns a new frame, keep 'id' as a column as well
+    const df = setIndex(DataFrame.fromRecords(testData), 'id', { drop: false });
 
     test('should select rows by label', () => {
       const result = df.loc('b2');
 
-      // Check that the result is a DataFrame with one row
-      expect(result.rowCount).toBe(1);
-      expect(result.toArray()[0].name).toBe('Bob');
+      // A single label gives that row as an object
+      expect(result.name).toBe('Bob');
     });
 
     test('should select rows by array of labels', () => {
@@ -109,28 +107,26 @@ describe('Loc Method', () => {
       const result = df.loc('c3', null);
 
       // Should select row with id 'c3', all columns
-      expect(result.rowCount).toBe(1);
-      expect(result.columns.length).toBe(5); // id, name, age, city, salary
-      expect(result.toArray()[0].name).toBe('Charlie');
+      expect(Object.keys(result).length).toBe(5); // id, name, age, city, salary
+      expect(result.name).toBe('Charlie');
     });
 
     test('should throw error for non-existent row label', () => {
-      expect(() => df.loc('z9')).toThrow('Row label not found');
+      expect(() => df.loc('z9')).toThrow("Label 'z9' not found in index");
     });
 
     test('should throw error for non-existent column label', () => {
-      expect(() => df.loc(null, 'country')).toThrow('Column not found');
+      expect(() => df.loc(null, 'country')).toThrow("Column 'country' not found");
     });
 
     test('should preserve typed arrays', () => {
       // Create DataFrame with typed arrays
-      const typedDf = DataFrame.fromRecords(testData, {
-        columns: {
-          age: { type: 'int32' },
-          salary: { type: 'float64' },
-        },
-      });
-      typedDf.setIndex('id');
+      const typedDf = setIndex(
+        DataFrame.fromRecords(testData, {
+          dtypes: { age: 'i32', salary: 'f64' },
+        }),
+        'id',
+      );
 
       // Select rows and columns
       const result = typedDf.loc(['b2', 'd4'], ['age', 'salary']);
@@ -141,10 +137,9 @@ describe('Loc Method', () => {
     });
 
     test('should handle empty DataFrame', () => {
-      const emptyDf = DataFrame.fromRecords([]);
-      emptyDf.setIndex('id');
+      const emptyDf = setIndex(new DataFrame({ id: [] }), 'id');
 
-      expect(() => emptyDf.loc('a1')).toThrow('Row label not found');
+      expect(() => emptyDf.loc('a1')).toThrow("Label 'a1' not found in index");
     });
 
     test('should handle DataFrame without index', () => {
@@ -152,8 +147,7 @@ describe('Loc Method', () => {
 
       // Should use row number as index
       const result = dfNoIndex.loc(2);
-      expect(result.rowCount).toBe(1);
-      expect(result.toArray()[0].name).toBe('Charlie');
+      expect(result.name).toBe('Charlie');
     });
   });
 });
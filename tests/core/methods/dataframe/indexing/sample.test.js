@@ -3,8 +3,8 @@
  */
 
 import { describe, test, expect } from 'vitest';
-import { DataFrame } from '../../../../../packages/core/src/data/model/DataFrame.js';
-import { sample } from '../../../../../packages/core/src/methods/dataframe/filtering/sample.js';
+import { DataFrame } from '../../../../../src/core/dataframe/DataFrame.js';
+import { sample } from '../../../../../src/methods/dataframe/indexing/sample.js';
 
 // Test data for use in all tests
 const testData = [
@@ -86,7 +86,7 @@ describe('Sample Method', () => {
 
     test('should throw error for negative n', () => {
       expect(() => df.sample(-1)).toThrow(
-        'Number of rows to sample must be a positive integer',
+        'Number of rows to sample must be a positive number',
       );
     });
 
@@ -116,10 +116,7 @@ describe('Sample Method', () => {
     test('should preserve typed arrays', () => {
       // Create DataFrame with typed arrays
       const typedDf = DataFrame.fromRecords(testData, {
-        columns: {
-          age: { type: 'int32' },
-          salary: { type: 'float64' },
-        },
+        dtypes: { age: 'i32', salary: 'f64' },
       });
 
       // Sample the data with a fixed seed for deterministic results
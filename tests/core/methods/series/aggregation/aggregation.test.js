@@ -1,12 +1,26 @@
 // tests/core/methods/series/aggregation/aggregation.test.js
 import { describe, it, expect, beforeAll } from 'vitest';
-import { Series } from '../../../../../packages/core/src/data/model/Series.js';
-import { sum } from '../../../../../packages/core/src/methods/series/aggregation/sum.js';
-import { mean } from '../../../../../packages/core/src/methods/series/aggregation/mean.js';
-import { min } from '../../../../../packages/core/src/methods/series/aggregation/min.js';
-import { max } from '../../../../../packages/core/src/methods/series/aggregation/max.js';
-import { count } from '../../../../../packages/core/src/methods/series/aggregation/count.js';
-import { extendSeries } from '../../../../../packages/core/src/data/model/extendSeries.js';
+import { Series } from '../../../../../src/core/dataframe/Series.js';
+import {
+  sum,
+  register as registerSum,
+} from '../../../../../src/methods/series/aggregation/sum.js';
+import {
+  mean,
+  register as registerMean,
+} from '../../../../../src/methods/series/aggregation/mean.js';
+import {
+  min,
+  register as registerMin,
+} from '../../../../../src/methods/series/aggregation/min.js';
+import {
+  max,
+  register as registerMax,
+} from '../../../../../src/methods/series/aggregation/max.js';
+import {
+  count,
+  register as registerCount,
+} from '../../../../../src/methods/series/aggregation/count.js';
 
 describe('Series aggregation methods', () => {
   // Define test data
@@ -16,13 +30,11 @@ describe('Series aggregation methods', () => {
 
   beforeAll(() => {
     // Register aggregation methods on Series prototype
-    extendSeries(Series.prototype, {
-      sum,
-      mean,
-      min,
-      max,
-      count,
-    });
+    registerSum(Series);
+    registerMean(Series);
+    registerMin(Series);
+    registerMax(Series);
+    registerCount(Series);
 
     // Create Series with test data
     series = new Series(testData, { name });
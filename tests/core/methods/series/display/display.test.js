@@ -1,21 +1,12 @@
 // tests/core/methods/series/display/display.test.js
 import { describe, it, expect, beforeAll, vi } from 'vitest';
-import { Series } from '../../../../../packages/core/src/data/model/Series.js';
-import { display } from '../../../../../packages/core/src/methods/series/display/display.js';
-import { print } from '../../../../../packages/core/src/methods/series/display/print.js';
-import { toHTML } from '../../../../../packages/core/src/methods/series/display/toHTML.js';
-import { toMarkdown } from '../../../../../packages/core/src/methods/series/display/toMarkdown.js';
-import { extendSeries } from '../../../../../packages/core/src/data/model/extendSeries.js';
+import { Series } from '../../../../../src/core/dataframe/Series.js';
+import { registerSeriesDisplay } from '../../../../../src/methods/series/display/register.js';
 
 describe('Series display methods', () => {
   beforeAll(() => {
-    // Register display methods using the extendSeries utility
-    extendSeries(Series.prototype, {
-      display,
-      print,
-      toHTML,
-      toMarkdown,
-    });
+    // Register display methods on the Series prototype
+    registerSeriesDisplay(Series);
   });
 
   // Define test data
@@ -26,7 +17,7 @@ describe('Series display methods', () => {
   const series = new Series(testData, { name });
 
   it('should convert Series to HTML table', () => {
-    const html = toHTML(series);
+    const html = series.toHTML();
     expect(html).toContain('<table class="tinyframe-table">');
     expect(html).toContain('<thead>');
     expect(html).toContain('<tbody>');
@@ -37,7 +28,7 @@ describe('Series display methods', () => {
   });
 
   it('should convert Series to Markdown table', () => {
-    const markdown = toMarkdown(series);
+    const markdown = series.toMarkdown();
 
     // Check presence of headers and data
     expect(markdown).toContain(name);
@@ -51,8 +42,8 @@ describe('Series display methods', () => {
   });
 
   it('should have print method', () => {
-    // Check that print function exists
-    expect(typeof print).toBe('function');
+    // Check that print method exists
+    expect(typeof series.print).toBe('function');
   });
 
   it('should chain print method', () => {
@@ -61,7 +52,7 @@ describe('Series display methods', () => {
 
     try {
       // Check that print method returns Series for chaining
-      const result = print(series);
+      const result = series.print();
       expect(result).toBe(series);
     } finally {
       // Restore console.log